@@ -1,83 +1,692 @@
 import Patient from "../models/Patient.js";
 import Observation from "../models/Observation.js";
+import { parseQueryString, parseSearch } from "../services/fhir/search.js";
+import { fhirBaseUrl, historyBundle, matchBundle, searchsetBundle } from "../services/fhir/bundle.js";
+import { FhirError, handleFhirError, operationOutcome } from "../services/fhir/operationOutcome.js";
+import { parseEtag, setResourceHeaders } from "../services/fhir/headers.js";
+import {
+  conditionalCreate,
+  conditionalUpdate,
+  createResource,
+  deleteResource,
+  history,
+  patchResource,
+  readResource,
+  readVersion,
+  restoreResource,
+  searchResources,
+  updateResource,
+} from "../services/fhir/resourceStore.js";
+import { processBundle } from "../services/fhir/transaction.js";
+import { patientEverything } from "../services/fhir/everything.js";
+import { capabilityStatement } from "../services/fhir/capabilityStatement.js";
+import { getModel } from "../services/fhir/registry.js";
+import { validateResource } from "../services/fhir/validator.js";
+import {
+  NDJSON,
+  cancelExport,
+  exportFilePath,
+  exportManifest,
+  exportStatus,
+  kickOffExport,
+} from "../services/fhir/bulkExport.js";
+import { importNdjson } from "../services/fhir/bulkImport.js";
+import {
+  expandValueSet,
+  findTerminology,
+  getCodeSystem,
+  getValueSet,
+  lookupCode,
+  validateCode,
+} from "../services/fhir/terminology.js";
+import { findMatches, listReviews, resolveReview } from "../services/fhir/mpi.js";
+import { MATCH_GRADE_EXTENSION } from "../services/fhir/patientMatching.js";
+import { mergePatients, unmergePatients } from "../services/fhir/patientMerge.js";
+import { listDeleted } from "../services/fhir/tombstones.js";
+import { compartmentFilter, inCompartment } from "../services/fhir/smartScopes.js";
+import { applyPatch } from "../services/fhir/jsonPatch.js";
+import { parseSubsetting, subsetResource } from "../services/fhir/subsetting.js";
+import { shareChart, transferChart, unshareChart } from "../services/fhir/patientSharing.js";
+
+const isStrict = (req) => /handling=strict/.test(req.get("Prefer") || "");
+const ifMatch = (req) => parseEtag(req.get("If-Match"));
+const userName = (req) => req.user?.email || req.user?.userId;
+// Recorded in the Provenance of every version written (see services/fhir/provenance.js)
+const writeAgent = (req, source = "api") => ({
+  who: userName(req),
+  role: req.user?.role,
+  onBehalfOf: req.get("X-On-Behalf-Of"),
+  source,
+});
+
+// SMART tokens with only patient/ scopes are limited to req.compartment (see middleware/fhirAuth.js)
+const assertCompartment = (req, resourceType, resource) => {
+  if (req.compartment && !inCompartment(resourceType, resource, req.compartment)) {
+    throw new FhirError(403, `${resourceType}${resource?.id ? `/${resource.id}` : ""} is outside the compartment of Patient/${req.compartment}`);
+  }
+};
+
+// The stored version a write would replace must be in the compartment too
+const assertCurrentInCompartment = async (req, Model, id) => {
+  if (!req.compartment) return;
+  const current = await Model.findById(id);
+  if (current) assertCompartment(req, Model.modelName, current.toJSON());
+};
+
+// ---------------- Shared Handlers ----------------
+
+// GET /api/fhir/:type/:id?_summary=&_elements=
+const read = (Model) => async (req, res) => {
+  try {
+    const subsetting = parseSubsetting(req.query);
+    const resource = (await readResource(Model, req.params.id)).toJSON();
+    assertCompartment(req, Model.modelName, resource);
+    setResourceHeaders(res, resource);
+    res.json(subsetResource(resource, subsetting));
+  } catch (err) {
+    handleFhirError(res, err);
+  }
+};
+
+// POST /api/fhir/:type (If-None-Exist for conditional create)
+const create = (Model) => async (req, res) => {
+  try {
+    const criteria = req.get("If-None-Exist");
+    assertCompartment(req, Model.modelName, req.body);
+    const { resource, created } = criteria
+      ? await conditionalCreate(Model, req.body, parseQueryString(criteria), { agent: writeAgent(req) })
+      : { resource: await createResource(Model, req.body, { agent: writeAgent(req) }), created: true };
+
+    const json = resource.toJSON();
+    // An existing match of If-None-Exist is returned as is
+    assertCompartment(req, Model.modelName, json);
+    setResourceHeaders(res, json, { baseUrl: fhirBaseUrl(req), created });
+    res.status(created ? 201 : 200).json(json);
+  } catch (err) {
+    handleFhirError(res, err);
+  }
+};
+
+// PUT /api/fhir/:type/:id, or PUT /api/fhir/:type?identifier=... for conditional update
+const update = (Model) => async (req, res) => {
+  try {
+    const options = { ifMatch: ifMatch(req), agent: writeAgent(req) };
+    if (req.params.id) {
+      await assertCurrentInCompartment(req, Model, req.params.id);
+      assertCompartment(req, Model.modelName, { ...req.body, id: req.params.id });
+    }
+    const { resource, created } = req.params.id
+      ? await updateResource(Model, req.params.id, req.body, options)
+      : await conditionalUpdate(Model, req.query, req.body, options);
+
+    const json = resource.toJSON();
+    setResourceHeaders(res, json, { baseUrl: fhirBaseUrl(req), created });
+    res.status(created ? 201 : 200).json(json);
+  } catch (err) {
+    handleFhirError(res, err);
+  }
+};
+
+// PATCH /api/fhir/:type/:id (application/json-patch+json)
+const patch = (Model) => async (req, res) => {
+  try {
+    if (!req.is("application/json-patch+json")) {
+      throw new FhirError(415, "PATCH requires Content-Type application/json-patch+json", "not-supported");
+    }
+    if (req.compartment) {
+      const current = (await readResource(Model, req.params.id)).toJSON();
+      assertCompartment(req, Model.modelName, current);
+      assertCompartment(req, Model.modelName, applyPatch(current, req.body));
+    }
+    const json = (await patchResource(Model, req.params.id, req.body, {
+      ifMatch: ifMatch(req),
+      agent: writeAgent(req),
+    })).toJSON();
+    setResourceHeaders(res, json);
+    res.json(json);
+  } catch (err) {
+    handleFhirError(res, err);
+  }
+};
+
+// DELETE /api/fhir/:type/:id?reason= (leaves a tombstone, see $restore)
+const remove = (Model) => async (req, res) => {
+  try {
+    await assertCurrentInCompartment(req, Model, req.params.id);
+    await deleteResource(Model, req.params.id, {
+      ifMatch: ifMatch(req),
+      agent: writeAgent(req),
+      reason: req.query.reason,
+    });
+    res.json({ message: `${Model.modelName} deleted` });
+  } catch (err) {
+    handleFhirError(res, err);
+  }
+};
+
+// POST /api/fhir/:type/:id/$restore
+const restore = (Model) => async (req, res) => {
+  try {
+    const json = (await restoreResource(Model, req.params.id, { agent: writeAgent(req) })).toJSON();
+    setResourceHeaders(res, json);
+    res.json(json);
+  } catch (err) {
+    handleFhirError(res, err);
+  }
+};
+
+// A searchset of Model, limited to `within` and linked from `path` when given
+const searchset = async (req, res, Model, { within, path } = {}) => {
+  const subsetting = parseSubsetting(req.query, { search: true });
+  // _summary=count only wants the total
+  const query = subsetting?.summary === "count" ? { ...req.query, _count: "0" } : req.query;
+  const filters = [within, req.compartment && compartmentFilter(Model.modelName, req.compartment)].filter(Boolean);
+  const { resources, included, total, count, offset, params } = await searchResources(Model, query, {
+    strict: isStrict(req),
+    ...(filters.length ? { within: filters.length > 1 ? { $and: filters } : filters[0] } : {}),
+  });
+
+  res.status(200).json(searchsetBundle({
+    baseUrl: fhirBaseUrl(req),
+    resourceType: Model.modelName,
+    path,
+    resources: resources.map((r) => subsetResource(r.toJSON(), subsetting)),
+    included: included
+      .map((r) => r.toJSON())
+      .filter((r) => !req.compartment || inCompartment(r.resourceType, r, req.compartment))
+      .map((r) => subsetResource(r, subsetting)),
+    total,
+    count,
+    offset,
+    params,
+  }));
+};
+
+// GET /api/fhir/:type?<search parameters>&_summary=&_elements=
+const search = (Model) => async (req, res) => {
+  try {
+    await searchset(req, res, Model);
+  } catch (err) {
+    handleFhirError(res, err);
+  }
+};
 
 // ---------------- Patient Controllers ----------------
 
-// GET /api/fhir/patients?name=
-export const getAllPatients = async (req, res) => {
+// GET /api/fhir/Patient?family=&given=&birthdate=&gender=&identifier=&address-city=&_lastUpdated=
+export const getAllPatients = search(Patient);
+
+export const getPatientById = read(Patient);
+export const createPatient = create(Patient);
+export const updatePatient = update(Patient);
+export const patchPatient = patch(Patient);
+export const deletePatient = remove(Patient);
+export const restorePatient = restore(Patient);
+
+// GET /api/fhir/Patient/:id/$everything?_since=&_type=&start=&end=&_summary=&_elements=
+export const getPatientEverything = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const subsetting = parseSubsetting(req.query, { search: true });
+    const query = subsetting?.summary === "count" ? { ...req.query, _count: "0" } : req.query;
+    const { resources, total, count, offset, params } = await patientEverything(id, query);
+
+    res.json(searchsetBundle({
+      baseUrl: fhirBaseUrl(req),
+      resourceType: "Patient",
+      path: `Patient/${id}/$everything`,
+      resources: resources.map((r) => subsetResource(r.toJSON(), subsetting)),
+      total,
+      count,
+      offset,
+      params,
+    }));
+  } catch (err) {
+    handleFhirError(res, err);
+  }
+};
+
+// GET /api/fhir/Patient/:id/:type?<search parameters> - a search within the patient's compartment
+// (after verifyPatientAccess)
+export const getPatientCompartment = async (req, res) => {
+  try {
+    const { id, type } = req.params;
+    const Model = getModel(type);
+    const within = type !== "Patient" && compartmentFilter(type, id);
+    if (!within) throw new FhirError(400, `${type} is not in the Patient compartment`);
+    await searchset(req, res, Model, { within, path: `Patient/${id}/${type}` });
+  } catch (err) {
+    handleFhirError(res, err);
+  }
+};
+
+// POST /api/fhir/Patient/$match (Parameters with resource, onlyCertainMatches, count)
+export const matchPatient = async (req, res) => {
+  try {
+    const resource = (req.body?.parameter || []).find((p) => p.name === "resource")?.resource;
+    if (req.body?.resourceType !== "Parameters" || !resource) {
+      throw new FhirError(400, "Patient/$match needs a Parameters body with a resource");
+    }
+    const params = operationParameters(req);
+    const matches = await findMatches(resource, {
+      onlyCertainMatches: String(params.onlyCertainMatches) === "true",
+      ...(params.count ? { count: Number(params.count) } : {}),
+    });
+
+    res.json(matchBundle({
+      baseUrl: fhirBaseUrl(req),
+      matches: matches.map((match) => ({ ...match, resource: match.resource.toJSON() })),
+      gradeExtension: MATCH_GRADE_EXTENSION,
+    }));
+  } catch (err) {
+    handleFhirError(res, err);
+  }
+};
+
+// GET /api/fhir/$match-review?status=open&patient=&_count=&_offset=
+export const getMatchReviews = async (req, res) => {
   try {
-    const query = req.query.name;
-    const filter = query ? { "name.0.text": new RegExp(query, 'i') } : {};
-    const patients = await Patient.find(filter);
-    res.status(200).json(patients);
+    const { status, patient, _count: count, _offset: offset } = req.query;
+    res.json(await listReviews({ status, patient, count, offset }));
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    handleFhirError(res, err);
   }
 };
 
-// GET /api/fhir/patients/:id
-export const getPatientById = async (req, res) => {
+// POST /api/fhir/$match-review/:id ({ "resolution": "same" | "different" })
+export const resolveMatchReview = async (req, res) => {
   try {
-    const patient = await Patient.findById(req.params.id);
-    if (!patient) return res.status(404).json({ error: "Patient not found" });
-    res.json(patient);
+    res.json(await resolveReview(req.params.id, {
+      resolution: req.body?.resolution,
+      reviewer: req.user?.email || req.body?.reviewer,
+      agent: writeAgent(req),
+    }));
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    handleFhirError(res, err);
   }
 };
 
-// POST /api/fhir/patients
-export const createPatient = async (req, res) => {
+// POST /api/fhir/Patient/$merge (Parameters with source-patient, target-patient, preview, delete-source)
+export const mergePatient = async (req, res) => {
   try {
-    const patient = new Patient(req.body);
-    await patient.save();
-    res.status(201).json(patient);
+    res.json(await mergePatients(req.body, { agent: writeAgent(req) }));
   } catch (err) {
-    res.status(400).json({ error: err.message });
+    handleFhirError(res, err);
   }
 };
 
-// PUT /api/fhir/patients/:id
-export const updatePatient = async (req, res) => {
+// POST /api/fhir/Patient/$unmerge (Parameters with source-patient, target-patient)
+export const unmergePatient = async (req, res) => {
   try {
-    const updated = await Patient.findByIdAndUpdate(req.params.id, req.body, { new: true });
-    res.json(updated);
+    res.json(await unmergePatients(req.body, { agent: writeAgent(req) }));
   } catch (err) {
-    res.status(400).json({ error: err.message });
+    handleFhirError(res, err);
   }
 };
 
-// DELETE /api/fhir/patients/:id
-export const deletePatient = async (req, res) => {
+// POST /api/fhir/Patient/:id/$share (Parameters with organization, end)
+export const sharePatient = async (req, res) => {
   try {
-    await Patient.findByIdAndDelete(req.params.id);
-    res.json({ message: "Patient deleted" });
+    res.json(await shareChart(req.params.id, req.body, { sharedBy: userName(req) }));
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    handleFhirError(res, err);
+  }
+};
+
+// POST /api/fhir/Patient/:id/$unshare (Parameters with organization)
+export const unsharePatient = async (req, res) => {
+  try {
+    res.json(await unshareChart(req.params.id, req.body));
+  } catch (err) {
+    handleFhirError(res, err);
+  }
+};
+
+// POST /api/fhir/Patient/:id/$transfer (Parameters with organization)
+export const transferPatient = async (req, res) => {
+  try {
+    res.json(await transferChart(req.params.id, req.body, { agent: writeAgent(req) }));
+  } catch (err) {
+    handleFhirError(res, err);
   }
 };
 
 // ---------------- Observation Controllers ----------------
 
-// GET /api/fhir/observations?patient=
-export const getObservations = async (req, res) => {
+// GET /api/fhir/Observation?patient=&code=&category=&date=&value-quantity=&_sort=-date
+export const getObservations = search(Observation);
+
+export const getObservationById = read(Observation);
+export const createObservation = create(Observation);
+export const updateObservation = update(Observation);
+export const patchObservation = patch(Observation);
+export const deleteObservation = remove(Observation);
+export const restoreObservation = restore(Observation);
+
+// ---------------- History Controllers ----------------
+
+// GET /api/fhir/:type/_history?_since= and /api/fhir/:type/:id/_history?_since=
+export const getHistory = (Model) => async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (req.compartment) {
+      // Versions of every resource of the type would reach beyond the compartment
+      if (!id) throw new FhirError(403, `${Model.modelName}/_history is outside the compartment of Patient/${req.compartment}`);
+      assertCompartment(req, Model.modelName, (await readResource(Model, id)).toJSON());
+    }
+    const { count, offset } = parseSearch(Model.modelName, {
+      _count: req.query._count,
+      _offset: req.query._offset,
+    });
+    const { versions, total } = await history(Model, { id, since: req.query._since, count, offset });
+
+    res.json(historyBundle({
+      baseUrl: fhirBaseUrl(req),
+      path: id ? `${Model.modelName}/${id}/_history` : `${Model.modelName}/_history`,
+      versions,
+      total,
+      count,
+      offset,
+      params: req.query._since ? { _since: [req.query._since] } : {},
+    }));
+  } catch (err) {
+    handleFhirError(res, err);
+  }
+};
+
+// GET /api/fhir/:type/:id/_history/:vid?_summary=&_elements=
+export const getVersion = (Model) => async (req, res) => {
+  try {
+    const subsetting = parseSubsetting(req.query);
+    const { resource } = await readVersion(Model, req.params.id, req.params.vid);
+    assertCompartment(req, Model.modelName, resource);
+    setResourceHeaders(res, resource);
+    res.json(subsetResource(resource, subsetting));
+  } catch (err) {
+    handleFhirError(res, err);
+  }
+};
+
+// GET /api/fhir/$deleted?_type=Patient&_count=&_offset=
+export const getDeleted = async (req, res) => {
+  try {
+    const { _type: resourceType, _count: count, _offset: offset } = req.query;
+    res.json(await listDeleted({ resourceType, count, offset }));
+  } catch (err) {
+    handleFhirError(res, err);
+  }
+};
+
+// ---------------- Registered Resource Controllers ----------------
+
+/**
+ * Standard FHIR interactions for a resource type held in the local store.
+ * @param {mongoose.Model} Model
+ */
+export const resourceHandlers = (Model) => ({
+  search: search(Model),
+  read: read(Model),
+  create: create(Model),
+  update: update(Model),
+  patch: patch(Model),
+  remove: remove(Model),
+  restore: restore(Model),
+  history: getHistory(Model),
+  version: getVersion(Model),
+});
+
+// ---------------- Conformance Controllers ----------------
+
+// GET /api/fhir/metadata
+export const getMetadata = (req, res) => {
+  res.json(capabilityStatement({ baseUrl: fhirBaseUrl(req) }));
+};
+
+// POST /api/fhir/:type/$validate?profile= (a resource, or Parameters with resource/profile)
+export const validate = async (req, res) => {
+  try {
+    const { type } = req.params;
+    getModel(type);
+
+    let resource = req.body;
+    const profiles = [].concat(req.query.profile || []);
+    if (req.body?.resourceType === "Parameters") {
+      const parameters = req.body.parameter || [];
+      resource = parameters.find((p) => p.name === "resource")?.resource;
+      const profile = parameters.find((p) => p.name === "profile");
+      if (profile) profiles.push(profile.valueUri || profile.valueCanonical);
+    }
+    if (!resource) throw new FhirError(400, "No resource to validate");
+    if (resource.resourceType !== type) {
+      throw new FhirError(400, `Expected a ${type} resource but got ${resource.resourceType}`);
+    }
+
+    const { issues } = validateResource(resource, { profiles });
+    res.json(operationOutcome(issues.length
+      ? issues
+      : [{ severity: "information", code: "informational", diagnostics: "Validation successful, no issues found" }]));
+  } catch (err) {
+    handleFhirError(res, err);
+  }
+};
+
+// ---------------- Bulk Data Export Controllers ----------------
+
+const EXPORT_RETRY_AFTER = 5; // seconds between status polls
+
+// GET /api/fhir/$export, /Patient/$export and /Group/:id/$export (Prefer: respond-async)
+export const exportKickOff = (level) => async (req, res) => {
+  try {
+    if (!/respond-async/.test(req.get("Prefer") || "")) {
+      throw new FhirError(400, "$export requires the header Prefer: respond-async");
+    }
+    const baseUrl = fhirBaseUrl(req);
+    const job = await kickOffExport({
+      level,
+      groupId: req.params.id,
+      query: req.query,
+      request: `${baseUrl}${req.url}`,
+      requestedBy: req.user && String(req.user.userId),
+    });
+
+    res.set("Content-Location", `${baseUrl}/$export-status/${job.id}`);
+    res.status(202).json(operationOutcome([{
+      severity: "information",
+      code: "informational",
+      diagnostics: `Export ${job.id} accepted`,
+    }]));
+  } catch (err) {
+    handleFhirError(res, err);
+  }
+};
+
+// GET /api/fhir/$export-status/:id
+export const getExportStatus = async (req, res) => {
+  try {
+    const job = await exportStatus(req.params.id, req.user);
+
+    if (job.status === "error") {
+      res.status(500).json(operationOutcome([{ code: "exception", diagnostics: job.error }]));
+      return;
+    }
+    if (job.status !== "completed") {
+      res.set("X-Progress", job.progress || "Queued");
+      res.set("Retry-After", String(EXPORT_RETRY_AFTER));
+      res.status(202).end();
+      return;
+    }
+    res.set("Expires", job.expires.toUTCString());
+    res.json(exportManifest(job, fhirBaseUrl(req)));
+  } catch (err) {
+    handleFhirError(res, err);
+  }
+};
+
+// DELETE /api/fhir/$export-status/:id
+export const deleteExport = async (req, res) => {
+  try {
+    await cancelExport(req.params.id, req.user);
+    res.status(202).end();
+  } catch (err) {
+    handleFhirError(res, err);
+  }
+};
+
+// GET /api/fhir/$export-file/:id/:file
+export const getExportFile = async (req, res) => {
   try {
-    const patientId = req.query.patient;
-    const filter = patientId ? { "subject.reference": `Patient/${patientId}` } : {};
-    const observations = await Observation.find(filter);
-    res.json(observations);
+    const file = await exportFilePath(req.params.id, req.params.file, req.user);
+    res.sendFile(file, { headers: { "Content-Type": NDJSON } }, (err) => {
+      if (err && !res.headersSent) {
+        handleFhirError(res, new FhirError(404, `Export ${req.params.id} has no file ${req.params.file}`));
+      }
+    });
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    handleFhirError(res, err);
   }
 };
 
-// POST /api/fhir/observations
-export const createObservation = async (req, res) => {
+// ---------------- Bulk Import Controllers ----------------
+
+// Issues listed in the response; the CLI (scripts/importNdjson.js) reports every one
+const MAX_IMPORT_ISSUES = 1000;
+
+// POST /api/fhir/$import?source=legacy-emr&duplicates=skip|flag (NDJSON body)
+export const postImport = async (req, res) => {
+  try {
+    if (!req.is(["application/fhir+ndjson", "application/ndjson", "application/x-ndjson"])) {
+      throw new FhirError(415, "$import requires Content-Type application/fhir+ndjson", "not-supported");
+    }
+
+    const issues = [];
+    let omitted = 0;
+    const summary = await importNdjson(req, {
+      source: req.query.source,
+      duplicates: req.query.duplicates,
+      agent: writeAgent(req, "import"),
+      onIssue: (issue) => {
+        if (issues.length < MAX_IMPORT_ISSUES) issues.push(issue);
+        else omitted += 1;
+      },
+    });
+
+    const counts = Object.entries(summary).map(([key, value]) => `${key}=${value}`).join(", ");
+    issues.unshift({ severity: "information", code: "informational", diagnostics: `Import finished: ${counts}` });
+    if (omitted) {
+      issues.push({ severity: "information", code: "too-costly", diagnostics: `${omitted} more issues not listed` });
+    }
+    res.json(operationOutcome(issues));
+  } catch (err) {
+    handleFhirError(res, err);
+  }
+};
+
+// ---------------- Terminology Controllers ----------------
+
+// Operation parameters from the query string and, for POST, a Parameters body
+function operationParameters(req) {
+  const params = { ...req.query };
+  if (req.body?.resourceType === "Parameters") {
+    for (const { name, ...value } of req.body.parameter || []) {
+      const key = Object.keys(value).find((k) => k.startsWith("value"));
+      if (key) params[name] = value[key];
+    }
+  }
+  return params;
+}
+
+// GET /api/fhir/CodeSystem?url=&name= and /api/fhir/ValueSet?url=&name=
+export const searchTerminology = (resourceType) => (req, res) => {
+  const resources = findTerminology(resourceType, req.query);
+  const params = {};
+  for (const key of ["url", "name"]) {
+    if (req.query[key]) params[key] = [req.query[key]];
+  }
+  res.json(searchsetBundle({
+    baseUrl: fhirBaseUrl(req),
+    resourceType,
+    resources,
+    total: resources.length,
+    count: resources.length,
+    offset: 0,
+    params,
+  }));
+};
+
+// GET /api/fhir/CodeSystem/:id
+export const readCodeSystem = (req, res) => {
+  try {
+    res.json(getCodeSystem(req.params.id));
+  } catch (err) {
+    handleFhirError(res, err);
+  }
+};
+
+// GET /api/fhir/ValueSet/:id
+export const readValueSet = (req, res) => {
+  try {
+    res.json(getValueSet(req.params.id));
+  } catch (err) {
+    handleFhirError(res, err);
+  }
+};
+
+// GET|POST /api/fhir/CodeSystem/$lookup?system=&code=&property=
+export const lookup = (req, res) => {
+  try {
+    res.json(lookupCode(operationParameters(req)));
+  } catch (err) {
+    handleFhirError(res, err);
+  }
+};
+
+// GET|POST /api/fhir/ValueSet/$expand?url=&filter=&count=&offset= and /ValueSet/:id/$expand
+export const expand = (req, res) => {
+  try {
+    const params = operationParameters(req);
+    if (req.params.id) params.url = getValueSet(req.params.id).url;
+    res.json(expandValueSet(params));
+  } catch (err) {
+    handleFhirError(res, err);
+  }
+};
+
+// GET|POST /api/fhir/CodeSystem/$validate-code?url=&code=&display=
+// GET|POST /api/fhir/ValueSet/$validate-code?url=&system=&code=&display= (and /:id/$validate-code)
+export const validateCodeIn = (resourceType) => (req, res) => {
+  try {
+    const params = operationParameters(req);
+    if (resourceType === "ValueSet") {
+      params.valueSet = req.params.id ? getValueSet(req.params.id).url : params.url;
+      if (!params.valueSet) throw new FhirError(400, "ValueSet/$validate-code needs a value set url");
+    } else if (req.params.id) {
+      params.url = getCodeSystem(req.params.id).url;
+    }
+
+    const { result, message, display } = validateCode(params);
+    res.json({
+      resourceType: "Parameters",
+      parameter: [
+        { name: "result", valueBoolean: result },
+        ...(message ? [{ name: "message", valueString: message }] : []),
+        ...(display ? [{ name: "display", valueString: display }] : []),
+      ],
+    });
+  } catch (err) {
+    handleFhirError(res, err);
+  }
+};
+
+// ---------------- Batch / Transaction Controllers ----------------
+
+// POST /api/fhir (Bundle of type batch or transaction)
+export const postBundle = async (req, res) => {
   try {
-    const obs = new Observation(req.body);
-    await obs.save();
-    res.status(201).json(obs);
+    // Entries are not checked one by one, so a compartment must not be able to reach them
+    if (req.compartment) throw new FhirError(403, `Bundles are outside the compartment of Patient/${req.compartment}`);
+    const response = await processBundle(req.body, { baseUrl: fhirBaseUrl(req), agent: writeAgent(req) });
+    res.json(response);
   } catch (err) {
-    res.status(400).json({ error: err.message });
+    handleFhirError(res, err);
   }
 };
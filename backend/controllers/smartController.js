@@ -0,0 +1,134 @@
+import { fhirBaseUrl } from "../services/fhir/bundle.js";
+import {
+  OAuthError,
+  authorizationRequest,
+  authorize,
+  createLaunch,
+  describeAuthorization,
+  issueToken,
+  listClients,
+  registerClient,
+  removeClient,
+  smartConfiguration,
+} from "../services/fhir/smart.js";
+
+// The portal page where users approve app authorization requests
+const consentPage = () => `${process.env.FRONTEND_URL || "http://localhost:3000"}/smart/authorize`;
+
+function handleOAuthError(res, err) {
+  if (!(err instanceof OAuthError)) {
+    console.error(err);
+    res.status(500).json({ error: "server_error", error_description: err.message });
+    return;
+  }
+  res.status(err.status).json({ error: err.error, error_description: err.message });
+}
+
+// The app's redirect_uri with an OAuth2 error
+function errorRedirect({ redirect, error, message }) {
+  const url = new URL(redirect.uri);
+  url.searchParams.set("error", error);
+  url.searchParams.set("error_description", message);
+  if (redirect.state) url.searchParams.set("state", redirect.state);
+  return url.toString();
+}
+
+// Consent and launches come from a signed-in portal user, never from an app's token
+function portalUser(req) {
+  if (!req.user || req.user.scope !== undefined) {
+    throw new OAuthError(401, "access_denied", "Sign in to the portal first");
+  }
+  return req.user;
+}
+
+// GET /api/fhir/.well-known/smart-configuration
+export const getSmartConfiguration = (req, res) => {
+  res.json(smartConfiguration(fhirBaseUrl(req)));
+};
+
+// GET /api/fhir/auth/authorize?response_type=code&client_id=&redirect_uri=&scope=&state=&aud=&code_challenge=&code_challenge_method=S256[&launch=]
+export const startAuthorization = async (req, res) => {
+  try {
+    await authorizationRequest(req.query, { baseUrl: fhirBaseUrl(req) });
+    res.redirect(`${consentPage()}?${new URLSearchParams(req.query)}`);
+  } catch (err) {
+    if (err.redirect) res.redirect(errorRedirect(err));
+    else handleOAuthError(res, err);
+  }
+};
+
+// GET /api/fhir/auth/authorize/details?<authorization request>
+export const getAuthorizationDetails = async (req, res) => {
+  try {
+    res.json(await describeAuthorization(req.query, { user: portalUser(req), baseUrl: fhirBaseUrl(req) }));
+  } catch (err) {
+    handleOAuthError(res, err);
+  }
+};
+
+// POST /api/fhir/auth/authorize?<authorization request> ({ "approved": true, "patient": "123" })
+export const approveAuthorization = async (req, res) => {
+  try {
+    const redirect = await authorize(req.query, req.body || {}, { user: portalUser(req), baseUrl: fhirBaseUrl(req) });
+    res.json({ redirect });
+  } catch (err) {
+    if (err.redirect) {
+      res.status(err.status).json({ error: err.error, error_description: err.message, redirect: errorRedirect(err) });
+    } else {
+      handleOAuthError(res, err);
+    }
+  }
+};
+
+// POST /api/fhir/auth/launch ({ "client": "<client_id>", "patient": "123", "encounter": "456" })
+export const postLaunch = async (req, res) => {
+  try {
+    const user = portalUser(req);
+    res.status(201).json(await createLaunch(req.body || {}, { user: String(user.userId), baseUrl: fhirBaseUrl(req) }));
+  } catch (err) {
+    handleOAuthError(res, err);
+  }
+};
+
+// POST /api/fhir/auth/token (application/x-www-form-urlencoded)
+export const postToken = async (req, res) => {
+  try {
+    const token = await issueToken(req.body || {}, { authorization: req.get("Authorization") });
+    res.set({ "Cache-Control": "no-store", Pragma: "no-cache" });
+    res.json(token);
+  } catch (err) {
+    if (err.status === 401) res.set("WWW-Authenticate", "Basic");
+    handleOAuthError(res, err);
+  }
+};
+
+// GET /api/fhir/auth/clients
+export const getClients = async (req, res) => {
+  try {
+    portalUser(req);
+    res.json(await listClients());
+  } catch (err) {
+    handleOAuthError(res, err);
+  }
+};
+
+// POST /api/fhir/auth/clients (client metadata: client_name, redirect_uris, scope, ...)
+export const postClient = async (req, res) => {
+  try {
+    const user = portalUser(req);
+    res.status(201).json(await registerClient(req.body, { createdBy: String(user.email || user.userId) }));
+  } catch (err) {
+    handleOAuthError(res, err);
+  }
+};
+
+// DELETE /api/fhir/auth/clients/:id
+export const deleteClient = async (req, res) => {
+  try {
+    portalUser(req);
+    await removeClient(req.params.id);
+    res.status(204).end();
+  } catch (err) {
+    handleOAuthError(res, err);
+  }
+};
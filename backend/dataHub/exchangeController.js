@@ -1,12 +1,16 @@
 // backend/dataHub/exchangeController.js
 
-const exchangeService = require('./exchangeService');
-const logger = require('../utils/logger');
+import * as exchangeService from './exchangeService.js';
+
+// Upload problems carry a status (400 for payloads that are not FHIR); anything else is ours
+function sendError(res, error) {
+  res.status(error.status || 500).json({ message: error.message || 'Internal Server Error' });
+}
 
 /**
  * Handles data upload from external systems (FHIR, labs, hospitals)
  */
-exports.uploadData = async (req, res, next) => {
+export const uploadData = async (req, res) => {
   try {
     const result = await exchangeService.processIncomingData(req.body, req.user);
     res.status(201).json({
@@ -14,18 +18,18 @@ exports.uploadData = async (req, res, next) => {
       data: result
     });
   } catch (error) {
-    logger.error('Exchange Upload Failed:', error);
-    next(error);
+    console.error('Exchange Upload Failed:', error);
+    sendError(res, error);
   }
 };
 
 /**
  * Fetches exchanged data by patient ID
  */
-exports.getDataByPatient = async (req, res, next) => {
+export const getDataByPatient = async (req, res) => {
   try {
     const patientId = req.params.patientId;
-    const data = await exchangeService.getDataForPatient(patientId);
+    const data = await exchangeService.getDataForPatient(patientId, req.user);
     
     if (!data) {
       return res.status(404).json({ message: 'No data found for this patient.' });
@@ -36,15 +40,15 @@ exports.getDataByPatient = async (req, res, next) => {
       data
     });
   } catch (error) {
-    logger.error('Failed to fetch patient data:', error);
-    next(error);
+    console.error('Failed to fetch patient data:', error);
+    sendError(res, error);
   }
 };
 
 /**
  * Optional: Endpoint to test data transformation
  */
-exports.transformDataSample = async (req, res, next) => {
+export const transformDataSample = async (req, res) => {
   try {
     const transformed = await exchangeService.transformToInternalSchema(req.body);
     res.status(200).json({
@@ -52,7 +56,7 @@ exports.transformDataSample = async (req, res, next) => {
       data: transformed
     });
   } catch (error) {
-    logger.error('Data transformation error:', error);
-    next(error);
+    console.error('Data transformation error:', error);
+    sendError(res, error);
   }
 };
@@ -0,0 +1,90 @@
+// backend/dataHub/exchangeService.js
+//
+// Records uploaded to the exchange hub by labs and hospitals, as FHIR
+// resources or Bundles. Patients are registered against the master patient
+// index (services/fhir/mpi.js), so a person sent by several hospitals keeps
+// one chart, and references to the sender's patient ids are pointed at that
+// chart before the other resources are stored. Everything is read and
+// written in the uploading user's organization (see tenancy.js).
+import { linkPatient } from '../services/fhir/mpi.js';
+import { getModel } from '../services/fhir/registry.js';
+import { createResource } from '../services/fhir/resourceStore.js';
+import { rewriteReferences } from '../services/fhir/bulkImport.js';
+import { patientEverything } from '../services/fhir/everything.js';
+import { runInTenant } from '../services/fhir/tenancy.js';
+
+/**
+ * Split an upload into the resources it carries.
+ * @param {Object} payload - FHIR resource or Bundle
+ * @returns {Promise<Array<{resource: Object, fullUrl?: string}>>}
+ */
+export async function transformToInternalSchema(payload) {
+  if (payload?.resourceType === 'Bundle') {
+    return (payload.entry || [])
+      .filter((entry) => entry.resource)
+      .map(({ resource, fullUrl }) => ({ resource, fullUrl }));
+  }
+  if (payload?.resourceType) return [{ resource: payload }];
+  const error = new Error('Expected a FHIR resource or Bundle');
+  error.status = 400;
+  throw error;
+}
+
+/**
+ * Store an upload: Patients are linked to their existing chart or created
+ * (with possible duplicates queued for review), then everything else is
+ * created with its patient references pointed at the local charts.
+ * @param {Object} payload - FHIR resource or Bundle
+ * @param {Object} [user] - The uploading user (req.user); what is stored
+ *   belongs to their organization
+ * @returns {Promise<{patients: Object[], resources: string[]}>}
+ */
+export async function processIncomingData(payload, user) {
+  return runInTenant(user?.organization, () => storeUpload(payload, user));
+}
+
+async function storeUpload(payload, user) {
+  const entries = await transformToInternalSchema(payload);
+  const source = `exchange:${user?.userId || 'anonymous'}`;
+  // Recorded in the Provenance of everything stored
+  const agent = { who: user?.email || user?.userId, role: user?.role, source: 'exchange', system: source };
+
+  // The sender's Patient/id and fullUrl -> the local chart
+  const charts = new Map();
+  const result = { patients: [], resources: [] };
+
+  for (const { resource, fullUrl } of entries.filter((e) => e.resource.resourceType === 'Patient')) {
+    const { patient, created, reviews } = await linkPatient(resource, { source, agent });
+    const reference = `Patient/${patient._id}`;
+    if (resource.id) charts.set(`Patient/${resource.id}`, reference);
+    if (fullUrl) charts.set(fullUrl, reference);
+    result.patients.push({ reference, created, reviews });
+  }
+
+  for (const { resource } of entries.filter((e) => e.resource.resourceType !== 'Patient')) {
+    const body = structuredClone(resource);
+    delete body.id;
+    await rewriteReferences(body, async (reference) => charts.get(reference));
+    const doc = await createResource(getModel(body.resourceType), body, { agent });
+    result.resources.push(`${body.resourceType}/${doc._id}`);
+  }
+
+  return result;
+}
+
+/**
+ * A patient's chart and the first page of their compartment.
+ * @param {string} patientId
+ * @param {Object} [user] - The requesting user (req.user); only their
+ *   organization's patients are found
+ * @returns {Promise<Object[]|null>} FHIR resources, or null for unknown patients
+ */
+export async function getDataForPatient(patientId, user) {
+  try {
+    const { resources } = await runInTenant(user?.organization, () => patientEverything(patientId));
+    return resources.map((resource) => resource.toJSON());
+  } catch (err) {
+    if (err.status === 404) return null;
+    throw err;
+  }
+}
@@ -0,0 +1,138 @@
+// fhirAuth.js - Who is calling the local FHIR API (/api/fhir), and what they may do
+//
+// Tokens are the JWTs issued by routes/auth.js ({ userId, role,
+// organization }) for the portal, or SMART access tokens issued by
+// services/fhir/smart.js, which also carry the `scope` granted to an app and
+// its launch context. `organization` is the user's hospital: the tenant
+// their requests run in (see services/fhir/tenancy.js).
+import jwt from 'jsonwebtoken';
+import Patient from '../models/Patient.js';
+import User from '../models/User.js';
+import { FhirError, handleFhirError } from '../services/fhir/operationOutcome.js';
+import { readResource } from '../services/fhir/resourceStore.js';
+import { findShare } from '../services/fhir/patientSharing.js';
+import { runInTenant } from '../services/fhir/tenancy.js';
+import { authorizeAccess, limitToPatient, requiredAccess } from '../services/fhir/smartScopes.js';
+
+// Open to anyone: the CapabilityStatement, SMART discovery and the authorization endpoints
+const PUBLIC_PATHS = /^\/(metadata|\.well-known|auth)(\/|$)/;
+
+function bearerToken(req) {
+  const [scheme, token] = (req.get('Authorization') || '').split(' ');
+  return scheme === 'Bearer' && token ? token : undefined;
+}
+
+/**
+ * Set req.user from the bearer token. A token that does not verify (forged,
+ * expired, or the demo login's tokens, which are not JWTs) is refused with
+ * 401; requests without one are left to authorizeScopes. The public
+ * endpoints ignore such a token, so a stale one cannot lock a client out of
+ * discovery or of getting a new token; the consent and launch endpoints
+ * under auth/ still see a signed-in portal user.
+ */
+export function identifyUser(req, res, next) {
+  const token = bearerToken(req);
+  if (token && !req.user) {
+    try {
+      req.user = jwt.verify(token, process.env.JWT_SECRET);
+    } catch {
+      if (PUBLIC_PATHS.test(req.path)) return next();
+      return handleFhirError(res, new FhirError(401, 'The bearer token is invalid or has expired'));
+    }
+  }
+  next();
+}
+
+/**
+ * Only let users with one of the roles through (after identifyUser).
+ * @param {...string} roles - e.g. "Admin"
+ */
+export const requireRole = (...roles) => (req, res, next) => {
+  if (!req.user) return handleFhirError(res, new FhirError(401, 'This operation needs a bearer token'));
+  if (!roles.includes(req.user.role)) {
+    return handleFhirError(res, new FhirError(403, `This operation is limited to ${roles.join(', ')} users`));
+  }
+  next();
+};
+
+// The chart a portal user with the Patient role is linked to
+async function linkedPatient({ userId }) {
+  const account = await User.findById(userId);
+  if (!account?.patient) throw new FhirError(403, 'This account is not linked to a Patient');
+  return account.patient;
+}
+
+/**
+ * Hold SMART access tokens to their scopes on every route (after
+ * identifyUser). A request only patient/ scopes allow is limited to the
+ * token's patient: req.compartment is set to the Patient id, and the
+ * controllers keep reads, searches and writes inside its compartment.
+ * Portal users with the Patient role are limited to their own chart the
+ * same way; other portal tokens keep their role-based access. Requests
+ * without a token are turned away, except on the public endpoints
+ * (metadata, .well-known and auth/).
+ */
+export async function authorizeScopes(req, res, next) {
+  if (PUBLIC_PATHS.test(req.path)) return next();
+  if (!req.user) return handleFhirError(res, new FhirError(401, 'This server needs a bearer token'));
+  const access = requiredAccess(req.method, req.path, { query: req.query, body: req.body });
+  if (!access) return next();
+
+  try {
+    if (req.user.scope !== undefined) {
+      req.compartment = authorizeAccess(req.user, access);
+    } else if (req.user.role === 'Patient') {
+      req.compartment = limitToPatient(await linkedPatient(req.user), access);
+    }
+  } catch (err) {
+    return handleFhirError(res, err);
+  }
+  next();
+}
+
+/**
+ * Run the rest of the request inside the caller's tenant (after
+ * authorizeScopes). Users without an organization get the untenanted
+ * data.
+ */
+export function scopeTenant(req, res, next) {
+  runInTenant(req.user?.organization, next);
+}
+
+// The caller's own Patient, or the share of another hospital's Patient (null for their own)
+async function openPatient(id) {
+  try {
+    await readResource(Patient, id);
+    return null;
+  } catch (err) {
+    const share = err.status === 404 ? await findShare(id) : null;
+    if (!share) throw err;
+    await runInTenant(share.owner, () => readResource(Patient, id));
+    return share;
+  }
+}
+
+/**
+ * Guard everything under Patient/:id (after scopeTenant): the Patient
+ * must exist, and a caller limited to a compartment (see authorizeScopes)
+ * must be limited to this patient. A chart another hospital shared with
+ * the caller's (see services/fhir/patientSharing.js) is opened in its
+ * owner's tenant, read-only and limited to the compartment. Sets
+ * req.patientId for the handlers.
+ */
+export async function verifyPatientAccess(req, res, next) {
+  const { id } = req.params;
+  let share;
+  try {
+    share = await openPatient(id);
+    if (req.compartment && req.compartment !== id) {
+      throw new FhirError(403, `Patient/${id} is outside the compartment of Patient/${req.compartment}`);
+    }
+  } catch (err) {
+    return handleFhirError(res, err);
+  }
+  req.patientId = id;
+  if (!share) return next();
+  req.compartment = id;
+  runInTenant(share.owner, next, { readOnly: true });
+}
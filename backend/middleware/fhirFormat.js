@@ -0,0 +1,66 @@
+// fhirFormat.js - JSON or XML for the local FHIR API (/api/fhir)
+//
+// Responses are written in the format _format asks for, else the one the
+// Accept header prefers, else JSON. Request bodies may be sent as
+// application/fhir+xml (server.js reads them as text). Only FHIR resources
+// have an XML form; other payloads, such as $match-review, stay JSON.
+import { FhirError, handleFhirError } from '../services/fhir/operationOutcome.js';
+import { fromXml, toXml } from '../services/fhir/xml.js';
+
+export const XML_TYPES = ['application/fhir+xml', 'application/xml', 'text/xml'];
+const JSON_TYPES = ['application/fhir+json', 'application/json'];
+
+const FORMATS = {
+  json: 'json',
+  'application/json': 'json',
+  'application/fhir+json': 'json',
+  xml: 'xml',
+  'text/xml': 'xml',
+  'application/xml': 'xml',
+  'application/fhir+xml': 'xml',
+};
+
+/**
+ * The response format a request asks for.
+ * @returns {"json"|"xml"}
+ * @throws {FhirError} 406 for a _format the server cannot write
+ */
+export function responseFormat(req) {
+  const requested = req.query._format;
+  if (requested !== undefined) {
+    // An unencoded "+" in the query string arrives as a space
+    const mimeType = String(requested).split(';')[0].trim().replace(/ /g, '+');
+    const format = FORMATS[mimeType];
+    if (!format) throw new FhirError(406, `Unsupported _format '${requested}'`, 'not-supported');
+    return format;
+  }
+  const accepted = req.accepts([...JSON_TYPES, ...XML_TYPES]);
+  return accepted && FORMATS[accepted] === 'xml' ? 'xml' : 'json';
+}
+
+const isResource = (body) => Boolean(body) && typeof body === 'object' && !Array.isArray(body)
+  && typeof body.resourceType === 'string';
+
+/**
+ * Read XML request bodies into FHIR JSON and, when the client asked for
+ * XML, write resources returned with res.json() as XML.
+ */
+export function negotiateFormat(req, res, next) {
+  let format;
+  try {
+    format = responseFormat(req);
+    if (typeof req.body === 'string' && req.is(XML_TYPES)) req.body = fromXml(req.body);
+  } catch (err) {
+    return handleFhirError(res, err);
+  }
+
+  if (format === 'xml') {
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      if (!isResource(body)) return json(body);
+      res.set('Content-Type', 'application/fhir+xml; charset=utf-8');
+      return res.send(toXml(body, { pretty: req.query._pretty === 'true' }));
+    };
+  }
+  next();
+}
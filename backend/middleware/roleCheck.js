@@ -63,13 +63,18 @@ class RoleCheck {
   }
 
   static async _verifyPatientAccess(user, patientId, accessLevel) {
+    // Tokens from routes/auth.js carry { userId, role: 'Admin' | 'Patient' | ... };
+    // comparing case-sensitively let Patient users through as clinicians
+    const role = (user.role || '').toLowerCase();
+    const userId = user.userId || user.id;
+
     // Admins can access all patients
-    if (user.role === 'admin') return true;
+    if (role === 'admin') return true;
 
     // Patients can only access their own records
-    if (user.role === 'patient') {
+    if (role === 'patient') {
       const patient = await Patient.findOne({
-        where: { fhirId: patientId, userId: user.id }
+        where: { fhirId: patientId, userId }
       });
       if (!patient) {
         throw new FHIRServerError('Patient access denied', 403);
@@ -88,7 +93,7 @@ class RoleCheck {
     }
 
     // Additional checks for write access
-    if (accessLevel === 'write' && user.role === 'nurse') {
+    if (accessLevel === 'write' && role === 'nurse') {
       throw new FHIRServerError('Nurses require doctor approval for modifications', 403);
     }
 
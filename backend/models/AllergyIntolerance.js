@@ -0,0 +1,41 @@
+import mongoose from "mongoose";
+import { defineResource } from "./fhirResource.js";
+import { Annotation, CodeableConcept, Identifier, Period, Reference } from "./fhirTypes.js";
+
+export default defineResource("AllergyIntolerance", {
+  identifier: [Identifier],
+  clinicalStatus: CodeableConcept,
+  verificationStatus: CodeableConcept,
+  type: {
+    type: String,
+    enum: ["allergy", "intolerance"],
+  },
+  category: [{
+    type: String,
+    enum: ["food", "medication", "environment", "biologic"],
+  }],
+  criticality: {
+    type: String,
+    enum: ["low", "high", "unable-to-assess"],
+  },
+  code: CodeableConcept,
+  patient: {
+    type: Reference,
+    required: true,
+  },
+  encounter: Reference,
+  onsetDateTime: String,
+  onsetPeriod: Period,
+  onsetString: String,
+  recordedDate: String,
+  recorder: Reference,
+  asserter: Reference,
+  lastOccurrence: String,
+  note: [Annotation],
+  reaction: [mongoose.Schema.Types.Mixed],
+}, {
+  indexes: [
+    { "patient.reference": 1 },
+    { "code.coding.system": 1, "code.coding.code": 1 },
+  ],
+});
@@ -0,0 +1,37 @@
+import mongoose from "mongoose";
+import { defineResource } from "./fhirResource.js";
+import { Annotation, CodeableConcept, Identifier, Period, Reference } from "./fhirTypes.js";
+
+export default defineResource("Condition", {
+  identifier: [Identifier],
+  clinicalStatus: CodeableConcept,
+  verificationStatus: CodeableConcept,
+  category: [CodeableConcept],
+  severity: CodeableConcept,
+  code: CodeableConcept,
+  bodySite: [CodeableConcept],
+  subject: {
+    type: Reference,
+    required: true,
+  },
+  encounter: Reference,
+  onsetDateTime: String,
+  onsetPeriod: Period,
+  onsetString: String,
+  abatementDateTime: String,
+  abatementPeriod: Period,
+  abatementString: String,
+  recordedDate: String,
+  recorder: Reference,
+  asserter: Reference,
+  stage: [mongoose.Schema.Types.Mixed],
+  evidence: [mongoose.Schema.Types.Mixed],
+  note: [Annotation],
+}, {
+  indexes: [
+    { "subject.reference": 1 },
+    { "code.coding.system": 1, "code.coding.code": 1 },
+    { "clinicalStatus.coding.code": 1 },
+    { onsetDateTime: 1 },
+  ],
+});
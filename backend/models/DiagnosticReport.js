@@ -0,0 +1,36 @@
+import mongoose from "mongoose";
+import { defineResource } from "./fhirResource.js";
+import { CodeableConcept, Identifier, Period, Reference } from "./fhirTypes.js";
+
+export default defineResource("DiagnosticReport", {
+  identifier: [Identifier],
+  basedOn: [Reference],
+  status: {
+    type: String,
+    enum: ["registered", "partial", "preliminary", "final", "amended", "corrected", "appended", "cancelled", "entered-in-error", "unknown"],
+    required: true,
+  },
+  category: [CodeableConcept],
+  code: {
+    type: CodeableConcept,
+    required: true,
+  },
+  subject: Reference,
+  encounter: Reference,
+  effectiveDateTime: String,
+  effectivePeriod: Period,
+  issued: String,
+  performer: [Reference],
+  resultsInterpreter: [Reference],
+  specimen: [Reference],
+  result: [Reference],
+  conclusion: String,
+  conclusionCode: [CodeableConcept],
+  presentedForm: [mongoose.Schema.Types.Mixed],
+}, {
+  indexes: [
+    { "subject.reference": 1 },
+    { "code.coding.system": 1, "code.coding.code": 1 },
+    { effectiveDateTime: 1 },
+  ],
+});
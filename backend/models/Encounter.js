@@ -0,0 +1,36 @@
+import mongoose from "mongoose";
+import { defineResource } from "./fhirResource.js";
+import { CodeableConcept, Coding, Identifier, Period, Reference } from "./fhirTypes.js";
+
+export default defineResource("Encounter", {
+  identifier: [Identifier],
+  status: {
+    type: String,
+    enum: ["planned", "arrived", "triaged", "in-progress", "onleave", "finished", "cancelled", "entered-in-error", "unknown"],
+    required: true,
+  },
+  class: {
+    type: Coding,
+    required: true,
+  },
+  type: [CodeableConcept],
+  serviceType: CodeableConcept,
+  priority: CodeableConcept,
+  subject: Reference,
+  basedOn: [Reference],
+  participant: [mongoose.Schema.Types.Mixed],
+  period: Period,
+  reasonCode: [CodeableConcept],
+  reasonReference: [Reference],
+  diagnosis: [mongoose.Schema.Types.Mixed],
+  hospitalization: mongoose.Schema.Types.Mixed,
+  location: [mongoose.Schema.Types.Mixed],
+  serviceProvider: Reference,
+  partOf: Reference,
+}, {
+  indexes: [
+    { "subject.reference": 1 },
+    { "period.start": 1 },
+    { status: 1 },
+  ],
+});
@@ -0,0 +1,50 @@
+import mongoose from "mongoose";
+import { v4 as uuidv4 } from "uuid";
+import { tenantScoped } from "../services/fhir/tenancy.js";
+
+// A Bulk Data $export request and the NDJSON files it produced
+// (see services/fhir/bulkExport.js). The id is the one in the status URL.
+const exportJobSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    default: uuidv4,
+  },
+  status: {
+    type: String,
+    enum: ["accepted", "in-progress", "completed", "error"],
+    default: "accepted",
+  },
+  level: {
+    type: String,
+    enum: ["system", "patient", "group"],
+    required: true,
+  },
+  group: String, // Group id for group-level exports
+  types: [String],
+  since: Date,
+  typeFilter: [String],
+  request: {
+    type: String,
+    required: true,
+  },
+  requestedBy: String, // User id; only they may poll it and download its files
+  transactionTime: Date,
+  progress: String,
+  output: [{
+    _id: false,
+    type: { type: String },
+    file: String,
+    count: Number,
+  }],
+  error: String,
+  expires: {
+    type: Date,
+    required: true,
+  },
+});
+
+exportJobSchema.index({ expires: 1 });
+
+exportJobSchema.plugin(tenantScoped);
+
+export default mongoose.model("ExportJob", exportJobSchema);
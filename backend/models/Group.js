@@ -0,0 +1,36 @@
+import mongoose from "mongoose";
+import { defineResource } from "./fhirResource.js";
+import { CodeableConcept, Identifier, Period, Reference } from "./fhirTypes.js";
+
+const GroupMember = new mongoose.Schema({
+  entity: {
+    type: Reference,
+    required: true,
+  },
+  period: Period,
+  inactive: Boolean,
+}, { _id: false });
+
+export default defineResource("Group", {
+  identifier: [Identifier],
+  active: Boolean,
+  type: {
+    type: String,
+    enum: ["person", "animal", "practitioner", "device", "medication", "substance"],
+    required: true,
+  },
+  actual: {
+    type: Boolean,
+    required: true,
+  },
+  code: CodeableConcept,
+  name: String,
+  quantity: Number,
+  managingEntity: Reference,
+  characteristic: [mongoose.Schema.Types.Mixed],
+  member: [GroupMember],
+}, {
+  indexes: [
+    { "member.entity.reference": 1 },
+  ],
+});
@@ -0,0 +1,44 @@
+import mongoose from "mongoose";
+import { defineResource } from "./fhirResource.js";
+import { Annotation, CodeableConcept, Identifier, Quantity, Reference } from "./fhirTypes.js";
+
+export default defineResource("Immunization", {
+  identifier: [Identifier],
+  status: {
+    type: String,
+    enum: ["completed", "entered-in-error", "not-done"],
+    required: true,
+  },
+  statusReason: CodeableConcept,
+  vaccineCode: {
+    type: CodeableConcept,
+    required: true,
+  },
+  patient: {
+    type: Reference,
+    required: true,
+  },
+  encounter: Reference,
+  occurrenceDateTime: String,
+  occurrenceString: String,
+  recorded: String,
+  primarySource: Boolean,
+  location: Reference,
+  manufacturer: Reference,
+  lotNumber: String,
+  expirationDate: String,
+  site: CodeableConcept,
+  route: CodeableConcept,
+  doseQuantity: Quantity,
+  performer: [mongoose.Schema.Types.Mixed],
+  note: [Annotation],
+  reasonCode: [CodeableConcept],
+  reasonReference: [Reference],
+  protocolApplied: [mongoose.Schema.Types.Mixed],
+}, {
+  indexes: [
+    { "patient.reference": 1 },
+    { "vaccineCode.coding.system": 1, "vaccineCode.coding.code": 1 },
+    { occurrenceDateTime: 1 },
+  ],
+});
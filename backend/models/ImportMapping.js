@@ -0,0 +1,33 @@
+import mongoose from "mongoose";
+import { tenantScoped } from "../services/fhir/tenancy.js";
+
+// Which local id a resource from a legacy system was given on import
+// (see services/fhir/bulkImport.js). A mapping is created as soon as
+// something references the legacy id, so `imported` is false until the
+// resource itself arrives.
+const importMappingSchema = new mongoose.Schema({
+  source: {
+    type: String,
+    required: true,
+  },
+  sourceReference: {
+    type: String, // "Patient/123" as the legacy system knows it
+    required: true,
+  },
+  targetId: {
+    type: String,
+    required: true,
+  },
+  imported: {
+    type: Boolean,
+    default: false,
+  },
+});
+
+// Each hospital imports its legacy systems on its own
+importMappingSchema.index({ _tenant: 1, source: 1, sourceReference: 1 }, { unique: true });
+importMappingSchema.index({ source: 1, imported: 1 });
+
+importMappingSchema.plugin(tenantScoped);
+
+export default mongoose.model("ImportMapping", importMappingSchema);
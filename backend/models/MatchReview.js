@@ -0,0 +1,48 @@
+import mongoose from "mongoose";
+import { v4 as uuidv4 } from "uuid";
+import { tenantScoped } from "../services/fhir/tenancy.js";
+
+// A pair of Patients the master patient index scored as a possible
+// duplicate, waiting for a person to decide (see services/fhir/mpi.js).
+// `patient` is the newer chart, `candidate` the one it resembles.
+const matchReviewSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    default: uuidv4,
+  },
+  patient: {
+    type: String, // Patient id
+    required: true,
+  },
+  candidate: {
+    type: String, // Patient id
+    required: true,
+  },
+  score: {
+    type: Number,
+    required: true,
+  },
+  grade: {
+    type: String,
+    enum: ["certain", "probable", "possible"],
+    required: true,
+  },
+  reasons: [String],
+  source: String, // Feed that brought in `patient`, e.g. "hl7-adt"
+  status: {
+    type: String,
+    enum: ["open", "same", "different"],
+    default: "open",
+  },
+  resolvedBy: String,
+  resolvedAt: Date,
+}, {
+  timestamps: { createdAt: "created", updatedAt: false },
+});
+
+matchReviewSchema.index({ patient: 1, candidate: 1 }, { unique: true });
+matchReviewSchema.index({ status: 1, score: -1 });
+
+matchReviewSchema.plugin(tenantScoped);
+
+export default mongoose.model("MatchReview", matchReviewSchema);
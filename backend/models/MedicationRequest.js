@@ -0,0 +1,47 @@
+import mongoose from "mongoose";
+import { defineResource } from "./fhirResource.js";
+import { Annotation, CodeableConcept, Identifier, Reference } from "./fhirTypes.js";
+
+export default defineResource("MedicationRequest", {
+  identifier: [Identifier],
+  status: {
+    type: String,
+    enum: ["active", "on-hold", "cancelled", "completed", "entered-in-error", "stopped", "draft", "unknown"],
+    required: true,
+  },
+  statusReason: CodeableConcept,
+  intent: {
+    type: String,
+    enum: ["proposal", "plan", "order", "original-order", "reflex-order", "filler-order", "instance-order", "option"],
+    required: true,
+  },
+  category: [CodeableConcept],
+  priority: {
+    type: String,
+    enum: ["routine", "urgent", "asap", "stat"],
+  },
+  medicationCodeableConcept: CodeableConcept,
+  medicationReference: Reference,
+  subject: {
+    type: Reference,
+    required: true,
+  },
+  encounter: Reference,
+  authoredOn: String,
+  requester: Reference,
+  recorder: Reference,
+  reasonCode: [CodeableConcept],
+  reasonReference: [Reference],
+  basedOn: [Reference],
+  note: [Annotation],
+  dosageInstruction: [mongoose.Schema.Types.Mixed],
+  dispenseRequest: mongoose.Schema.Types.Mixed,
+  substitution: mongoose.Schema.Types.Mixed,
+}, {
+  indexes: [
+    { "subject.reference": 1 },
+    { "medicationCodeableConcept.coding.system": 1, "medicationCodeableConcept.coding.code": 1 },
+    { status: 1 },
+    { authoredOn: 1 },
+  ],
+});
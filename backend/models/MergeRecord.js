@@ -0,0 +1,49 @@
+import mongoose from "mongoose";
+import { v4 as uuidv4 } from "uuid";
+import { tenantScoped } from "../services/fhir/tenancy.js";
+
+// A Patient/$merge, kept so it can be undone by $unmerge
+// (see services/fhir/patientMerge.js). `source` is the duplicate chart that
+// was folded into `target`.
+const mergeRecordSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    default: uuidv4,
+  },
+  source: {
+    type: String, // Patient id
+    required: true,
+  },
+  target: {
+    type: String, // Patient id
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: ["merged", "unmerged"],
+    default: "merged",
+  },
+  // Resources whose references were moved from source to target
+  moved: [{
+    _id: false,
+    resourceType: String,
+    id: String,
+  }],
+  addedIdentifiers: [mongoose.Schema.Types.Mixed], // Added to the target
+  sourceBefore: mongoose.Schema.Types.Mixed, // The source Patient as it was
+  deletedSource: Boolean,
+  provenance: String, // Provenance id of the merge
+  mergedBy: String,
+  unmergedBy: String,
+  unmergedAt: Date,
+  unmergeProvenance: String,
+}, {
+  timestamps: { createdAt: "created", updatedAt: false },
+});
+
+mergeRecordSchema.index({ source: 1, target: 1, created: -1 });
+mergeRecordSchema.index({ target: 1 });
+
+mergeRecordSchema.plugin(tenantScoped);
+
+export default mongoose.model("MergeRecord", mergeRecordSchema);
@@ -1,17 +1,30 @@
 import mongoose from "mongoose";
+import { v4 as uuidv4 } from "uuid";
+import { CodeableConcept, Meta, Quantity, Range, fhirElements, fhirJSON } from "./fhirTypes.js";
+import { tenantScoped } from "../services/fhir/tenancy.js";
 
 const observationSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    default: uuidv4,
+  },
   resourceType: {
     type: String,
     default: "Observation",
   },
+  meta: {
+    type: Meta,
+    default: () => ({}),
+  },
   status: {
     type: String,
     enum: ["registered", "preliminary", "final", "amended"],
     default: "final",
   },
   category: [{
+    _id: false,
     coding: [{
+      _id: false,
       system: String,
       code: String,
       display: String,
@@ -19,6 +32,7 @@ const observationSchema = new mongoose.Schema({
   }],
   code: {
     coding: [{
+      _id: false,
       system: String,
       code: String,
       display: String,
@@ -49,10 +63,49 @@ const observationSchema = new mongoose.Schema({
     },
     code: {
       type: String,
-    }
-  }
+    },
+    // Holds the normalized-quantity extension (services/fhir/normalization.js)
+    extension: [mongoose.Schema.Types.Mixed],
+  },
+  // Filled in from the reference range catalog when left out
+  // (services/fhir/interpretation.js)
+  interpretation: [CodeableConcept],
+  referenceRange: [{
+    _id: false,
+    low: Quantity,
+    high: Quantity,
+    type: { type: CodeableConcept },
+    appliesTo: [CodeableConcept],
+    age: Range,
+    text: String,
+  }],
+  // Server-only search fields: valueQuantity in base units, never returned
+  _index: {
+    valueQuantity: [{
+      _id: false,
+      value: Number,
+      code: String,
+    }],
+    valueQuantitySort: Number,
+  },
 }, {
-  timestamps: true,
+  toJSON: fhirJSON,
+  toObject: fhirJSON,
 });
 
+observationSchema.index({ "subject.reference": 1 });
+// Lab trends and predictor features: one patient's results for a code, newest first
+observationSchema.index({ "subject.reference": 1, "code.coding.code": 1, effectiveDateTime: -1 });
+observationSchema.index({ "code.coding.system": 1, "code.coding.code": 1 });
+observationSchema.index({ "category.coding.code": 1 });
+observationSchema.index({ "interpretation.coding.code": 1 });
+observationSchema.index({ effectiveDateTime: 1 });
+observationSchema.index({ "valueQuantity.value": 1 });
+observationSchema.index({ "_index.valueQuantity.code": 1, "_index.valueQuantity.value": 1 });
+observationSchema.index({ "_index.valueQuantitySort": 1 });
+observationSchema.index({ "meta.lastUpdated": 1 });
+
+observationSchema.plugin(fhirElements);
+observationSchema.plugin(tenantScoped);
+
 export default mongoose.model("Observation", observationSchema);
@@ -1,87 +1,98 @@
-const FHIR = require('fhir-kit-client');
-const AuditLog = require('./audit');
-const { QuantumPredictor } = require('./quantumPredictor');
+import mongoose from "mongoose";
+import { v4 as uuidv4 } from "uuid";
+import {
+  Address,
+  CodeableConcept,
+  ContactPoint,
+  HumanName,
+  Identifier,
+  Meta,
+  Reference,
+  fhirElements,
+  fhirJSON,
+} from "./fhirTypes.js";
+import { VALUE_SET_BASE, valueSetToken } from "../services/fhir/terminology.js";
+import { tenantScoped } from "../services/fhir/tenancy.js";
 
-class Patient {
-  constructor(fhirBaseUrl, patientId) {
-    this.fhirClient = new FHIR.Client({
-      baseUrl: fhirBaseUrl,
-      auth: { token: process.env.FHIR_TOKEN }
-    });
-    this.patientId = patientId;
-    this.predictor = new QuantumPredictor();
-    this.audit = new AuditLog();
-  }
+const patientSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    default: uuidv4,
+  },
+  resourceType: {
+    type: String,
+    default: "Patient",
+  },
+  meta: {
+    type: Meta,
+    default: () => ({}),
+  },
+  identifier: [Identifier],
+  active: {
+    type: Boolean,
+    default: true,
+  },
+  name: [HumanName],
+  telecom: [ContactPoint],
+  gender: {
+    type: String,
+    enum: ["male", "female", "other", "unknown"],
+  },
+  birthDate: String, // YYYY-MM-DD
+  deceasedBoolean: Boolean,
+  deceasedDateTime: String,
+  address: [Address],
+  maritalStatus: CodeableConcept,
+  generalPractitioner: [Reference],
+  managingOrganization: Reference,
+  link: [{
+    _id: false,
+    other: Reference,
+    type: {
+      type: String,
+      enum: ["replaced-by", "replaces", "refer", "seealso"],
+    },
+  }],
+  // Server-only blocking keys for the master patient index, never returned
+  _index: {
+    familySoundex: [String],
+    telecom: [String],
+  },
+}, {
+  toJSON: fhirJSON,
+  toObject: fhirJSON,
+});
 
-  // 1. FHIR Data Operations
-  async getDemographics() {
-    this.audit.log('GET', `/Patient/${this.patientId}`);
-    return await this.fhirClient.read({
-      resourceType: 'Patient',
-      id: this.patientId
-    });
-  }
+patientSchema.index({ "name.family": 1 });
+patientSchema.index({ "name.given": 1 });
+patientSchema.index({ "identifier.system": 1, "identifier.value": 1 });
+patientSchema.index({ birthDate: 1 });
+patientSchema.index({ "address.city": 1 });
+patientSchema.index({ "meta.lastUpdated": 1 });
+patientSchema.index({ "_index.familySoundex": 1, birthDate: 1 });
+patientSchema.index({ "_index.telecom": 1 });
 
-  async updateRecord(updates) {
-    this.audit.log('PATCH', `/Patient/${this.patientId}`);
-    return await this.fhirClient.patch({
-      resourceType: 'Patient',
-      id: this.patientId,
-      body: updates
-    });
-  }
-
-  // 2. Predictive Health Analytics
-  async getDiseaseRisk(diseaseType) {
-    const observations = await this.fhirClient.search({
-      resourceType: 'Observation',
-      params: { patient: this.patientId, code: getClinicalCodes(diseaseType) }
-    });
-    
-    const riskScore = await this.predictor.calculateRisk(
-      diseaseType, 
-      observations
-    );
-    
-    this.audit.log('PREDICT', `${diseaseType}_risk`);
-    return { disease: diseaseType, risk: riskScore };
-  }
-
-  // 3. Real-Time Monitoring
-  async startECGStream(callback) {
-    const ws = new WebSocket(`wss://api.uhrh.com/ecg?patient=${this.patientId}`);
-    ws.onmessage = (event) => {
-      callback(JSON.parse(event.data));
-    };
-    return () => ws.close();
-  }
+// Helper Functions
 
-  // 4. Security & Consent
-  async grantDataAccess(recipientId, scope) {
-    const consent = {
-      resourceType: 'Consent',
-      patient: { reference: `Patient/${this.patientId}` },
-      performer: [{ reference: `Practitioner/${recipientId}` }],
-      scope: this._validateScope(scope)
-    };
-    return await this.fhirClient.create(consent);
-  }
+// Observations that track each disease, as local value sets (see services/fhir/valuesets)
+const clinicalValueSets = {
+  CKD: `${VALUE_SET_BASE}/kidney-function`,
+  Diabetes: `${VALUE_SET_BASE}/glucose`,
+  Hypertension: `${VALUE_SET_BASE}/blood-pressure`,
+};
 
-  _validateScope(scope) {
-    const allowedScopes = ['read', 'write', 'predict'];
-    if (!allowedScopes.includes(scope)) throw new Error('Invalid scope');
-    return scope;
-  }
+/**
+ * Observation codes tracking a disease, as a token search value
+ * (e.g. Observation?code=http://loinc.org|2160-0,http://loinc.org|33914-3,...).
+ * @param {string} diseaseType - CKD, Diabetes or Hypertension
+ * @returns {string} Empty for unknown diseases
+ */
+export function getClinicalCodes(diseaseType) {
+  const url = clinicalValueSets[diseaseType];
+  return url ? valueSetToken(url) : '';
 }
 
-// Helper Functions
-function getClinicalCodes(diseaseType) {
-  const codeMap = {
-    'CKD': 'http://loinc.org|48643-1',
-    'Diabetes': 'http://loinc.org|2339-0',
-    'Hypertension': 'http://loinc.org|55284-4'
-  };
-  return codeMap[diseaseType] || '';
-}
+patientSchema.plugin(fhirElements);
+patientSchema.plugin(tenantScoped);
 
-module.exports = Patient;
\ No newline at end of file
+export default mongoose.model("Patient", patientSchema);
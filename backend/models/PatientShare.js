@@ -0,0 +1,33 @@
+import mongoose from "mongoose";
+import { v4 as uuidv4 } from "uuid";
+
+// A Patient's chart shared read-only with another hospital
+// (see services/fhir/patientSharing.js). Shares are looked up by the
+// hospital they were given to, so unlike the records they point at they are
+// not scoped to a tenant.
+const patientShareSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    default: uuidv4,
+  },
+  patient: {
+    type: String, // Patient id
+    required: true,
+  },
+  owner: {
+    type: String, // Organization id of the tenant holding the chart, null for untenanted data
+    default: null,
+  },
+  organization: {
+    type: String, // Organization id it is shared with
+    required: true,
+  },
+  end: Date, // Shared until, open-ended when unset
+  sharedBy: String,
+}, {
+  timestamps: { createdAt: "created", updatedAt: false },
+});
+
+patientShareSchema.index({ patient: 1, organization: 1 }, { unique: true });
+
+export default mongoose.model("PatientShare", patientShareSchema);
@@ -0,0 +1,42 @@
+import mongoose from "mongoose";
+import { defineResource } from "./fhirResource.js";
+import { Annotation, CodeableConcept, Identifier, Period, Reference } from "./fhirTypes.js";
+
+export default defineResource("Procedure", {
+  identifier: [Identifier],
+  basedOn: [Reference],
+  partOf: [Reference],
+  status: {
+    type: String,
+    enum: ["preparation", "in-progress", "not-done", "on-hold", "stopped", "completed", "entered-in-error", "unknown"],
+    required: true,
+  },
+  statusReason: CodeableConcept,
+  category: CodeableConcept,
+  code: CodeableConcept,
+  subject: {
+    type: Reference,
+    required: true,
+  },
+  encounter: Reference,
+  performedDateTime: String,
+  performedPeriod: Period,
+  performedString: String,
+  recorder: Reference,
+  asserter: Reference,
+  performer: [mongoose.Schema.Types.Mixed],
+  location: Reference,
+  reasonCode: [CodeableConcept],
+  reasonReference: [Reference],
+  bodySite: [CodeableConcept],
+  outcome: CodeableConcept,
+  complication: [CodeableConcept],
+  followUp: [CodeableConcept],
+  note: [Annotation],
+}, {
+  indexes: [
+    { "subject.reference": 1 },
+    { "code.coding.system": 1, "code.coding.code": 1 },
+    { performedDateTime: 1 },
+  ],
+});
@@ -0,0 +1,42 @@
+import mongoose from "mongoose";
+import { defineResource } from "./fhirResource.js";
+import { CodeableConcept, Period, Reference } from "./fhirTypes.js";
+
+export default defineResource("Provenance", {
+  target: {
+    type: [Reference],
+    required: true,
+  },
+  occurredPeriod: Period,
+  occurredDateTime: String,
+  recorded: {
+    type: String,
+    required: true,
+  },
+  policy: [String],
+  location: Reference,
+  reason: [CodeableConcept],
+  activity: CodeableConcept,
+  agent: [{
+    _id: false,
+    type: { type: CodeableConcept },
+    role: [CodeableConcept],
+    who: Reference,
+    onBehalfOf: Reference,
+  }],
+  entity: [{
+    _id: false,
+    role: {
+      type: String,
+      enum: ["derivation", "revision", "quotation", "source", "removal"],
+    },
+    what: Reference,
+    agent: [mongoose.Schema.Types.Mixed],
+  }],
+}, {
+  indexes: [
+    { "target.reference": 1 },
+    { "agent.who.reference": 1 },
+    { recorded: 1 },
+  ],
+});
@@ -0,0 +1,38 @@
+import mongoose from "mongoose";
+import { tenantScoped } from "../services/fhir/tenancy.js";
+
+// Every version of every locally stored FHIR resource, including the
+// current one. Deletes are recorded as a version with no resource body.
+const resourceHistorySchema = new mongoose.Schema({
+  resourceType: {
+    type: String,
+    required: true,
+  },
+  resourceId: {
+    type: String,
+    required: true,
+  },
+  versionId: {
+    type: Number,
+    required: true,
+  },
+  lastUpdated: {
+    type: Date,
+    required: true,
+  },
+  method: {
+    type: String,
+    enum: ["POST", "PUT", "DELETE"],
+    required: true,
+  },
+  resource: {
+    type: mongoose.Schema.Types.Mixed, // FHIR JSON as it was at this version
+  },
+});
+
+resourceHistorySchema.index({ resourceType: 1, resourceId: 1, versionId: 1 }, { unique: true });
+resourceHistorySchema.index({ resourceType: 1, lastUpdated: -1 });
+
+resourceHistorySchema.plugin(tenantScoped);
+
+export default mongoose.model("ResourceHistory", resourceHistorySchema);
@@ -0,0 +1,38 @@
+import mongoose from "mongoose";
+import { defineResource } from "./fhirResource.js";
+import { Annotation, CodeableConcept, Identifier, Period, Reference } from "./fhirTypes.js";
+
+// Disease risk predictions (e.g. the diabetes and CKD predictors) are kept as RiskAssessments
+export default defineResource("RiskAssessment", {
+  identifier: [Identifier],
+  basedOn: Reference,
+  parent: Reference,
+  status: {
+    type: String,
+    enum: ["registered", "preliminary", "final", "amended", "corrected", "cancelled", "entered-in-error", "unknown"],
+    required: true,
+  },
+  method: CodeableConcept,
+  code: CodeableConcept,
+  subject: {
+    type: Reference,
+    required: true,
+  },
+  encounter: Reference,
+  occurrenceDateTime: String,
+  occurrencePeriod: Period,
+  condition: Reference,
+  performer: Reference,
+  reasonCode: [CodeableConcept],
+  reasonReference: [Reference],
+  basis: [Reference],
+  prediction: [mongoose.Schema.Types.Mixed],
+  mitigation: String,
+  note: [Annotation],
+}, {
+  indexes: [
+    { "subject.reference": 1 },
+    { "code.coding.system": 1, "code.coding.code": 1 },
+    { occurrenceDateTime: 1 },
+  ],
+});
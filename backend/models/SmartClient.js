@@ -0,0 +1,35 @@
+import mongoose from "mongoose";
+import { v4 as uuidv4 } from "uuid";
+
+// A SMART on FHIR app registered by an admin (see services/fhir/smart.js).
+// The _id is the OAuth2 client_id.
+const smartClientSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    default: uuidv4,
+  },
+  name: {
+    type: String,
+    required: true,
+  },
+  redirectUris: {
+    type: [String],
+    required: true,
+  },
+  scope: {
+    type: String, // Space-separated scopes the app may be granted
+    required: true,
+  },
+  type: {
+    type: String,
+    enum: ["public", "confidential"],
+    default: "public",
+  },
+  secretHash: String, // bcrypt hash of a confidential client's secret
+  launchUrl: String, // Where the EHR sends an EHR launch
+  createdBy: String,
+}, {
+  timestamps: { createdAt: "created", updatedAt: false },
+});
+
+export default mongoose.model("SmartClient", smartClientSchema);
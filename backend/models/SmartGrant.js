@@ -0,0 +1,37 @@
+import mongoose from "mongoose";
+import { v4 as uuidv4 } from "uuid";
+
+// Short-lived state of the SMART authorization server (see
+// services/fhir/smart.js): EHR launch contexts, authorization codes and
+// refresh tokens. Codes and tokens are stored as SHA-256 hashes; Mongo
+// removes grants once they expire.
+const smartGrantSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    default: uuidv4,
+  },
+  kind: {
+    type: String,
+    enum: ["launch", "code", "refresh"],
+    required: true,
+  },
+  hash: String, // Of the code or refresh token; a launch is looked up by _id
+  client: String, // SmartClient id
+  user: String, // User id
+  role: String,
+  organization: String, // The user's hospital (tenant)
+  scope: String,
+  patient: String, // Patient id in context
+  encounter: String, // Encounter id in context
+  redirectUri: String,
+  codeChallenge: String,
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+});
+
+smartGrantSchema.index({ kind: 1, hash: 1 }, { unique: true, partialFilterExpression: { hash: { $type: "string" } } });
+smartGrantSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model("SmartGrant", smartGrantSchema);
@@ -0,0 +1,40 @@
+import mongoose from "mongoose";
+import { defineResource } from "./fhirResource.js";
+import { ContactPoint } from "./fhirTypes.js";
+
+export default defineResource("Subscription", {
+  status: {
+    type: String,
+    enum: ["requested", "active", "error", "off"],
+    required: true,
+  },
+  contact: [ContactPoint],
+  end: String,
+  reason: {
+    type: String,
+    required: true,
+  },
+  criteria: {
+    type: String,
+    required: true,
+  },
+  error: String,
+  channel: {
+    type: new mongoose.Schema({
+      type: {
+        type: String,
+        enum: ["rest-hook", "websocket", "email", "sms", "message"],
+        required: true,
+      },
+      endpoint: String,
+      payload: String,
+      header: [String],
+      extension: [mongoose.Schema.Types.Mixed],
+    }, { _id: false }),
+    required: true,
+  },
+}, {
+  indexes: [
+    { status: 1 },
+  ],
+});
@@ -0,0 +1,36 @@
+import mongoose from "mongoose";
+import { v4 as uuidv4 } from "uuid";
+import { tenantScoped } from "../services/fhir/tenancy.js";
+
+// A deleted resource, kept until its retention period ends so it can be
+// restored (see services/fhir/resourceStore.js and tombstones.js).
+const tombstoneSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    default: uuidv4,
+  },
+  resourceType: {
+    type: String,
+    required: true,
+  },
+  resourceId: {
+    type: String,
+    required: true,
+  },
+  versionId: Number, // The deletion's version
+  resource: mongoose.Schema.Types.Mixed, // The last version before the deletion
+  deletedBy: String,
+  reason: String,
+  deletedAt: {
+    type: Date,
+    required: true,
+  },
+});
+
+tombstoneSchema.index({ resourceType: 1, resourceId: 1 }, { unique: true });
+tombstoneSchema.index({ deletedAt: 1 });
+tombstoneSchema.index({ resourceType: 1, deletedAt: -1 });
+
+tombstoneSchema.plugin(tenantScoped);
+
+export default mongoose.model("Tombstone", tombstoneSchema);
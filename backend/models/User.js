@@ -6,6 +6,8 @@ const UserSchema = new mongoose.Schema({
   email: { type: String, required: true, unique: true },
   password: { type: String, required: true },
   role: { type: String, enum: ['Doctor', 'Patient', 'Admin'], required: true },
+  patient: String, // FHIR Patient id of a Patient user's own chart, for SMART patient scopes
+  organization: String, // FHIR Organization id of the user's hospital, the tenant they work in
 });
 
 export default mongoose.model('User', UserSchema);
@@ -0,0 +1,47 @@
+import mongoose from "mongoose";
+import { v4 as uuidv4 } from "uuid";
+import { Meta, fhirElements, fhirJSON } from "./fhirTypes.js";
+import { tenantScoped } from "../services/fhir/tenancy.js";
+
+/**
+ * Build the Mongoose model for a FHIR resource type from its elements.
+ *
+ * Every resource gets a uuid string _id, its resourceType and meta, keeps
+ * extensions, narrative and contained resources (see fhirElements) and
+ * serializes as FHIR JSON, so a model file only has to list the elements
+ * (using the datatypes in fhirTypes.js) and the indexes its searches need.
+ * Resources belong to a tenant (see services/fhir/tenancy.js).
+ *
+ * @param {string} resourceType - e.g. "Condition"
+ * @param {Object} elements - Schema paths for the resource's elements
+ * @param {Object} [options]
+ * @param {Object[]} [options.indexes] - Index specs, e.g. [{ "subject.reference": 1 }]
+ * @returns {mongoose.Model}
+ */
+export function defineResource(resourceType, elements, { indexes = [] } = {}) {
+  const schema = new mongoose.Schema({
+    _id: {
+      type: String,
+      default: uuidv4,
+    },
+    resourceType: {
+      type: String,
+      default: resourceType,
+    },
+    meta: {
+      type: Meta,
+      default: () => ({}),
+    },
+    ...elements,
+  }, {
+    toJSON: fhirJSON,
+    toObject: fhirJSON,
+  });
+
+  schema.index({ "meta.lastUpdated": 1 });
+  for (const index of indexes) schema.index(index);
+  schema.plugin(fhirElements);
+  schema.plugin(tenantScoped);
+
+  return mongoose.model(resourceType, schema);
+}
@@ -0,0 +1,193 @@
+import mongoose from "mongoose";
+
+// Shared FHIR R4 datatype schemas. Array elements are stored without their
+// own _id so documents round-trip as plain FHIR JSON.
+
+const opts = { _id: false };
+const { Mixed } = mongoose.Schema.Types;
+
+export const Coding = new mongoose.Schema({
+  system: String,
+  version: String,
+  code: String,
+  display: String,
+}, opts);
+
+export const CodeableConcept = new mongoose.Schema({
+  coding: [Coding],
+  text: String,
+}, opts);
+
+export const Period = new mongoose.Schema({
+  start: String,
+  end: String,
+}, opts);
+
+export const Reference = new mongoose.Schema({
+  reference: String,
+  type: String,
+  display: String,
+}, opts);
+
+export const Quantity = new mongoose.Schema({
+  value: Number,
+  comparator: String,
+  unit: String,
+  system: String,
+  code: String,
+}, opts);
+
+export const Range = new mongoose.Schema({
+  low: Quantity,
+  high: Quantity,
+}, opts);
+
+export const Annotation = new mongoose.Schema({
+  authorReference: Reference,
+  authorString: String,
+  time: String,
+  text: String,
+}, opts);
+
+export const Identifier = new mongoose.Schema({
+  use: String,
+  type: CodeableConcept,
+  system: String,
+  value: String,
+  period: Period,
+}, opts);
+
+export const HumanName = new mongoose.Schema({
+  use: String,
+  text: String,
+  family: String,
+  given: [String],
+  prefix: [String],
+  suffix: [String],
+  period: Period,
+}, opts);
+
+export const ContactPoint = new mongoose.Schema({
+  system: String,
+  value: String,
+  use: String,
+  rank: Number,
+  period: Period,
+}, opts);
+
+export const Address = new mongoose.Schema({
+  use: String,
+  type: String,
+  text: String,
+  line: [String],
+  city: String,
+  district: String,
+  state: String,
+  postalCode: String,
+  country: String,
+  period: Period,
+}, opts);
+
+export const Meta = new mongoose.Schema({
+  versionId: String,
+  lastUpdated: Date,
+  source: String,
+  profile: [String],
+  security: [Coding],
+  tag: [Coding],
+}, opts);
+
+export const Narrative = new mongoose.Schema({
+  status: String,
+  div: String, // XHTML
+}, opts);
+
+const PRIMITIVES = ["String", "Number", "Boolean", "Date"];
+
+function isPrimitive(schemaType) {
+  return PRIMITIVES.includes(schemaType.instance)
+    || (schemaType.instance === "Array" && PRIMITIVES.includes(schemaType.caster?.instance));
+}
+
+// "a.b.value" -> "a.b._value"
+const companionPath = (path) => path.replace(/([^.]+)$/, "_$1");
+
+function allowElementExtensions(schema, seen, { resource = false } = {}) {
+  if (seen.has(schema)) return;
+  seen.add(schema);
+
+  const added = {};
+  const allow = (path, type) => {
+    if (!schema.path(path) && !schema.nested[path]) added[path] = type;
+  };
+  // Server-only fields (_id, _index, _tenant) and resourceType are not FHIR elements
+  const element = (path) => path !== "resourceType" && !path.split(".").some((part) => part.startsWith("_"));
+
+  if (!resource) allow("id", String);
+  allow("extension", [Mixed]);
+  for (const [path, schemaType] of Object.entries(schema.paths)) {
+    if (element(path) && isPrimitive(schemaType)) allow(companionPath(path), Mixed);
+  }
+  for (const path of Object.keys(schema.nested)) {
+    if (element(path)) allow(`${path}.extension`, [Mixed]);
+  }
+  schema.add(added);
+
+  for (const { schema: child } of schema.childSchemas) allowElementExtensions(child, seen);
+}
+
+/**
+ * Mongoose plugin keeping the FHIR elements any resource may carry, which
+ * a strict schema would silently drop: text, contained, extension and
+ * modifierExtension on the resource, id and extension on its complex
+ * elements, and the _<element> companion (id and extensions) of every
+ * primitive element, e.g. _birthDate or _given. Apply it once every
+ * element has been added.
+ */
+export function fhirElements(schema) {
+  const allow = (path, type) => {
+    if (!schema.path(path)) schema.add({ [path]: type });
+  };
+  allow("implicitRules", String);
+  allow("language", String);
+  allow("text", Narrative);
+  allow("contained", [Mixed]);
+  allow("modifierExtension", [Mixed]);
+  allowElementExtensions(schema, new WeakSet(), { resource: true });
+}
+
+/**
+ * Drop empty arrays, empty objects and nulls so stored documents serialize
+ * as valid FHIR (which forbids empty elements). Arrays under a _<element>
+ * companion keep their nulls, which line them up with the element's values.
+ */
+export function prune(value, aligned = false) {
+  if (Array.isArray(value)) {
+    const items = value.map((v) => prune(v));
+    if (aligned) return items.some((v) => v !== undefined) ? items.map((v) => v ?? null) : undefined;
+    const kept = items.filter((v) => v !== undefined);
+    return kept.length ? kept : undefined;
+  }
+  if (value instanceof Date) return value.toISOString();
+  if (value && typeof value === "object") {
+    const out = {};
+    for (const [key, v] of Object.entries(value)) {
+      const pruned = prune(v, key.startsWith("_"));
+      if (pruned !== undefined) out[key] = pruned;
+    }
+    return Object.keys(out).length ? out : undefined;
+  }
+  return value === null || value === "" ? undefined : value;
+}
+
+/**
+ * toJSON/toObject options that expose the Mongo _id as the FHIR id and
+ * hide the server-only _index search fields and _tenant owner.
+ */
+export const fhirJSON = {
+  versionKey: false,
+  transform: (doc, ret) => {
+    const { _id, _index, _tenant, resourceType, ...rest } = ret;
+    return prune({ resourceType, id: _id, ...rest });
+  },
+};
@@ -16,7 +16,11 @@ router.post('/login', async (req, res) => {
       return res.status(401).json({ message: 'Invalid credentials or role mismatch' });
     }
 
-    const token = jwt.sign({ userId: user._id, role: user.role }, process.env.JWT_SECRET, { expiresIn: '1h' });
+    const token = jwt.sign(
+      { userId: user._id, role: user.role, ...(user.organization ? { organization: user.organization } : {}) },
+      process.env.JWT_SECRET,
+      { expiresIn: '1h' },
+    );
 
     res.status(200).json({
       token,
@@ -25,6 +29,8 @@ router.post('/login', async (req, res) => {
         email: user.email,
         name: user.name,
         role: user.role,
+        patient: user.patient, // Patient users' own chart
+        organization: user.organization,
       },
     });
   } catch (err) {
@@ -0,0 +1,34 @@
+// routes/exchange.js
+import express from 'express';
+import {
+  getDataByPatient,
+  transformDataSample,
+  uploadData,
+} from '../dataHub/exchangeController.js';
+import { identifyUser, requireRole, scopeTenant } from '../middleware/fhirAuth.js';
+
+// Data exchange hub for labs and hospitals (see dataHub/exchangeService.js)
+const router = express.Router();
+
+// Clinical staff only, inside their hospital (services/fhir/tenancy.js)
+router.use(identifyUser, requireRole('Admin', 'Doctor'), scopeTenant);
+
+/**
+ * @route POST /api/exchange/upload
+ * @desc Store a FHIR resource or Bundle; Patients are linked to their chart by the master patient index
+ */
+router.post('/upload', uploadData);
+
+/**
+ * @route POST /api/exchange/transform
+ * @desc Show the resources an upload would be split into, without storing them
+ */
+router.post('/transform', transformDataSample);
+
+/**
+ * @route GET /api/exchange/patient/:patientId
+ * @desc A patient's chart and the first page of their compartment
+ */
+router.get('/patient/:patientId', getDataByPatient);
+
+export default router;
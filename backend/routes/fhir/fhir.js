@@ -1,101 +1,400 @@
 import express from 'express';
+import Patient from '../../models/Patient.js';
+import Observation from '../../models/Observation.js';
+import {
+  getAllPatients,
+  getPatientById,
+  createPatient,
+  updatePatient,
+  patchPatient,
+  deletePatient,
+  restorePatient,
+  getPatientEverything,
+  getPatientCompartment,
+  matchPatient,
+  mergePatient,
+  unmergePatient,
+  sharePatient,
+  unsharePatient,
+  transferPatient,
+  getMatchReviews,
+  resolveMatchReview,
+  getObservations,
+  getObservationById,
+  createObservation,
+  updateObservation,
+  patchObservation,
+  deleteObservation,
+  restoreObservation,
+  getDeleted,
+  getHistory,
+  getVersion,
+  postBundle,
+  getMetadata,
+  validate,
+  exportKickOff,
+  getExportStatus,
+  deleteExport,
+  getExportFile,
+  postImport,
+  searchTerminology,
+  readCodeSystem,
+  readValueSet,
+  lookup,
+  expand,
+  validateCodeIn,
+  resourceHandlers,
+} from '../../controllers/fhirController.js';
+import { getModel, isReadOnly, resourceTypes } from '../../services/fhir/registry.js';
+import {
+  authorizeScopes,
+  identifyUser,
+  requireRole,
+  scopeTenant,
+  verifyPatientAccess,
+} from '../../middleware/fhirAuth.js';
+import { negotiateFormat } from '../../middleware/fhirFormat.js';
+import smartRoutes from './smart.js';
 
 const router = express.Router();
 
-// Temporary in-memory storage (replace with DB or real FHIR client)
-let patients = [];
-let observations = [];
+// JSON or XML (Accept, _format, Content-Type)
+router.use(negotiateFormat);
+router.use(identifyUser);
+router.use(authorizeScopes);
+// Everything below sees only the caller's hospital (services/fhir/tenancy.js)
+router.use(scopeTenant);
+
+// .well-known/smart-configuration and the auth/ endpoints
+router.use(smartRoutes);
+
+/**
+ * @route GET /api/fhir/metadata
+ * @desc CapabilityStatement generated from the registered resource types
+ */
+router.get('/metadata', getMetadata);
+
+/**
+ * @route POST /api/fhir/:type/$validate?profile=http://hl7.org/fhir/us/core/StructureDefinition/us-core-patient
+ * @desc Validate a resource (or Parameters wrapping one) and return an OperationOutcome
+ */
+router.post('/:type/\\$validate', validate);
+
+/**
+ * @route GET /api/fhir/$export?_type=Patient,Observation&_since=&_typeFilter=
+ * @desc Kick off a Bulk Data export of every resource (Prefer: respond-async)
+ */
+router.get('/\\$export', exportKickOff('system'));
+
+/**
+ * @route GET /api/fhir/Patient/$export?_type=&_since=&_typeFilter=
+ * @desc Kick off a Bulk Data export of every patient's compartment
+ */
+router.get('/Patient/\\$export', exportKickOff('patient'));
+
+/**
+ * @route GET /api/fhir/Group/:id/$export?_type=&_since=&_typeFilter=
+ * @desc Kick off a Bulk Data export of the compartments of a Group's patients
+ */
+router.get('/Group/:id/\\$export', exportKickOff('group'));
+
+/**
+ * @route GET /api/fhir/$export-status/:id
+ * @desc Poll an export: 202 with X-Progress while running, then the manifest
+ */
+router.get('/\\$export-status/:id', getExportStatus);
+
+/**
+ * @route DELETE /api/fhir/$export-status/:id
+ * @desc Cancel an export, or delete a finished one and its files
+ */
+router.delete('/\\$export-status/:id', deleteExport);
+
+/**
+ * @route GET /api/fhir/$export-file/:id/:file
+ * @desc Download one NDJSON file of a completed export
+ */
+router.get('/\\$export-file/:id/:file', getExportFile);
+
+/**
+ * @route POST /api/fhir/$import?source=legacy-emr&duplicates=skip|flag
+ * @desc Stream NDJSON (a resource or Bundle per line) into the store, remapping
+ *   legacy ids; returns an OperationOutcome with one issue per problem line
+ */
+router.post('/\\$import', postImport);
+
+/**
+ * @route POST /api/fhir/Patient/$match
+ * @desc Score stored patients against a Parameters resource; entries carry a
+ *   search score and match-grade (certain, probable, possible)
+ */
+router.post('/Patient/\\$match', matchPatient);
+
+/**
+ * @route POST /api/fhir/Patient/$merge
+ * @desc Fold a duplicate patient into the surviving one: moves its compartment,
+ *   links the two replaced-by/replaces and records a Provenance (preview=true to dry-run; admins only)
+ */
+router.post('/Patient/\\$merge', requireRole('Admin'), mergePatient);
+
+/**
+ * @route POST /api/fhir/Patient/$unmerge
+ * @desc Undo the latest merge of source-patient into target-patient (admins only)
+ */
+router.post('/Patient/\\$unmerge', requireRole('Admin'), unmergePatient);
 
 /**
- * @route GET /api/fhir/patients?name=John
- * @desc Search patients by name
+ * @route GET /api/fhir/$match-review?status=open&patient=&_count=&_offset=
+ * @desc Possible duplicate patients queued by the master patient index
  */
-router.get('/patients', (req, res) => {
-  const { name } = req.query;
-  const filtered = patients.filter((p) =>
-    p.name?.toLowerCase().includes(name?.toLowerCase())
-  );
-  res.json(filtered);
-});
+router.get('/\\$match-review', getMatchReviews);
 
 /**
- * @route GET /api/fhir/patients/:id
+ * @route POST /api/fhir/$match-review/:id
+ * @desc Resolve a possible duplicate as "same" (links the charts) or "different"
+ *   (admins only)
+ */
+router.post('/\\$match-review/:id', requireRole('Admin'), resolveMatchReview);
+
+/**
+ * @route GET|POST /api/fhir/CodeSystem/$lookup?system=http://loinc.org&code=2160-0
+ * @desc Display, designations and properties of a code in a local code system
+ */
+router.all('/CodeSystem/\\$lookup', lookup);
+
+/**
+ * @route GET|POST /api/fhir/CodeSystem[/:id]/$validate-code?url=http://loinc.org&code=2160-0&display=
+ * @desc Check a code (and display) against a local code system
+ */
+router.all(['/CodeSystem/\\$validate-code', '/CodeSystem/:id/\\$validate-code'], validateCodeIn('CodeSystem'));
+
+/**
+ * @route GET|POST /api/fhir/ValueSet[/:id]/$expand?url=&filter=creat&count=10
+ * @desc Expand a local value set; filter matches word starts for typeahead
+ */
+router.all(['/ValueSet/\\$expand', '/ValueSet/:id/\\$expand'], expand);
+
+/**
+ * @route GET|POST /api/fhir/ValueSet[/:id]/$validate-code?url=&system=&code=
+ * @desc Check a code, Coding or CodeableConcept against a local value set
+ */
+router.all(['/ValueSet/\\$validate-code', '/ValueSet/:id/\\$validate-code'], validateCodeIn('ValueSet'));
+
+/**
+ * @route GET /api/fhir/CodeSystem?url=&name= and /api/fhir/ValueSet?url=&name=
+ * @desc Search the code systems and value sets loaded by services/fhir/terminology.js
+ */
+router.get('/CodeSystem', searchTerminology('CodeSystem'));
+router.get('/ValueSet', searchTerminology('ValueSet'));
+
+/**
+ * @route GET /api/fhir/CodeSystem/:id and /api/fhir/ValueSet/:id
+ * @desc Read a loaded code system (with its concepts) or value set
+ */
+router.get('/CodeSystem/:id', readCodeSystem);
+router.get('/ValueSet/:id', readValueSet);
+
+/**
+ * @route GET /api/fhir/$deleted?_type=Patient&_count=&_offset=
+ * @desc Deleted resources that can still be restored, with who deleted them,
+ *   when, why and when they will be purged (admins only)
+ */
+router.get('/\\$deleted', requireRole('Admin'), getDeleted);
+
+/**
+ * @route POST /api/fhir
+ * @desc Process a batch or transaction Bundle against the local store
+ */
+router.post('/', postBundle);
+
+/**
+ * @route GET /api/fhir/Patient/_history?_since=2025-01-01T00:00:00Z
+ * @desc Versions of all patients, newest first
+ */
+router.get('/Patient/_history', getHistory(Patient));
+
+/**
+ * @route GET /api/fhir/Patient?family=Smith&birthdate=ge1980-01-01
+ * @desc Search patients (FHIR search parameters, returns a searchset Bundle)
+ */
+router.get(['/Patient', '/patients'], getAllPatients);
+
+/**
+ * @route GET /api/fhir/Patient/:id
  * @desc Get a patient by ID
  */
-router.get('/patients/:id', (req, res) => {
-  const patient = patients.find((p) => p.id === req.params.id);
-  if (patient) {
-    res.json(patient);
-  } else {
-    res.status(404).json({ message: 'Patient not found' });
-  }
-});
-
-/**
- * @route POST /api/fhir/patients
- * @desc Create a new patient
- */
-router.post('/patients', (req, res) => {
-  const newPatient = {
-    id: Date.now().toString(),
-    ...req.body,
-  };
-  patients.push(newPatient);
-  res.status(201).json(newPatient);
-});
-
-/**
- * @route PUT /api/fhir/patients/:id
- * @desc Update patient details
- */
-router.put('/patients/:id', (req, res) => {
-  const index = patients.findIndex((p) => p.id === req.params.id);
-  if (index !== -1) {
-    patients[index] = {
-      ...patients[index],
-      ...req.body,
-    };
-    res.json(patients[index]);
-  } else {
-    res.status(404).json({ message: 'Patient not found' });
-  }
-});
-
-/**
- * @route DELETE /api/fhir/patients/:id
- * @desc Delete patient
- */
-router.delete('/patients/:id', (req, res) => {
-  const index = patients.findIndex((p) => p.id === req.params.id);
-  if (index !== -1) {
-    patients.splice(index, 1);
-    res.json({ message: 'Patient deleted' });
-  } else {
-    res.status(404).json({ message: 'Patient not found' });
-  }
-});
-
-/**
- * @route GET /api/fhir/observations?patient=123
- * @desc Fetch observations for a patient
- */
-router.get('/observations', (req, res) => {
-  const { patient } = req.query;
-  const result = observations.filter((obs) => obs.patientId === patient);
-  res.json(result);
-});
-
-/**
- * @route POST /api/fhir/observations
- * @desc Create a new observation
- */
-router.post('/observations', (req, res) => {
-  const newObs = {
-    id: Date.now().toString(),
-    ...req.body,
-  };
-  observations.push(newObs);
-  res.status(201).json(newObs);
-});
+router.get(['/Patient/:id', '/patients/:id'], verifyPatientAccess, getPatientById);
+
+/**
+ * @route GET /api/fhir/Patient/:id/$everything?_since=&_type=&start=&end=
+ * @desc The patient and everything in their compartment as a paged searchset Bundle
+ */
+router.get('/Patient/:id/\\$everything', verifyPatientAccess, getPatientEverything);
+
+/**
+ * @route GET /api/fhir/Patient/:id/_history
+ * @desc Every version of a patient, newest first
+ */
+router.get('/Patient/:id/_history', verifyPatientAccess, getHistory(Patient));
+
+/**
+ * @route GET /api/fhir/Patient/:id/_history/:vid
+ * @desc Read a patient as it was at a given version
+ */
+router.get('/Patient/:id/_history/:vid', verifyPatientAccess, getVersion(Patient));
+
+/**
+ * @route GET /api/fhir/Patient/:id/:type?<search parameters>
+ * @desc Search one resource type within the patient's compartment, e.g. Patient/123/Observation?code=4548-4
+ */
+router.get('/Patient/:id/:type([A-Z][A-Za-z]+)', verifyPatientAccess, getPatientCompartment);
+
+/**
+ * @route POST /api/fhir/Patient
+ * @desc Create a new patient (If-None-Exist for conditional create)
+ */
+router.post(['/Patient', '/patients'], createPatient);
+
+/**
+ * @route PUT /api/fhir/Patient?identifier=urn:mrn|123
+ * @desc Conditional update: update the single match or create when none match
+ */
+router.put(['/Patient', '/patients'], updatePatient);
+
+/**
+ * @route PATCH /api/fhir/Patient/:id
+ * @desc Apply a JSON Patch (honors If-Match)
+ */
+router.patch(['/Patient/:id', '/patients/:id'], patchPatient);
+
+/**
+ * @route PUT /api/fhir/Patient/:id
+ * @desc Update patient details (creates a new version, honors If-Match)
+ */
+router.put(['/Patient/:id', '/patients/:id'], updatePatient);
+
+/**
+ * @route DELETE /api/fhir/Patient/:id?reason=
+ * @desc Delete patient (reads answer 410 Gone until it is restored or purged)
+ */
+router.delete(['/Patient/:id', '/patients/:id'], deletePatient);
+
+/**
+ * @route POST /api/fhir/Patient/:id/$restore
+ * @desc Bring back a deleted patient as a new version (admins only)
+ */
+router.post('/Patient/:id/\\$restore', requireRole('Admin'), restorePatient);
+
+/**
+ * @route POST /api/fhir/Patient/:id/$share
+ * @desc Let another hospital on this server read the patient's compartment
+ *   (Parameters with organization and an optional end)
+ */
+router.post('/Patient/:id/\\$share', requireRole('Admin', 'Doctor'), sharePatient);
+
+/**
+ * @route POST /api/fhir/Patient/:id/$unshare
+ * @desc End a share with another hospital (Parameters with organization)
+ */
+router.post('/Patient/:id/\\$unshare', requireRole('Admin', 'Doctor'), unsharePatient);
+
+/**
+ * @route POST /api/fhir/Patient/:id/$transfer
+ * @desc Hand the patient's whole chart over to another hospital on this server
+ *   (Parameters with organization; admins only)
+ */
+router.post('/Patient/:id/\\$transfer', requireRole('Admin'), transferPatient);
+
+/**
+ * @route GET /api/fhir/Observation/_history?_since=2025-01-01T00:00:00Z
+ * @desc Versions of all observations, newest first
+ */
+router.get('/Observation/_history', getHistory(Observation));
+
+/**
+ * @route GET /api/fhir/Observation?patient=123&code=http://loinc.org|2160-0&date=ge2025-01-01&_sort=-date
+ * @desc Search observations (code, category, date, value-quantity; returns a searchset Bundle)
+ */
+router.get(['/Observation', '/observations'], getObservations);
+
+/**
+ * @route GET /api/fhir/Observation/:id
+ * @desc Get an observation by ID
+ */
+router.get(['/Observation/:id', '/observations/:id'], getObservationById);
+
+/**
+ * @route GET /api/fhir/Observation/:id/_history
+ * @desc Every version of an observation, newest first
+ */
+router.get('/Observation/:id/_history', getHistory(Observation));
+
+/**
+ * @route GET /api/fhir/Observation/:id/_history/:vid
+ * @desc Read an observation as it was at a given version
+ */
+router.get('/Observation/:id/_history/:vid', getVersion(Observation));
+
+/**
+ * @route POST /api/fhir/Observation
+ * @desc Create a new observation (If-None-Exist for conditional create)
+ */
+router.post(['/Observation', '/observations'], createObservation);
+
+/**
+ * @route PUT /api/fhir/Observation?identifier=urn:mrn|123
+ * @desc Conditional update: update the single match or create when none match
+ */
+router.put(['/Observation', '/observations'], updateObservation);
+
+/**
+ * @route PATCH /api/fhir/Observation/:id
+ * @desc Apply a JSON Patch (honors If-Match)
+ */
+router.patch(['/Observation/:id', '/observations/:id'], patchObservation);
+
+/**
+ * @route PUT /api/fhir/Observation/:id
+ * @desc Amend an observation (creates a new version, honors If-Match)
+ */
+router.put(['/Observation/:id', '/observations/:id'], updateObservation);
+
+/**
+ * @route DELETE /api/fhir/Observation/:id?reason=
+ * @desc Delete an observation (reads answer 410 Gone until it is restored or purged)
+ */
+router.delete(['/Observation/:id', '/observations/:id'], deleteObservation);
+
+/**
+ * @route POST /api/fhir/Observation/:id/$restore
+ * @desc Bring back a deleted observation as a new version (admins only)
+ */
+router.post('/Observation/:id/\\$restore', requireRole('Admin'), restoreObservation);
+
+/**
+ * @route GET|POST|PUT|PATCH|DELETE /api/fhir/:type[/:id], POST /api/fhir/:type/:id/$restore
+ * @desc Search, CRUD, history and restore for every other type in services/fhir/registry.js
+ *   (Condition, MedicationRequest, AllergyIntolerance, Encounter, ...); read-only
+ *   types such as Provenance get only the reads, search and history
+ */
+const routedTypes = ['Patient', 'Observation'];
+
+for (const resourceType of resourceTypes().filter((type) => !routedTypes.includes(type))) {
+  const handlers = resourceHandlers(getModel(resourceType));
+  const base = `/${resourceType}`;
+
+  router.get(`${base}/_history`, handlers.history);
+  router.get(base, handlers.search);
+  router.get(`${base}/:id`, handlers.read);
+  router.get(`${base}/:id/_history`, handlers.history);
+  router.get(`${base}/:id/_history/:vid`, handlers.version);
+  if (isReadOnly(resourceType)) continue;
+  router.post(base, handlers.create);
+  router.put(base, handlers.update);
+  router.patch(`${base}/:id`, handlers.patch);
+  router.put(`${base}/:id`, handlers.update);
+  router.delete(`${base}/:id`, handlers.remove);
+  router.post(`${base}/:id/\\$restore`, requireRole('Admin'), handlers.restore);
+}
 
 export default router;
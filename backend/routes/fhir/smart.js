@@ -0,0 +1,62 @@
+import express from 'express';
+import {
+  approveAuthorization,
+  deleteClient,
+  getAuthorizationDetails,
+  getClients,
+  getSmartConfiguration,
+  postClient,
+  postLaunch,
+  postToken,
+  startAuthorization,
+} from '../../controllers/smartController.js';
+import { requireRole } from '../../middleware/fhirAuth.js';
+
+// SMART App Launch authorization server, mounted on the FHIR base (see services/fhir/smart.js)
+const router = express.Router();
+
+/**
+ * @route GET /api/fhir/.well-known/smart-configuration
+ * @desc SMART discovery: endpoints, scopes and capabilities
+ */
+router.get('/.well-known/smart-configuration', getSmartConfiguration);
+
+/**
+ * @route GET /api/fhir/auth/authorize?response_type=code&client_id=&redirect_uri=&scope=&state=&aud=&code_challenge=&code_challenge_method=S256
+ * @desc Start an authorization: checks the request and sends the browser to the portal's consent page
+ */
+router.get('/auth/authorize', startAuthorization);
+
+/**
+ * @route GET /api/fhir/auth/authorize/details?<authorization request>
+ * @desc What the signed-in user would grant: app name, scopes, patient in context
+ */
+router.get('/auth/authorize/details', getAuthorizationDetails);
+
+/**
+ * @route POST /api/fhir/auth/authorize?<authorization request>
+ * @desc The signed-in user's decision ({ approved, patient }); returns the app redirect with a code
+ */
+router.post('/auth/authorize', approveAuthorization);
+
+/**
+ * @route POST /api/fhir/auth/token
+ * @desc Trade an authorization code (with its PKCE code_verifier) or refresh token for an access token
+ */
+router.post('/auth/token', postToken);
+
+/**
+ * @route POST /api/fhir/auth/launch
+ * @desc EHR launch: a launch id (and the app's launch URL) for a patient and encounter
+ */
+router.post('/auth/launch', requireRole('Admin', 'Doctor'), postLaunch);
+
+/**
+ * @route GET|POST /api/fhir/auth/clients, DELETE /api/fhir/auth/clients/:id
+ * @desc Register, list and remove SMART apps (admins only)
+ */
+router.get('/auth/clients', requireRole('Admin'), getClients);
+router.post('/auth/clients', requireRole('Admin'), postClient);
+router.delete('/auth/clients/:id', requireRole('Admin'), deleteClient);
+
+export default router;
@@ -6,6 +6,7 @@ const { Blockchain } = require('../blockchain');
 const { ClinicalPredictor } = require('../prediction');
 const { AuditLog } = require('../audit');
 const jwt = require('jsonwebtoken');
+const User = require('../../models/User');
 
 // Initialize services
 const fhirClient = new FHIR.Client({ baseUrl: process.env.FHIR_SERVER });
@@ -19,6 +20,16 @@ async function verifyPatientAccess(req, res, next) {
   const practitionerId = req.user.userId;
 
   try {
+    // Portal patients open their own chart only; consent is granted to practitioners
+    if (req.user.role === 'Patient') {
+      const account = await User.findById(req.user.userId);
+      if (!account || account.patient !== patientId) {
+        return res.status(403).json({ error: 'Patients can only access their own records' });
+      }
+      req.patientId = patientId;
+      return next();
+    }
+
     // Check blockchain consent records
     const hasAccess = await blockchain.verifyConsent({
       practitionerId,
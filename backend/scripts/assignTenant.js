@@ -0,0 +1,57 @@
+// assignTenant.js - Hand untenanted data to a hospital
+//
+// Usage:
+//   node scripts/assignTenant.js --organization <id>
+//
+// Data written before tenancy, and users without an organization, belong to
+// no hospital (services/fhir/tenancy.js). Run this once before a second
+// hospital is onboarded so that the first one keeps seeing its records:
+// every untenanted document of a tenant-scoped model and every user without
+// an organization is given the Organization id.
+import { parseArgs } from 'util';
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import '../services/fhir/registry.js';
+import '../models/ResourceHistory.js';
+import '../models/Tombstone.js';
+import '../models/ExportJob.js';
+import '../models/ImportMapping.js';
+import '../models/MatchReview.js';
+import '../models/MergeRecord.js';
+
+dotenv.config();
+
+const { values } = parseArgs({
+  options: {
+    organization: { type: 'string' },
+  },
+});
+
+if (!values.organization) {
+  console.error('Usage: node scripts/assignTenant.js --organization <id>');
+  process.exit(1);
+}
+
+const summary = {};
+
+try {
+  await mongoose.connect(process.env.MONGO_URI);
+  // Outside any tenant the plugin leaves these queries alone
+  for (const model of Object.values(mongoose.models)) {
+    if (!model.schema.path('_tenant')) continue;
+    const { modifiedCount } = await model.updateMany({ _tenant: null }, { $set: { _tenant: values.organization } });
+    summary[model.modelName] = modifiedCount;
+  }
+  const { modifiedCount } = await User.updateMany(
+    { $or: [{ organization: null }, { organization: '' }] },
+    { $set: { organization: values.organization } },
+  );
+  summary.User = modifiedCount;
+  console.log(summary);
+} catch (err) {
+  console.error('Assignment failed:', err.message);
+  process.exitCode = 1;
+} finally {
+  await mongoose.disconnect();
+}
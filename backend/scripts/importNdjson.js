@@ -0,0 +1,56 @@
+// importNdjson.js - Import NDJSON files from a legacy system into the local FHIR store
+//
+// Usage:
+//   node scripts/importNdjson.js --source st-marys-emr [--organization <id>]
+//     [--duplicates skip|flag] [--report report.ndjson] patients.ndjson observations.ndjson ...
+//
+// --organization is the Organization id of the hospital the data is
+// imported for (its tenant, see services/fhir/tenancy.js); without it the
+// data is untenanted.
+//
+// Files from one source can be imported in any order or in separate runs;
+// references between them are remapped through the same id mapping. Every
+// issue is written to the report (stderr by default) as one JSON line.
+import fs from 'fs';
+import { parseArgs } from 'util';
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import { importNdjson } from '../services/fhir/bulkImport.js';
+import { runInTenant } from '../services/fhir/tenancy.js';
+
+dotenv.config();
+
+const { values, positionals } = parseArgs({
+  options: {
+    source: { type: 'string' },
+    organization: { type: 'string' },
+    duplicates: { type: 'string', default: 'skip' },
+    report: { type: 'string' },
+  },
+  allowPositionals: true,
+});
+
+if (!values.source || !positionals.length) {
+  console.error('Usage: node scripts/importNdjson.js --source <name> [--organization <id>] [--duplicates skip|flag] [--report <file>] <file.ndjson>...');
+  process.exit(1);
+}
+
+const report = values.report ? fs.createWriteStream(values.report) : process.stderr;
+
+try {
+  await mongoose.connect(process.env.MONGO_URI);
+  for (const file of positionals) {
+    const summary = await runInTenant(values.organization, () => importNdjson(fs.createReadStream(file), {
+      source: values.source,
+      duplicates: values.duplicates,
+      onIssue: (issue) => report.write(`${JSON.stringify({ file, ...issue })}\n`),
+    }));
+    console.log(`${file}:`, summary);
+  }
+} catch (err) {
+  console.error('Import failed:', err.message);
+  process.exitCode = 1;
+} finally {
+  if (report !== process.stderr) report.end();
+  await mongoose.disconnect();
+}
@@ -0,0 +1,39 @@
+// normalizeObservations.js - Normalize Observations stored before unit normalization
+//
+// Usage:
+//   node scripts/normalizeObservations.js
+//
+// Observations written since then carry a normalized value and the search
+// fields value-quantity compares against (services/fhir/normalization.js).
+// This rewrites each older Observation as a new version so it gets them too.
+// Observations with an invalid UCUM code are listed and left as they are.
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import Observation from '../models/Observation.js';
+import { updateResource } from '../services/fhir/resourceStore.js';
+import { runInTenant } from '../services/fhir/tenancy.js';
+
+dotenv.config();
+
+const summary = { normalized: 0, failed: 0 };
+
+try {
+  await mongoose.connect(process.env.MONGO_URI);
+  const pending = Observation.find({ _index: { $exists: false }, 'valueQuantity.value': { $exists: true } }).cursor();
+  for await (const doc of pending) {
+    try {
+      // The new version, its history and Provenance belong to the Observation's hospital
+      await runInTenant(doc._tenant, () => updateResource(Observation, doc._id, doc.toJSON(), { ifMatch: doc.meta?.versionId }));
+      summary.normalized += 1;
+    } catch (err) {
+      summary.failed += 1;
+      console.error(`Observation/${doc._id}: ${err.message}`);
+    }
+  }
+  console.log(summary);
+} catch (err) {
+  console.error('Normalization failed:', err.message);
+  process.exitCode = 1;
+} finally {
+  await mongoose.disconnect();
+}
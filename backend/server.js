@@ -14,6 +14,13 @@ import { ClinicalPredictor } from './clinicalPredictor.js';
 import { AuditLog } from './audit.js';
 
 import authRoutes from './routes/auth.js';
+import fhirRoutes from './routes/fhir/fhir.js';
+import exchangeRoutes from './routes/exchange.js';
+import { startSubscriptions } from './services/fhir/subscriptions.js';
+import { startBulkExport } from './services/fhir/bulkExport.js';
+import { startCriticalResults } from './services/fhir/interpretation.js';
+import { startTombstonePurge } from './services/fhir/tombstones.js';
+import './sockets/websocketServer.js';
 import User from './models/User.js';
 
 dotenv.config();
@@ -29,6 +36,21 @@ app.use(cors({
 
 // Middleware
 app.use(helmet());
+// FHIR resources and bundles are larger than other API payloads
+app.use('/api/fhir', express.json({
+  limit: '5mb',
+  type: ['application/json', 'application/fhir+json', 'application/json-patch+json'],
+}));
+// FHIR XML bodies are read by middleware/fhirFormat.js
+app.use('/api/fhir', express.text({
+  limit: '5mb',
+  type: ['application/fhir+xml', 'application/xml', 'text/xml'],
+}));
+// Exchange uploads are FHIR resources and Bundles too
+app.use('/api/exchange', express.json({
+  limit: '5mb',
+  type: ['application/json', 'application/fhir+json'],
+}));
 app.use(express.json({ limit: '10kb' }));
 app.use(express.urlencoded({ extended: false }));
 
@@ -64,6 +86,12 @@ const audit = new AuditLog();
 // Auth Routes
 app.use('/api', authRoutes);
 
+// Local FHIR store
+app.use('/api/fhir', fhirRoutes);
+
+// Data exchange hub
+app.use('/api/exchange', exchangeRoutes);
+
 // Temporary hardcoded login (no DB)
 app.post('/api/login', (req, res) => {
   const { email, password, role } = req.body;
@@ -184,6 +212,10 @@ function handleError(res, err) {
     await predictor.loadModels();
 
     const PORT = process.env.PORT || 5000;
+    startSubscriptions({ baseUrl: process.env.FHIR_BASE_URL || `http://localhost:${PORT}/api/fhir` });
+    startBulkExport();
+    startCriticalResults();
+    startTombstonePurge();
     app.listen(PORT, () => {
       console.log(`UHRH Server running on port ${PORT}`);
       console.log(`FHIR Connected: ${process.env.FHIR_SERVER_URL}`);
@@ -5,6 +5,9 @@ const { FHIR } = require('fhir-kit-client');
 const { QuantumEncrypt } = require('./quantumCrypto');
 const { explain } = require('ai-explainability');
 
+// Set by the FHIR store on every Observation write (services/fhir/normalization.js)
+const NORMALIZED_QUANTITY = 'http://uhrh.local/fhir/StructureDefinition/normalized-quantity';
+
 class CKDPredictor {
   constructor() {
     this.fhir = new FHIR.Client({ baseUrl: process.env.FHIR_SERVER });
@@ -97,15 +100,15 @@ class CKDPredictor {
   async _fetchRequiredObservations(patientId) {
     const loincCodes = this.featureConfig
       .filter(f => f.type === 'observation')
-      .map(f => f.loinc);
+      .map(f => f.loincs || [f.loinc]);
 
     const results = await Promise.all(
-      loincCodes.map(code => 
+      loincCodes.map(codes => 
         this.fhir.search({
           resourceType: 'Observation',
           params: {
             patient: patientId,
-            code: `http://loinc.org|${code}`,
+            code: codes.map(code => `http://loinc.org|${code}`).join(','),
             '_sort': '-date',
             '_count': horizon === '6m' ? 3 : 6
           }
@@ -178,7 +181,8 @@ class CKDPredictor {
     return [
       { name: 'age', type: 'demographic', loinc: null, min: 0, max: 120 },
       { name: 'egfr', type: 'observation', loinc: '33914-3', min: 5, max: 120 },
-      { name: 'creatinine', type: 'observation', loinc: '2160-0', min: 0.5, max: 10 },
+      // Any creatinine result; mass (mg/dL) and molar (umol/L) codes are normalized to mg/dL
+      { name: 'creatinine', type: 'observation', loinc: '2160-0', loincs: ['2160-0', '38483-4', '14682-9', '59826-8'], min: 0.5, max: 10 },
       { name: 'uacr', type: 'observation', loinc: '14959-1', min: 0, max: 300 },
       { name: 'hypertension', type: 'condition', loinc: null, min: 0, max: 1 },
       { name: 'diabetes', type: 'condition', loinc: null, min: 0, max: 1 },
@@ -227,12 +231,12 @@ class CKDPredictor {
   _processObservationResults(results) {
     const features = {};
     
-    this.featureConfig.forEach((f, i) => {
-      if (f.type !== 'observation') return;
-      
+    // results line up with the observation features, not the whole config
+    this.featureConfig.filter(f => f.type === 'observation').forEach((f, i) => {
       const obs = results[i]?.entry?.[0]?.resource;
       if (obs) {
-        features[f.name] = obs.valueQuantity?.value || 0;
+        const normalized = obs.valueQuantity?.extension?.find(e => e.url === NORMALIZED_QUANTITY);
+        features[f.name] = (normalized?.valueQuantity || obs.valueQuantity)?.value || 0;
       }
     });
 
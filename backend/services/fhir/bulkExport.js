@@ -0,0 +1,376 @@
+// bulkExport.js - FHIR Bulk Data $export to NDJSON files
+//
+// Follows the Bulk Data async request pattern:
+//   1. Kick-off ($export, Patient/$export, Group/:id/$export) records an
+//      ExportJob and answers 202 with Content-Location straight away
+//   2. The job writes one NDJSON file per resource type to
+//      FHIR_EXPORT_DIR/<job id>/<Type>.ndjson
+//   3. $export-status/<job id> answers 202 while the job runs and the
+//      manifest once it completed; DELETE cancels it
+//   4. Files are served from $export-file/<job id>/<Type>.ndjson
+//
+// Status and files are only for the user who kicked the export off, with a
+// token that may still search every exported type.
+//
+// Jobs and their files are removed FHIR_EXPORT_TTL_HOURS after kick-off.
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { once } from 'events';
+import ExportJob from '../../models/ExportJob.js';
+import { FhirError } from './operationOutcome.js';
+import { getModel, patientCompartmentTypes, resourceTypes } from './registry.js';
+import { parseQueryString, parseSearch } from './search.js';
+import { readResource } from './resourceStore.js';
+import { authorizeAccess, requiredAccess } from './smartScopes.js';
+
+export const NDJSON = 'application/fhir+ndjson';
+
+const OUTPUT_FORMATS = [NDJSON, 'application/ndjson', 'ndjson'];
+const DEFAULT_TTL_HOURS = 24;
+const SWEEP_INTERVAL = 60 * 60 * 1000;
+const FILE_NAME = /^[A-Za-z]+\.ndjson$/;
+
+const exportDir = () => process.env.FHIR_EXPORT_DIR || path.join(os.tmpdir(), 'uhrh-fhir-export');
+const ttl = () => Number(process.env.FHIR_EXPORT_TTL_HOURS || DEFAULT_TTL_HOURS) * 60 * 60 * 1000;
+const jobDir = (jobId) => path.join(exportDir(), jobId);
+
+const toList = (value) => [].concat(value || [])
+  .flatMap((v) => String(v).split(','))
+  .map((v) => v.trim())
+  .filter(Boolean);
+
+// ---------------- Kick-off parameters ----------------
+
+/**
+ * Resource types an export at this level may contain.
+ * @param {string} level - system, patient or group
+ */
+function exportableTypes(level) {
+  if (level === 'system') return resourceTypes();
+  return ['Patient', ...patientCompartmentTypes().map((c) => c.resourceType)];
+}
+
+/**
+ * Split _typeFilter values into "Type?query" entries. Repeats and
+ * comma-separated lists are both accepted; a comma only separates entries
+ * when the next one starts with a resource type.
+ */
+function splitTypeFilters(value) {
+  return [].concat(value || []).flatMap((v) => String(v).split(/,(?=[A-Z][A-Za-z]*\?)/)).filter(Boolean);
+}
+
+/**
+ * Parse a _typeFilter entry into its type and search query.
+ * @param {string} typeFilter - e.g. "Observation?category=laboratory"
+ * @returns {{resourceType: string, query: Object}}
+ */
+function parseTypeFilter(typeFilter) {
+  const index = typeFilter.indexOf('?');
+  if (index <= 0) {
+    throw new FhirError(400, `_typeFilter '${typeFilter}' must be of the form Type?query`);
+  }
+  return {
+    resourceType: typeFilter.slice(0, index),
+    query: parseQueryString(typeFilter.slice(index + 1)),
+  };
+}
+
+/**
+ * Validate the kick-off parameters of an export.
+ *
+ * @param {string} level - system, patient or group
+ * @param {Object} query - Express query (_outputFormat, _type, _since, _typeFilter)
+ * @returns {{types: string[], since: Date|undefined, typeFilter: string[]}}
+ * @throws {FhirError} 400 for unsupported formats, types, dates or filters
+ */
+export function parseExportRequest(level, query = {}) {
+  if (query._outputFormat && !OUTPUT_FORMATS.includes(query._outputFormat)) {
+    throw new FhirError(400, `_outputFormat '${query._outputFormat}' is not supported, use ${NDJSON}`, 'not-supported');
+  }
+
+  const allowed = exportableTypes(level);
+  const requested = toList(query._type);
+  for (const type of requested) {
+    if (!allowed.includes(type)) {
+      throw new FhirError(400, `_type '${type}' cannot be exported at the ${level} level`, 'not-supported');
+    }
+  }
+  const types = requested.length ? allowed.filter((type) => requested.includes(type)) : allowed;
+
+  let since;
+  if (query._since) {
+    since = new Date(query._since);
+    if (Number.isNaN(since.getTime())) {
+      throw new FhirError(400, `_since '${query._since}' is not a valid instant`);
+    }
+  }
+
+  const typeFilter = splitTypeFilters(query._typeFilter);
+  for (const entry of typeFilter) {
+    const { resourceType, query: filterQuery } = parseTypeFilter(entry);
+    if (!allowed.includes(resourceType)) {
+      throw new FhirError(400, `_typeFilter type '${resourceType}' cannot be exported at the ${level} level`, 'not-supported');
+    }
+    // Strict so a typo does not silently export everything
+    parseSearch(resourceType, filterQuery, { strict: true });
+  }
+
+  return { types, since, typeFilter };
+}
+
+/**
+ * Mongo filter selecting the resources of one type that an export writes.
+ *
+ * @param {string} resourceType
+ * @param {Object} options
+ * @param {Date} options.transactionTime - Nothing modified after it is exported
+ * @param {Date} [options.since] - Only resources modified at or after it
+ * @param {string[]} [options.typeFilter] - "Type?query" entries; entries for this type are ORed
+ * @param {string[]} [options.compartment] - Paths placing the type in a Patient compartment
+ * @param {string[]} [options.patients] - Only these "Patient/id" references
+ *   (patient-level exports without it take every patient)
+ * @returns {Object}
+ */
+export function exportFilter(resourceType, { transactionTime, since, typeFilter = [], compartment, patients }) {
+  const lastUpdated = { $lte: transactionTime };
+  if (since) lastUpdated.$gte = since;
+  const clauses = [{ 'meta.lastUpdated': lastUpdated }];
+
+  if (resourceType === 'Patient' && patients) {
+    clauses.push({ _id: { $in: patients.map((ref) => ref.replace(/^Patient\//, '')) } });
+  } else if (compartment) {
+    const match = patients ? { $in: patients } : { $regex: '^Patient/' };
+    clauses.push({ $or: compartment.map((p) => ({ [p]: match })) });
+  }
+
+  const filters = typeFilter
+    .map(parseTypeFilter)
+    .filter((entry) => entry.resourceType === resourceType)
+    .map(({ query }) => parseSearch(resourceType, query, { strict: true }).filter);
+  if (filters.length) clauses.push({ $or: filters });
+
+  return { $and: clauses };
+}
+
+// ---------------- Running jobs ----------------
+
+/**
+ * "Patient/id" references of the active Patient members of a Group.
+ */
+async function groupPatients(groupId) {
+  const group = (await readResource(getModel('Group'), groupId)).toJSON();
+  return (group.member || [])
+    .filter((member) => !member.inactive)
+    .map((member) => member.entity?.reference)
+    .filter((reference) => reference?.startsWith('Patient/'));
+}
+
+/**
+ * Stream the matching resources of one type into an NDJSON file.
+ * @returns {Promise<number>} Resources written
+ */
+async function writeNdjson(Model, filter, file) {
+  const stream = fs.createWriteStream(file);
+  let count = 0;
+  try {
+    for await (const doc of Model.find(filter).sort({ _id: 1 }).cursor()) {
+      if (!stream.write(`${JSON.stringify(doc.toJSON())}\n`)) await once(stream, 'drain');
+      count += 1;
+    }
+  } finally {
+    stream.end();
+    await once(stream, 'close');
+  }
+  return count;
+}
+
+async function runExport(jobId) {
+  const dir = jobDir(jobId);
+  const cancelled = async () => !(await ExportJob.exists({ _id: jobId }));
+
+  try {
+    const job = await ExportJob.findByIdAndUpdate(jobId, {
+      status: 'in-progress',
+      transactionTime: new Date(),
+    }, { new: true });
+    if (!job) return;
+
+    await fs.promises.mkdir(dir, { recursive: true });
+    const patients = job.level === 'group' ? await groupPatients(job.group) : undefined;
+    const compartments = new Map(patientCompartmentTypes().map((c) => [c.resourceType, c.compartment]));
+
+    const output = [];
+    for (const [index, resourceType] of job.types.entries()) {
+      if (await cancelled()) break;
+      await ExportJob.updateOne({ _id: jobId }, { progress: `Exporting ${resourceType} (${index + 1} of ${job.types.length} types)` });
+
+      const filter = exportFilter(resourceType, {
+        transactionTime: job.transactionTime,
+        since: job.since,
+        typeFilter: job.typeFilter,
+        compartment: job.level === 'system' ? undefined : compartments.get(resourceType),
+        patients: job.level === 'system' ? undefined : patients,
+      });
+      const file = `${resourceType}.ndjson`;
+      const count = await writeNdjson(getModel(resourceType), filter, path.join(dir, file));
+      // Types with nothing to export are left out of the manifest
+      if (count) output.push({ type: resourceType, file, count });
+      else await fs.promises.rm(path.join(dir, file), { force: true });
+    }
+
+    if (await cancelled()) {
+      await fs.promises.rm(dir, { recursive: true, force: true });
+      return;
+    }
+    await ExportJob.updateOne({ _id: jobId }, { status: 'completed', progress: 'Completed', output });
+  } catch (err) {
+    console.error(`Bulk export ${jobId} failed:`, err);
+    await fs.promises.rm(dir, { recursive: true, force: true }).catch(() => {});
+    await ExportJob.updateOne({ _id: jobId }, { status: 'error', error: err.message }).catch(() => {});
+  }
+}
+
+/**
+ * Start an export in the background.
+ *
+ * @param {Object} options
+ * @param {string} options.level - system, patient or group
+ * @param {string} [options.groupId] - Group to export for group-level requests
+ * @param {Object} options.query - Kick-off parameters, see parseExportRequest()
+ * @param {string} options.request - Absolute URL of the kick-off request
+ * @param {string} options.requestedBy - Id of the user asking for it
+ * @returns {Promise<Object>} The ExportJob
+ * @throws {FhirError} 400 for invalid parameters, 401 without a user, 404
+ *   when the Group does not exist
+ */
+export async function kickOffExport({ level, groupId, query, request, requestedBy }) {
+  if (!requestedBy) throw new FhirError(401, '$export needs a bearer token');
+  const { types, since, typeFilter } = parseExportRequest(level, query);
+  if (level === 'group') await readResource(getModel('Group'), groupId);
+
+  const job = await ExportJob.create({
+    level,
+    group: groupId,
+    types,
+    since,
+    typeFilter,
+    request,
+    requestedBy,
+    expires: new Date(Date.now() + ttl()),
+  });
+  // Runs in the requesting tenant, so only its resources are exported
+  setImmediate(() => runExport(job.id));
+  return job;
+}
+
+// ---------------- Status and files ----------------
+
+/**
+ * The Bulk Data completion manifest of a job.
+ * @param {Object} job - Completed ExportJob
+ * @param {string} baseUrl - See fhirBaseUrl()
+ */
+export function exportManifest(job, baseUrl) {
+  return {
+    transactionTime: job.transactionTime.toISOString(),
+    request: job.request,
+    requiresAccessToken: true,
+    output: job.output.map(({ type, file, count }) => ({
+      type,
+      url: `${baseUrl}/$export-file/${job.id}/${file}`,
+      count,
+    })),
+    error: [],
+  };
+}
+
+/**
+ * Look up a job for status polling.
+ * @param {string} jobId
+ * @param {Object} [user] - Decoded access token of the caller
+ * @returns {Promise<Object>} The ExportJob
+ * @throws {FhirError} 401 without a user, 403 when the job is another
+ *   user's or the token's scopes no longer cover its types, 404 for
+ *   unknown, cancelled or expired jobs
+ */
+export async function exportStatus(jobId, user) {
+  if (!user) throw new FhirError(401, 'Bulk Data exports need a bearer token');
+  const job = await ExportJob.findById(jobId);
+  if (!job || job.expires <= new Date()) {
+    throw new FhirError(404, `Export ${jobId} does not exist or has expired`);
+  }
+  if (job.requestedBy !== String(user.userId)) {
+    throw new FhirError(403, `Export ${jobId} was requested by another user`);
+  }
+  if (user.scope !== undefined) {
+    authorizeAccess(user, requiredAccess('GET', '/$export', { query: { _type: job.types.join(',') } }));
+  }
+  return job;
+}
+
+/**
+ * Cancel a job, or delete a completed one, with its files.
+ * @param {string} jobId
+ * @param {Object} [user] - See exportStatus()
+ * @throws {FhirError} See exportStatus()
+ */
+export async function cancelExport(jobId, user) {
+  await exportStatus(jobId, user);
+  await ExportJob.deleteOne({ _id: jobId });
+  await fs.promises.rm(jobDir(jobId), { recursive: true, force: true });
+}
+
+/**
+ * Path of an exported NDJSON file on disk.
+ * @param {string} jobId
+ * @param {string} file - e.g. Observation.ndjson
+ * @param {Object} [user] - See exportStatus()
+ * @returns {Promise<string>}
+ * @throws {FhirError} 404 when the job or file does not exist, else see exportStatus()
+ */
+export async function exportFilePath(jobId, file, user) {
+  const job = await exportStatus(jobId, user);
+  if (!FILE_NAME.test(file) || !job.output.some((o) => o.file === file)) {
+    throw new FhirError(404, `Export ${jobId} has no file ${file}`);
+  }
+  return path.join(jobDir(jobId), file);
+}
+
+// ---------------- Expiry ----------------
+
+/**
+ * Delete expired jobs and any export directory without a live job.
+ */
+export async function sweepExports() {
+  await ExportJob.deleteMany({ expires: { $lte: new Date() } });
+
+  let entries = [];
+  try {
+    entries = await fs.promises.readdir(exportDir());
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+  }
+  for (const entry of entries) {
+    if (!(await ExportJob.exists({ _id: entry }))) {
+      await fs.promises.rm(path.join(exportDir(), entry), { recursive: true, force: true });
+    }
+  }
+}
+
+/**
+ * Fail jobs interrupted by a restart and remove expired exports hourly.
+ * @returns {Function} Stops the sweeper
+ */
+export function startBulkExport() {
+  const sweep = () => sweepExports().catch((err) => console.error('Bulk export cleanup failed:', err));
+
+  ExportJob.updateMany(
+    { status: { $in: ['accepted', 'in-progress'] } },
+    { status: 'error', error: 'The server restarted before the export finished' },
+  ).then(sweep, (err) => console.error('Bulk export startup failed:', err));
+
+  const timer = setInterval(sweep, SWEEP_INTERVAL);
+  timer.unref();
+  return () => clearInterval(timer);
+}
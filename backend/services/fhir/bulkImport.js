@@ -0,0 +1,235 @@
+// bulkImport.js - Stream NDJSON from a legacy system into the local store
+//
+// Each line holds one resource, or a Bundle whose entries are imported in
+// order. Lines are read one at a time, so imports of any size run in
+// constant memory. For every resource:
+//
+//   1. It is validated (validator.js); invalid resources are reported
+//   2. Duplicates are detected: a legacy id imported before from the same
+//      source is always skipped; a resource sharing an identifier with a
+//      stored one is skipped, or written with a possible-duplicate tag
+//   3. It gets a new local id and its references are rewritten through
+//      ImportMapping, so "Patient/123" in the legacy data points at the
+//      patient imported for legacy id 123 even if that patient comes later
+//      in the file (or in a later file from the same source)
+//
+// Problems are reported per line as OperationOutcome issues.
+import readline from 'readline';
+import { v4 as uuidv4 } from 'uuid';
+import ImportMapping from '../../models/ImportMapping.js';
+import { FhirError, toOperationOutcome } from './operationOutcome.js';
+import { getModel, resourceTypes } from './registry.js';
+import { createResource } from './resourceStore.js';
+import { validateResource } from './validator.js';
+
+export const DUPLICATE_MODES = ['skip', 'flag'];
+
+export const DUPLICATE_TAG = {
+  system: 'http://uhrh.local/fhir/CodeSystem/import',
+  code: 'possible-duplicate',
+  display: 'Possible duplicate of a stored resource',
+};
+
+const LOCAL_REFERENCE = /^([A-Z][A-Za-z]+)\/([A-Za-z0-9\-.]{1,64})$/;
+
+/**
+ * Split one NDJSON line into the resources to import.
+ * @param {string} line
+ * @returns {Array<{resource: Object, fullUrl?: string}>}
+ * @throws {SyntaxError} When the line is not JSON
+ */
+export function lineResources(line) {
+  const json = JSON.parse(line);
+  if (json?.resourceType !== 'Bundle') return [{ resource: json }];
+  return (json.entry || [])
+    .filter((entry) => entry.resource)
+    .map(({ resource, fullUrl }) => ({ resource, fullUrl }));
+}
+
+/**
+ * Replace every Reference.reference in a resource, in place.
+ * @param {*} value - Resource or part of one
+ * @param {Function} replace - async (reference) => new reference or undefined to keep it
+ */
+export async function rewriteReferences(value, replace) {
+  if (Array.isArray(value)) {
+    for (const item of value) await rewriteReferences(item, replace);
+    return;
+  }
+  if (!value || typeof value !== 'object') return;
+
+  for (const [key, child] of Object.entries(value)) {
+    if (key === 'reference' && typeof child === 'string') {
+      const replacement = await replace(child);
+      if (replacement) value.reference = replacement;
+    } else {
+      await rewriteReferences(child, replace);
+    }
+  }
+}
+
+/**
+ * The local id for a legacy Type/id, assigning one on first sight.
+ */
+async function mappedId(source, sourceReference) {
+  const mapping = await ImportMapping.findOneAndUpdate(
+    { source, sourceReference },
+    { $setOnInsert: { targetId: uuidv4() } },
+    { upsert: true, new: true },
+  );
+  return mapping.targetId;
+}
+
+/**
+ * Local target of a legacy reference. References to resources that were
+ * already in the store before the import (and were never mapped) are kept.
+ */
+async function localReference(source, reference, bundleIds) {
+  if (bundleIds.has(reference)) return bundleIds.get(reference);
+
+  const match = LOCAL_REFERENCE.exec(reference);
+  if (!match || !resourceTypes().includes(match[1])) return undefined;
+  const [, resourceType, id] = match;
+
+  const existing = await ImportMapping.findOne({ source, sourceReference: reference });
+  if (!existing && await getModel(resourceType).exists({ _id: id })) return undefined;
+  const targetId = existing ? existing.targetId : await mappedId(source, reference);
+  return `${resourceType}/${targetId}`;
+}
+
+/**
+ * A stored resource of the same type sharing a system|value identifier.
+ */
+async function identifierDuplicate(Model, resource) {
+  const identifiers = (resource.identifier || []).filter((i) => i.system && i.value);
+  if (!identifiers.length) return null;
+  return Model.findOne({
+    $or: identifiers.map(({ system, value }) => ({ identifier: { $elemMatch: { system, value } } })),
+  }, { _id: 1 });
+}
+
+/**
+ * Import one resource.
+ * @returns {Promise<{outcome: string, issues: Object[]}>} outcome is
+ *   created, duplicate or error
+ */
+async function importResource(resource, { source, duplicates, bundleIds, assignedId, agent }) {
+  const { resourceType } = resource || {};
+  if (!resourceTypes().includes(resourceType)) {
+    return { outcome: 'error', issues: [{ severity: 'error', code: 'not-supported', diagnostics: `Resource type '${resourceType}' is not supported` }] };
+  }
+  const Model = getModel(resourceType);
+
+  const { valid, issues } = validateResource(resource);
+  if (!valid) return { outcome: 'error', issues };
+
+  const sourceReference = resource.id ? `${resourceType}/${resource.id}` : undefined;
+  if (sourceReference) {
+    const previous = await ImportMapping.findOne({ source, sourceReference, imported: true });
+    if (previous) {
+      return {
+        outcome: 'duplicate',
+        issues: [{ severity: 'warning', code: 'duplicate', diagnostics: `Skipped: already imported as ${resourceType}/${previous.targetId}` }],
+      };
+    }
+  }
+
+  const body = structuredClone(resource);
+  const duplicate = await identifierDuplicate(Model, body);
+  if (duplicate && duplicates === 'skip') {
+    return {
+      outcome: 'duplicate',
+      issues: [{ severity: 'warning', code: 'duplicate', diagnostics: `Skipped: shares an identifier with ${resourceType}/${duplicate._id}` }],
+    };
+  }
+  if (duplicate) {
+    body.meta = { ...body.meta, tag: [...(body.meta?.tag || []), DUPLICATE_TAG] };
+  }
+
+  const targetId = assignedId || (sourceReference ? await mappedId(source, sourceReference) : uuidv4());
+  await rewriteReferences(body, (reference) => localReference(source, reference, bundleIds));
+
+  await createResource(Model, body, { id: targetId, agent });
+  if (sourceReference) await ImportMapping.updateOne({ source, sourceReference }, { imported: true });
+
+  return {
+    outcome: 'created',
+    issues: duplicate
+      ? [{ severity: 'warning', code: 'duplicate', diagnostics: `Imported as ${resourceType}/${targetId} but flagged: shares an identifier with ${resourceType}/${duplicate._id}` }]
+      : [],
+  };
+}
+
+/**
+ * Import an NDJSON stream into the local store.
+ *
+ * @param {stream.Readable} input - NDJSON: one resource or Bundle per line
+ * @param {Object} options
+ * @param {string} options.source - Name of the legacy system; ids are
+ *   remapped per source, so files from one system can be imported separately
+ * @param {string} [options.duplicates] - 'skip' (default) or 'flag'
+ * @param {Function} [options.onIssue] - Called with each issue, which
+ *   carries the `line` it belongs to
+ * @param {WriteAgent} [options.agent] - Who is importing; the Provenance
+ *   of each resource names `source` as its source system
+ * @throws {FhirError} 400 without a source or with an unknown duplicates mode
+ * @returns {Promise<{lines: number, resources: number, created: number, duplicates: number, errors: number, unresolved: number}>}
+ *   unresolved counts legacy references to resources not imported (yet)
+ */
+export async function importNdjson(input, { source, duplicates = 'skip', onIssue = () => {}, agent = {} }) {
+  if (!source) throw new FhirError(400, 'An import needs a source naming the system the data comes from');
+  if (!DUPLICATE_MODES.includes(duplicates)) {
+    throw new FhirError(400, `duplicates must be one of ${DUPLICATE_MODES.join(', ')}`);
+  }
+
+  const importer = { ...agent, source: 'import', system: source };
+  const summary = { lines: 0, resources: 0, created: 0, duplicates: 0, errors: 0, unresolved: 0 };
+  const report = (line, label, issue) => onIssue({
+    ...issue,
+    line,
+    diagnostics: `Line ${line}${label ? ` (${label})` : ''}: ${issue.diagnostics}`,
+  });
+
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+  for await (const text of lines) {
+    summary.lines += 1;
+    const line = summary.lines;
+    if (!text.trim()) continue;
+
+    let entries;
+    try {
+      entries = lineResources(text);
+    } catch (err) {
+      summary.errors += 1;
+      report(line, undefined, { severity: 'error', code: 'structure', diagnostics: `Not valid JSON: ${err.message}` });
+      continue;
+    }
+
+    // fullUrls of a Bundle line (e.g. urn:uuid:...) resolve to the ids its entries get
+    const bundleIds = new Map();
+    for (const entry of entries) {
+      const { resource, fullUrl } = entry;
+      if (!fullUrl || !resource.resourceType) continue;
+      entry.assignedId = resource.id ? await mappedId(source, `${resource.resourceType}/${resource.id}`) : uuidv4();
+      bundleIds.set(fullUrl, `${resource.resourceType}/${entry.assignedId}`);
+    }
+
+    for (const { resource, assignedId } of entries) {
+      summary.resources += 1;
+      const label = resource?.resourceType && `${resource.resourceType}${resource.id ? `/${resource.id}` : ''}`;
+      let result;
+      try {
+        result = await importResource(resource, { source, duplicates, bundleIds, assignedId, agent: importer });
+      } catch (err) {
+        result = { outcome: 'error', issues: toOperationOutcome(err).body.issue };
+      }
+      if (result.outcome === 'created') summary.created += 1;
+      if (result.outcome === 'duplicate') summary.duplicates += 1;
+      if (result.outcome === 'error') summary.errors += 1;
+      for (const issue of result.issues) report(line, label, issue);
+    }
+  }
+
+  summary.unresolved = await ImportMapping.countDocuments({ source, imported: false });
+  return summary;
+}
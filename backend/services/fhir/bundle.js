@@ -0,0 +1,142 @@
+// bundle.js - Build FHIR Bundle responses for the local store
+
+/**
+ * Base URL of the FHIR router handling this request, e.g.
+ * http://localhost:5000/api/fhir
+ */
+export function fhirBaseUrl(req) {
+  return `${req.protocol}://${req.get('host')}${req.baseUrl}`;
+}
+
+/**
+ * Serialize search parameters back into a query string, keeping repeats.
+ * @param {Object<string, string[]>} params
+ */
+function toQueryString(params) {
+  const search = new URLSearchParams();
+  for (const [key, values] of Object.entries(params)) {
+    for (const value of [].concat(values)) search.append(key, value);
+  }
+  return search.toString();
+}
+
+/**
+ * self/first/previous/next/last links for an offset-paged result.
+ * @param {string} url - Absolute URL of the result without a query string
+ */
+function pagingLinks(url, { params, count, offset, total }) {
+  const pageUrl = (pageOffset) =>
+    `${url}?${toQueryString({ ...params, _count: [String(count)], _offset: [String(pageOffset)] })}`;
+
+  const link = [{ relation: 'self', url: pageUrl(offset) }];
+  if (count > 0) {
+    link.push({ relation: 'first', url: pageUrl(0) });
+    if (offset > 0) {
+      link.push({ relation: 'previous', url: pageUrl(Math.max(offset - count, 0)) });
+    }
+    if (offset + count < total) {
+      link.push({ relation: 'next', url: pageUrl(offset + count) });
+    }
+    link.push({ relation: 'last', url: pageUrl(Math.max(Math.floor((total - 1) / count) * count, 0)) });
+  }
+  return link;
+}
+
+/**
+ * Build a searchset Bundle with offset paging links.
+ *
+ * @param {Object} options
+ * @param {string} options.baseUrl - See fhirBaseUrl()
+ * @param {string} options.resourceType - Searched resource type
+ * @param {string} [options.path] - Path of the search when it is not the type, e.g. "Patient/123/$everything"
+ * @param {Object[]} options.resources - Matched resources (already serialized)
+ * @param {Object[]} [options.included] - Resources added by _include/_revinclude (already serialized)
+ * @param {number} options.total - Total number of matches
+ * @param {number} options.count - Page size (_count)
+ * @param {number} options.offset - Page start (_offset)
+ * @param {Object<string, string[]>} options.params - Search parameters that were applied
+ * @returns {Object} FHIR Bundle
+ */
+export function searchsetBundle({ baseUrl, resourceType, path = resourceType, resources, included = [], total, count, offset, params }) {
+  const entry = (mode) => (resource) => ({
+    fullUrl: `${baseUrl}/${resource.resourceType}/${resource.id}`,
+    resource,
+    search: { mode },
+  });
+
+  return {
+    resourceType: 'Bundle',
+    type: 'searchset',
+    total,
+    link: pagingLinks(`${baseUrl}/${path}`, { params, count, offset, total }),
+    entry: [...resources.map(entry('match')), ...included.map(entry('include'))],
+  };
+}
+
+/**
+ * Build the searchset Bundle of Patient/$match.
+ *
+ * @param {Object} options
+ * @param {string} options.baseUrl - See fhirBaseUrl()
+ * @param {Array<{resource: Object, score: number, grade: string}>} options.matches -
+ *   Best first, resources already serialized
+ * @param {string} options.gradeExtension - URL of the match-grade extension
+ * @returns {Object} FHIR Bundle
+ */
+export function matchBundle({ baseUrl, matches, gradeExtension }) {
+  return {
+    resourceType: 'Bundle',
+    type: 'searchset',
+    total: matches.length,
+    entry: matches.map(({ resource, score, grade }) => ({
+      fullUrl: `${baseUrl}/${resource.resourceType}/${resource.id}`,
+      resource,
+      search: {
+        extension: [{ url: gradeExtension, valueCode: grade }],
+        mode: 'match',
+        score,
+      },
+    })),
+  };
+}
+
+const HISTORY_STATUS = {
+  POST: '201 Created',
+  PUT: '200 OK',
+  DELETE: '204 No Content',
+};
+
+/**
+ * Build a history Bundle from ResourceHistory records.
+ *
+ * @param {Object} options
+ * @param {string} options.baseUrl - See fhirBaseUrl()
+ * @param {string} options.path - e.g. "Patient/123/_history" or "Patient/_history"
+ * @param {Object[]} options.versions - ResourceHistory records, newest first
+ * @param {number} options.total
+ * @param {number} options.count
+ * @param {number} options.offset
+ * @param {Object<string, string[]>} options.params - e.g. { _since: [...] }
+ * @returns {Object} FHIR Bundle
+ */
+export function historyBundle({ baseUrl, path, versions, total, count, offset, params }) {
+  return {
+    resourceType: 'Bundle',
+    type: 'history',
+    total,
+    link: pagingLinks(`${baseUrl}/${path}`, { params, count, offset, total }),
+    entry: versions.map(({ resourceType, resourceId, versionId, lastUpdated, method, resource }) => ({
+      fullUrl: `${baseUrl}/${resourceType}/${resourceId}`,
+      ...(resource ? { resource } : {}),
+      request: {
+        method,
+        url: method === 'POST' ? resourceType : `${resourceType}/${resourceId}`,
+      },
+      response: {
+        status: HISTORY_STATUS[method],
+        etag: `W/"${versionId}"`,
+        lastModified: new Date(lastUpdated).toISOString(),
+      },
+    })),
+  };
+}
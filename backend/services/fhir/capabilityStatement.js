@@ -0,0 +1,125 @@
+// capabilityStatement.js - Describe what the local FHIR store supports
+import { isReadOnly, resourceOperations, resourceTypes, serverOperations } from './registry.js';
+import { getSearchParameters } from './searchParameters.js';
+
+export const FHIR_VERSION = '4.0.1';
+
+// Every registered type is mounted with the same interactions (see routes/fhir/fhir.js)
+const TYPE_INTERACTIONS = [
+  'read', 'vread', 'update', 'patch', 'delete',
+  'history-instance', 'history-type', 'create', 'search-type',
+];
+
+// Read-only types (registry.js) leave out the writes
+const READ_INTERACTIONS = ['read', 'vread', 'history-instance', 'history-type', 'search-type'];
+
+const SYSTEM_INTERACTIONS = ['transaction', 'batch'];
+
+// SMART App Launch authorization (see smart.js)
+function security(baseUrl) {
+  return {
+    service: [{
+      coding: [{ system: 'http://terminology.hl7.org/CodeSystem/restful-security-service', code: 'SMART-on-FHIR' }],
+    }],
+    extension: [{
+      url: 'http://fhir-registry.smarthealthit.org/StructureDefinition/oauth-uris',
+      extension: [
+        { url: 'authorize', valueUri: `${baseUrl}/auth/authorize` },
+        { url: 'token', valueUri: `${baseUrl}/auth/token` },
+      ],
+    }],
+  };
+}
+
+// Read-only terminology resources served by terminology.js
+const TERMINOLOGY_RESOURCES = [
+  {
+    type: 'CodeSystem',
+    interaction: [{ code: 'read' }, { code: 'search-type' }],
+    searchParam: [{ name: 'url', type: 'uri' }, { name: 'name', type: 'string' }],
+    operation: [
+      { name: 'lookup', definition: 'http://hl7.org/fhir/OperationDefinition/CodeSystem-lookup' },
+      { name: 'validate-code', definition: 'http://hl7.org/fhir/OperationDefinition/CodeSystem-validate-code' },
+    ],
+  },
+  {
+    type: 'ValueSet',
+    interaction: [{ code: 'read' }, { code: 'search-type' }],
+    searchParam: [{ name: 'url', type: 'uri' }, { name: 'name', type: 'string' }],
+    operation: [
+      { name: 'expand', definition: 'http://hl7.org/fhir/OperationDefinition/ValueSet-expand' },
+      { name: 'validate-code', definition: 'http://hl7.org/fhir/OperationDefinition/ValueSet-validate-code' },
+    ],
+  },
+];
+
+// Local parameter types are already FHIR search parameter types
+const searchParams = (resourceType) => Object.entries(getSearchParameters(resourceType))
+  .map(([name, definition]) => ({ name, type: definition.type }));
+
+/**
+ * "Type:param" for every reference parameter of `source` that can point at `target`.
+ */
+function referenceParams(source, target) {
+  return Object.entries(getSearchParameters(source))
+    .filter(([, definition]) => definition.type === 'reference')
+    .filter(([, definition]) => !target || !definition.targets || definition.targets.includes(target))
+    .map(([name]) => `${source}:${name}`);
+}
+
+function resourceCapability(resourceType) {
+  const operations = resourceOperations(resourceType);
+  const revincludes = resourceTypes().flatMap((source) => referenceParams(source, resourceType));
+  const writable = !isReadOnly(resourceType);
+
+  return {
+    type: resourceType,
+    interaction: (writable ? TYPE_INTERACTIONS : READ_INTERACTIONS).map((code) => ({ code })),
+    versioning: 'versioned-update',
+    readHistory: true,
+    updateCreate: writable,
+    conditionalCreate: writable,
+    conditionalRead: 'not-supported',
+    conditionalUpdate: writable,
+    conditionalDelete: 'not-supported',
+    searchInclude: referenceParams(resourceType),
+    searchRevInclude: revincludes,
+    searchParam: searchParams(resourceType),
+    ...(operations.length ? { operation: operations } : {}),
+  };
+}
+
+/**
+ * Build the CapabilityStatement served at /metadata from the registered
+ * resource types, their search parameters and operations.
+ *
+ * @param {Object} options
+ * @param {string} options.baseUrl - See fhirBaseUrl()
+ * @returns {Object} FHIR CapabilityStatement
+ */
+export function capabilityStatement({ baseUrl }) {
+  return {
+    resourceType: 'CapabilityStatement',
+    status: 'active',
+    date: new Date().toISOString(),
+    publisher: 'Unified Health Record Hub',
+    kind: 'instance',
+    software: { name: 'Unified Health Record Hub FHIR Server' },
+    implementation: {
+      description: 'Unified Health Record Hub local FHIR store',
+      url: baseUrl,
+    },
+    instantiates: ['http://hl7.org/fhir/uv/bulkdata/CapabilityStatement/bulk-data'],
+    fhirVersion: FHIR_VERSION,
+    format: ['json', 'xml'],
+    patchFormat: ['application/json-patch+json'],
+    rest: [{
+      mode: 'server',
+      security: security(baseUrl),
+      compartment: ['http://hl7.org/fhir/CompartmentDefinition/patient'],
+      resource: [...resourceTypes().map(resourceCapability), ...TERMINOLOGY_RESOURCES],
+      interaction: SYSTEM_INTERACTIONS.map((code) => ({ code })),
+      operation: serverOperations(),
+    }],
+  };
+}
@@ -0,0 +1,48 @@
+// events.js - Notify listeners of writes to the local store
+//
+// resourceStore publishes one 'change' event per new version. Writes made
+// inside a Mongo transaction are held back until the transaction commits,
+// so listeners never see a version that was rolled back.
+//
+// Other modules derive events from these on the same emitter:
+//   'critical-result' - a new Observation flagged LL or HH (interpretation.js)
+import { EventEmitter } from 'events';
+
+export const resourceEvents = new EventEmitter();
+
+const pending = new WeakMap();
+
+/**
+ * Publish a write, or queue it on the transaction session it belongs to.
+ * @param {Object} change
+ * @param {string} change.resourceType
+ * @param {string} change.id
+ * @param {string} change.versionId
+ * @param {string} change.method - POST, PUT or DELETE
+ * @param {Object|null} change.resource - The new version (null for deletes)
+ * @param {ClientSession} [session]
+ */
+export function publishChange(change, session) {
+  if (session?.inTransaction()) {
+    if (!pending.has(session)) pending.set(session, []);
+    pending.get(session).push(change);
+    return;
+  }
+  resourceEvents.emit('change', change);
+}
+
+/**
+ * Drop the changes queued on a session (the transaction is starting over).
+ */
+export function discardChanges(session) {
+  pending.delete(session);
+}
+
+/**
+ * Publish the changes queued on a session once its transaction committed.
+ */
+export function flushChanges(session) {
+  const changes = pending.get(session) || [];
+  pending.delete(session);
+  for (const change of changes) resourceEvents.emit('change', change);
+}
@@ -0,0 +1,117 @@
+// everything.js - Patient/$everything over the local store
+import { FhirError } from './operationOutcome.js';
+import { getModel, patientCompartmentTypes } from './registry.js';
+import { parseDateRange, parseSearch } from './search.js';
+import { readResource } from './resourceStore.js';
+
+function toList(value) {
+  if (value === undefined) return undefined;
+  return [].concat(value).flatMap((v) => String(v).split(',')).map((v) => v.trim()).filter(Boolean);
+}
+
+function parseInstant(name, value) {
+  if (value === undefined) return undefined;
+  const date = new Date(value);
+  if (typeof value !== 'string' || Number.isNaN(date.getTime())) {
+    throw new FhirError(400, `Invalid ${name} '${value}'`);
+  }
+  return date;
+}
+
+function parseCareDate(name, value) {
+  if (value === undefined) return undefined;
+  const range = typeof value === 'string' ? parseDateRange(value) : null;
+  if (!range) throw new FhirError(400, `Invalid ${name} '${value}'`);
+  return range;
+}
+
+/**
+ * Restrict a compartment type to care dates within start/end. Dates are
+ * compared as YYYY-MM-DD strings so date-only and dateTime values both
+ * sort correctly, and resources without a care date are always kept.
+ */
+function careDateClause(path, start, end) {
+  const bounds = {};
+  if (start) bounds.$gte = start.start.toISOString().slice(0, 10);
+  if (end) bounds.$lt = end.end.toISOString().slice(0, 10);
+  return { $or: [{ [path]: bounds }, { [path]: { $exists: false } }] };
+}
+
+/**
+ * Collect a patient and every resource in their compartment.
+ *
+ * Results come back in a stable order (the Patient, then each compartment
+ * type in registry order, each by id) so offset paging works across types.
+ *
+ * @param {string} patientId
+ * @param {Object} query - req.query
+ * @param {string} [query._since] - Only resources updated at or after this instant
+ * @param {string} [query._type] - Comma separated resource types to include
+ * @param {string} [query.start] - Care dates on or after this date
+ * @param {string} [query.end] - Care dates on or before this date
+ * @param {string} [query._count]
+ * @param {string} [query._offset]
+ * @returns {Promise<{resources: mongoose.Document[], total: number, count: number, offset: number, params: Object}>}
+ * @throws {FhirError} 404 when the patient does not exist, 400 for bad parameters
+ */
+export async function patientEverything(patientId, query = {}) {
+  const { count, offset } = parseSearch('Patient', { _count: query._count, _offset: query._offset });
+  const since = parseInstant('_since', query._since);
+  const start = parseCareDate('start', query.start);
+  const end = parseCareDate('end', query.end);
+  const types = toList(query._type);
+
+  const compartmentTypes = patientCompartmentTypes();
+  for (const type of types || []) {
+    if (type !== 'Patient' && !compartmentTypes.some((c) => c.resourceType === type)) {
+      throw new FhirError(400, `_type '${type}' is not a Patient compartment resource type`);
+    }
+  }
+  const wanted = (type) => !types || types.includes(type);
+
+  const Patient = getModel('Patient');
+  const patient = await readResource(Patient, patientId);
+
+  const sources = [];
+  if (wanted('Patient')) {
+    sources.push({ Model: Patient, filter: { _id: patient._id } });
+  }
+  for (const { resourceType, model, compartment, clinicalDate } of compartmentTypes) {
+    if (!wanted(resourceType)) continue;
+
+    const reference = `Patient/${patient._id}`;
+    const clauses = [{ $or: compartment.map((path) => ({ [path]: reference })) }];
+    if (since) clauses.push({ 'meta.lastUpdated': { $gte: since } });
+    if (clinicalDate && (start || end)) clauses.push(careDateClause(clinicalDate, start, end));
+    sources.push({ Model: model, filter: { $and: clauses } });
+  }
+
+  // Count every source first, then only fetch the ones this page overlaps
+  let total = 0;
+  for (const source of sources) {
+    source.total = await source.Model.countDocuments(source.filter);
+    total += source.total;
+  }
+
+  const resources = [];
+  let skip = offset;
+  for (const source of sources) {
+    if (resources.length >= count) break;
+    if (skip >= source.total) {
+      skip -= source.total;
+      continue;
+    }
+    const docs = await source.Model.find(source.filter)
+      .sort({ _id: 1 })
+      .skip(skip)
+      .limit(count - resources.length);
+    resources.push(...docs);
+    skip = 0;
+  }
+
+  const params = {};
+  for (const key of ['_since', '_type', 'start', 'end', '_summary', '_elements']) {
+    if (query[key] !== undefined) params[key] = [].concat(query[key]);
+  }
+  return { resources, total, count, offset, params };
+}
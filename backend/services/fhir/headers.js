@@ -0,0 +1,37 @@
+// headers.js - Version-aware HTTP headers for FHIR responses
+
+/**
+ * Weak ETag for a resource version, as FHIR requires: W/"3"
+ */
+export function versionEtag(versionId) {
+  return `W/"${versionId}"`;
+}
+
+/**
+ * Extract the version id from an If-Match style header value.
+ * Accepts W/"3", "3" and bare 3.
+ * @returns {string|undefined}
+ */
+export function parseEtag(value) {
+  if (!value) return undefined;
+  const match = /^(?:W\/)?"?([^"]*)"?$/.exec(value.trim());
+  return match ? match[1] : undefined;
+}
+
+/**
+ * Set ETag and Last-Modified for a resource, plus Location when it was
+ * just created.
+ * @param {Object} res - Express response
+ * @param {Object} resource - FHIR resource JSON
+ * @param {Object} [options]
+ * @param {string} [options.baseUrl] - Required with `created`
+ * @param {boolean} [options.created]
+ */
+export function setResourceHeaders(res, resource, { baseUrl, created = false } = {}) {
+  const { versionId, lastUpdated } = resource.meta || {};
+  if (versionId) res.set('ETag', versionEtag(versionId));
+  if (lastUpdated) res.set('Last-Modified', new Date(lastUpdated).toUTCString());
+  if (created && baseUrl) {
+    res.set('Location', `${baseUrl}/${resource.resourceType}/${resource.id}/_history/${versionId}`);
+  }
+}
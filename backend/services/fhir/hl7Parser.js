@@ -1,262 +1,499 @@
-// hl7Parser.js - HL7 v2.x to FHIR R4 Parser with Clinical Data Enhancement
-const { HL7 } = require('hl7-standard');
-const { FHIR } = require('fhir-kit-client');
-const { ClinicalMapper } = require('./clinicalMapper');
-const { QuantumChecksum } = require('./quantumCrypto');
-const { AuditLog } = require('./audit');
-
-class HL7Parser {
-  constructor() {
-    this.hl7 = new HL7();
-    this.fhir = new FHIR.Client({ baseUrl: process.env.FHIR_SERVER });
-    this.mapper = new ClinicalMapper();
-    this.crypto = new QuantumChecksum();
-    this.audit = new AuditLog();
-    this.messageRegistry = new Map(); // For duplicate detection
+// hl7Parser.js - HL7 v2.x messages from the hospital feeds to FHIR R4
+//
+// Messages arrive in ER7 ("pipe and hat") encoding and are read by the small
+// segment parser below: the feeds only send a handful of segments, so no
+// HL7 library is needed. The separators are taken from MSH-1 and MSH-2, and
+// escape sequences (\F\, \S\, \T\, \R\, \E\) are decoded in every value.
+//
+//   ADT^A01/A04/A08  PID is registered against the master patient index
+//                    (mpi.js), so a known person keeps their chart; PV1
+//                    becomes the Encounter
+//   ADT^A40          the duplicate named in MRG is merged into the PID
+//                    patient (patientMerge.js)
+//   ORU^R01          PID is registered as for ADT; every OBX becomes an
+//                    Observation of that patient
+//
+// Encounters and Observations are returned, not stored: pass them to
+// submitToFhir() to write them to the local store in one transaction.
+// Everything is read and written in the hospital the feed comes from,
+// given as `organization` (see tenancy.js).
+import { linkPatient } from './mpi.js';
+import { FhirError } from './operationOutcome.js';
+import { mergePatients } from './patientMerge.js';
+import { runInTenant } from './tenancy.js';
+import { processBundle } from './transaction.js';
+
+// Who wrote what the feed stores, for its Provenance (see provenance.js)
+export const HL7_AGENT = { who: 'hl7-adt', source: 'hl7' };
+
+// A message control id seen within this window is answered as a duplicate
+const DUPLICATE_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+const V2_IDENTIFIER_TYPE = 'http://terminology.hl7.org/CodeSystem/v2-0203';
+const V3_ACT_CODE = 'http://terminology.hl7.org/CodeSystem/v3-ActCode';
+const V3_PARTICIPATION_TYPE = 'http://terminology.hl7.org/CodeSystem/v3-ParticipationType';
+const V3_INTERPRETATION = 'http://terminology.hl7.org/CodeSystem/v3-ObservationInterpretation';
+const UCUM = 'http://unitsofmeasure.org';
+
+// HL7 table 0396 coding systems as FHIR system URIs
+const CODING_SYSTEMS = {
+  LN: 'http://loinc.org',
+  SCT: 'http://snomed.info/sct',
+  SNM: 'http://snomed.info/sct',
+  UCUM,
+  I10: 'http://hl7.org/fhir/sid/icd-10',
+};
+
+const GENDERS = { M: 'male', F: 'female', O: 'other', A: 'other', U: 'unknown', N: 'unknown' };
+const NAME_USES = { L: 'official', D: 'usual', M: 'maiden', N: 'nickname', A: 'anonymous', B: 'old' };
+const ADDRESS_USES = { H: 'home', B: 'work', C: 'temp', O: 'old', BA: 'old' };
+
+// PV1-2 patient class as Encounter.class
+const PATIENT_CLASSES = {
+  I: { code: 'IMP', display: 'inpatient encounter' },
+  O: { code: 'AMB', display: 'ambulatory' },
+  E: { code: 'EMER', display: 'emergency' },
+  P: { code: 'PRENC', display: 'pre-admission' },
+  R: { code: 'AMB', display: 'ambulatory' },
+  B: { code: 'IMP', display: 'inpatient encounter' },
+};
+
+// OBX-11 result status as Observation.status
+const RESULT_STATUSES = {
+  F: 'final',
+  C: 'corrected',
+  P: 'preliminary',
+  R: 'preliminary',
+  I: 'registered',
+  S: 'preliminary',
+  X: 'cancelled',
+  D: 'entered-in-error',
+  W: 'entered-in-error',
+};
+
+// ---------------- ER7 parsing ----------------
+
+function unescapeValue(value, separators) {
+  if (!value.includes(separators.escape)) return value;
+  const escape = separators.escape.replace(/[\\^$.*+?()[\]{}|]/g, '\\$&');
+  return value.replace(new RegExp(`${escape}([FSTRE])${escape}`, 'g'), (_, code) => ({
+    F: separators.field,
+    S: separators.component,
+    T: separators.subcomponent,
+    R: separators.repetition,
+    E: separators.escape,
+  })[code]);
+}
+
+/**
+ * A field as repetitions of components of subcomponents, decoded.
+ * @returns {Array<Array<Array<string>>>}
+ */
+function splitField(raw, separators) {
+  if (!raw) return [];
+  return raw.split(separators.repetition).map((repetition) => repetition
+    .split(separators.component)
+    .map((component) => component.split(separators.subcomponent).map((part) => unescapeValue(part, separators))));
+}
+
+/**
+ * Parse an ER7 encoded message.
+ * @param {string} message - Segments separated by carriage returns (or newlines)
+ * @returns {{type: string, controlId: string, segments: Array<{name: string, fields: Array}>}}
+ *   fields[n] is field n of the segment, see splitField()
+ * @throws {FhirError} 400 when the message does not start with MSH
+ */
+export function parseMessage(message) {
+  const text = String(message || '').trim();
+  if (!/^MSH[^A-Za-z0-9\r\n]/.test(text)) {
+    throw new FhirError(400, 'An HL7 message must start with an MSH segment');
   }
+  const [field, component = '^', repetition = '~', escape = '\\', subcomponent = '&'] = text.slice(3, 8);
+  const separators = { field, component, repetition, escape, subcomponent };
+
+  const segments = text.split(/\r\n|\r|\n/).filter((line) => line.trim()).map((line) => {
+    const values = line.split(field);
+    const name = values[0];
+    // MSH-1 is the field separator itself and MSH-2 holds the other
+    // separators, so neither is split
+    const fields = name === 'MSH'
+      ? [name, [[[field]]], [[[values[1]]]], ...values.slice(2).map((raw) => splitField(raw, separators))]
+      : [name, ...values.slice(1).map((raw) => splitField(raw, separators))];
+    return { name, fields };
+  });
+
+  const msh = segments[0];
+  const messageType = first(msh, 9);
+  return {
+    type: [value(messageType, 1), value(messageType, 2)].filter(Boolean).join('^'),
+    controlId: value(first(msh, 10)),
+    segments,
+  };
+}
 
-  // 1. Core HL7 Message Parsing
-  async parse(message, metadata = {}) {
-    // Validate message integrity
-    const checksum = await this.crypto.verify(message);
-    if (!checksum.valid) {
-      throw new Error(`Message checksum invalid: ${checksum.error}`);
-    }
+/** Every repetition of field n of a segment. */
+const repetitions = (segment, n) => segment?.fields[n] || [];
 
-    // Parse raw HL7
-    const hl7Message = this.hl7.parse(message);
+/** The first repetition of field n of a segment. */
+const first = (segment, n) => repetitions(segment, n)[0] || [];
 
-    // Check for duplicates
-    if (this._isDuplicate(hl7Message)) {
-      return { status: 'duplicate', messageId: hl7Message.msh.messageControlId };
-    }
+/** One component (or subcomponent) of a field repetition, undefined when empty. */
+const value = (field, component = 1, subcomponent = 1) => field[component - 1]?.[subcomponent - 1] || undefined;
 
-    // Convert to FHIR based on message type
-    let fhirResources;
-    switch (hl7Message.msh.messageType) {
-      case 'ADT^A01':
-      case 'ADT^A04':
-        fhirResources = await this._parseAdt(hl7Message);
-        break;
-      case 'ORU^R01':
-        fhirResources = await this._parseOru(hl7Message);
-        break;
-      case 'ORM^O01':
-        fhirResources = await this._parseOrm(hl7Message);
-        break;
-      default:
-        throw new Error(`Unsupported message type: ${hl7Message.msh.messageType}`);
-    }
+const findSegment = (message, name) => message.segments.find((segment) => segment.name === name);
+const findSegments = (message, name) => message.segments.filter((segment) => segment.name === name);
 
-    // Enhance with clinical context
-    const enhancedResources = await this._enhanceResources(fhirResources);
+// ---------------- Data types ----------------
 
-    // Audit the processing
-    await this.audit.log('HL7_INGEST', {
-      messageId: hl7Message.msh.messageControlId,
-      messageType: hl7Message.msh.messageType,
-      resourceCount: enhancedResources.length
-    });
+/** Drop undefined values and empty arrays. */
+function compact(object) {
+  return Object.fromEntries(Object.entries(object)
+    .filter(([, v]) => v !== undefined && !(Array.isArray(v) && !v.length)));
+}
 
-    return {
-      status: 'processed',
-      messageId: hl7Message.msh.messageControlId,
-      resources: enhancedResources
-    };
-  }
+/**
+ * DT or DTM as a FHIR date or dateTime. Times without an offset are taken as UTC.
+ */
+function toDateTime(ts) {
+  const match = /^(\d{4})(\d{2})?(\d{2})?(?:(\d{2})(\d{2})?(\d{2})?(?:\.\d+)?)?([+-]\d{4})?$/.exec(ts || '');
+  if (!match) return undefined;
+  const [, year, month, day, hour, minute = '00', second = '00', offset] = match;
+  const date = [year, month, day].filter(Boolean).join('-');
+  if (!hour || !day) return date;
+  const zone = offset ? `${offset.slice(0, 3)}:${offset.slice(3)}` : 'Z';
+  return `${date}T${hour}:${minute}:${second}${zone}`;
+}
 
-  // 2. ADT Message Handling (Admit/Register)
-  async _parseAdt(hl7Message) {
-    const resources = [];
-    const patient = this.mapper.mapPidToPatient(hl7Message.pid);
-    const encounter = this.mapper.mapPv1ToEncounter(hl7Message.pv1);
+const toDate = (ts) => toDateTime(ts)?.slice(0, 10);
+
+/** CE or CWE as a CodeableConcept. */
+function mapCodeableConcept(ce) {
+  const coding = [[1, 2, 3], [4, 5, 6]]
+    .map(([code, display, system]) => compact({
+      system: CODING_SYSTEMS[value(ce, system)],
+      code: value(ce, code),
+      display: value(ce, display),
+    }))
+    .filter((c) => c.code);
+  const text = value(ce, 9) || (coding.length ? undefined : value(ce, 2) || value(ce, 1));
+  return compact({ coding, text });
+}
 
-    // Link resources
-    encounter.subject = { reference: `Patient/${patient.id}` };
-    if (hl7Message.pv1.admittingDoctor) {
-      encounter.participant = [{
-        individual: {
-          reference: `Practitioner/${hl7Message.pv1.admittingDoctor.id}`
-        }
-      }];
-    }
+/**
+ * CX as an Identifier. The system comes from the assigning authority
+ * (CX-4) when it has an ISO OID or URI.
+ */
+function mapIdentifier(cx) {
+  const id = value(cx, 1);
+  if (!id) return null;
+  const universalId = value(cx, 4, 2);
+  const universalIdType = value(cx, 4, 3);
+  const system = universalIdType === 'ISO' ? `urn:oid:${universalId}` : universalIdType === 'URI' ? universalId : undefined;
+  const type = value(cx, 5);
+  return compact({
+    use: type === 'MR' ? 'usual' : undefined,
+    type: type ? { coding: [{ system: V2_IDENTIFIER_TYPE, code: type }] } : undefined,
+    system,
+    value: id,
+  });
+}
 
-    resources.push(patient, encounter);
+/** A CX list with the medical record number (type MR) first. */
+function mapIdentifiers(list) {
+  const identifiers = list.map(mapIdentifier).filter(Boolean);
+  const isMrn = (identifier) => identifier.type?.coding[0].code === 'MR';
+  return [...identifiers.filter(isMrn), ...identifiers.filter((i) => !isMrn(i))];
+}
 
-    // Handle insurance information
-    if (hl7Message.in1) {
-      const coverage = this.mapper.mapIn1ToCoverage(hl7Message.in1);
-      coverage.beneficiary = { reference: `Patient/${patient.id}` };
-      resources.push(coverage);
-    }
+/** XPN as a HumanName. */
+function mapName(xpn) {
+  return compact({
+    use: NAME_USES[value(xpn, 7)],
+    family: value(xpn, 1),
+    given: [value(xpn, 2), value(xpn, 3)].filter(Boolean),
+    suffix: [value(xpn, 4), value(xpn, 6)].filter(Boolean),
+    prefix: [value(xpn, 5)].filter(Boolean),
+  });
+}
 
-    return resources;
-  }
+/** XAD as an Address. */
+function mapAddress(xad) {
+  return compact({
+    use: ADDRESS_USES[value(xad, 7)],
+    type: value(xad, 7) === 'M' ? 'postal' : undefined,
+    line: [value(xad, 1), value(xad, 2)].filter(Boolean),
+    city: value(xad, 3),
+    state: value(xad, 4),
+    postalCode: value(xad, 5),
+    country: value(xad, 6),
+  });
+}
 
-  // 3. ORU Message Handling (Observations)
-  async _parseOru(hl7Message) {
-    const resources = [];
-    const patient = this.mapper.mapPidToPatient(hl7Message.pid);
-    resources.push(patient);
-
-    // Process each OBX segment
-    for (const obx of hl7Message.obx) {
-      const observation = this.mapper.mapObxToObservation(obx);
-      observation.subject = { reference: `Patient/${patient.id}` };
-
-      // Link to order if available
-      if (hl7Message.orc) {
-        observation.basedOn = [{
-          reference: `ServiceRequest/${hl7Message.orc.orderControl}`
-        }];
-      }
+/** XCN as a participant of the given type. */
+function mapParticipant(xcn, type) {
+  const id = value(xcn, 1);
+  const display = [value(xcn, 6), value(xcn, 3), value(xcn, 2)].filter(Boolean).join(' ');
+  if (!id && !display) return null;
+  return {
+    type: [{ coding: [{ system: V3_PARTICIPATION_TYPE, code: type }] }],
+    individual: compact({ identifier: id ? { value: id } : undefined, display: display || undefined }),
+  };
+}
 
-      // Add clinical interpretation
-      if (obx.interpretationCodes) {
-        observation.interpretation = this.mapper.mapInterpretation(obx);
-      }
+// ---------------- Segments ----------------
+
+/**
+ * PID as a Patient: identifiers (PID-3, MRN first), name (PID-5),
+ * birthDate (PID-7), gender (PID-8) and address (PID-11).
+ */
+export function mapPidToPatient(pid) {
+  return compact({
+    resourceType: 'Patient',
+    identifier: mapIdentifiers(repetitions(pid, 3)),
+    name: repetitions(pid, 5).map(mapName).filter((name) => name.family || name.given),
+    birthDate: toDate(value(first(pid, 7))),
+    gender: GENDERS[value(first(pid, 8))],
+    address: repetitions(pid, 11).map(mapAddress).filter((address) => Object.keys(address).length),
+  });
+}
 
-      resources.push(observation);
-    }
+/**
+ * MRG-1 (prior patient identifier list) as Identifiers, MRN first.
+ */
+export function mapMrgToIdentifiers(mrg) {
+  return mapIdentifiers(repetitions(mrg, 1));
+}
 
-    return resources;
+/**
+ * PV1 as an Encounter: class (PV1-2), location (PV1-3), attending and
+ * admitting doctors (PV1-7, PV1-17), visit number (PV1-19) and period
+ * (PV1-44, PV1-45). Encounters with a discharge time are finished.
+ */
+export function mapPv1ToEncounter(pv1) {
+  const patientClass = PATIENT_CLASSES[value(first(pv1, 2))];
+  const location = first(pv1, 3);
+  const locationName = [value(location, 4), value(location, 1), value(location, 2), value(location, 3)]
+    .filter(Boolean).join(' ');
+  const start = toDateTime(value(first(pv1, 44)));
+  const end = toDateTime(value(first(pv1, 45)));
+  const visit = mapIdentifier(first(pv1, 19));
+
+  return compact({
+    resourceType: 'Encounter',
+    identifier: visit ? [visit] : undefined,
+    status: end ? 'finished' : 'in-progress',
+    class: patientClass
+      ? { system: V3_ACT_CODE, ...patientClass }
+      : { system: 'http://terminology.hl7.org/CodeSystem/v3-NullFlavor', code: 'UNK' },
+    participant: [
+      ...repetitions(pv1, 7).map((xcn) => mapParticipant(xcn, 'ATND')),
+      ...repetitions(pv1, 17).map((xcn) => mapParticipant(xcn, 'ADM')),
+    ].filter(Boolean),
+    location: locationName ? [{ location: { display: locationName } }] : undefined,
+    period: start || end ? compact({ start, end }) : undefined,
+  });
+}
+
+function mapReferenceRange(range, unit) {
+  const match = /^\s*(-?[\d.]+)\s*-\s*(-?[\d.]+)\s*$/.exec(range || '');
+  if (!match) return range ? [{ text: range }] : undefined;
+  const quantity = (v) => compact({ value: Number(v), ...unit });
+  return [{ low: quantity(match[1]), high: quantity(match[2]) }];
+}
+
+/**
+ * OBX as an Observation: code (OBX-3), value (OBX-5 as read by its type in
+ * OBX-2, with units from OBX-6), reference range (OBX-7), interpretation
+ * (OBX-8), status (OBX-11) and effective time (OBX-14, else `effective`).
+ * @param {Object} obx
+ * @param {string} [effective] - FHIR dateTime of the order (OBR-7)
+ */
+export function mapObxToObservation(obx, effective) {
+  const valueType = value(first(obx, 2));
+  const values = repetitions(obx, 5);
+  const units = first(obx, 6);
+  const unit = value(units, 1) ? compact({
+    unit: value(units, 2) || value(units, 1),
+    system: CODING_SYSTEMS[value(units, 3)],
+    code: value(units, 1),
+  }) : {};
+
+  let result;
+  if (valueType === 'NM' && values.length && !Number.isNaN(Number(value(values[0])))) {
+    result = { valueQuantity: compact({ value: Number(value(values[0])), ...unit }) };
+  } else if (valueType === 'CE' || valueType === 'CWE') {
+    result = { valueCodeableConcept: mapCodeableConcept(values[0] || []) };
+  } else if (values.length) {
+    result = { valueString: values.map((v) => v.map((c) => c.join(' ')).join(' ')).join('\n') };
   }
 
-  // 4. ORM Message Handling (Orders)
-  async _parseOrm(hl7Message) {
-    const resources = [];
-    const patient = this.mapper.mapPidToPatient(hl7Message.pid);
-    resources.push(patient);
+  return compact({
+    resourceType: 'Observation',
+    status: RESULT_STATUSES[value(first(obx, 11))] || 'final',
+    code: mapCodeableConcept(first(obx, 3)),
+    effectiveDateTime: toDateTime(value(first(obx, 14))) || effective,
+    ...result,
+    referenceRange: mapReferenceRange(value(first(obx, 7)), unit),
+    interpretation: repetitions(obx, 8)
+      .map((flag) => value(flag))
+      .filter(Boolean)
+      .map((code) => ({ coding: [{ system: V3_INTERPRETATION, code }] })),
+  });
+}
 
-    // Process ORC segment
-    const serviceRequest = this.mapper.mapOrcToServiceRequest(hl7Message.orc);
-    serviceRequest.subject = { reference: `Patient/${patient.id}` };
+// ---------------- Parser ----------------
 
-    // Process OBR segment if present
-    if (hl7Message.obr) {
-      Object.assign(serviceRequest, this.mapper.mapObrToServiceRequest(hl7Message.obr));
-    }
+export default class HL7Parser {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.organization] - Organization id of the feed's hospital
+   */
+  constructor({ organization } = {}) {
+    this.organization = organization;
+    this.messageRegistry = new Map(); // Control id -> when it was seen, for duplicate detection
+  }
 
-    resources.push(serviceRequest);
+  /**
+   * Process one message.
+   * @param {string} message - ER7 encoded message
+   * @returns {Promise<{status: 'processed'|'duplicate', messageId: string, resources?: Object[]}>}
+   * @throws {FhirError} 400 for messages that cannot be read or are not supported
+   */
+  async parse(message) {
+    const hl7Message = parseMessage(message);
 
-    // Handle medication orders
-    if (hl7Message.rxe) {
-      const medicationRequest = this.mapper.mapRxeToMedicationRequest(hl7Message.rxe);
-      medicationRequest.subject = { reference: `Patient/${patient.id}` };
-      resources.push(medicationRequest);
+    if (this._isDuplicate(hl7Message)) {
+      return { status: 'duplicate', messageId: hl7Message.controlId };
     }
 
-    return resources;
-  }
-
-  // 5. Clinical Data Enhancement
-  async _enhanceResources(resources) {
-    const enhanced = [];
-    
-    for (const resource of resources) {
-      // Add clinical context to observations
-      if (resource.resourceType === 'Observation') {
-        const enhancedObs = await this._enhanceObservation(resource);
-        enhanced.push(enhancedObs);
-      } 
-      // Add geocoding to addresses
-      else if (resource.resourceType === 'Patient' && resource.address) {
-        const enhancedPatient = await this._enhanceAddress(resource);
-        enhanced.push(enhancedPatient);
-      } else {
-        enhanced.push(resource);
+    const resources = await runInTenant(this.organization, () => {
+      switch (hl7Message.type) {
+        case 'ADT^A01':
+        case 'ADT^A04':
+        case 'ADT^A08':
+          return this._parseAdt(hl7Message);
+        case 'ADT^A40':
+          return this._parseMerge(hl7Message);
+        case 'ORU^R01':
+          return this._parseOru(hl7Message);
+        default:
+          throw new FhirError(400, `Unsupported HL7 message type: ${hl7Message.type || 'none'}`);
       }
-    }
+    });
 
-    return enhanced;
+    return { status: 'processed', messageId: hl7Message.controlId, resources };
   }
 
-  async _enhanceObservation(observation) {
-    // Add reference ranges based on LOINC code
-    if (observation.code?.coding?.[0]?.code) {
-      const ranges = await this.mapper.getReferenceRanges(observation.code.coding[0].code);
-      if (ranges) {
-        observation.referenceRange = ranges;
-      }
-    }
+  // Register the PID patient against the master patient index so a known person keeps their chart
+  async _linkPatient(hl7Message) {
+    const pid = findSegment(hl7Message, 'PID');
+    if (!pid) throw new FhirError(400, `${hl7Message.type} message has no PID segment`);
+    const { patient } = await linkPatient(mapPidToPatient(pid), { source: 'hl7-adt', agent: HL7_AGENT });
+    return patient.toJSON();
+  }
 
-    // Add risk flags for abnormal values
-    if (observation.interpretation) {
-      observation.extension = observation.extension || [];
-      observation.extension.push({
-        url: 'http://uhrh.org/risk-flag',
-        valueCodeableConcept: this.mapper.mapRiskLevel(observation)
-      });
-    }
+  // ADT^A01/A04/A08 (Admit, Register, Update)
+  async _parseAdt(hl7Message) {
+    const patient = await this._linkPatient(hl7Message);
+    const pv1 = findSegment(hl7Message, 'PV1');
+    if (!pv1) return [patient];
+
+    const encounter = mapPv1ToEncounter(pv1);
+    encounter.subject = { reference: `Patient/${patient.id}` };
+    return [patient, encounter];
+  }
 
-    return observation;
+  // ADT^A40 (Merge Patient): MRG holds the duplicate's identifiers, PID the survivor's
+  async _parseMerge(hl7Message) {
+    const pid = findSegment(hl7Message, 'PID');
+    const mrg = findSegment(hl7Message, 'MRG');
+    if (!pid || !mrg) throw new FhirError(400, 'ADT^A40 message needs PID and MRG segments');
+
+    const survivor = mapPidToPatient(pid);
+    const prior = mapMrgToIdentifiers(mrg);
+    const identifierParameters = (name, identifiers) => identifiers
+      .map((identifier) => ({ name, valueIdentifier: identifier }));
+
+    const result = await mergePatients({
+      resourceType: 'Parameters',
+      parameter: [
+        ...identifierParameters('source-patient-identifier', prior),
+        // The MRN comes first in PID-3
+        ...identifierParameters('target-patient-identifier', (survivor.identifier || []).slice(0, 1)),
+      ],
+    }, { agent: HL7_AGENT });
+
+    const patient = result.parameter.find((p) => p.name === 'result').resource;
+    return [patient];
   }
 
-  async _enhanceAddress(patient) {
-    // Geocode addresses using external service
-    const geocoded = await Promise.all(
-      patient.address.map(async addr => {
-        if (addr.line && addr.city && addr.state) {
-          const geo = await this.mapper.geocodeAddress(addr);
-          return { ...addr, extension: geo };
-        }
-        return addr;
-      })
-    );
-
-    return { ...patient, address: geocoded };
+  // ORU^R01 (Observation Result)
+  async _parseOru(hl7Message) {
+    const patient = await this._linkPatient(hl7Message);
+    const obr = findSegment(hl7Message, 'OBR');
+    const effective = toDateTime(value(first(obr, 7)));
+
+    const observations = findSegments(hl7Message, 'OBX').map((obx) => ({
+      ...mapObxToObservation(obx, effective),
+      subject: { reference: `Patient/${patient.id}` },
+    }));
+    return [patient, ...observations];
   }
 
-  // 6. Duplicate Detection
   _isDuplicate(hl7Message) {
-    const messageId = hl7Message.msh.messageControlId;
-    if (this.messageRegistry.has(messageId)) {
-      return true;
+    const now = Date.now();
+    for (const [id, seen] of this.messageRegistry) {
+      if (now - seen > DUPLICATE_WINDOW_MS) this.messageRegistry.delete(id);
     }
 
-    // Store for 24 hours
-    this.messageRegistry.set(messageId, new Date());
-    setTimeout(() => this.messageRegistry.delete(messageId), 24 * 60 * 60 * 1000);
+    const messageId = hl7Message.controlId;
+    if (!messageId) return false;
+    if (this.messageRegistry.has(messageId)) return true;
+    this.messageRegistry.set(messageId, now);
     return false;
   }
 
-  // 7. Batch Processing
+  /**
+   * Process messages in batches of `batchSize` at a time.
+   * @param {string[]} messages
+   * @param {Object} [options]
+   * @param {number} [options.batchSize=10]
+   * @param {number} [options.throttle] - Milliseconds to wait between batches
+   */
   async processBatch(messages, options = {}) {
     const results = [];
     const batchSize = options.batchSize || 10;
 
     for (let i = 0; i < messages.length; i += batchSize) {
       const batch = messages.slice(i, i + batchSize);
-      const batchResults = await Promise.all(
-        batch.map(msg => this.parse(msg, options))
-      );
-      results.push(...batchResults);
+      results.push(...await Promise.all(batch.map((message) => this.parse(message))));
 
-      // Throttle if needed
       if (options.throttle) {
-        await new Promise(resolve => setTimeout(resolve, options.throttle));
+        await new Promise((resolve) => setTimeout(resolve, options.throttle));
       }
     }
 
     return results;
   }
 
-  // 8. FHIR Submission
-  async submitToFhir(resources) {
+  /**
+   * Store what parse() returned in the local store, as one transaction.
+   * Resources that already have an id (the linked or merged Patient) were
+   * stored by parse() and are left out.
+   * @param {Object[]} resources
+   * @param {Object} [options]
+   * @param {string} [options.baseUrl] - For the fullUrls of the response
+   * @returns {Promise<Object>} transaction-response Bundle
+   */
+  async submitToFhir(resources, { baseUrl = process.env.FHIR_BASE_URL || '' } = {}) {
     const bundle = {
       resourceType: 'Bundle',
       type: 'transaction',
-      entry: resources.map(resource => ({
-        resource,
-        request: {
-          method: resource.id ? 'PUT' : 'POST',
-          url: `${resource.resourceType}${resource.id ? `/${resource.id}` : ''}`
-        }
-      }))
+      entry: resources
+        .filter((resource) => !resource.id)
+        .map((resource) => ({ resource, request: { method: 'POST', url: resource.resourceType } })),
     };
 
-    return this.fhir.transaction({ body: bundle });
+    return runInTenant(this.organization, () => processBundle(bundle, { baseUrl, agent: HL7_AGENT }));
   }
 }
-
-module.exports = HL7Parser;
\ No newline at end of file
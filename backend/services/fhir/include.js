@@ -0,0 +1,125 @@
+// include.js - _include and _revinclude for searches over the local store
+import { FhirError } from './operationOutcome.js';
+import { getModel, resourceTypes } from './registry.js';
+import { getSearchParameters } from './searchParameters.js';
+
+// Upper bound on included resources per search page
+export const MAX_INCLUDE = 1000;
+
+function toList(value) {
+  if (value === undefined) return [];
+  return [].concat(value).map(String);
+}
+
+/**
+ * Parse "Source:param[:Target]" into the reference search parameter it names.
+ * Returns null for parameters that do not exist so lenient searches can skip them.
+ */
+function parseInclude(name, value) {
+  const [source, param, target] = value.split(':');
+  if (!source || !param) {
+    throw new FhirError(400, `Invalid ${name} '${value}', expected Type:parameter`);
+  }
+  if (!resourceTypes().includes(source)) return null;
+  const definition = getSearchParameters(source)[param];
+  if (!definition || definition.type !== 'reference') return null;
+  return { source, param, target, path: definition.path, targets: definition.targets || [] };
+}
+
+/**
+ * Every value at a dotted path, stepping through arrays along the way.
+ */
+function valuesAt(value, path) {
+  if (value === undefined || value === null) return [];
+  if (Array.isArray(value)) return value.flatMap((item) => valuesAt(item, path));
+  if (!path) return [value];
+  const [head, ...rest] = path.split('.');
+  return valuesAt(value[head], rest.join('.'));
+}
+
+function splitReference(reference) {
+  const [type, id] = String(reference).split('/').slice(-2);
+  return type && id ? { type, id } : null;
+}
+
+/**
+ * Resolve the _include and _revinclude parameters of a search.
+ *
+ * _include=Observation:subject follows the matched resources' references;
+ * _revinclude=Observation:subject finds resources pointing at the matches.
+ * Referenced types the local store does not hold are skipped.
+ *
+ * @param {string} resourceType - Searched resource type
+ * @param {mongoose.Document[]} matches - The page of matched resources
+ * @param {Object} query - req.query
+ * @param {Object} [options]
+ * @param {boolean} [options.strict] - Reject unknown include parameters
+ * @param {ClientSession} [options.session]
+ * @returns {Promise<{included: mongoose.Document[], params: Object<string, string[]>}>}
+ *   The included resources (without duplicates of the matches) and the
+ *   include parameters that were applied
+ */
+export async function resolveIncludes(resourceType, matches, query = {}, { strict = false, session } = {}) {
+  const params = {};
+  const seen = new Set(matches.map((doc) => `${resourceType}/${doc._id}`));
+  const included = [];
+
+  const add = (type, docs) => {
+    for (const doc of docs) {
+      const key = `${type}/${doc._id}`;
+      if (!seen.has(key) && included.length < MAX_INCLUDE) {
+        seen.add(key);
+        included.push(doc);
+      }
+    }
+  };
+
+  const applied = (name, value, include) => {
+    if (include) {
+      params[name] = [...(params[name] || []), value];
+      return true;
+    }
+    if (strict) throw new FhirError(400, `Unknown ${name} '${value}' for ${resourceType}`);
+    return false;
+  };
+
+  // Sequential: a transaction session cannot run operations in parallel
+  for (const value of toList(query._include)) {
+    const include = parseInclude('_include', value);
+    if (!applied('_include', value, include && include.source === resourceType ? include : null)) continue;
+
+    const idsByType = {};
+    for (const doc of matches) {
+      for (const reference of valuesAt(doc.toObject({ transform: false }), include.path)) {
+        const ref = splitReference(reference);
+        if (!ref || (include.target && ref.type !== include.target)) continue;
+        (idsByType[ref.type] ||= new Set()).add(ref.id);
+      }
+    }
+    for (const [type, ids] of Object.entries(idsByType)) {
+      if (!resourceTypes().includes(type)) continue;
+      const docs = await getModel(type)
+        .find({ _id: { $in: [...ids] } })
+        .limit(MAX_INCLUDE)
+        .session(session || null);
+      add(type, docs);
+    }
+  }
+
+  for (const value of toList(query._revinclude)) {
+    const include = parseInclude('_revinclude', value);
+    const pointsHere = include
+      && (!include.targets.length || include.targets.includes(resourceType))
+      && (!include.target || include.target === resourceType);
+    if (!applied('_revinclude', value, pointsHere ? include : null) || !matches.length) continue;
+
+    const docs = await getModel(include.source)
+      .find({ [include.path]: { $in: matches.map((doc) => `${resourceType}/${doc._id}`) } })
+      .sort({ _id: 1 })
+      .limit(MAX_INCLUDE)
+      .session(session || null);
+    add(include.source, docs);
+  }
+
+  return { included, params };
+}
@@ -0,0 +1,335 @@
+// interpretation.js - Reference ranges and interpretation flags for Observations
+//
+// Every Observation write without a referenceRange gets the one from the
+// catalog below for its LOINC code and the patient's sex and age at the
+// time of the result; one without an interpretation is flagged against it
+// (v3 ObservationInterpretation N, L, H, or LL/HH past the critical limits).
+// Ranges and limits are in the catalog's unit and values are converted to
+// it first, so a creatinine in umol/L is judged against the mg/dL range.
+//
+// Newly created critical results are announced on resourceEvents as
+// 'critical-result' once startCriticalResults() is running (see events.js).
+import Patient from '../../models/Patient.js';
+import { resourceEvents } from './events.js';
+import { FhirError } from './operationOutcome.js';
+import { reportingUnit, ucumCode } from './normalization.js';
+import { SYSTEMS } from './terminology.js';
+import { UCUM_SYSTEM, convert } from './ucum.js';
+
+export const INTERPRETATION_SYSTEM = 'http://terminology.hl7.org/CodeSystem/v3-ObservationInterpretation';
+const RANGE_MEANING = 'http://terminology.hl7.org/CodeSystem/referencerange-meaning';
+const GENDER_SYSTEM = 'http://hl7.org/fhir/administrative-gender';
+
+export const INTERPRETATIONS = {
+  N: 'Normal',
+  L: 'Low',
+  H: 'High',
+  LL: 'Critical low',
+  HH: 'Critical high',
+};
+const CRITICAL = ['LL', 'HH'];
+
+// ---------------- Catalog ----------------
+
+// Adult reference intervals in conventional units, as printed by most US
+// labs. Each test lists bands of { sex, age: [from, to) years, low, high };
+// the first band matching the patient applies, so sex- and age-specific
+// bands come before the catalog-wide fallback. `critical` limits apply to
+// every band unless a band has its own.
+const creatinine = {
+  unit: 'mg/dL',
+  critical: { high: 10 },
+  ranges: [
+    { age: [0, 18], low: 0.3, high: 0.7 },
+    { sex: 'male', low: 0.74, high: 1.35 },
+    { sex: 'female', low: 0.59, high: 1.04 },
+    { low: 0.59, high: 1.35 },
+  ],
+};
+const ureaNitrogen = { unit: 'mg/dL', critical: { high: 100 }, ranges: [{ low: 7, high: 20 }] };
+const glucose = { unit: 'mg/dL', critical: { low: 40, high: 500 }, ranges: [{ low: 70, high: 99 }] };
+const egfr = { unit: 'mL/min/{1.73_m2}', critical: { low: 15 }, ranges: [{ low: 60 }] };
+const albuminCreatinine = { unit: 'mg/g', ranges: [{ high: 30 }] };
+const hba1c = { unit: '%', ranges: [{ low: 4, high: 5.6 }] };
+const oxygenSaturation = { unit: '%', critical: { low: 88 }, ranges: [{ low: 95, high: 100 }] };
+
+const CATALOG = {
+  '2160-0': creatinine,
+  '38483-4': creatinine,
+  '14682-9': creatinine,
+  '59826-8': creatinine,
+  '33914-3': egfr,
+  '48642-3': egfr,
+  '48643-1': egfr,
+  '62238-1': egfr,
+  '98979-8': egfr,
+  '3094-0': ureaNitrogen,
+  '6299-2': ureaNitrogen,
+  '9318-7': albuminCreatinine,
+  '14959-1': albuminCreatinine,
+  '4548-4': hba1c,
+  '17856-6': hba1c,
+  '59261-8': { unit: 'mmol/mol', ranges: [{ low: 20, high: 38 }] },
+  '2345-7': glucose,
+  '2339-0': glucose,
+  '1558-6': glucose,
+  '41653-7': glucose,
+  '30934-4': { unit: 'pg/mL', ranges: [{ high: 100 }] },
+  '33762-6': { unit: 'pg/mL', ranges: [{ age: [0, 75], high: 125 }, { high: 450 }] },
+  '2951-2': { unit: 'mmol/L', critical: { low: 120, high: 160 }, ranges: [{ low: 135, high: 145 }] },
+  '2823-3': { unit: 'mmol/L', critical: { low: 2.5, high: 6.5 }, ranges: [{ low: 3.5, high: 5.1 }] },
+  '718-7': {
+    unit: 'g/dL',
+    critical: { low: 7, high: 20 },
+    ranges: [
+      { sex: 'male', low: 13.5, high: 17.5 },
+      { sex: 'female', low: 12, high: 15.5 },
+      { low: 12, high: 17.5 },
+    ],
+  },
+  '6690-2': { unit: '10*3/uL', critical: { low: 2, high: 30 }, ranges: [{ low: 4.5, high: 11 }] },
+  '777-3': { unit: '10*3/uL', critical: { low: 20, high: 1000 }, ranges: [{ low: 150, high: 400 }] },
+  '2093-3': { unit: 'mg/dL', ranges: [{ high: 199 }] },
+  '2085-9': {
+    unit: 'mg/dL',
+    ranges: [{ sex: 'male', low: 40 }, { sex: 'female', low: 50 }, { low: 40 }],
+  },
+  '13457-7': { unit: 'mg/dL', ranges: [{ high: 99 }] },
+  '2571-8': { unit: 'mg/dL', critical: { high: 1000 }, ranges: [{ high: 149 }] },
+  '1742-6': {
+    unit: 'U/L',
+    ranges: [{ sex: 'male', low: 7, high: 55 }, { sex: 'female', low: 7, high: 45 }, { low: 7, high: 55 }],
+  },
+  '1920-8': { unit: 'U/L', ranges: [{ low: 8, high: 48 }] },
+  '8867-4': { unit: '/min', critical: { low: 40, high: 150 }, ranges: [{ low: 60, high: 100 }] },
+  '9279-1': { unit: '/min', critical: { low: 8, high: 30 }, ranges: [{ low: 12, high: 20 }] },
+  '8310-5': { unit: 'Cel', critical: { low: 35, high: 40 }, ranges: [{ low: 36.1, high: 37.2 }] },
+  '2708-6': oxygenSaturation,
+  '59408-5': oxygenSaturation,
+  '8480-6': { unit: 'mm[Hg]', critical: { low: 70, high: 180 }, ranges: [{ low: 90, high: 119 }] },
+  '8462-4': { unit: 'mm[Hg]', critical: { high: 120 }, ranges: [{ low: 60, high: 79 }] },
+};
+
+/**
+ * Add or replace the catalog entry of a LOINC code, e.g. with a lab's own
+ * intervals.
+ * @param {string} code - LOINC code
+ * @param {Object} entry - { unit, critical?: {low?, high?}, ranges: [{sex?, age?, low?, high?, critical?}] }
+ * @throws {FhirError} 400 when the entry has no unit or ranges
+ */
+export function registerReferenceRanges(code, entry) {
+  if (!entry?.unit || !Array.isArray(entry.ranges) || !entry.ranges.length) {
+    throw new FhirError(400, `Reference ranges for ${code} need a unit and at least one range`);
+  }
+  CATALOG[code] = entry;
+}
+
+/**
+ * The catalog entry for an Observation.code.
+ * @param {Object} code - CodeableConcept
+ * @returns {Object|undefined}
+ */
+export function catalogEntry(code) {
+  const coding = (code?.coding || []).find((c) => c.system === SYSTEMS.LOINC && CATALOG[c.code]);
+  return coding && CATALOG[coding.code];
+}
+
+/**
+ * Whole years from a birth date to a date (YYYY, YYYY-MM or YYYY-MM-DD).
+ * @returns {number|undefined}
+ */
+export function ageInYears(birthDate, at = new Date().toISOString()) {
+  const [birth, date] = [birthDate, at].map((value) => /^(\d{4})(?:-(\d{2}))?(?:-(\d{2}))?/.exec(value || ''));
+  if (!birth || !date) return undefined;
+  const [, by, bm = '01', bd = '01'] = birth;
+  const [, y, m = '12', d = '31'] = date;
+  const age = Number(y) - Number(by) - (`${m}-${d}` < `${bm}-${bd}` ? 1 : 0);
+  return age >= 0 ? age : undefined;
+}
+
+/**
+ * The band of a catalog entry that applies to a patient.
+ * @param {Object} entry - Catalog entry
+ * @param {Object} patient
+ * @param {string} [patient.sex] - Patient.gender
+ * @param {number} [patient.age] - Years
+ * @returns {Object|undefined}
+ */
+export function findRange(entry, { sex, age } = {}) {
+  return entry.ranges.find((range) => (
+    (!range.sex || range.sex === sex)
+    && (!range.age || (age !== undefined && age >= range.age[0] && age < range.age[1]))
+  ));
+}
+
+const quantity = (value, unit) => ({ value, unit, system: UCUM_SYSTEM, code: unit });
+
+/**
+ * An Observation.referenceRange for a catalog band.
+ */
+export function referenceRange(entry, range) {
+  const bounds = [range.low, range.high].filter((v) => v !== undefined);
+  const text = range.low === undefined
+    ? `<=${range.high} ${entry.unit}`
+    : range.high === undefined ? `>=${range.low} ${entry.unit}` : `${bounds.join('-')} ${entry.unit}`;
+  return {
+    ...(range.low !== undefined ? { low: quantity(range.low, entry.unit) } : {}),
+    ...(range.high !== undefined ? { high: quantity(range.high, entry.unit) } : {}),
+    type: { coding: [{ system: RANGE_MEANING, code: 'normal', display: 'Normal Range' }] },
+    ...(range.sex ? { appliesTo: [{ coding: [{ system: GENDER_SYSTEM, code: range.sex }] }] } : {}),
+    ...(range.age ? { age: { low: quantity(range.age[0], 'a'), high: quantity(range.age[1], 'a') } } : {}),
+    text,
+  };
+}
+
+/**
+ * Flag a value against a range and critical limits in the same unit.
+ * @param {number} value
+ * @param {Object} [range] - { low?, high? }
+ * @param {Object} [critical] - { low?, high? }
+ * @returns {string|undefined} LL, L, N, H or HH; undefined without limits
+ */
+export function interpret(value, range = {}, critical = {}) {
+  if (critical.low !== undefined && value < critical.low) return 'LL';
+  if (critical.high !== undefined && value > critical.high) return 'HH';
+  if (range.low === undefined && range.high === undefined) return undefined;
+  if (range.low !== undefined && value < range.low) return 'L';
+  if (range.high !== undefined && value > range.high) return 'H';
+  return 'N';
+}
+
+/**
+ * An Observation.interpretation concept for a flag.
+ */
+export function interpretationConcept(code) {
+  return { coding: [{ system: INTERPRETATION_SYSTEM, code, display: INTERPRETATIONS[code] }] };
+}
+
+/**
+ * The interpretation flag of an Observation, if it has one of ours.
+ * @returns {string|undefined}
+ */
+export function interpretationCode(resource) {
+  for (const concept of resource?.interpretation || []) {
+    const coding = (concept.coding || []).find((c) => c.system === INTERPRETATION_SYSTEM && INTERPRETATIONS[c.code]);
+    if (coding) return coding.code;
+  }
+  return undefined;
+}
+
+/**
+ * Whether an Observation is flagged critical (LL or HH).
+ */
+export function isCritical(resource) {
+  return CRITICAL.includes(interpretationCode(resource));
+}
+
+/**
+ * A value in another unit, or undefined when the units do not convert.
+ */
+function inUnit(value, from, to, molarMass) {
+  if (from === to) return value;
+  try {
+    return convert(value, from, to, { molarMass });
+  } catch (err) {
+    if (err instanceof FhirError) return undefined;
+    throw err;
+  }
+}
+
+/**
+ * The first referenceRange of a resource as plain numbers, when it is in
+ * the value's own unit.
+ */
+function ownRange(resource) {
+  const [range] = resource.referenceRange || [];
+  const unit = resource.valueQuantity.code || resource.valueQuantity.unit;
+  const bound = (q) => (q && (q.code || q.unit || unit) === unit ? q.value : undefined);
+  const low = bound(range?.low);
+  const high = bound(range?.high);
+  return low === undefined && high === undefined ? undefined : { low, high };
+}
+
+/**
+ * The sex and age of an Observation's subject when the result was taken.
+ */
+async function demographics(resource, session) {
+  const [type, id] = (resource.subject?.reference || '').split('/').slice(-2);
+  if (type !== 'Patient' || !id) return {};
+  const patient = await Patient.findById(id, { gender: 1, birthDate: 1 }).session(session || null);
+  if (!patient) return {};
+  return {
+    sex: patient.gender,
+    age: ageInYears(patient.birthDate, resource.effectiveDateTime || resource.effectivePeriod?.start),
+  };
+}
+
+/**
+ * Fill in an Observation's referenceRange and interpretation when the
+ * sender left them out (the registry's enrich hook). Ranges the sender gave
+ * are kept and used for the flag; critical limits come from the catalog.
+ *
+ * @param {Object} resource - Observation JSON, changed in place
+ * @param {Object} [options]
+ * @param {ClientSession} [options.session]
+ * @returns {Promise<void>}
+ */
+export async function interpretObservation(resource, { session } = {}) {
+  const quantity = resource.valueQuantity;
+  if (typeof quantity?.value !== 'number') return;
+  if (resource.referenceRange?.length && resource.interpretation?.length) return;
+
+  const entry = catalogEntry(resource.code);
+  let range;
+  if (entry) {
+    range = findRange(entry, await demographics(resource, session));
+    if (range && !resource.referenceRange?.length) resource.referenceRange = [referenceRange(entry, range)];
+  }
+  if (resource.interpretation?.length) return;
+
+  const own = ownRange(resource);
+  const code = own ? undefined : ucumCode(quantity);
+  const value = own
+    ? quantity.value
+    : entry && code !== undefined && inUnit(quantity.value, code, entry.unit, reportingUnit(resource.code)?.molarMass);
+  if (typeof value !== 'number') return;
+
+  const critical = entry && (range?.critical || entry.critical);
+  // Criticals are in the catalog unit, so only apply to values converted to it
+  const flag = interpret(value, own || range, own ? undefined : critical);
+  if (flag) resource.interpretation = [interpretationConcept(flag)];
+}
+
+// ---------------- Critical results ----------------
+
+/**
+ * The 'critical-result' event for a new Observation version.
+ */
+export function criticalResult(change) {
+  const { resource } = change;
+  return {
+    id: change.id,
+    versionId: change.versionId,
+    subject: resource.subject?.reference,
+    code: resource.code,
+    valueQuantity: resource.valueQuantity,
+    interpretation: interpretationCode(resource),
+    effectiveDateTime: resource.effectiveDateTime,
+    resource,
+  };
+}
+
+/**
+ * Announce newly created critical Observations as 'critical-result' events
+ * on resourceEvents, after their transaction commits. Amendments are not
+ * announced.
+ * @returns {Function} Stops announcing
+ */
+export function startCriticalResults() {
+  const onChange = (change) => {
+    if (change.resourceType !== 'Observation' || change.method !== 'POST' || !isCritical(change.resource)) return;
+    resourceEvents.emit('critical-result', criticalResult(change));
+  };
+  resourceEvents.on('change', onChange);
+  return () => resourceEvents.off('change', onChange);
+}
@@ -0,0 +1,105 @@
+// jsonPatch.js - RFC 6902 JSON Patch for FHIR PATCH requests
+import { FhirError } from './operationOutcome.js';
+
+function parsePointer(path) {
+  if (typeof path !== 'string' || (path !== '' && !path.startsWith('/'))) {
+    throw new FhirError(400, `Invalid JSON Pointer '${path}'`);
+  }
+  return path
+    .split('/')
+    .slice(1)
+    .map((token) => token.replace(/~1/g, '/').replace(/~0/g, '~'));
+}
+
+function resolveParent(doc, tokens, path) {
+  let parent = doc;
+  for (const token of tokens.slice(0, -1)) {
+    parent = Array.isArray(parent) ? parent[Number(token)] : parent?.[token];
+    if (parent === undefined || parent === null || typeof parent !== 'object') {
+      throw new FhirError(422, `Path '${path}' does not exist`);
+    }
+  }
+  return { parent, key: tokens[tokens.length - 1] };
+}
+
+function arrayIndex(array, key, path, allowEnd) {
+  if (allowEnd && key === '-') return array.length;
+  const index = Number(key);
+  const max = allowEnd ? array.length : array.length - 1;
+  if (!/^\d+$/.test(key) || index > max) {
+    throw new FhirError(422, `Array index '${key}' out of range at '${path}'`);
+  }
+  return index;
+}
+
+function getValue(doc, path) {
+  const tokens = parsePointer(path);
+  if (!tokens.length) return doc;
+  const { parent, key } = resolveParent(doc, tokens, path);
+  const value = Array.isArray(parent) ? parent[arrayIndex(parent, key, path, false)] : parent[key];
+  if (value === undefined) throw new FhirError(422, `Path '${path}' does not exist`);
+  return value;
+}
+
+function addValue(doc, path, value) {
+  const tokens = parsePointer(path);
+  if (!tokens.length) return value;
+  const { parent, key } = resolveParent(doc, tokens, path);
+  if (Array.isArray(parent)) parent.splice(arrayIndex(parent, key, path, true), 0, value);
+  else parent[key] = value;
+  return doc;
+}
+
+function removeValue(doc, path) {
+  const tokens = parsePointer(path);
+  if (!tokens.length) throw new FhirError(422, 'Cannot remove the whole resource');
+  const { parent, key } = resolveParent(doc, tokens, path);
+  if (Array.isArray(parent)) {
+    parent.splice(arrayIndex(parent, key, path, false), 1);
+  } else {
+    if (!(key in parent)) throw new FhirError(422, `Path '${path}' does not exist`);
+    delete parent[key];
+  }
+  return doc;
+}
+
+const clone = (value) => (value === undefined ? value : JSON.parse(JSON.stringify(value)));
+
+/**
+ * Apply a JSON Patch document to a resource without mutating it.
+ * @param {Object} resource - FHIR resource JSON
+ * @param {Object[]} operations - RFC 6902 operations
+ * @returns {Object} Patched copy
+ * @throws {FhirError} 400 for a malformed patch, 422 when it cannot be applied
+ */
+export function applyPatch(resource, operations) {
+  if (!Array.isArray(operations)) {
+    throw new FhirError(400, 'JSON Patch body must be an array of operations');
+  }
+
+  return operations.reduce((doc, operation) => {
+    const { op, path, from, value } = operation || {};
+    switch (op) {
+      case 'add':
+        return addValue(doc, path, clone(value));
+      case 'remove':
+        return removeValue(doc, path);
+      case 'replace':
+        getValue(doc, path);
+        return addValue(removeValue(doc, path), path, clone(value));
+      case 'move': {
+        const moved = getValue(doc, from);
+        return addValue(removeValue(doc, from), path, moved);
+      }
+      case 'copy':
+        return addValue(doc, path, clone(getValue(doc, from)));
+      case 'test':
+        if (JSON.stringify(getValue(doc, path)) !== JSON.stringify(value)) {
+          throw new FhirError(422, `JSON Patch test failed at '${path}'`);
+        }
+        return doc;
+      default:
+        throw new FhirError(400, `Unsupported JSON Patch operation '${op}'`);
+    }
+  }, clone(resource));
+}
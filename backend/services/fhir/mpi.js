@@ -0,0 +1,212 @@
+// mpi.js - Master patient index: find the chart a Patient already has
+//
+// Every feed that registers patients (HL7 ADT, the exchange hub, clients of
+// Patient/$match) goes through here so one person keeps one chart.
+// Candidates are blocked on shared identifiers, telecom, birth date and the
+// Soundex code of the family name (kept in _index by the Patient normalize
+// hook), then scored by patientMatching.js. linkPatient() reuses a single
+// certain match and queues probable and possible ones in MatchReview for a
+// person to decide.
+import Patient from '../../models/Patient.js';
+import MatchReview from '../../models/MatchReview.js';
+import { FhirError } from './operationOutcome.js';
+import { identifiers, patientIndex, scoreMatch } from './patientMatching.js';
+import { createResource, readResource, updateResource } from './resourceStore.js';
+
+const MAX_CANDIDATES = 500;
+
+// ---------------- Matching ----------------
+
+function blockingFilter(resource) {
+  const { familySoundex, telecom } = patientIndex(resource);
+  const alternatives = identifiers(resource).map(({ system, value }) => ({
+    identifier: { $elemMatch: { system, value } },
+  }));
+  if (telecom.length) alternatives.push({ '_index.telecom': { $in: telecom } });
+  if (resource.birthDate) alternatives.push({ birthDate: resource.birthDate });
+  if (familySoundex.length) {
+    // A common surname alone would pull in too many charts
+    const year = /^\d{4}/.exec(resource.birthDate || '')?.[0];
+    alternatives.push({
+      '_index.familySoundex': { $in: familySoundex },
+      ...(year ? { birthDate: { $regex: `^${year}` } } : {}),
+    });
+  }
+  return alternatives;
+}
+
+/**
+ * Stored Patients that may be the same person, best first.
+ *
+ * @param {Object} resource - Patient JSON to match
+ * @param {Object} [options]
+ * @param {number} [options.count] - Most matches to return
+ * @param {boolean} [options.onlyCertainMatches] - Return the certain match,
+ *   or nothing when there is none or more than one
+ * @param {string[]} [options.exclude] - Patient ids to leave out
+ * @returns {Promise<Array<{resource: mongoose.Document, score: number, grade: string, reasons: string[]}>>}
+ *   Certainly-not candidates are left out
+ * @throws {FhirError} 400 when the resource has nothing to match on
+ */
+export async function findMatches(resource, { count = 10, onlyCertainMatches = false, exclude = [] } = {}) {
+  if (resource?.resourceType !== 'Patient') throw new FhirError(400, 'Only Patient resources can be matched');
+  const alternatives = blockingFilter(resource);
+  if (!alternatives.length) {
+    throw new FhirError(400, 'A Patient to match needs an identifier, name, birthDate or telecom');
+  }
+
+  const candidates = await Patient.find({
+    $or: alternatives,
+    _id: { $nin: [...exclude, ...(resource.id ? [resource.id] : [])] },
+  }).limit(MAX_CANDIDATES);
+
+  const matches = candidates
+    .map((doc) => ({ resource: doc, ...scoreMatch(resource, doc.toJSON()) }))
+    .filter((match) => match.grade !== 'certainly-not')
+    .sort((a, b) => b.score - a.score);
+
+  if (onlyCertainMatches) {
+    const certain = matches.filter((match) => match.grade === 'certain');
+    return certain.length === 1 ? certain : [];
+  }
+  return matches.slice(0, count);
+}
+
+/**
+ * Add the identifiers a stored Patient lacks, as a new version.
+ */
+async function addIdentifiers(doc, incoming = [], agent) {
+  const current = doc.toJSON();
+  const known = identifiers(current);
+  const missing = identifiers({ identifier: incoming })
+    .filter((i) => !known.some((k) => k.system === i.system && k.value === i.value));
+  if (!missing.length) return doc;
+
+  const { resource } = await updateResource(Patient, current.id, {
+    ...current,
+    identifier: [...(current.identifier || []), ...missing],
+  }, { ifMatch: current.meta?.versionId, agent });
+  return resource;
+}
+
+/**
+ * Find or create the chart for a Patient arriving from a feed. A single
+ * certain match is reused (and given any identifiers it lacks); otherwise
+ * a new Patient is created and its probable and possible matches are
+ * queued for review.
+ *
+ * @param {Object} resource - Patient JSON; its id is the sender's and is ignored
+ * @param {Object} [options]
+ * @param {string} [options.source] - Feed name recorded on review items, e.g. "hl7-adt"
+ * @param {WriteAgent} [options.agent] - Who is writing, see provenance.js
+ * @returns {Promise<{patient: mongoose.Document, created: boolean, reviews: number}>}
+ * @throws {FhirError} 400 for anything but a matchable Patient
+ */
+export async function linkPatient(resource, { source, agent } = {}) {
+  const { id, ...body } = resource || {};
+  const matches = await findMatches(body, { count: MAX_CANDIDATES });
+
+  const certain = matches.filter((match) => match.grade === 'certain');
+  if (certain.length === 1) {
+    return { patient: await addIdentifiers(certain[0].resource, body.identifier, agent), created: false, reviews: 0 };
+  }
+
+  const patient = await createResource(Patient, body, { agent });
+  for (const match of matches) {
+    await MatchReview.updateOne(
+      { patient: patient._id, candidate: match.resource._id },
+      { $setOnInsert: { score: match.score, grade: match.grade, reasons: match.reasons, source } },
+      { upsert: true },
+    );
+  }
+  return { patient, created: true, reviews: matches.length };
+}
+
+// ---------------- Review queue ----------------
+
+export const REVIEW_RESOLUTIONS = ['same', 'different'];
+
+/**
+ * A review item as returned by the API.
+ */
+export function reviewJSON(review) {
+  return {
+    id: review._id,
+    patient: `Patient/${review.patient}`,
+    candidate: `Patient/${review.candidate}`,
+    score: review.score,
+    grade: review.grade,
+    reasons: review.reasons,
+    ...(review.source ? { source: review.source } : {}),
+    status: review.status,
+    created: review.created,
+    ...(review.resolvedBy ? { resolvedBy: review.resolvedBy, resolvedAt: review.resolvedAt } : {}),
+  };
+}
+
+/**
+ * Possible duplicates, highest score first.
+ * @param {Object} [query]
+ * @param {string} [query.status] - open (default), same or different
+ * @param {string} [query.patient] - Only pairs involving this Patient id
+ * @param {number} [query.count]
+ * @param {number} [query.offset]
+ * @returns {Promise<{total: number, reviews: Object[]}>}
+ */
+export async function listReviews({ status = 'open', patient, count = 20, offset = 0 } = {}) {
+  const filter = {
+    status,
+    ...(patient ? { $or: [{ patient }, { candidate: patient }] } : {}),
+  };
+  const [total, reviews] = await Promise.all([
+    MatchReview.countDocuments(filter),
+    MatchReview.find(filter).sort({ score: -1, created: 1 }).skip(Number(offset)).limit(Number(count)),
+  ]);
+  return { total, reviews: reviews.map(reviewJSON) };
+}
+
+/**
+ * Point a Patient at another with a seealso link, as a new version.
+ */
+async function addLink(id, otherId, agent) {
+  const current = (await readResource(Patient, id)).toJSON();
+  const reference = `Patient/${otherId}`;
+  if ((current.link || []).some((l) => l.other?.reference === reference)) return;
+  await updateResource(Patient, id, {
+    ...current,
+    link: [...(current.link || []), { other: { reference }, type: 'seealso' }],
+  }, { ifMatch: current.meta?.versionId, agent });
+}
+
+/**
+ * Record a person's decision on a possible duplicate. "same" links the
+ * two Patients to each other (Patient.link type seealso).
+ *
+ * @param {string} id - Review item id
+ * @param {Object} decision
+ * @param {string} decision.resolution - same or different
+ * @param {string} [decision.reviewer] - Who decided
+ * @param {WriteAgent} [decision.agent] - Who is writing the links, see provenance.js
+ * @returns {Promise<Object>} The review item
+ * @throws {FhirError} 400 for other resolutions, 404 for unknown items,
+ *   409 when the item was already resolved
+ */
+export async function resolveReview(id, { resolution, reviewer, agent } = {}) {
+  if (!REVIEW_RESOLUTIONS.includes(resolution)) {
+    throw new FhirError(400, `resolution must be one of ${REVIEW_RESOLUTIONS.join(', ')}`);
+  }
+  const review = await MatchReview.findById(id);
+  if (!review) throw new FhirError(404, `Match review ${id} not found`);
+  if (review.status !== 'open') throw new FhirError(409, `Match review ${id} was already resolved as ${review.status}`);
+
+  if (resolution === 'same') {
+    await addLink(review.patient, review.candidate, agent);
+    await addLink(review.candidate, review.patient, agent);
+  }
+
+  review.status = resolution;
+  review.resolvedBy = reviewer;
+  review.resolvedAt = new Date();
+  await review.save();
+  return reviewJSON(review);
+}
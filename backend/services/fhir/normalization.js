@@ -0,0 +1,124 @@
+// normalization.js - Comparable values for Observation.valueQuantity
+//
+// Labs report the same test in different units: creatinine in mg/dL or
+// umol/L, glucose in mg/dL or mmol/L. Every Observation write:
+//
+//   1. Checks a UCUM unit code (422 when it is not UCUM)
+//   2. Restates the value in the test's reporting unit and stores it next to
+//      the original as a normalized-quantity extension on valueQuantity, for
+//      charts and the predictor
+//   3. Returns its base-unit forms for _index.valueQuantity, which
+//      value-quantity searches compare against, so a search in mg/dL also
+//      finds results reported in umol/L, and the normalized value as the
+//      _sort=value-quantity key
+//
+// The reporting unit of a LOINC code is the analyte's below or else its
+// EXAMPLE_UCUM_UNITS in the LOINC code system (see terminology.js).
+import { FhirError } from './operationOutcome.js';
+import { SYSTEMS, conceptProperty } from './terminology.js';
+import { UCUM_SYSTEM, canonicalForms, convert, isValidUnit } from './ucum.js';
+
+export const NORMALIZED_QUANTITY = 'http://uhrh.local/fhir/StructureDefinition/normalized-quantity';
+
+// LOINC COMPONENT -> reporting unit and molar mass (g/mol) for analytes
+// reported in both mass and substance units
+const ANALYTES = {
+  Creatinine: { unit: 'mg/dL', molarMass: 113.12 },
+  Glucose: { unit: 'mg/dL', molarMass: 180.16 },
+  // Nitrogen per mole of urea, so urea in mmol/L converts to BUN in mg/dL
+  'Urea nitrogen': { unit: 'mg/dL', molarMass: 28.014 },
+  Cholesterol: { unit: 'mg/dL', molarMass: 386.65 },
+  'Cholesterol.in HDL': { unit: 'mg/dL', molarMass: 386.65 },
+  'Cholesterol.in LDL': { unit: 'mg/dL', molarMass: 386.65 },
+  Triglyceride: { unit: 'mg/dL', molarMass: 885.7 },
+};
+
+/**
+ * The UCUM code of a quantity: its code or, when the sender left that out,
+ * a unit string that is valid UCUM (with "µ" for "u").
+ * @param {Object} quantity - FHIR Quantity
+ * @returns {string|undefined} Undefined for other unit systems and free-text units
+ * @throws {FhirError} 422 when a UCUM code is not valid UCUM
+ */
+export function ucumCode(quantity) {
+  if (quantity.system && quantity.system !== UCUM_SYSTEM) return undefined;
+  if (quantity.code) {
+    if (!isValidUnit(quantity.code)) {
+      throw new FhirError(422, `Unit code '${quantity.code}' is not a valid UCUM unit`, 'code-invalid');
+    }
+    return quantity.code;
+  }
+  const unit = quantity.unit?.replace(/[µμ]/g, 'u');
+  return unit && isValidUnit(unit) ? unit : undefined;
+}
+
+/**
+ * Reporting unit (and molar mass, if known) for an Observation.code.
+ * @param {Object} code - CodeableConcept
+ * @returns {{unit: string, molarMass?: number}|undefined}
+ */
+export function reportingUnit(code) {
+  for (const coding of code?.coding || []) {
+    if (coding.system !== SYSTEMS.LOINC) continue;
+    const component = conceptProperty(SYSTEMS.LOINC, coding.code, 'COMPONENT');
+    // "Glucose^post CFst" is still glucose
+    const analyte = ANALYTES[component?.split('^')[0]];
+    if (analyte) return analyte;
+    const unit = conceptProperty(SYSTEMS.LOINC, coding.code, 'EXAMPLE_UCUM_UNITS');
+    if (unit) return { unit };
+  }
+  return undefined;
+}
+
+/**
+ * A value restated in a reporting unit.
+ * @returns {Object|undefined} FHIR Quantity, or undefined when the units do not convert
+ */
+function restate(value, code, { unit, molarMass }) {
+  try {
+    return { value: convert(value, code, unit, { molarMass }), unit, system: UCUM_SYSTEM, code: unit };
+  } catch (err) {
+    if (err instanceof FhirError) return undefined;
+    throw err;
+  }
+}
+
+/**
+ * Normalize an Observation before it is stored (the registry's normalize
+ * hook). Replaces any normalized-quantity extension on valueQuantity.
+ * @param {Object} resource - Observation JSON, changed in place
+ * @returns {Object|undefined} Search fields for _index
+ * @throws {FhirError} 422 for invalid UCUM codes
+ */
+export function normalizeObservation(resource) {
+  const quantity = resource.valueQuantity;
+  if (!quantity) return undefined;
+
+  const extension = (quantity.extension || []).filter((e) => e.url !== NORMALIZED_QUANTITY);
+  if (extension.length) quantity.extension = extension;
+  else delete quantity.extension;
+
+  if (typeof quantity.value !== 'number') return undefined;
+  const code = ucumCode(quantity);
+  if (code === undefined) return { valueQuantitySort: quantity.value };
+
+  const reporting = reportingUnit(resource.code);
+  const normalized = reporting && restate(quantity.value, code, reporting);
+  if (normalized) quantity.extension = [...extension, { url: NORMALIZED_QUANTITY, valueQuantity: normalized }];
+
+  return {
+    valueQuantity: canonicalForms(quantity.value, code, { molarMass: reporting?.molarMass }),
+    valueQuantitySort: normalized ? normalized.value : quantity.value,
+  };
+}
+
+/**
+ * The normalized value of an Observation, falling back to the value as sent.
+ * @param {Object} resource - Observation JSON
+ * @returns {Object|undefined} FHIR Quantity
+ */
+export function normalizedQuantity(resource) {
+  const quantity = resource.valueQuantity;
+  const extension = (quantity?.extension || []).find((e) => e.url === NORMALIZED_QUANTITY);
+  return extension?.valueQuantity || quantity;
+}
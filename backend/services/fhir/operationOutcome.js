@@ -0,0 +1,90 @@
+// operationOutcome.js - FHIR error type and OperationOutcome responses
+
+const ISSUE_CODES = {
+  400: 'invalid',
+  401: 'login',
+  403: 'forbidden',
+  404: 'not-found',
+  405: 'not-supported',
+  409: 'conflict',
+  410: 'deleted',
+  412: 'conflict',
+  422: 'processing',
+};
+
+export class FhirError extends Error {
+  /**
+   * @param {number} status - HTTP status to respond with
+   * @param {string} message - Human readable diagnostics
+   * @param {string} [code] - OperationOutcome issue code
+   * @param {Object[]} [issues] - Detailed OperationOutcome issues, e.g. from validation
+   */
+  constructor(status, message, code, issues) {
+    super(message);
+    this.name = 'FhirError';
+    this.status = status;
+    this.code = code || ISSUE_CODES[status] || 'exception';
+    this.issues = issues;
+  }
+}
+
+/**
+ * Build an OperationOutcome resource.
+ * @param {Array<{severity: string, code: string, diagnostics: string, expression?: string[]}>} issues
+ * @returns {Object} FHIR OperationOutcome
+ */
+export function operationOutcome(issues) {
+  return {
+    resourceType: 'OperationOutcome',
+    issue: issues.map(({ severity = 'error', code = 'exception', diagnostics, expression }) => ({
+      severity,
+      code,
+      diagnostics,
+      ...(expression ? { expression } : {}),
+    })),
+  };
+}
+
+/**
+ * Map any thrown error onto an HTTP status and OperationOutcome body.
+ * @param {Error} err
+ * @returns {{status: number, body: Object}}
+ */
+export function toOperationOutcome(err) {
+  if (err instanceof FhirError) {
+    return {
+      status: err.status,
+      body: operationOutcome(err.issues || [{ code: err.code, diagnostics: err.message }]),
+    };
+  }
+
+  // Mongoose validation and cast failures are client errors
+  if (err.name === 'ValidationError' || err.name === 'CastError') {
+    return {
+      status: 400,
+      body: operationOutcome([{ code: 'invalid', diagnostics: err.message }]),
+    };
+  }
+
+  // Duplicate key, e.g. a client-assigned id that is already taken
+  if (err.code === 11000) {
+    return {
+      status: 409,
+      body: operationOutcome([{ code: 'duplicate', diagnostics: err.message }]),
+    };
+  }
+
+  return {
+    status: 500,
+    body: operationOutcome([{ code: 'exception', diagnostics: err.message || 'Internal Server Error' }]),
+  };
+}
+
+/**
+ * Send an error as an OperationOutcome response.
+ */
+export function handleFhirError(res, err) {
+  const { status, body } = toOperationOutcome(err);
+  if (status >= 500) console.error(err);
+  res.status(status).json(body);
+}
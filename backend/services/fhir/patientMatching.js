@@ -0,0 +1,231 @@
+// patientMatching.js - Score how likely two Patients are the same person
+//
+// Used by the master patient index (mpi.js). Pairs are scored on:
+//
+//   identifier  - a shared system|value; a different value in the same system counts against
+//   name        - family and given names, exact or phonetic (Soundex), or the given initial
+//   birthDate   - exact, or partial (same year and month, day and month swapped)
+//   gender, address (postal code, first line) and telecom (phone digits, email)
+//
+// Scores run from 0 to 1 and map onto the match grades of Patient/$match.
+export const MATCH_GRADE_EXTENSION = 'http://hl7.org/fhir/StructureDefinition/match-grade';
+
+// Lowest score for each grade; anything below possible is certainly-not
+export const MATCH_GRADES = [
+  { grade: 'certain', score: 0.8 },
+  { grade: 'probable', score: 0.6 },
+  { grade: 'possible', score: 0.4 },
+];
+
+const WEIGHTS = {
+  identifier: 0.35,
+  identifierConflict: -0.25,
+  family: 0.15,
+  familyPhonetic: 0.1,
+  given: 0.1,
+  givenPhonetic: 0.07,
+  givenInitial: 0.03,
+  birthDate: 0.2,
+  birthDatePartial: 0.1,
+  birthDateConflict: -0.2,
+  gender: 0.05,
+  genderConflict: -0.1,
+  postalCode: 0.05,
+  addressLine: 0.05,
+  telecom: 0.15,
+};
+
+// ---------------- Features ----------------
+
+const plain = (text) => String(text || '')
+  .normalize('NFD')
+  .replace(/\p{M}/gu, '')
+  .toLowerCase()
+  .replace(/[^a-z]/g, '');
+
+const SOUNDEX_CODES = {
+  b: 1, f: 1, p: 1, v: 1,
+  c: 2, g: 2, j: 2, k: 2, q: 2, s: 2, x: 2, z: 2,
+  d: 3, t: 3,
+  l: 4,
+  m: 5, n: 5,
+  r: 6,
+};
+
+/**
+ * American Soundex code of a name, e.g. Robert and Rupert -> R163.
+ * @param {string} name
+ * @returns {string} Empty for names without letters
+ */
+export function soundex(name) {
+  const letters = plain(name);
+  if (!letters) return '';
+
+  let code = letters[0].toUpperCase();
+  let previous = SOUNDEX_CODES[letters[0]];
+  for (const letter of letters.slice(1)) {
+    const digit = SOUNDEX_CODES[letter];
+    if (digit && digit !== previous) code += digit;
+    // h and w do not separate letters with the same code; vowels do
+    if (letter !== 'h' && letter !== 'w') previous = digit;
+    if (code.length === 4) break;
+  }
+  return code.padEnd(4, '0');
+}
+
+function names(resource) {
+  return (resource.name || []).filter((n) => n.use !== 'old').map((n) => ({
+    family: plain(n.family),
+    given: (n.given || []).map(plain).filter(Boolean),
+  }));
+}
+
+export function identifiers(resource) {
+  return (resource.identifier || []).filter((i) => i.system && i.value);
+}
+
+/**
+ * Phone numbers as their last ten digits, emails in lower case.
+ */
+function telecoms(resource) {
+  return (resource.telecom || []).filter((t) => t.value).map((t) => (t.system === 'email'
+    ? t.value.trim().toLowerCase()
+    : t.value.replace(/\D/g, '').slice(-10))).filter(Boolean);
+}
+
+function addresses(resource) {
+  return (resource.address || []).map((a) => ({
+    postalCode: String(a.postalCode || '').replace(/\s/g, '').slice(0, 5).toUpperCase(),
+    line: String(a.line?.[0] || '').toLowerCase().replace(/[^a-z0-9]/g, ''),
+  }));
+}
+
+/**
+ * The Patient normalize hook (see registry.js): blocking keys for matching.
+ * @param {Object} resource - Patient JSON
+ * @returns {{familySoundex: string[], telecom: string[]}}
+ */
+export function patientIndex(resource) {
+  return {
+    familySoundex: [...new Set(names(resource).map((n) => soundex(n.family)).filter(Boolean))],
+    telecom: [...new Set(telecoms(resource))],
+  };
+}
+
+// ---------------- Scoring ----------------
+
+function compareNames(a, b) {
+  let best = { weight: 0, reasons: [] };
+  for (const x of names(a)) {
+    for (const y of names(b)) {
+      const reasons = [];
+      let weight = 0;
+      if (x.family && x.family === y.family) {
+        weight += WEIGHTS.family;
+        reasons.push('family');
+      } else if (x.family && soundex(x.family) === soundex(y.family)) {
+        weight += WEIGHTS.familyPhonetic;
+        reasons.push('family-phonetic');
+      }
+
+      const [first] = x.given;
+      const [other] = y.given;
+      if (first && first === other) {
+        weight += WEIGHTS.given;
+        reasons.push('given');
+      } else if (first && other && soundex(first) === soundex(other)) {
+        weight += WEIGHTS.givenPhonetic;
+        reasons.push('given-phonetic');
+      } else if (first && other && (first.length === 1 || other.length === 1) && first[0] === other[0]) {
+        weight += WEIGHTS.givenInitial;
+        reasons.push('given-initial');
+      }
+      if (weight > best.weight) best = { weight, reasons };
+    }
+  }
+  return best;
+}
+
+function compareBirthDates(a, b) {
+  if (!a || !b) return { weight: 0, reasons: [] };
+  if (a === b) return { weight: WEIGHTS.birthDate, reasons: ['birthDate'] };
+
+  const [ya, ma, da] = a.split('-');
+  const [yb, mb, db] = b.split('-');
+  const swapped = ya === yb && ma === db && da === mb;
+  if ((ya === yb && ma && ma === mb) || swapped) {
+    return { weight: WEIGHTS.birthDatePartial, reasons: ['birthDate-partial'] };
+  }
+  return { weight: WEIGHTS.birthDateConflict, reasons: ['birthDate-conflict'] };
+}
+
+function compareIdentifiers(a, b) {
+  const theirs = identifiers(b);
+  const shared = identifiers(a).filter((i) => theirs.some((t) => t.system === i.system && t.value === i.value));
+  if (shared.length) return { weight: WEIGHTS.identifier, reasons: ['identifier'] };
+
+  const conflict = identifiers(a).some((i) => theirs.some((t) => t.system === i.system));
+  return conflict
+    ? { weight: WEIGHTS.identifierConflict, reasons: ['identifier-conflict'] }
+    : { weight: 0, reasons: [] };
+}
+
+function compareGender(a, b) {
+  const known = (g) => g && g !== 'unknown';
+  if (!known(a) || !known(b)) return { weight: 0, reasons: [] };
+  return a === b
+    ? { weight: WEIGHTS.gender, reasons: ['gender'] }
+    : { weight: WEIGHTS.genderConflict, reasons: ['gender-conflict'] };
+}
+
+function compareAddresses(a, b) {
+  const theirs = addresses(b);
+  const reasons = [];
+  let weight = 0;
+  if (addresses(a).some((x) => x.postalCode && theirs.some((y) => y.postalCode === x.postalCode))) {
+    weight += WEIGHTS.postalCode;
+    reasons.push('postalCode');
+  }
+  if (addresses(a).some((x) => x.line && theirs.some((y) => y.line === x.line))) {
+    weight += WEIGHTS.addressLine;
+    reasons.push('address');
+  }
+  return { weight, reasons };
+}
+
+function compareTelecoms(a, b) {
+  const theirs = telecoms(b);
+  return telecoms(a).some((t) => theirs.includes(t))
+    ? { weight: WEIGHTS.telecom, reasons: ['telecom'] }
+    : { weight: 0, reasons: [] };
+}
+
+/**
+ * The match grade of a score.
+ * @param {number} score
+ * @returns {string} certain, probable, possible or certainly-not
+ */
+export function matchGrade(score) {
+  return MATCH_GRADES.find((g) => score >= g.score)?.grade || 'certainly-not';
+}
+
+/**
+ * Score how likely two Patients are the same person.
+ * @param {Object} a - Patient JSON
+ * @param {Object} b - Patient JSON
+ * @returns {{score: number, grade: string, reasons: string[]}} score is 0..1;
+ *   reasons name the features that agreed or conflicted
+ */
+export function scoreMatch(a, b) {
+  const parts = [
+    compareIdentifiers(a, b),
+    compareNames(a, b),
+    compareBirthDates(a.birthDate, b.birthDate),
+    compareGender(a.gender, b.gender),
+    compareAddresses(a, b),
+    compareTelecoms(a, b),
+  ];
+  const total = parts.reduce((sum, part) => sum + part.weight, 0);
+  const score = Math.round(Math.min(Math.max(total, 0), 1) * 100) / 100;
+  return { score, grade: matchGrade(score), reasons: parts.flatMap((part) => part.reasons) };
+}
@@ -0,0 +1,446 @@
+// patientMerge.js - Patient/$merge and $unmerge over the local store
+//
+// Merging folds a duplicate chart (the source) into the surviving one (the
+// target), following the R5 Patient/$merge operation:
+//
+//   1. Every compartment resource referencing Patient/source is rewritten
+//      to point at the target, as a new version
+//   2. The source's identifiers are added to the target with use "old"
+//   3. The target gets a "replaces" link and the source a "replaced-by"
+//      link, and the source is made inactive (or deleted with delete-source)
+//
+// All of it runs in one Mongo transaction and is recorded as a Provenance
+// (activity "merge") targeting every version written. A MergeRecord keeps
+// what moved and the source as it was, so $unmerge can move it back.
+import mongoose from 'mongoose';
+import Patient from '../../models/Patient.js';
+import Provenance from '../../models/Provenance.js';
+import MergeRecord from '../../models/MergeRecord.js';
+import { FhirError, operationOutcome } from './operationOutcome.js';
+import { getModel, patientCompartmentTypes } from './registry.js';
+import { createResource, deleteResource, updateResource } from './resourceStore.js';
+import { discardChanges, flushChanges } from './events.js';
+import { provenanceAgents } from './provenance.js';
+import { rewriteReferences } from './bulkImport.js';
+
+const LIFECYCLE = 'http://terminology.hl7.org/CodeSystem/iso-21089-lifecycle';
+
+// "Patient/123", optionally as an absolute URL
+const PATIENT_REFERENCE = /^(?:.*\/)?Patient\/([^/]+)$/;
+
+const patientReference = (id) => `Patient/${id}`;
+const versionedReference = (resource) => `${resource.resourceType}/${resource.id}/_history/${resource.meta.versionId}`;
+const sameIdentifier = (a, b) => a.system === b.system && a.value === b.value;
+
+// ---------------- Parameters ----------------
+
+/**
+ * Read the input of Patient/$merge or $unmerge.
+ *
+ * @param {Object} body - Parameters resource with source-patient or
+ *   source-patient-identifier, target-patient or target-patient-identifier,
+ *   and optionally result-patient, preview and delete-source
+ * @param {string} [operation] - For error messages
+ * @returns {{source: Object, target: Object, resultPatient?: Object, preview: boolean, deleteSource: boolean}}
+ *   source and target as {reference?, identifier: Identifier[]}
+ * @throws {FhirError} 400 when a patient is missing
+ */
+export function parseMergeParameters(body, operation = '$merge') {
+  if (body?.resourceType !== 'Parameters') {
+    throw new FhirError(400, `Patient/${operation} needs a Parameters body`);
+  }
+  const values = (name) => (body.parameter || []).filter((p) => p.name === name);
+
+  const patient = (role) => {
+    const reference = values(`${role}-patient`)[0]?.valueReference?.reference;
+    const identifier = values(`${role}-patient-identifier`).map((p) => p.valueIdentifier).filter(Boolean);
+    if (!reference && !identifier.length) {
+      throw new FhirError(400, `Patient/${operation} needs ${role}-patient or ${role}-patient-identifier`);
+    }
+    if (reference && !PATIENT_REFERENCE.test(reference)) {
+      throw new FhirError(400, `${role}-patient must reference a Patient, not '${reference}'`);
+    }
+    return { reference, identifier };
+  };
+
+  return {
+    source: patient('source'),
+    target: patient('target'),
+    resultPatient: values('result-patient')[0]?.resource,
+    preview: values('preview')[0]?.valueBoolean === true,
+    deleteSource: values('delete-source')[0]?.valueBoolean === true,
+  };
+}
+
+/**
+ * Whether a Patient carries every one of the given identifiers.
+ */
+function hasIdentifiers(resource, identifier) {
+  return identifier.every((i) => (resource.identifier || []).some((own) => (
+    own.value === i.value && (!i.system || own.system === i.system)
+  )));
+}
+
+/**
+ * Find the Patient a source-patient or target-patient input names.
+ * @throws {FhirError} 422 when it names no Patient or several
+ */
+async function resolvePatient(role, { reference, identifier }, session) {
+  if (reference) {
+    const id = PATIENT_REFERENCE.exec(reference)[1];
+    const doc = await Patient.findById(id).session(session || null);
+    if (!doc) throw new FhirError(422, `${role}-patient ${patientReference(id)} not found`);
+    if (!hasIdentifiers(doc.toJSON(), identifier)) {
+      throw new FhirError(422, `${role}-patient ${patientReference(id)} does not have the ${role}-patient-identifier given`);
+    }
+    return doc;
+  }
+
+  const docs = await Patient.find({
+    $and: identifier.map(({ system, value }) => ({
+      identifier: { $elemMatch: { ...(system ? { system } : {}), value } },
+    })),
+  }).limit(2).session(session || null);
+  if (!docs.length) throw new FhirError(422, `No Patient has the ${role}-patient-identifier given`);
+  if (docs.length > 1) throw new FhirError(422, `The ${role}-patient-identifier given matches several Patients`);
+  return docs[0];
+}
+
+// ---------------- Patients ----------------
+
+function replacedBy(resource) {
+  return (resource.link || []).find((l) => l.type === 'replaced-by')?.other?.reference;
+}
+
+function withLink(links = [], other, type) {
+  if (links.some((l) => l.other?.reference === other && l.type === type)) return links;
+  return [...links, { other: { reference: other }, type }];
+}
+
+function withoutLink(links = [], other, type) {
+  return links.filter((l) => !(l.other?.reference === other && l.type === type));
+}
+
+/**
+ * The source and target Patients as a merge leaves them.
+ *
+ * @param {Object} source - Source Patient JSON
+ * @param {Object} target - Target Patient JSON
+ * @param {Object} [resultPatient] - Client-supplied target, used as is
+ *   apart from the link to the source
+ * @returns {{source: Object, target: Object, addedIdentifiers: Object[]}}
+ * @throws {FhirError} 400 when resultPatient is not the target
+ */
+export function mergedPatients(source, target, resultPatient) {
+  if (resultPatient && (resultPatient.resourceType !== 'Patient' || (resultPatient.id && resultPatient.id !== target.id))) {
+    throw new FhirError(400, `result-patient must be Patient/${target.id}, the target-patient`);
+  }
+  const merged = structuredClone(resultPatient ? { ...resultPatient, id: target.id } : target);
+
+  const addedIdentifiers = resultPatient ? [] : (source.identifier || [])
+    .filter((i) => i.value && !(merged.identifier || []).some((own) => sameIdentifier(own, i)))
+    .map((i) => ({ ...i, use: 'old' }));
+  if (addedIdentifiers.length) merged.identifier = [...(merged.identifier || []), ...addedIdentifiers];
+  merged.link = withLink(merged.link, patientReference(source.id), 'replaces');
+
+  return {
+    source: {
+      ...structuredClone(source),
+      active: false,
+      link: withLink(source.link, patientReference(target.id), 'replaced-by'),
+    },
+    target: merged,
+    addedIdentifiers,
+  };
+}
+
+/**
+ * The source and target Patients as an unmerge leaves them: the target
+ * loses the identifiers and link the merge added, and the source (restored
+ * from the MergeRecord when it was deleted) its link and active flag.
+ *
+ * @param {Object|undefined} source - Current source Patient JSON
+ * @param {Object} target - Current target Patient JSON
+ * @param {Object} record - The MergeRecord
+ * @returns {{source: Object, target: Object}}
+ */
+export function unmergedPatients(source, target, record) {
+  const before = record.sourceBefore || {};
+  const restored = structuredClone(source || { ...before, id: record.source });
+  return {
+    source: {
+      ...restored,
+      active: before.active !== false,
+      link: withoutLink(restored.link, patientReference(target.id), 'replaced-by'),
+    },
+    target: {
+      ...structuredClone(target),
+      identifier: (target.identifier || []).filter((i) => !(
+        i.use === 'old' && (record.addedIdentifiers || []).some((added) => sameIdentifier(added, i))
+      )),
+      link: withoutLink(target.link, patientReference(record.source), 'replaces'),
+    },
+  };
+}
+
+// ---------------- Provenance ----------------
+
+/**
+ * A Provenance for a merge or unmerge.
+ *
+ * @param {string} activity - "merge" or "unmerge" (ISO 21089 lifecycle)
+ * @param {Object} options
+ * @param {string[]} options.targets - References to the versions written
+ * @param {string} [options.entity] - Reference to the source as it was
+ * @param {WriteAgent} [options.agent] - Who asked for it, see provenance.js
+ * @returns {Object} Provenance JSON
+ */
+export function lifecycleProvenance(activity, { targets, entity, agent }) {
+  return {
+    resourceType: 'Provenance',
+    target: targets.map((reference) => ({ reference })),
+    recorded: new Date().toISOString(),
+    activity: { coding: [{ system: LIFECYCLE, code: activity }] },
+    agent: provenanceAgents(agent),
+    ...(entity ? { entity: [{ role: activity === 'merge' ? 'source' : 'revision', what: { reference: entity } }] } : {}),
+  };
+}
+
+// ---------------- Merge ----------------
+
+/**
+ * Compartment resources that reference a Patient.
+ */
+async function compartmentResources(patientId, session) {
+  const reference = patientReference(patientId);
+  const found = [];
+  for (const { resourceType, model, compartment } of patientCompartmentTypes()) {
+    const docs = await model.find({ $or: compartment.map((path) => ({ [path]: reference })) })
+      .sort({ _id: 1 })
+      .session(session || null);
+    found.push(...docs.map((doc) => ({ resourceType, model, doc })));
+  }
+  return found;
+}
+
+/**
+ * Point a resource's references from one Patient to another, as a new version.
+ */
+async function repoint(model, doc, from, to, { agent, session }) {
+  const body = doc.toJSON();
+  await rewriteReferences(body, async (reference) => (reference === from ? to : undefined));
+  const { resource } = await updateResource(model, body.id, body, { ifMatch: body.meta?.versionId, agent, session });
+  return resource.toJSON();
+}
+
+async function merge(request, { agent, session }) {
+  const sourceDoc = await resolvePatient('source', request.source, session);
+  const targetDoc = await resolvePatient('target', request.target, session);
+  if (sourceDoc._id === targetDoc._id) {
+    throw new FhirError(422, 'source-patient and target-patient are the same Patient');
+  }
+  const source = sourceDoc.toJSON();
+  const target = targetDoc.toJSON();
+  if (replacedBy(source)) {
+    throw new FhirError(422, `Patient/${source.id} was already merged into ${replacedBy(source)}`);
+  }
+  if (replacedBy(target)) {
+    throw new FhirError(422, `Patient/${target.id} was merged into ${replacedBy(target)}; merge into that Patient instead`);
+  }
+
+  const patients = mergedPatients(source, target, request.resultPatient);
+  const resources = await compartmentResources(source.id, session);
+  if (request.preview) {
+    return {
+      source,
+      target: patients.target,
+      moved: resources.map(({ resourceType, doc }) => ({ resourceType, id: doc._id })),
+      preview: true,
+    };
+  }
+
+  const written = [];
+  const moved = [];
+  for (const { resourceType, model, doc } of resources) {
+    const resource = await repoint(model, doc, patientReference(source.id), patientReference(target.id), { agent, session });
+    moved.push({ resourceType, id: resource.id });
+    written.push(versionedReference(resource));
+  }
+
+  const { resource: targetAfter } = await updateResource(Patient, target.id, patients.target, {
+    ifMatch: target.meta.versionId,
+    agent,
+    session,
+  });
+  written.unshift(versionedReference(targetAfter.toJSON()));
+  if (request.deleteSource) {
+    await deleteResource(Patient, source.id, { ifMatch: source.meta.versionId, agent, session });
+    written.push(patientReference(source.id));
+  } else {
+    const { resource: sourceAfter } = await updateResource(Patient, source.id, patients.source, {
+      ifMatch: source.meta.versionId,
+      agent,
+      session,
+    });
+    written.push(versionedReference(sourceAfter.toJSON()));
+  }
+
+  const provenance = await createResource(Provenance, lifecycleProvenance('merge', {
+    targets: written,
+    entity: versionedReference(source),
+    agent,
+  }), { agent, session });
+
+  await MergeRecord.create([{
+    source: source.id,
+    target: target.id,
+    moved,
+    addedIdentifiers: patients.addedIdentifiers,
+    sourceBefore: source,
+    deletedSource: request.deleteSource,
+    provenance: provenance._id,
+    mergedBy: agent?.who,
+  }], { session });
+
+  return { source, target: targetAfter.toJSON(), moved, provenance: provenance._id };
+}
+
+/**
+ * Run a merge or unmerge in a transaction, publishing its writes once it commits.
+ */
+async function inTransaction(work) {
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    // withTransaction may retry the callback, so it must not keep state between attempts
+    await session.withTransaction(async () => {
+      discardChanges(session);
+      result = await work(session);
+    });
+    flushChanges(session);
+    return result;
+  } finally {
+    await session.endSession();
+  }
+}
+
+/**
+ * Patient/$merge: fold the source Patient into the target.
+ *
+ * @param {Object} parameters - Parameters resource, see parseMergeParameters()
+ * @param {Object} [options]
+ * @param {WriteAgent} [options.agent] - Who asked for the merge, recorded in the Provenance
+ * @returns {Promise<Object>} Parameters with input, outcome and result (the target)
+ * @throws {FhirError} 400 for bad input, 422 for patients that cannot be
+ *   merged, 409/412 when a resource changed while it was being moved
+ */
+export async function mergePatients(parameters, { agent } = {}) {
+  const request = parseMergeParameters(parameters);
+  const result = request.preview
+    ? await merge(request, { agent })
+    : await inTransaction((session) => merge(request, { agent, session }));
+  return mergeResult(parameters, result);
+}
+
+/**
+ * The output Parameters of $merge and $unmerge.
+ */
+export function mergeResult(input, { source, target, moved, provenance, preview, unmerged }) {
+  const from = patientReference(unmerged ? target.id : source.id);
+  const to = patientReference(unmerged ? source.id : target.id);
+  const diagnostics = preview
+    ? `Merging ${from} into ${to} would move ${moved.length} resources`
+    : `${unmerged ? 'Unmerged' : 'Merged'} ${patientReference(source.id)} ${unmerged ? 'from' : 'into'} ${patientReference(target.id)}; moved ${moved.length} resources from ${from} to ${to} (Provenance/${provenance})`;
+
+  return {
+    resourceType: 'Parameters',
+    parameter: [
+      { name: 'input', resource: input },
+      { name: 'outcome', resource: operationOutcome([{ severity: 'information', code: 'informational', diagnostics }]) },
+      { name: 'result', resource: unmerged ? source : target },
+    ],
+  };
+}
+
+// ---------------- Unmerge ----------------
+
+async function unmerge(request, { agent, session }) {
+  const targetDoc = await resolvePatient('target', request.target, session);
+  const { reference, identifier } = request.source;
+  const sourceId = reference && PATIENT_REFERENCE.exec(reference)[1];
+
+  // The source may have been deleted by the merge, so it is found through the record
+  const records = await MergeRecord.find({ target: targetDoc._id, status: 'merged', ...(sourceId ? { source: sourceId } : {}) })
+    .sort({ created: -1 })
+    .session(session || null);
+  const record = records.find((r) => hasIdentifiers(r.sourceBefore || {}, identifier));
+  if (!record) {
+    throw new FhirError(422, `${sourceId ? patientReference(sourceId) : 'The source-patient'} was not merged into Patient/${targetDoc._id}`);
+  }
+
+  const source = patientReference(record.source);
+  const target = patientReference(record.target);
+  const written = [];
+  for (const { resourceType, id } of record.moved) {
+    const model = getModel(resourceType);
+    // Deleted since the merge
+    const doc = await model.findById(id).session(session || null);
+    if (!doc) continue;
+    written.push(versionedReference(await repoint(model, doc, target, source, { agent, session })));
+  }
+
+  const sourceDoc = await Patient.findById(record.source).session(session || null);
+  const current = targetDoc.toJSON();
+  const patients = unmergedPatients(sourceDoc?.toJSON(), current, record);
+  const { resource: targetAfter } = await updateResource(Patient, current.id, patients.target, {
+    ifMatch: current.meta.versionId,
+    agent,
+    session,
+  });
+  // Recreates the source when the merge deleted it
+  const { resource: sourceAfter } = await updateResource(Patient, record.source, patients.source, {
+    ...(sourceDoc ? { ifMatch: sourceDoc.meta.versionId } : {}),
+    agent,
+    session,
+  });
+  written.unshift(versionedReference(sourceAfter.toJSON()), versionedReference(targetAfter.toJSON()));
+
+  const provenance = await createResource(Provenance, lifecycleProvenance('unmerge', {
+    targets: written,
+    entity: `Provenance/${record.provenance}`,
+    agent,
+  }), { agent, session });
+
+  record.status = 'unmerged';
+  record.unmergedBy = agent?.who;
+  record.unmergedAt = new Date();
+  record.unmergeProvenance = provenance._id;
+  await record.save({ session });
+
+  return {
+    source: sourceAfter.toJSON(),
+    target: targetAfter.toJSON(),
+    moved: record.moved,
+    provenance: provenance._id,
+    unmerged: true,
+  };
+}
+
+/**
+ * Patient/$unmerge: undo the latest merge of the source into the target.
+ * Resources the merge moved go back to the source (those deleted since are
+ * skipped), the target loses the identifiers and link the merge added, and
+ * the source is reactivated, or recreated if the merge deleted it.
+ *
+ * @param {Object} parameters - Parameters resource naming the source and
+ *   target as for $merge
+ * @param {Object} [options]
+ * @param {WriteAgent} [options.agent] - Who asked for the unmerge
+ * @returns {Promise<Object>} Parameters with input, outcome and result (the source)
+ * @throws {FhirError} 422 when the source was not merged into the target
+ */
+export async function unmergePatients(parameters, { agent } = {}) {
+  const request = parseMergeParameters(parameters, '$unmerge');
+  const result = await inTransaction((session) => unmerge(request, { agent, session }));
+  return mergeResult(parameters, result);
+}
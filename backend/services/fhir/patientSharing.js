@@ -0,0 +1,241 @@
+// patientSharing.js - The only ways a chart leaves its hospital's tenant
+//
+// Patient/$share gives another hospital on this server read-only access to
+// a Patient's compartment until $unshare or the share's end. Its users
+// reach the chart through the Patient/:id routes guarded by
+// verifyPatientAccess (middleware/fhirAuth.js), which then run in the
+// owner's tenant, read-only and limited to the compartment.
+//
+// Patient/$transfer hands the chart over for good: the Patient and every
+// resource in its compartment move to the receiving hospital with their
+// history, tombstones and Provenance, in one Mongo transaction. The
+// Patient then gets a new version naming the receiving hospital as its
+// managingOrganization, recorded by a Provenance (activity "transmit").
+import mongoose from 'mongoose';
+import Patient from '../../models/Patient.js';
+import Provenance from '../../models/Provenance.js';
+import PatientShare from '../../models/PatientShare.js';
+import ResourceHistory from '../../models/ResourceHistory.js';
+import Tombstone from '../../models/Tombstone.js';
+import MatchReview from '../../models/MatchReview.js';
+import User from '../../models/User.js';
+import { FhirError, operationOutcome } from './operationOutcome.js';
+import { patientCompartmentTypes } from './registry.js';
+import { createResource, readResource, updateResource } from './resourceStore.js';
+import { discardChanges, flushChanges } from './events.js';
+import { lifecycleProvenance } from './patientMerge.js';
+import { assertWritable, currentTenant, runInTenant } from './tenancy.js';
+
+// "Organization/123", optionally as an absolute URL
+const ORGANIZATION_REFERENCE = /^(?:.*\/)?Organization\/([^/]+)$/;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const information = (diagnostics) => operationOutcome([{ severity: 'information', code: 'informational', diagnostics }]);
+
+/**
+ * Read the input of Patient/$share, $unshare or $transfer.
+ * @param {Object} body - Parameters with organization (valueReference to
+ *   the other hospital's Organization) and, for $share, optionally end
+ *   (valueDateTime)
+ * @param {string} operation - For error messages
+ * @returns {{organization: string, end?: Date}} organization as an id
+ * @throws {FhirError} 400 for missing or malformed parameters
+ */
+export function parseSharingParameters(body, operation) {
+  if (body?.resourceType !== 'Parameters') {
+    throw new FhirError(400, `Patient/${operation} needs a Parameters body`);
+  }
+  const value = (name) => (body.parameter || []).find((p) => p.name === name);
+
+  const match = ORGANIZATION_REFERENCE.exec(value('organization')?.valueReference?.reference || '');
+  if (!match) throw new FhirError(400, `Patient/${operation} needs an organization parameter referencing an Organization`);
+
+  const end = value('end')?.valueDateTime;
+  if (end !== undefined && Number.isNaN(new Date(end).getTime())) {
+    throw new FhirError(400, `Invalid end '${end}'`);
+  }
+  return { organization: match[1], ...(end !== undefined ? { end: new Date(end) } : {}) };
+}
+
+/**
+ * The other hospital must be a different tenant of this server.
+ */
+async function assertOtherTenant(organization) {
+  if (organization === currentTenant()) {
+    throw new FhirError(422, `The chart already belongs to Organization/${organization}`);
+  }
+  if (!(await User.exists({ organization }))) {
+    throw new FhirError(422, `Organization/${organization} is not a hospital on this server`);
+  }
+}
+
+/**
+ * The Patient, which must be the current tenant's own and not one shared with it.
+ */
+async function ownPatient(id, session) {
+  assertWritable();
+  return readResource(Patient, id, { session });
+}
+
+// ---------------- Sharing ----------------
+
+/**
+ * The share that lets the current tenant read another tenant's Patient.
+ * @param {string} id - Patient id
+ * @returns {Promise<Object|null>} The PatientShare, null when there is none
+ *   or it has ended
+ */
+export async function findShare(id) {
+  const organization = currentTenant();
+  // Untenanted callers belong to no hospital, so nothing is shared with them
+  if (!organization) return null;
+  return PatientShare.findOne({
+    patient: id,
+    organization,
+    $or: [{ end: null }, { end: { $gt: new Date() } }],
+  });
+}
+
+/**
+ * Patient/$share: let another hospital read the Patient's compartment.
+ * Sharing with the same hospital again replaces the end.
+ * @param {string} id - Patient id
+ * @param {Object} parameters - See parseSharingParameters()
+ * @param {Object} [options]
+ * @param {string} [options.sharedBy] - Who shared it
+ * @returns {Promise<Object>} OperationOutcome
+ * @throws {FhirError} 400 for bad input, 404/410 for unknown Patients,
+ *   422 when the organization is not another hospital on this server
+ */
+export async function shareChart(id, parameters, { sharedBy } = {}) {
+  const { organization, end } = parseSharingParameters(parameters, '$share');
+  await ownPatient(id);
+  await assertOtherTenant(organization);
+
+  await PatientShare.findOneAndUpdate(
+    { patient: id, organization },
+    { owner: currentTenant(), end: end ?? null, sharedBy },
+    { upsert: true },
+  );
+  return information(`Patient/${id} is shared with Organization/${organization}${end ? ` until ${end.toISOString()}` : ''}`);
+}
+
+/**
+ * Patient/$unshare: end a share made with $share.
+ * @param {string} id - Patient id
+ * @param {Object} parameters - See parseSharingParameters()
+ * @returns {Promise<Object>} OperationOutcome
+ * @throws {FhirError} 404 when the Patient is not shared with the organization
+ */
+export async function unshareChart(id, parameters) {
+  const { organization } = parseSharingParameters(parameters, '$unshare');
+  await ownPatient(id);
+
+  const { deletedCount } = await PatientShare.deleteOne({ patient: id, organization, owner: currentTenant() });
+  if (!deletedCount) throw new FhirError(404, `Patient/${id} is not shared with Organization/${organization}`);
+  return information(`Patient/${id} is no longer shared with Organization/${organization}`);
+}
+
+// ---------------- Transfer ----------------
+
+/**
+ * Ids of the Patient's compartment resources, live and deleted, by type.
+ */
+async function compartmentIds(id, session) {
+  const reference = `Patient/${id}`;
+  const found = [{ resourceType: 'Patient', model: Patient, ids: [id] }];
+  for (const { resourceType, model, compartment } of patientCompartmentTypes()) {
+    const live = await model.find({ $or: compartment.map((path) => ({ [path]: reference })) }, { _id: 1 })
+      .session(session);
+    const deleted = await Tombstone.find({
+      resourceType,
+      $or: compartment.map((path) => ({ [`resource.${path}`]: reference })),
+    }, { resourceId: 1 }).session(session);
+    const ids = [...live.map((doc) => doc._id), ...deleted.map((tombstone) => tombstone.resourceId)];
+    if (ids.length) found.push({ resourceType, model, ids });
+  }
+  return found;
+}
+
+/**
+ * Move resources to another tenant with their history and tombstones.
+ * They are looked up in the current tenant, so nothing else can come along.
+ */
+async function moveResources({ resourceType, model, ids }, organization, session) {
+  const moved = { $set: { _tenant: organization } };
+  await model.updateMany({ _id: { $in: ids } }, moved, { session });
+  await ResourceHistory.updateMany({ resourceType, resourceId: { $in: ids } }, moved, { session });
+  await Tombstone.updateMany({ resourceType, resourceId: { $in: ids } }, moved, { session });
+}
+
+async function transfer(id, organization, { agent, session }) {
+  const patient = (await ownPatient(id, session)).toJSON();
+  const resources = await compartmentIds(id, session);
+
+  // Provenance targets versions, e.g. Observation/1/_history/2
+  const targets = resources.flatMap(({ resourceType, ids }) => ids.map((i) => `${resourceType}/${i}`));
+  const provenance = await Provenance.find({
+    'target.reference': { $in: targets.map((target) => new RegExp(`^${escapeRegExp(target)}(/|$)`)) },
+  }, { _id: 1 }).session(session);
+  if (provenance.length) {
+    resources.push({ resourceType: 'Provenance', model: Provenance, ids: provenance.map((doc) => doc._id) });
+  }
+
+  for (const group of resources) await moveResources(group, organization, session);
+  // Possible duplicates and shares were the sending hospital's business
+  await MatchReview.deleteMany({ status: 'open', $or: [{ patient: id }, { candidate: id }] }, { session });
+  await PatientShare.deleteMany({ patient: id }, { session });
+
+  return runInTenant(organization, async () => {
+    const { resource } = await updateResource(Patient, id, {
+      ...patient,
+      managingOrganization: { reference: `Organization/${organization}` },
+    }, { ifMatch: patient.meta.versionId, agent, session });
+    const after = resource.toJSON();
+    const record = await createResource(Provenance, lifecycleProvenance('transmit', {
+      targets: [`Patient/${id}/_history/${after.meta.versionId}`],
+      agent,
+    }), { agent, session });
+    return { patient: after, moved: targets.length - 1, provenance: record._id };
+  });
+}
+
+/**
+ * Patient/$transfer: hand the Patient's whole chart over to another
+ * hospital on this server. Afterwards the sending hospital no longer sees it.
+ * @param {string} id - Patient id
+ * @param {Object} parameters - See parseSharingParameters()
+ * @param {Object} [options]
+ * @param {WriteAgent} [options.agent] - Who asked for it, see provenance.js
+ * @returns {Promise<Object>} Parameters with input, outcome and result (the Patient)
+ * @throws {FhirError} 400 for bad input, 404/410 for unknown Patients,
+ *   422 when the organization is not another hospital on this server
+ */
+export async function transferChart(id, parameters, { agent } = {}) {
+  const { organization } = parseSharingParameters(parameters, '$transfer');
+  await assertOtherTenant(organization);
+
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    // withTransaction may retry the callback, so it must not keep state between attempts
+    await session.withTransaction(async () => {
+      discardChanges(session);
+      result = await transfer(id, organization, { agent, session });
+    });
+    // Its writes are the receiving hospital's, and so are their notifications
+    runInTenant(organization, () => flushChanges(session));
+
+    const { patient, moved, provenance } = result;
+    return {
+      resourceType: 'Parameters',
+      parameter: [
+        { name: 'input', resource: parameters },
+        { name: 'outcome', resource: information(`Transferred Patient/${id} and ${moved} resources to Organization/${organization} (Provenance/${provenance})`) },
+        { name: 'result', resource: patient },
+      ],
+    };
+  } finally {
+    await session.endSession();
+  }
+}
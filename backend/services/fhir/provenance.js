@@ -0,0 +1,90 @@
+// provenance.js - Who wrote each version of a resource, and through what
+//
+// resourceStore records a Provenance for every version it writes (create,
+// update and delete), targeting that version, e.g. Patient/123/_history/4,
+// so Provenance?target=Patient/123 lists a resource's whole trail. Callers
+// describe the write with an `agent` option (see WriteAgent); writes
+// without one are attributed to the server itself.
+
+export const DATA_OPERATION = 'http://terminology.hl7.org/CodeSystem/v3-DataOperation';
+export const PARTICIPANT_TYPE = 'http://terminology.hl7.org/CodeSystem/provenance-participant-type';
+export const USER_ROLE = 'http://uhrh.local/fhir/CodeSystem/user-role';
+export const SOURCE_SYSTEM = 'http://uhrh.local/fhir/CodeSystem/source-system';
+
+// How a write reached the store
+export const SOURCES = {
+  api: 'FHIR REST API',
+  hl7: 'HL7 v2 interface',
+  exchange: 'Data exchange hub',
+  import: 'Bulk import',
+  system: 'Server',
+};
+
+const ACTIVITIES = {
+  POST: { code: 'CREATE', display: 'create' },
+  PUT: { code: 'UPDATE', display: 'revise' },
+  DELETE: { code: 'DELETE', display: 'delete' },
+};
+
+/**
+ * @typedef {Object} WriteAgent
+ * @property {string} [who] - User (email or id) or feed that made the write
+ * @property {string} [role] - The user's role, e.g. "Doctor"
+ * @property {string} [onBehalfOf] - Reference (e.g. "Organization/1") or
+ *   name of the party the write was made for
+ * @property {string} [source] - Key of SOURCES
+ * @property {string} [system] - Name of the particular source system, e.g.
+ *   an exchange partner or legacy system
+ */
+
+const participant = (code) => ({ coding: [{ system: PARTICIPANT_TYPE, code }] });
+
+function reference(value) {
+  return /^[A-Z][A-Za-z]+\/[^/\s]+$/.test(value) ? { reference: value } : { display: value };
+}
+
+/**
+ * Provenance.agent for a write: the author, then the source system it came through.
+ * @param {WriteAgent} [agent]
+ * @returns {Object[]}
+ */
+export function provenanceAgents({ who, role, onBehalfOf, source = 'system', system } = {}) {
+  return [
+    {
+      type: participant('author'),
+      ...(role ? { role: [{ coding: [{ system: USER_ROLE, code: role }] }] } : {}),
+      who: { display: who || 'system' },
+      ...(onBehalfOf ? { onBehalfOf: reference(onBehalfOf) } : {}),
+    },
+    {
+      type: participant('assembler'),
+      role: [{ coding: [{ system: SOURCE_SYSTEM, code: source, display: SOURCES[source] }] }],
+      who: { type: 'Device', display: system || SOURCES[source] || source },
+    },
+  ];
+}
+
+/**
+ * The Provenance of one version written by resourceStore.
+ * @param {Object} change
+ * @param {string} change.resourceType
+ * @param {string} change.id
+ * @param {string} change.versionId
+ * @param {string} change.method - POST, PUT or DELETE
+ * @param {Date} change.lastUpdated
+ * @param {string} [change.reason] - Why, e.g. a deletion reason
+ * @param {WriteAgent} [agent]
+ * @returns {Object} Provenance JSON
+ */
+export function writeProvenance({ resourceType, id, versionId, method, lastUpdated, reason }, agent) {
+  const recorded = lastUpdated.toISOString();
+  return {
+    resourceType: 'Provenance',
+    target: [{ reference: `${resourceType}/${id}/_history/${versionId}` }],
+    occurredDateTime: recorded,
+    recorded,
+    ...(reason ? { reason: [{ text: reason }] } : {}),
+    activity: { coding: [{ system: DATA_OPERATION, ...ACTIVITIES[method] }] },
+    agent: provenanceAgents(agent),
+  };
+}
@@ -0,0 +1,201 @@
+// registry.js - Resource types served from the local Mongo store
+import Patient from '../../models/Patient.js';
+import Observation from '../../models/Observation.js';
+import Condition from '../../models/Condition.js';
+import MedicationRequest from '../../models/MedicationRequest.js';
+import AllergyIntolerance from '../../models/AllergyIntolerance.js';
+import Encounter from '../../models/Encounter.js';
+import DiagnosticReport from '../../models/DiagnosticReport.js';
+import Procedure from '../../models/Procedure.js';
+import Immunization from '../../models/Immunization.js';
+import RiskAssessment from '../../models/RiskAssessment.js';
+import Subscription from '../../models/Subscription.js';
+import Group from '../../models/Group.js';
+import Provenance from '../../models/Provenance.js';
+import { FhirError } from './operationOutcome.js';
+import { normalizeObservation } from './normalization.js';
+import { interpretObservation } from './interpretation.js';
+import { patientIndex } from './patientMatching.js';
+
+/**
+ * Adding a resource type takes a model (see models/fhirResource.js), its
+ * search parameters in searchParameters.js and an entry here. The CRUD,
+ * search and history routes are mounted for every entry.
+ *
+ * model - Mongoose model holding the resources
+ * compartment - Reference paths that place a resource in a Patient's
+ *   compartment (see the R4 CompartmentDefinition for Patient)
+ * clinicalDate - Path of the date the care happened, used by the
+ *   start/end parameters of Patient/$everything
+ * operations - Named operations on the type, advertised in the
+ *   CapabilityStatement (the routes themselves live in routes/fhir/fhir.js)
+ * enrich - Async; called with each resource about to be written (and the
+ *   write's { session }) to fill in elements derived from other resources
+ * normalize - Called with each resource about to be written; may rewrite it
+ *   in place and returns server-only search fields, stored under _index
+ * readOnly - Written only by the server itself; clients get read, vread,
+ *   search and history but no create, update, patch or delete
+ */
+const resources = {
+  Patient: {
+    model: Patient,
+    normalize: patientIndex,
+    operations: [
+      { name: 'everything', definition: 'http://hl7.org/fhir/OperationDefinition/Patient-everything' },
+      { name: 'match', definition: 'http://hl7.org/fhir/OperationDefinition/Patient-match' },
+      { name: 'merge', definition: 'http://hl7.org/fhir/OperationDefinition/Patient-merge' },
+      { name: 'export', definition: 'http://hl7.org/fhir/uv/bulkdata/OperationDefinition/patient-export' },
+    ],
+  },
+  Observation: {
+    model: Observation,
+    compartment: ['subject.reference'],
+    clinicalDate: 'effectiveDateTime',
+    enrich: interpretObservation,
+    normalize: normalizeObservation,
+  },
+  Condition: {
+    model: Condition,
+    compartment: ['subject.reference', 'asserter.reference'],
+    clinicalDate: 'onsetDateTime',
+  },
+  MedicationRequest: {
+    model: MedicationRequest,
+    compartment: ['subject.reference'],
+    clinicalDate: 'authoredOn',
+  },
+  AllergyIntolerance: {
+    model: AllergyIntolerance,
+    compartment: ['patient.reference', 'recorder.reference', 'asserter.reference'],
+    clinicalDate: 'recordedDate',
+  },
+  Encounter: {
+    model: Encounter,
+    compartment: ['subject.reference'],
+    clinicalDate: 'period.start',
+  },
+  DiagnosticReport: {
+    model: DiagnosticReport,
+    compartment: ['subject.reference'],
+    clinicalDate: 'effectiveDateTime',
+  },
+  Procedure: {
+    model: Procedure,
+    compartment: ['subject.reference', 'performer.actor.reference'],
+    clinicalDate: 'performedDateTime',
+  },
+  Immunization: {
+    model: Immunization,
+    compartment: ['patient.reference'],
+    clinicalDate: 'occurrenceDateTime',
+  },
+  RiskAssessment: {
+    model: RiskAssessment,
+    compartment: ['subject.reference'],
+    clinicalDate: 'occurrenceDateTime',
+  },
+  Subscription: {
+    model: Subscription,
+  },
+  Group: {
+    model: Group,
+    operations: [
+      { name: 'export', definition: 'http://hl7.org/fhir/uv/bulkdata/OperationDefinition/group-export' },
+    ],
+  },
+  // Recorded with every write by provenance.js
+  Provenance: {
+    model: Provenance,
+    readOnly: true,
+  },
+};
+
+/**
+ * Look up the Mongoose model backing a FHIR resource type.
+ * @param {string} resourceType
+ * @returns {mongoose.Model}
+ * @throws {FhirError} 404 for types the local store does not hold
+ */
+export function getModel(resourceType) {
+  const definition = resources[resourceType];
+  if (!definition) {
+    throw new FhirError(404, `Resource type '${resourceType}' is not supported`, 'not-supported');
+  }
+  return definition.model;
+}
+
+/**
+ * @returns {string[]} Every resource type the local store holds
+ */
+export function resourceTypes() {
+  return Object.keys(resources);
+}
+
+/**
+ * Whether clients may only read a resource type (see readOnly above).
+ * @param {string} resourceType
+ * @returns {boolean}
+ */
+export function isReadOnly(resourceType) {
+  return Boolean(resources[resourceType]?.readOnly);
+}
+
+/**
+ * Run a type's normalize hook on a resource about to be written.
+ * @param {string} resourceType
+ * @param {Object} resource - FHIR resource JSON, may be changed in place
+ * @returns {Object|undefined} Search fields to store under _index
+ */
+export function normalizeResource(resourceType, resource) {
+  return resources[resourceType]?.normalize?.(resource);
+}
+
+/**
+ * Run a type's enrich hook on a resource about to be written.
+ * @param {string} resourceType
+ * @param {Object} resource - FHIR resource JSON, may be changed in place
+ * @param {Object} [options]
+ * @param {ClientSession} [options.session]
+ * @returns {Promise<void>}
+ */
+export async function enrichResource(resourceType, resource, options = {}) {
+  await resources[resourceType]?.enrich?.(resource, options);
+}
+
+// Operations every registered type supports
+const commonOperations = [
+  { name: 'validate', definition: 'http://hl7.org/fhir/OperationDefinition/Resource-validate' },
+];
+
+/**
+ * Named operations registered for a resource type.
+ * @param {string} resourceType
+ * @returns {Array<{name: string, definition: string}>}
+ */
+export function resourceOperations(resourceType) {
+  return [...commonOperations, ...(resources[resourceType]?.operations || [])];
+}
+
+// Operations on the whole server rather than one type
+const systemOperations = [
+  { name: 'export', definition: 'http://hl7.org/fhir/uv/bulkdata/OperationDefinition/export' },
+];
+
+/**
+ * Named operations registered at the system level.
+ * @returns {Array<{name: string, definition: string}>}
+ */
+export function serverOperations() {
+  return [...systemOperations];
+}
+
+/**
+ * Resource types that can belong to a Patient compartment, in the order
+ * Patient/$everything returns them.
+ * @returns {Array<{resourceType: string, model: mongoose.Model, compartment: string[], clinicalDate?: string}>}
+ */
+export function patientCompartmentTypes() {
+  return Object.entries(resources)
+    .filter(([, definition]) => definition.compartment)
+    .map(([resourceType, definition]) => ({ resourceType, ...definition }));
+}
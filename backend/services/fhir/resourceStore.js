@@ -0,0 +1,463 @@
+// resourceStore.js - Versioned read/write access to locally stored FHIR resources
+//
+// All writes go through here so that each one bumps meta.versionId and
+// meta.lastUpdated and leaves a copy of the new version in ResourceHistory.
+// Every function accepts an optional Mongo `session` so a FHIR transaction
+// can run several of them atomically. Each new version is also published
+// to resourceEvents (see events.js) and gets a Provenance naming the
+// `agent` option's user and source system (see provenance.js).
+//
+// Reads and writes only ever reach the current tenant's resources (see
+// tenancy.js); ids stay unique across tenants.
+//
+// Deletes are logical: the resource leaves its collection (so searches no
+// longer find it and reads answer 410 Gone) but its last version is kept as
+// a Tombstone until tombstones.js purges it, and restoreResource() can bring
+// it back as a new version.
+import ResourceHistory from '../../models/ResourceHistory.js';
+import Tombstone from '../../models/Tombstone.js';
+import { FhirError } from './operationOutcome.js';
+import { applyPatch } from './jsonPatch.js';
+import { parseSearch } from './search.js';
+import { resolveIncludes } from './include.js';
+import { assertValid } from './validator.js';
+import { publishChange } from './events.js';
+import { writeProvenance } from './provenance.js';
+import { enrichResource, getModel, normalizeResource } from './registry.js';
+import { acrossTenants } from './tenancy.js';
+
+// Plain document shape for replaceOne (skips the FHIR toObject transform)
+const RAW = { transform: false, versionKey: false, depopulate: true };
+
+/**
+ * Strip server-managed fields from an incoming resource body. With
+ * FHIR_VALIDATE_ON_WRITE=true the rest must also pass validation. The
+ * type's enrich hook (see registry.js) then fills in derived elements and
+ * its normalize hook _index.
+ */
+async function content(resourceType, body = {}, { session } = {}) {
+  if (body.resourceType && body.resourceType !== resourceType) {
+    throw new FhirError(400, `Expected a ${resourceType} resource but got ${body.resourceType}`);
+  }
+  const { id, _id, _index, _tenant, meta = {}, ...rest } = body;
+  const { versionId, lastUpdated, ...clientMeta } = meta;
+  const data = structuredClone({ ...rest, resourceType, meta: clientMeta });
+  if (process.env.FHIR_VALIDATE_ON_WRITE === 'true') assertValid(data);
+  await enrichResource(resourceType, data, { session });
+  const index = normalizeResource(resourceType, data);
+  return index ? { ...data, _index: index } : data;
+}
+
+/**
+ * Enforce an If-Match precondition against the stored version.
+ */
+function checkVersion(resourceType, id, current, ifMatch) {
+  if (ifMatch === undefined) return;
+  const versionId = current?.meta?.versionId;
+  if (!current || String(versionId) !== String(ifMatch)) {
+    throw new FhirError(
+      412,
+      current
+        ? `${resourceType}/${id} is at version ${versionId}, not ${ifMatch}`
+        : `${resourceType}/${id} does not exist`
+    );
+  }
+}
+
+async function recordVersion(resourceType, id, versionId, lastUpdated, method, resource, { agent, reason, session }) {
+  await ResourceHistory.create([{
+    resourceType,
+    resourceId: id,
+    versionId: Number(versionId),
+    lastUpdated,
+    method,
+    resource,
+  }], { session });
+  publishChange({ resourceType, id, versionId: String(versionId), method, resource }, session);
+
+  // A Provenance's own Provenance would never end
+  if (resourceType !== 'Provenance') {
+    const provenance = writeProvenance({ resourceType, id, versionId, method, lastUpdated, reason }, agent);
+    await createResource(getModel('Provenance'), provenance, { session });
+  }
+}
+
+function parseSince(since) {
+  if (since === undefined) return undefined;
+  const date = new Date(since);
+  if (Number.isNaN(date.getTime())) {
+    throw new FhirError(400, `Invalid _since '${since}'`);
+  }
+  return date;
+}
+
+/**
+ * Resolve the search criteria of a conditional interaction. At most two
+ * matches are fetched since callers only distinguish none, one and many.
+ * @param {mongoose.Model} Model
+ * @param {Object} query - Parsed search criteria
+ * @param {Object} [options]
+ * @param {ClientSession} [options.session]
+ * @returns {Promise<mongoose.Document[]>}
+ */
+export async function findConditionalMatches(Model, query, { session } = {}) {
+  const { filter, params } = parseSearch(Model.modelName, query, { strict: true });
+  if (!Object.keys(params).length) {
+    throw new FhirError(400, 'Conditional interactions require at least one search parameter');
+  }
+  return Model.find(filter).limit(2).session(session || null);
+}
+
+/**
+ * Run a FHIR search against a model, along with its _include and _revinclude.
+ * @param {mongoose.Model} Model
+ * @param {Object} query - req.query
+ * @param {Object} [options]
+ * @param {boolean} [options.strict] - Reject unknown parameters
+ * @param {Object} [options.within] - Mongo filter the matches must also
+ *   pass, e.g. a Patient compartment
+ * @param {ClientSession} [options.session]
+ * @returns {Promise<{resources: mongoose.Document[], included: mongoose.Document[], total: number, count: number, offset: number, params: Object}>}
+ */
+export async function searchResources(Model, query, { strict = false, within, session } = {}) {
+  const parsed = parseSearch(Model.modelName, query, { strict });
+  const { sort, count, offset, params } = parsed;
+  const filter = within ? { $and: [parsed.filter, within] } : parsed.filter;
+  // Sequential: a transaction session cannot run operations in parallel
+  const total = await Model.countDocuments(filter).session(session || null);
+  const resources = count > 0
+    ? await Model.find(filter).sort(sort).skip(offset).limit(count).session(session || null)
+    : [];
+  const { included, params: includeParams } = await resolveIncludes(Model.modelName, resources, query, { strict, session });
+  // Paging links must keep the requested order, subset and includes
+  const resultParams = Object.fromEntries(['_sort', '_summary', '_elements']
+    .filter((name) => query[name] !== undefined)
+    .map((name) => [name, [].concat(query[name])]));
+  return {
+    resources,
+    included,
+    total,
+    count,
+    offset,
+    params: { ...params, ...resultParams, ...includeParams },
+  };
+}
+
+/**
+ * The last version recorded for an id, 0 when it never existed.
+ */
+async function lastVersion(resourceType, id, session) {
+  const latest = await ResourceHistory.findOne({ resourceType, resourceId: id })
+    .sort({ versionId: -1 })
+    .session(session || null);
+  return latest?.versionId || 0;
+}
+
+/**
+ * Whether another tenant has (or had) a resource with this id.
+ */
+async function idTaken(resourceType, id, session) {
+  return acrossTenants(async () => Boolean(
+    await ResourceHistory.exists({ resourceType, resourceId: id }).session(session || null)
+  ));
+}
+
+/**
+ * Create a new resource at version 1. Recreating a deleted id continues
+ * its version history instead.
+ * @param {mongoose.Model} Model
+ * @param {Object} body - FHIR resource JSON
+ * @param {Object} [options]
+ * @param {string} [options.id] - Client-assigned id (update-as-create)
+ * @param {WriteAgent} [options.agent] - Who is writing, see provenance.js
+ * @param {ClientSession} [options.session]
+ * @returns {Promise<mongoose.Document>}
+ */
+export async function createResource(Model, body, { id, agent, session } = {}) {
+  const resourceType = Model.modelName;
+  const data = await content(resourceType, body, { session });
+  const now = new Date();
+  const versionId = id ? await lastVersion(resourceType, id, session) + 1 : 1;
+  if (id && versionId === 1 && await idTaken(resourceType, id, session)) {
+    throw new FhirError(409, `${resourceType} id '${id}' is already in use`);
+  }
+
+  const doc = new Model({
+    ...data,
+    ...(id ? { _id: id } : {}),
+    meta: { ...data.meta, versionId: String(versionId), lastUpdated: now },
+  });
+  await doc.save({ session });
+  if (id) await Tombstone.deleteOne({ resourceType, resourceId: id }, { session });
+
+  await recordVersion(resourceType, doc._id, versionId, now, 'POST', doc.toJSON(), { agent, session });
+  return doc;
+}
+
+/**
+ * The tombstone of a deleted resource, if it has one.
+ */
+async function findTombstone(resourceType, id, session) {
+  return Tombstone.findOne({ resourceType, resourceId: id }).session(session || null);
+}
+
+/**
+ * Read the current version of a resource.
+ * @throws {FhirError} 404 when it does not exist, 410 when it was deleted
+ */
+export async function readResource(Model, id, { session } = {}) {
+  const doc = await Model.findById(id).session(session || null);
+  if (!doc) {
+    const tombstone = await findTombstone(Model.modelName, id, session);
+    if (tombstone) {
+      throw new FhirError(410, `${Model.modelName}/${id} was deleted on ${tombstone.deletedAt.toISOString()}`);
+    }
+    throw new FhirError(404, `${Model.modelName}/${id} not found`);
+  }
+  return doc;
+}
+
+/**
+ * Create a resource unless one already matches the If-None-Exist criteria.
+ * @param {mongoose.Model} Model
+ * @param {Object} body - FHIR resource JSON
+ * @param {Object} query - Parsed search criteria
+ * @param {Object} [options]
+ * @param {string} [options.id] - Id to use if the resource is created
+ * @param {WriteAgent} [options.agent]
+ * @param {ClientSession} [options.session]
+ * @returns {Promise<{resource: mongoose.Document, created: boolean}>}
+ * @throws {FhirError} 412 when the criteria match more than one resource
+ */
+export async function conditionalCreate(Model, body, query, { id, agent, session } = {}) {
+  const matches = await findConditionalMatches(Model, query, { session });
+  if (matches.length > 1) {
+    throw new FhirError(412, `If-None-Exist criteria match multiple ${Model.modelName} resources`);
+  }
+  if (matches.length === 1) return { resource: matches[0], created: false };
+  return { resource: await createResource(Model, body, { id, agent, session }), created: true };
+}
+
+/**
+ * Replace a resource with a new version, or create it if the id is unused.
+ * @param {mongoose.Model} Model
+ * @param {string} id
+ * @param {Object} body - FHIR resource JSON
+ * @param {Object} [options]
+ * @param {string} [options.ifMatch] - Version the client expects to replace
+ * @param {WriteAgent} [options.agent]
+ * @param {ClientSession} [options.session]
+ * @returns {Promise<{resource: mongoose.Document, created: boolean}>}
+ * @throws {FhirError} 412 when ifMatch is not the current version
+ */
+export async function updateResource(Model, id, body, { ifMatch, agent, session } = {}) {
+  const resourceType = Model.modelName;
+  if (body.id && body.id !== id) {
+    throw new FhirError(400, `Resource id '${body.id}' does not match URL id '${id}'`);
+  }
+
+  const current = await Model.findById(id).session(session || null);
+  checkVersion(resourceType, id, current, ifMatch);
+  if (!current) {
+    return { resource: await createResource(Model, body, { id, agent, session }), created: true };
+  }
+
+  const data = await content(resourceType, body, { session });
+  const previousVersion = current.meta?.versionId ?? null;
+  const versionId = String(Number(previousVersion || 0) + 1);
+  const now = new Date();
+
+  const next = new Model({
+    ...data,
+    _id: id,
+    // A new version stays with the tenant that owns the resource
+    _tenant: current._tenant,
+    meta: { ...data.meta, versionId, lastUpdated: now },
+  });
+  await next.validate();
+
+  // Only replace the version we read, so a concurrent writer is not lost
+  const { matchedCount } = await Model.replaceOne(
+    { _id: id, 'meta.versionId': previousVersion },
+    next.toObject(RAW),
+    { session }
+  );
+  if (!matchedCount) {
+    throw new FhirError(
+      ifMatch === undefined ? 409 : 412,
+      `${resourceType}/${id} was modified by another request`
+    );
+  }
+
+  await recordVersion(resourceType, id, versionId, now, 'PUT', next.toJSON(), { agent, session });
+  return { resource: next, created: false };
+}
+
+/**
+ * Update the single resource matching the search criteria, or create one
+ * when nothing matches (e.g. upsert by MRN).
+ * @param {mongoose.Model} Model
+ * @param {Object} query - Parsed search criteria
+ * @param {Object} body - FHIR resource JSON
+ * @param {Object} [options] - See updateResource(); `id` is used if the resource is created
+ * @returns {Promise<{resource: mongoose.Document, created: boolean}>}
+ * @throws {FhirError} 412 when the criteria match more than one resource
+ */
+export async function conditionalUpdate(Model, query, body, options = {}) {
+  const { id, agent, session } = options;
+  const matches = await findConditionalMatches(Model, query, { session });
+  if (matches.length > 1) {
+    throw new FhirError(412, `Conditional update criteria match multiple ${Model.modelName} resources`);
+  }
+  if (matches.length === 0) {
+    if (options.ifMatch !== undefined) {
+      throw new FhirError(412, `No ${Model.modelName} matches the conditional update criteria`);
+    }
+    return body.id
+      ? updateResource(Model, body.id, body, { agent, session })
+      : { resource: await createResource(Model, body, { id, agent, session }), created: true };
+  }
+
+  const [match] = matches;
+  if (body.id && body.id !== match._id) {
+    throw new FhirError(400, `Resource id '${body.id}' does not match ${Model.modelName}/${match._id}`);
+  }
+  return updateResource(Model, match._id, body, { ifMatch: options.ifMatch, agent, session });
+}
+
+/**
+ * Apply a JSON Patch to the current version of a resource.
+ * @param {mongoose.Model} Model
+ * @param {string} id
+ * @param {Object[]} operations - RFC 6902 operations
+ * @param {Object} [options] - See updateResource()
+ * @returns {Promise<mongoose.Document>}
+ */
+export async function patchResource(Model, id, operations, { ifMatch, agent, session } = {}) {
+  const resourceType = Model.modelName;
+  const current = await readResource(Model, id, { session });
+  checkVersion(resourceType, id, current, ifMatch);
+
+  const patched = applyPatch(current.toJSON(), operations);
+  if (patched.id !== id || patched.resourceType !== resourceType) {
+    throw new FhirError(422, 'JSON Patch may not change resourceType or id');
+  }
+
+  // Pin the version we patched so a concurrent write is not overwritten
+  const { resource } = await updateResource(Model, id, patched, {
+    ifMatch: ifMatch ?? current.meta?.versionId,
+    agent,
+    session,
+  });
+  return resource;
+}
+
+/**
+ * Delete a resource, recording the deletion as its final version and
+ * leaving a tombstone. Deleting a deleted resource does nothing.
+ * @param {Object} [options]
+ * @param {string} [options.ifMatch] - Version the client expects to delete
+ * @param {WriteAgent} [options.agent] - Who deleted it
+ * @param {string} [options.reason] - Why
+ * @param {ClientSession} [options.session]
+ * @throws {FhirError} 404 when it does not exist, 412 on a version mismatch
+ */
+export async function deleteResource(Model, id, { ifMatch, agent, reason, session } = {}) {
+  const resourceType = Model.modelName;
+  const current = await Model.findById(id).session(session || null);
+  if (!current && ifMatch === undefined && await findTombstone(resourceType, id, session)) return;
+  checkVersion(resourceType, id, current, ifMatch);
+  if (!current) throw new FhirError(404, `${resourceType}/${id} not found`);
+
+  const versionId = Number(current.meta?.versionId || 0) + 1;
+  const now = new Date();
+
+  await recordVersion(resourceType, id, versionId, now, 'DELETE', null, { agent, reason, session });
+  await Tombstone.create([{
+    resourceType,
+    resourceId: id,
+    versionId,
+    resource: current.toJSON(),
+    deletedBy: agent?.who,
+    reason,
+    deletedAt: now,
+  }], { session });
+  await Model.deleteOne({ _id: id }, { session });
+}
+
+/**
+ * Bring back a deleted resource as a new version of its last content.
+ * @param {mongoose.Model} Model
+ * @param {string} id
+ * @param {Object} [options]
+ * @param {WriteAgent} [options.agent]
+ * @param {ClientSession} [options.session]
+ * @returns {Promise<mongoose.Document>}
+ * @throws {FhirError} 404 when there is no tombstone (never existed or
+ *   purged), 409 when the resource is not deleted
+ */
+export async function restoreResource(Model, id, { agent, session } = {}) {
+  const resourceType = Model.modelName;
+  const tombstone = await findTombstone(resourceType, id, session);
+  if (!tombstone) {
+    if (await Model.exists({ _id: id }).session(session || null)) {
+      throw new FhirError(409, `${resourceType}/${id} is not deleted`);
+    }
+    throw new FhirError(404, `${resourceType}/${id} has no deleted version to restore`);
+  }
+  // Recreating the id continues its history and clears the tombstone
+  return createResource(Model, tombstone.resource, { id, agent, session });
+}
+
+/**
+ * Read a specific version of a resource (vread).
+ * @throws {FhirError} 404 for unknown versions, 410 for a deletion
+ */
+export async function readVersion(Model, id, versionId, { session } = {}) {
+  const resourceType = Model.modelName;
+  const version = await ResourceHistory.findOne({
+    resourceType,
+    resourceId: id,
+    versionId: Number(versionId),
+  }).session(session || null).lean();
+
+  if (!version) {
+    throw new FhirError(404, `${resourceType}/${id}/_history/${versionId} not found`);
+  }
+  if (version.method === 'DELETE') {
+    throw new FhirError(410, `${resourceType}/${id} was deleted in version ${versionId}`);
+  }
+  return version;
+}
+
+/**
+ * List versions newest first, for one resource (id given) or the whole type.
+ * @param {mongoose.Model} Model
+ * @param {Object} options
+ * @param {string} [options.id] - Resource id for instance history
+ * @param {string} [options.since] - Only versions at or after this instant
+ * @param {number} options.count
+ * @param {number} options.offset
+ * @returns {Promise<{versions: Object[], total: number}>}
+ */
+export async function history(Model, { id, since, count, offset }) {
+  const filter = { resourceType: Model.modelName };
+  if (id) filter.resourceId = id;
+
+  const sinceDate = parseSince(since);
+  if (sinceDate) filter.lastUpdated = { $gte: sinceDate };
+
+  const [total, versions] = await Promise.all([
+    ResourceHistory.countDocuments(filter),
+    ResourceHistory.find(filter)
+      .sort({ lastUpdated: -1, versionId: -1 })
+      .skip(offset)
+      .limit(count)
+      .lean(),
+  ]);
+
+  if (id && total === 0 && !(await Model.exists({ _id: id }))) {
+    throw new FhirError(404, `${Model.modelName}/${id} not found`);
+  }
+  return { versions, total };
+}
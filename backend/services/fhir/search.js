@@ -0,0 +1,435 @@
+// search.js - Translate FHIR search query strings into Mongo filters
+import { FhirError } from './operationOutcome.js';
+import { getSearchParameters } from './searchParameters.js';
+import { UCUM_SYSTEM, canonicalize, isValidUnit } from './ucum.js';
+
+export const DEFAULT_COUNT = 20;
+export const MAX_COUNT = 500;
+
+// Parameters that shape the result set rather than filter it
+export const RESULT_PARAMETERS = [
+  '_count', '_offset', '_sort', '_include', '_revinclude',
+  '_summary', '_elements', '_total', '_format', '_pretty',
+];
+
+const PREFIXES = ['eq', 'ne', 'gt', 'lt', 'ge', 'le', 'sa', 'eb', 'ap'];
+const MODIFIERS = ['exact', 'contains', 'missing', 'not'];
+
+/**
+ * Parse an Express query object into a Mongo filter plus paging options.
+ * Repeated parameters are ANDed, comma separated values are ORed.
+ *
+ * @param {string} resourceType - FHIR resource type being searched
+ * @param {Object} query - req.query
+ * @param {Object} [options]
+ * @param {boolean} [options.strict] - Reject unknown parameters (Prefer: handling=strict)
+ * @returns {{filter: Object, sort: Object, count: number, offset: number, params: Object<string, string[]>}}
+ */
+export function parseSearch(resourceType, query = {}, { strict = false } = {}) {
+  const definitions = getSearchParameters(resourceType);
+  const clauses = [];
+  const params = {};
+
+  for (const [key, raw] of Object.entries(query)) {
+    if (RESULT_PARAMETERS.includes(key)) continue;
+
+    const [name, modifier] = key.split(':');
+    const definition = definitions[name];
+
+    if (!definition || (modifier && !MODIFIERS.includes(modifier))) {
+      if (strict) {
+        throw new FhirError(400, `Unknown search parameter '${key}' for ${resourceType}`);
+      }
+      continue;
+    }
+
+    const values = toArray(raw);
+    for (const value of values) {
+      if (typeof value !== 'string') {
+        throw new FhirError(400, `Invalid value for search parameter '${key}'`);
+      }
+      clauses.push(compileParameter(name, definition, modifier, value));
+    }
+    params[key] = values;
+  }
+
+  return {
+    filter: clauses.length ? { $and: clauses } : {},
+    sort: parseSort(resourceType, definitions, query._sort),
+    count: parseCount(query._count),
+    offset: parseOffset(query._offset),
+    params,
+  };
+}
+
+/**
+ * Parse a raw query string (e.g. an If-None-Exist header) into the shape of
+ * req.query, keeping repeated parameters as arrays.
+ * @param {string} value - "identifier=urn:mrn|123&birthdate=1980-01-01"
+ * @returns {Object<string, string|string[]>}
+ */
+export function parseQueryString(value = '') {
+  const query = {};
+  for (const [key, v] of new URLSearchParams(value.replace(/^\?/, ''))) {
+    query[key] = key in query ? [].concat(query[key], v) : v;
+  }
+  return query;
+}
+
+// ---------------- Parameter compilation ----------------
+
+function compileParameter(name, definition, modifier, value) {
+  if (modifier === 'missing') {
+    const paths = definition.paths || [definition.path];
+    const missing = value === 'true';
+    if (!missing && value !== 'false') {
+      throw new FhirError(400, `':missing' on '${name}' must be true or false`);
+    }
+    const conditions = paths.map((path) => ({
+      [path]: missing ? { $in: [null, []] } : { $nin: [null, []] },
+    }));
+    return missing ? { $and: conditions } : { $or: conditions };
+  }
+
+  // Commas separate OR'd alternatives unless escaped
+  const alternatives = splitOr(value).map((v) => {
+    switch (definition.type) {
+      case 'string':
+        return compileString(definition, modifier, v);
+      case 'token':
+        return compileToken(name, definition, modifier, v);
+      case 'date':
+        return compileDate(name, definition, v);
+      case 'reference':
+        return compileReference(name, definition, v);
+      case 'quantity':
+        return compileQuantity(name, definition, v);
+      default:
+        throw new FhirError(400, `Unsupported search parameter type '${definition.type}'`);
+    }
+  });
+
+  return alternatives.length === 1 ? alternatives[0] : { $or: alternatives };
+}
+
+function compileString(definition, modifier, value) {
+  let pattern;
+  if (modifier === 'exact') pattern = new RegExp(`^${escapeRegExp(value)}$`);
+  else if (modifier === 'contains') pattern = new RegExp(escapeRegExp(value), 'i');
+  else pattern = new RegExp(`^${escapeRegExp(value)}`, 'i');
+
+  const conditions = definition.paths.map((path) => ({ [path]: pattern }));
+  return conditions.length === 1 ? conditions[0] : { $or: conditions };
+}
+
+function compileToken(name, definition, modifier, value) {
+  const { path, target } = definition;
+  const hasSystem = value.includes('|');
+  const [system, code] = hasSystem ? splitToken(value) : [undefined, value];
+
+  let condition;
+  switch (target) {
+    case 'id':
+    case 'code':
+      condition = { [path]: code };
+      break;
+    case 'boolean':
+      if (code !== 'true' && code !== 'false') {
+        throw new FhirError(400, `'${name}' must be true or false`);
+      }
+      condition = { [path]: code === 'true' };
+      break;
+    case 'Identifier':
+    case 'ContactPoint':
+      condition = { [path]: { $elemMatch: tokenMatch('system', 'value', hasSystem, system, code) } };
+      break;
+    case 'CodeableConcept':
+      condition = { [`${path}.coding`]: { $elemMatch: tokenMatch('system', 'code', hasSystem, system, code) } };
+      break;
+    case 'Coding':
+      condition = tokenMatch(`${path}.system`, `${path}.code`, hasSystem, system, code);
+      break;
+    default:
+      throw new FhirError(400, `Unsupported token target for '${name}'`);
+  }
+
+  return modifier === 'not' ? { $nor: [condition] } : condition;
+}
+
+function tokenMatch(systemField, codeField, hasSystem, system, code) {
+  const match = {};
+  if (hasSystem) {
+    // "|code" means the code has no system at all
+    match[systemField] = system === '' ? { $in: [null, ''] } : system;
+  }
+  if (code !== '') match[codeField] = code;
+  return match;
+}
+
+function compileDate(name, definition, value) {
+  const { prefix, value: date } = splitPrefix(value);
+  const range = parseDateRange(date);
+  if (!range) {
+    throw new FhirError(400, `Invalid date '${value}' for search parameter '${name}'`);
+  }
+
+  let { start, end } = range;
+  if (prefix === 'ap') {
+    // Approximately: widen the range by 10% of its distance from now, at least a day
+    const gap = Math.max(Math.abs(Date.now() - start.getTime()) * 0.1, 24 * 60 * 60 * 1000);
+    start = new Date(start.getTime() - gap);
+    end = new Date(end.getTime() + gap);
+  }
+
+  const lo = formatBound(start, definition.format);
+  const hi = formatBound(end, definition.format);
+  const { path } = definition;
+
+  switch (prefix) {
+    case 'eq':
+    case 'ap':
+      return { [path]: { $gte: lo, $lt: hi } };
+    case 'ne':
+      return { $or: [{ [path]: { $lt: lo } }, { [path]: { $gte: hi } }] };
+    case 'gt':
+    case 'sa':
+      return { [path]: { $gte: hi } };
+    case 'lt':
+    case 'eb':
+      return { [path]: { $lt: lo } };
+    case 'ge':
+      return { [path]: { $gte: lo } };
+    case 'le':
+      return { [path]: { $lt: hi } };
+    default:
+      throw new FhirError(400, `Unsupported date prefix '${prefix}'`);
+  }
+}
+
+function compileReference(name, definition, value) {
+  const { path, targets = [], versioned } = definition;
+
+  if (versioned) {
+    // "Patient/123/_history/2" finds that version only; "Patient/123" any of its versions
+    const version = /([^/]+\/[^/]+\/_history\/[^/]+)$/.exec(value);
+    if (version) return { [path]: version[1] };
+    const { [path]: references } = compileReference(name, { path, targets }, value);
+    return {
+      [path]: {
+        $in: [].concat(references.$in || references)
+          .flatMap((reference) => [reference, new RegExp(`^${escapeRegExp(reference)}/_history/`)]),
+      },
+    };
+  }
+
+  // "Patient/123" or an absolute URL ending in it
+  if (value.includes('/')) {
+    const [type, id] = value.split('/').slice(-2);
+    return { [path]: `${type}/${id}` };
+  }
+  if (!targets.length) {
+    throw new FhirError(400, `'${name}' needs a typed reference like Patient/123`);
+  }
+  return { [path]: { $in: targets.map((type) => `${type}/${value}`) } };
+}
+
+function compileQuantity(name, definition, value) {
+  // [prefix]number|system|code, where system and code may be left empty
+  const [number, system, code] = value.split('|');
+  const { prefix, value: raw } = splitPrefix(number);
+  const target = Number(raw);
+  if (raw === '' || Number.isNaN(target)) {
+    throw new FhirError(400, `Invalid quantity '${value}' for search parameter '${name}'`);
+  }
+
+  const { path } = definition;
+  const valuePath = `${path}.value`;
+  // Implicit precision: "1.3" means [1.25, 1.35)
+  const decimals = (raw.split('.')[1] || '').length;
+  const half = 0.5 * 10 ** -decimals;
+  let lo = target - half;
+  let hi = target + half;
+  if (prefix === 'ap') {
+    const gap = Math.max(Math.abs(target) * 0.1, half);
+    lo = target - gap;
+    hi = target + gap;
+  }
+
+  // A UCUM unit is compared in base units against the forms normalization.js
+  // stored, so 1|http://unitsofmeasure.org|mg/dL also finds 88.4 umol/L
+  if (definition.canonical && code && (!system || system === UCUM_SYSTEM) && isValidUnit(code)) {
+    const base = (v) => canonicalize(v, code).value;
+    return {
+      [definition.canonical]: {
+        $elemMatch: {
+          code: canonicalize(target, code).code,
+          ...prefixCondition('value', prefix, { lo: base(lo), hi: base(hi), target: base(target) }),
+        },
+      },
+    };
+  }
+
+  const conditions = [prefixCondition(valuePath, prefix, { lo, hi, target })];
+  if (system) conditions.push({ [`${path}.system`]: system });
+  if (code) {
+    // Without a system the code may also be the human readable unit
+    conditions.push(system
+      ? { [`${path}.code`]: code }
+      : { $or: [{ [`${path}.code`]: code }, { [`${path}.unit`]: code }] });
+  }
+  return conditions.length === 1 ? conditions[0] : { $and: conditions };
+}
+
+/**
+ * Mongo condition on a numeric field for a search prefix, given the
+ * implicit range [lo, hi) of the searched value.
+ */
+function prefixCondition(field, prefix, { lo, hi, target }) {
+  switch (prefix) {
+    case 'eq':
+    case 'ap':
+      return { [field]: { $gte: lo, $lt: hi } };
+    case 'ne':
+      return { $or: [{ [field]: { $lt: lo } }, { [field]: { $gte: hi } }] };
+    case 'gt':
+    case 'sa':
+      return { [field]: { $gt: target } };
+    case 'lt':
+    case 'eb':
+      return { [field]: { $lt: target } };
+    case 'ge':
+      return { [field]: { $gte: target } };
+    case 'le':
+      return { [field]: { $lte: target } };
+    default:
+      throw new FhirError(400, `Unsupported quantity prefix '${prefix}'`);
+  }
+}
+
+// ---------------- Sorting ----------------
+
+/**
+ * Turn _sort=-date,code into a Mongo sort spec. _id always breaks ties so
+ * paging stays stable.
+ */
+function parseSort(resourceType, definitions, value) {
+  const sort = {};
+  for (const key of toArray(value ?? []).flatMap((v) => String(v).split(','))) {
+    const descending = key.startsWith('-');
+    const name = descending ? key.slice(1) : key;
+    const path = sortPath(definitions[name]);
+    if (!path) {
+      throw new FhirError(400, `Cannot sort ${resourceType} by '${name}'`);
+    }
+    sort[path] = descending ? -1 : 1;
+  }
+  if (!('_id' in sort)) sort._id = 1;
+  return sort;
+}
+
+function sortPath(definition) {
+  if (!definition) return undefined;
+  switch (definition.type) {
+    case 'string':
+      return definition.paths[0];
+    case 'token':
+      if (definition.target === 'CodeableConcept') return `${definition.path}.coding.code`;
+      if (definition.target === 'Coding') return `${definition.path}.code`;
+      if (['Identifier', 'ContactPoint'].includes(definition.target)) return `${definition.path}.value`;
+      return definition.path;
+    case 'quantity':
+      return definition.sort || `${definition.path}.value`;
+    default:
+      return definition.path;
+  }
+}
+
+// ---------------- Value helpers ----------------
+
+/**
+ * Parse a FHIR date/dateTime into the half-open range it denotes, so
+ * "2025-01" covers the whole of January.
+ * @param {string} value
+ * @returns {{start: Date, end: Date} | null}
+ */
+export function parseDateRange(value) {
+  // An unencoded "+" offset arrives from the query string as a space
+  const match = /^(\d{4})(?:-(\d{2})(?:-(\d{2})(?:T(\d{2}):(\d{2})(?::(\d{2})(\.\d+)?)?(Z|[+-]\d{2}:\d{2})?)?)?)?$/.exec(value.replace(' ', '+'));
+  if (!match) return null;
+
+  const [, y, mo, d, h, mi, s, ms, tz] = match;
+  const year = Number(y);
+
+  if (!mo) return utcRange([year, 0, 1], [year + 1, 0, 1]);
+  if (!d) return utcRange([year, Number(mo) - 1, 1], [year, Number(mo), 1]);
+  if (!h) return utcRange([year, Number(mo) - 1, Number(d)], [year, Number(mo) - 1, Number(d) + 1]);
+
+  const offset = tz && tz !== 'Z' ? tz : 'Z';
+  const start = new Date(`${y}-${mo}-${d}T${h}:${mi}:${s || '00'}${ms || ''}${offset}`);
+  if (Number.isNaN(start.getTime())) return null;
+
+  const step = ms ? 1 : s ? 1000 : 60 * 1000;
+  return { start, end: new Date(start.getTime() + step) };
+}
+
+function utcRange(from, to) {
+  const start = new Date(Date.UTC(...from));
+  const end = new Date(Date.UTC(...to));
+  if (Number.isNaN(start.getTime())) return null;
+  return { start, end };
+}
+
+function formatBound(date, format) {
+  if (format === 'date') return date.toISOString().slice(0, 10);
+  if (format === 'dateTime') {
+    // Day boundaries compare as plain dates so date-only values still match
+    const iso = date.toISOString();
+    return iso.endsWith('T00:00:00.000Z') ? iso.slice(0, 10) : iso;
+  }
+  return date;
+}
+
+function splitPrefix(value) {
+  const prefix = value.slice(0, 2);
+  if (PREFIXES.includes(prefix) && /[\d.-]/.test(value[2] || '')) {
+    return { prefix, value: value.slice(2) };
+  }
+  return { prefix: 'eq', value };
+}
+
+function splitToken(value) {
+  const index = value.indexOf('|');
+  return [value.slice(0, index), value.slice(index + 1)];
+}
+
+function splitOr(value) {
+  return value
+    .split(/(?<!\\),/)
+    .map((v) => v.replace(/\\,/g, ','));
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function toArray(value) {
+  return Array.isArray(value) ? value : [value];
+}
+
+function parseCount(value) {
+  if (value === undefined) return DEFAULT_COUNT;
+  const count = Number.parseInt(value, 10);
+  if (Number.isNaN(count) || count < 0) {
+    throw new FhirError(400, `Invalid _count '${value}'`);
+  }
+  return Math.min(count, MAX_COUNT);
+}
+
+function parseOffset(value) {
+  if (value === undefined) return 0;
+  const offset = Number.parseInt(value, 10);
+  if (Number.isNaN(offset) || offset < 0) {
+    throw new FhirError(400, `Invalid _offset '${value}'`);
+  }
+  return offset;
+}
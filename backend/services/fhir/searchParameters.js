@@ -0,0 +1,185 @@
+// searchParameters.js - FHIR search parameter definitions for the local store
+//
+// Each parameter maps a FHIR search name onto one or more Mongo paths:
+//   string - case-insensitive "starts with" match over `paths`
+//   token  - system|code match; `target` says how the path is shaped
+//            ('code' plain string, 'Identifier', 'CodeableConcept', 'Coding', 'id')
+//   date   - prefixed (eq/ne/gt/lt/ge/le/sa/eb/ap) range match; `format`
+//            is 'Date' for BSON dates, 'date' or 'dateTime' for ISO strings
+//   reference - Type/id match on a Reference.reference `path`; a bare id is
+//            tried against each of `targets`. With `versioned`, Type/id also
+//            matches version-specific references (Type/id/_history/n)
+//   quantity - [prefix]number|system|code match on a Quantity `path`; with
+//            `canonical`, UCUM units are compared in base units against
+//            the forms stored there, and `sort` names the _sort key
+//
+// Any parameter can also be named in _sort.
+
+// Parameters every resource type supports
+const common = {
+  _id: { type: 'token', target: 'id', path: '_id' },
+  _lastUpdated: { type: 'date', path: 'meta.lastUpdated', format: 'Date' },
+};
+
+const patient = (path) => ({ type: 'reference', path, targets: ['Patient'] });
+const reference = (path, targets) => ({ type: 'reference', path, targets });
+const concept = (path) => ({ type: 'token', target: 'CodeableConcept', path });
+const code = (path) => ({ type: 'token', target: 'code', path });
+const identifier = { type: 'token', target: 'Identifier', path: 'identifier' };
+
+const searchParameters = {
+  Patient: {
+    name: { type: 'string', paths: ['name.text', 'name.family', 'name.given'] },
+    family: { type: 'string', paths: ['name.family'] },
+    given: { type: 'string', paths: ['name.given'] },
+    birthdate: { type: 'date', path: 'birthDate', format: 'date' },
+    gender: { type: 'token', target: 'code', path: 'gender' },
+    identifier: { type: 'token', target: 'Identifier', path: 'identifier' },
+    active: { type: 'token', target: 'boolean', path: 'active' },
+    'address-city': { type: 'string', paths: ['address.city'] },
+    'address-state': { type: 'string', paths: ['address.state'] },
+    'address-postalcode': { type: 'string', paths: ['address.postalCode'] },
+    telecom: { type: 'token', target: 'ContactPoint', path: 'telecom' },
+    link: reference('link.other.reference', ['Patient']),
+  },
+  Observation: {
+    patient: patient('subject.reference'),
+    subject: reference('subject.reference', ['Patient']),
+    code: concept('code'),
+    category: concept('category'),
+    status: code('status'),
+    interpretation: concept('interpretation'),
+    date: { type: 'date', path: 'effectiveDateTime', format: 'dateTime' },
+    'value-quantity': {
+      type: 'quantity',
+      path: 'valueQuantity',
+      canonical: '_index.valueQuantity',
+      sort: '_index.valueQuantitySort',
+    },
+  },
+  Condition: {
+    identifier,
+    patient: patient('subject.reference'),
+    subject: reference('subject.reference', ['Patient']),
+    encounter: reference('encounter.reference', ['Encounter']),
+    code: concept('code'),
+    category: concept('category'),
+    'clinical-status': concept('clinicalStatus'),
+    'verification-status': concept('verificationStatus'),
+    severity: concept('severity'),
+    'onset-date': { type: 'date', path: 'onsetDateTime', format: 'dateTime' },
+    'recorded-date': { type: 'date', path: 'recordedDate', format: 'dateTime' },
+  },
+  MedicationRequest: {
+    identifier,
+    patient: patient('subject.reference'),
+    subject: reference('subject.reference', ['Patient']),
+    encounter: reference('encounter.reference', ['Encounter']),
+    requester: reference('requester.reference', ['Practitioner', 'PractitionerRole', 'Organization']),
+    code: concept('medicationCodeableConcept'),
+    medication: reference('medicationReference.reference', ['Medication']),
+    status: code('status'),
+    intent: code('intent'),
+    category: concept('category'),
+    priority: code('priority'),
+    authoredon: { type: 'date', path: 'authoredOn', format: 'dateTime' },
+  },
+  AllergyIntolerance: {
+    identifier,
+    patient: patient('patient.reference'),
+    code: concept('code'),
+    'clinical-status': concept('clinicalStatus'),
+    'verification-status': concept('verificationStatus'),
+    type: code('type'),
+    category: code('category'),
+    criticality: code('criticality'),
+    date: { type: 'date', path: 'recordedDate', format: 'dateTime' },
+  },
+  Encounter: {
+    identifier,
+    patient: patient('subject.reference'),
+    subject: reference('subject.reference', ['Patient']),
+    status: code('status'),
+    class: { type: 'token', target: 'Coding', path: 'class' },
+    type: concept('type'),
+    'reason-code': concept('reasonCode'),
+    'service-provider': reference('serviceProvider.reference', ['Organization']),
+    date: { type: 'date', path: 'period.start', format: 'dateTime' },
+  },
+  DiagnosticReport: {
+    identifier,
+    patient: patient('subject.reference'),
+    subject: reference('subject.reference', ['Patient']),
+    encounter: reference('encounter.reference', ['Encounter']),
+    result: reference('result.reference', ['Observation']),
+    code: concept('code'),
+    category: concept('category'),
+    status: code('status'),
+    date: { type: 'date', path: 'effectiveDateTime', format: 'dateTime' },
+    issued: { type: 'date', path: 'issued', format: 'dateTime' },
+  },
+  Procedure: {
+    identifier,
+    patient: patient('subject.reference'),
+    subject: reference('subject.reference', ['Patient']),
+    encounter: reference('encounter.reference', ['Encounter']),
+    code: concept('code'),
+    category: concept('category'),
+    status: code('status'),
+    date: { type: 'date', path: 'performedDateTime', format: 'dateTime' },
+  },
+  Immunization: {
+    identifier,
+    patient: patient('patient.reference'),
+    'vaccine-code': concept('vaccineCode'),
+    status: code('status'),
+    'lot-number': { type: 'string', paths: ['lotNumber'] },
+    date: { type: 'date', path: 'occurrenceDateTime', format: 'dateTime' },
+  },
+  RiskAssessment: {
+    identifier,
+    patient: patient('subject.reference'),
+    subject: reference('subject.reference', ['Patient']),
+    encounter: reference('encounter.reference', ['Encounter']),
+    condition: reference('condition.reference', ['Condition']),
+    method: concept('method'),
+    risk: concept('prediction.qualitativeRisk'),
+    status: code('status'),
+    date: { type: 'date', path: 'occurrenceDateTime', format: 'dateTime' },
+  },
+  Subscription: {
+    status: code('status'),
+    type: code('channel.type'),
+    criteria: { type: 'string', paths: ['criteria'] },
+  },
+  Group: {
+    identifier,
+    name: { type: 'string', paths: ['name'] },
+    type: code('type'),
+    actual: { type: 'token', target: 'boolean', path: 'actual' },
+    code: concept('code'),
+    member: reference('member.entity.reference', ['Patient']),
+  },
+  // Provenance points at the versions it describes
+  Provenance: {
+    target: { ...reference('target.reference'), versioned: true },
+    patient: { ...patient('target.reference'), versioned: true },
+    agent: reference('agent.who.reference'),
+    'agent-type': concept('agent.type'),
+    'agent-role': concept('agent.role'),
+    entity: { ...reference('entity.what.reference'), versioned: true },
+    activity: concept('activity'),
+    recorded: { type: 'date', path: 'recorded', format: 'dateTime' },
+  },
+};
+
+/**
+ * Look up the search parameters a resource type supports.
+ * @param {string} resourceType
+ * @returns {Object<string, Object>} Parameter definitions keyed by name
+ */
+export function getSearchParameters(resourceType) {
+  return { ...common, ...(searchParameters[resourceType] || {}) };
+}
+
+export default searchParameters;
@@ -0,0 +1,510 @@
+// smart.js - SMART App Launch v2 authorization server for the local FHIR API
+//
+// Apps registered by an admin (SmartClient) use the authorization code
+// flow with PKCE (S256):
+//
+//   1. The app sends the browser to GET auth/authorize. The request is
+//      checked here and handed to the portal's consent page, where the
+//      signed-in user approves it (POST auth/authorize) and, for a
+//      standalone launch with launch/patient, picks the patient.
+//   2. The app trades the code for an access token at POST auth/token.
+//
+// For an EHR launch the portal first creates a launch context (POST
+// auth/launch) naming the patient and encounter, and opens the app's
+// launch URL with ?iss=<FHIR base>&launch=<id>.
+//
+// Access tokens are JWTs signed with JWT_SECRET, like the portal's own,
+// but carry the granted `scope` and context (`patient`, `encounter`);
+// middleware/fhirAuth.js holds requests made with them to those scopes.
+// Like the portal's, they also carry the user's hospital (`organization`),
+// so an app only ever sees that hospital's data.
+import crypto from 'crypto';
+import bcrypt from 'bcryptjs';
+import jwt from 'jsonwebtoken';
+import SmartClient from '../../models/SmartClient.js';
+import SmartGrant from '../../models/SmartGrant.js';
+import User from '../../models/User.js';
+import { getModel } from './registry.js';
+import { CONTEXT_SCOPES, grantableScopes, parseScopes } from './smartScopes.js';
+
+const LAUNCH_TTL = 5 * 60 * 1000;
+const CODE_TTL = 2 * 60 * 1000;
+const ACCESS_TOKEN_TTL = 60 * 60; // seconds
+const ONLINE_REFRESH_TTL = 12 * 60 * 60 * 1000;
+const OFFLINE_REFRESH_TTL = 30 * 24 * 60 * 60 * 1000;
+
+export const SCOPES_SUPPORTED = [
+  ...CONTEXT_SCOPES,
+  'patient/*.cruds',
+  'patient/*.rs',
+  'user/*.cruds',
+  'user/*.rs',
+  'patient/*.read',
+  'patient/*.write',
+  'user/*.read',
+  'user/*.write',
+];
+
+/**
+ * An OAuth2 error, answered as { error, error_description } (RFC 6749)
+ * rather than an OperationOutcome.
+ */
+export class OAuthError extends Error {
+  /**
+   * @param {number} status - HTTP status
+   * @param {string} error - OAuth2 error code, e.g. invalid_grant
+   * @param {string} description
+   * @param {Object} [redirect] - { uri, state } to report the error to the
+   *   app; omitted when the client or redirect URI cannot be trusted
+   */
+  constructor(status, error, description, redirect) {
+    super(description);
+    this.name = 'OAuthError';
+    this.status = status;
+    this.error = error;
+    this.redirect = redirect;
+  }
+}
+
+const randomToken = () => crypto.randomBytes(32).toString('base64url');
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('base64url');
+
+/**
+ * The S256 PKCE challenge of a code verifier.
+ */
+export function pkceChallenge(verifier) {
+  return sha256(verifier);
+}
+
+/**
+ * .well-known/smart-configuration for the FHIR base URL.
+ */
+export function smartConfiguration(baseUrl) {
+  return {
+    issuer: baseUrl,
+    authorization_endpoint: `${baseUrl}/auth/authorize`,
+    token_endpoint: `${baseUrl}/auth/token`,
+    token_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post'],
+    grant_types_supported: ['authorization_code', 'refresh_token'],
+    scopes_supported: SCOPES_SUPPORTED,
+    response_types_supported: ['code'],
+    code_challenge_methods_supported: ['S256'],
+    capabilities: [
+      'launch-ehr',
+      'launch-standalone',
+      'client-public',
+      'client-confidential-symmetric',
+      'context-ehr-patient',
+      'context-ehr-encounter',
+      'context-standalone-patient',
+      'permission-offline',
+      'permission-online',
+      'permission-patient',
+      'permission-user',
+      'permission-v1',
+      'permission-v2',
+    ],
+  };
+}
+
+// ---------------- Client registration ----------------
+
+/**
+ * A registered client as returned by the API (never its secret).
+ */
+export function clientJSON(client) {
+  return {
+    client_id: client._id,
+    client_name: client.name,
+    redirect_uris: client.redirectUris,
+    scope: client.scope,
+    token_endpoint_auth_method: client.type === 'confidential' ? 'client_secret_basic' : 'none',
+    ...(client.launchUrl ? { launch_url: client.launchUrl } : {}),
+    ...(client.createdBy ? { created_by: client.createdBy } : {}),
+    created: client.created,
+  };
+}
+
+function assertUrl(value, name) {
+  try {
+    const url = new URL(value);
+    if (!['https:', 'http:'].includes(url.protocol)) throw new Error();
+  } catch {
+    throw new OAuthError(400, 'invalid_client_metadata', `${name} '${value}' is not an http(s) URL`);
+  }
+}
+
+/**
+ * Register an app.
+ * @param {Object} metadata - RFC 7591 style client metadata
+ * @param {string} metadata.client_name
+ * @param {string[]} metadata.redirect_uris
+ * @param {string} metadata.scope - Scopes the app may be granted
+ * @param {string} [metadata.token_endpoint_auth_method] - "none" (public,
+ *   the default) or "client_secret_basic" (confidential)
+ * @param {string} [metadata.launch_url] - For EHR launches
+ * @param {Object} [options]
+ * @param {string} [options.createdBy]
+ * @returns {Promise<Object>} clientJSON(), plus client_secret for
+ *   confidential clients; the secret is not shown again
+ * @throws {OAuthError} 400 for incomplete metadata
+ */
+export async function registerClient(metadata = {}, { createdBy } = {}) {
+  const {
+    client_name: name,
+    redirect_uris: redirectUris,
+    scope,
+    token_endpoint_auth_method: authMethod = 'none',
+    launch_url: launchUrl,
+  } = metadata;
+  if (!name) throw new OAuthError(400, 'invalid_client_metadata', 'client_name is required');
+  if (!Array.isArray(redirectUris) || !redirectUris.length) {
+    throw new OAuthError(400, 'invalid_redirect_uri', 'redirect_uris must list at least one URI');
+  }
+  redirectUris.forEach((uri) => assertUrl(uri, 'redirect_uri'));
+  if (launchUrl) assertUrl(launchUrl, 'launch_url');
+  if (!scope || !parseScopes(scope).resources.length) {
+    throw new OAuthError(400, 'invalid_client_metadata', 'scope must include at least one resource scope');
+  }
+  if (!['none', 'client_secret_basic', 'client_secret_post'].includes(authMethod)) {
+    throw new OAuthError(400, 'invalid_client_metadata', `token_endpoint_auth_method '${authMethod}' is not supported`);
+  }
+
+  const secret = authMethod === 'none' ? undefined : randomToken();
+  const client = await SmartClient.create({
+    name,
+    redirectUris,
+    scope,
+    type: secret ? 'confidential' : 'public',
+    secretHash: secret && await bcrypt.hash(secret, 10),
+    launchUrl,
+    createdBy,
+  });
+  return { ...clientJSON(client), ...(secret ? { client_secret: secret } : {}) };
+}
+
+/**
+ * Registered apps, newest first.
+ */
+export async function listClients() {
+  const clients = await SmartClient.find().sort({ created: -1 });
+  return clients.map(clientJSON);
+}
+
+/**
+ * Unregister an app and revoke its refresh tokens. Access tokens already
+ * issued run until they expire.
+ * @throws {OAuthError} 404 for unknown clients
+ */
+export async function removeClient(id) {
+  const { deletedCount } = await SmartClient.deleteOne({ _id: id });
+  if (!deletedCount) throw new OAuthError(404, 'invalid_client', `Client ${id} is not registered`);
+  await SmartGrant.deleteMany({ client: id });
+}
+
+// ---------------- Launch ----------------
+
+async function assertExists(resourceType, id) {
+  if (!(await getModel(resourceType).exists({ _id: id }))) {
+    throw new OAuthError(400, 'invalid_request', `${resourceType}/${id} not found`);
+  }
+}
+
+/**
+ * Start an EHR launch of an app for a patient (and encounter).
+ * @param {Object} context
+ * @param {string} context.client - client_id of the app to launch
+ * @param {string} context.patient - Patient id
+ * @param {string} [context.encounter] - Encounter id
+ * @param {Object} options
+ * @param {string} options.user - Id of the user launching it
+ * @param {string} options.baseUrl - FHIR base URL, sent as iss
+ * @returns {Promise<{launch: string, url?: string}>} url opens the app when
+ *   it registered a launch_url
+ */
+export async function createLaunch({ client: clientId, patient, encounter } = {}, { user, baseUrl }) {
+  const client = await SmartClient.findById(clientId);
+  if (!client) throw new OAuthError(400, 'invalid_client', `Client ${clientId} is not registered`);
+  if (!patient) throw new OAuthError(400, 'invalid_request', 'A launch needs a patient');
+  await assertExists('Patient', patient);
+  if (encounter) await assertExists('Encounter', encounter);
+
+  const launch = await SmartGrant.create({
+    kind: 'launch',
+    client: client._id,
+    user,
+    patient,
+    encounter,
+    expiresAt: new Date(Date.now() + LAUNCH_TTL),
+  });
+  const url = client.launchUrl && new URL(client.launchUrl);
+  url?.searchParams.set('iss', baseUrl);
+  url?.searchParams.set('launch', launch._id);
+  return { launch: launch._id, ...(url ? { url: url.toString() } : {}) };
+}
+
+// ---------------- Authorization ----------------
+
+/**
+ * Check an authorization request (the query of GET auth/authorize).
+ * @param {Object} query
+ * @param {Object} options
+ * @param {string} options.baseUrl - FHIR base URL the request must name as aud
+ * @returns {Promise<{client: Object, request: Object}>} request holds the
+ *   checked parameters: redirectUri, state, scope, codeChallenge, launch
+ * @throws {OAuthError} Without a redirect for an unknown client or
+ *   redirect_uri, otherwise with one
+ */
+export async function authorizationRequest(query, { baseUrl }) {
+  const client = query.client_id && await SmartClient.findById(String(query.client_id));
+  if (!client) throw new OAuthError(400, 'invalid_client', `Client ${query.client_id} is not registered`);
+  if (!client.redirectUris.includes(query.redirect_uri)) {
+    throw new OAuthError(400, 'invalid_request', 'redirect_uri is not registered for this client');
+  }
+
+  const redirect = { uri: query.redirect_uri, state: query.state };
+  const fail = (error, description) => new OAuthError(400, error, description, redirect);
+  if (query.response_type !== 'code') throw fail('unsupported_response_type', 'response_type must be code');
+  if (!query.state) throw fail('invalid_request', 'state is required');
+  if (!query.scope) throw fail('invalid_scope', 'scope is required');
+  if (String(query.aud || '').replace(/\/$/, '') !== baseUrl) {
+    throw fail('invalid_request', `aud must be the FHIR base URL ${baseUrl}`);
+  }
+  if (!query.code_challenge || query.code_challenge_method !== 'S256') {
+    throw fail('invalid_request', 'PKCE with code_challenge_method S256 is required');
+  }
+  const scopes = String(query.scope).split(/\s+/);
+  if (scopes.includes('launch') && !query.launch) {
+    throw fail('invalid_request', 'The launch scope needs the launch parameter of an EHR launch');
+  }
+
+  return {
+    client,
+    request: {
+      redirectUri: query.redirect_uri,
+      state: query.state,
+      scope: String(query.scope),
+      codeChallenge: query.code_challenge,
+      launch: query.launch,
+    },
+  };
+}
+
+function redirectTo(uri, params) {
+  const url = new URL(uri);
+  for (const [key, value] of Object.entries(params)) {
+    if (value !== undefined) url.searchParams.set(key, value);
+  }
+  return url.toString();
+}
+
+/**
+ * What the signed-in user would grant an app: the scopes their role and
+ * the app's registration allow, and the patient in context.
+ */
+async function consent(query, { user, baseUrl }) {
+  const { client, request } = await authorizationRequest(query, { baseUrl });
+  const redirect = { uri: request.redirectUri, state: request.state };
+  const account = user?.userId && await User.findById(user.userId);
+  if (!account) throw new OAuthError(401, 'access_denied', 'Sign in to approve the request');
+
+  const scope = grantableScopes(request.scope, client.scope, { role: account.role });
+  const granted = scope.split(' ');
+  const patientScopes = parseScopes(scope).resources.some((s) => s.context === 'patient');
+  const context = {};
+  let pickPatient = false;
+  if (granted.includes('launch')) {
+    const launch = await SmartGrant.findOne({ _id: request.launch, kind: 'launch', expiresAt: { $gt: new Date() } });
+    if (!launch || launch.client !== client._id || launch.user !== String(account._id)) {
+      throw new OAuthError(400, 'invalid_request', 'The launch is unknown, expired or was started by someone else', redirect);
+    }
+    Object.assign(context, { patient: launch.patient, ...(launch.encounter ? { encounter: launch.encounter } : {}) });
+  } else if (account.role === 'Patient') {
+    // A patient only ever shares their own chart
+    if (account.patient) context.patient = account.patient;
+  } else {
+    pickPatient = granted.includes('launch/patient') || patientScopes;
+  }
+  if (patientScopes && !pickPatient && !context.patient) {
+    throw new OAuthError(400, 'access_denied', 'No patient chart is linked to this account', redirect);
+  }
+  return { client, request, redirect, account, scope, context, pickPatient };
+}
+
+/**
+ * What the consent page shows for an authorization request.
+ * @param {Object} query - The authorization request, see authorizationRequest()
+ * @param {Object} options
+ * @param {Object} options.user - The portal user ({ userId, role })
+ * @param {string} options.baseUrl
+ * @returns {Promise<Object>} client_name, the requested and grantable
+ *   scope, the patient and encounter in context, and pick_patient when
+ *   the user has to choose the patient
+ * @throws {OAuthError} See authorizationRequest()
+ */
+export async function describeAuthorization(query, options) {
+  const { client, request, scope, context, pickPatient } = await consent(query, options);
+  return {
+    client_name: client.name,
+    requested: request.scope,
+    scope,
+    ...context,
+    pick_patient: pickPatient,
+  };
+}
+
+/**
+ * The consent decision of the signed-in user on an authorization request.
+ *
+ * @param {Object} query - The authorization request, see authorizationRequest()
+ * @param {Object} decision
+ * @param {boolean} decision.approved
+ * @param {string} [decision.patient] - Patient picked for launch/patient
+ * @param {Object} options
+ * @param {Object} options.user - The portal user ({ userId, role })
+ * @param {string} options.baseUrl
+ * @returns {Promise<string>} Where to send the browser: the app's
+ *   redirect_uri with a code, or with an error
+ * @throws {OAuthError} See authorizationRequest()
+ */
+export async function authorize(query, { approved, patient } = {}, options) {
+  const { client, request, redirect, account, scope, context, pickPatient } = await consent(query, options);
+  if (!approved) return redirectTo(request.redirectUri, { error: 'access_denied', state: request.state });
+  if (pickPatient) {
+    if (!patient) throw new OAuthError(400, 'invalid_request', 'Pick a patient to share with the app', redirect);
+    await assertExists('Patient', String(patient));
+    context.patient = String(patient);
+  }
+
+  const code = randomToken();
+  await SmartGrant.create({
+    kind: 'code',
+    hash: sha256(code),
+    client: client._id,
+    user: String(account._id),
+    role: account.role,
+    organization: account.organization,
+    scope,
+    ...context,
+    redirectUri: request.redirectUri,
+    codeChallenge: request.codeChallenge,
+    expiresAt: new Date(Date.now() + CODE_TTL),
+  });
+  return redirectTo(request.redirectUri, { code, state: request.state });
+}
+
+// ---------------- Tokens ----------------
+
+/**
+ * client_id and client_secret from HTTP Basic authentication or the body.
+ */
+export function clientCredentials(authorization, body = {}) {
+  const [scheme, encoded] = (authorization || '').split(' ');
+  if (scheme === 'Basic' && encoded) {
+    const decoded = Buffer.from(encoded, 'base64').toString();
+    const separator = decoded.indexOf(':');
+    return {
+      clientId: decodeURIComponent(decoded.slice(0, separator)),
+      clientSecret: decodeURIComponent(decoded.slice(separator + 1)),
+    };
+  }
+  return { clientId: body.client_id, clientSecret: body.client_secret };
+}
+
+async function authenticateClient(authorization, body) {
+  const { clientId, clientSecret } = clientCredentials(authorization, body);
+  const client = clientId && await SmartClient.findById(String(clientId));
+  if (!client) throw new OAuthError(401, 'invalid_client', 'Unknown client');
+  if (client.type === 'confidential' && !(clientSecret && await bcrypt.compare(String(clientSecret), client.secretHash))) {
+    throw new OAuthError(401, 'invalid_client', 'Client authentication failed');
+  }
+  return client;
+}
+
+async function tokenResponse(grant, client) {
+  const { user, role, organization, scope, patient, encounter } = grant;
+  const accessToken = jwt.sign(
+    {
+      sub: user,
+      userId: user,
+      role,
+      ...(organization ? { organization } : {}),
+      scope,
+      client_id: client._id,
+      ...(patient ? { patient } : {}),
+      ...(encounter ? { encounter } : {}),
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL },
+  );
+
+  const scopes = scope.split(' ');
+  let refreshToken;
+  if (scopes.includes('offline_access') || scopes.includes('online_access')) {
+    refreshToken = randomToken();
+    await SmartGrant.create({
+      kind: 'refresh',
+      hash: sha256(refreshToken),
+      client: client._id,
+      user,
+      role,
+      organization,
+      scope,
+      patient,
+      encounter,
+      expiresAt: new Date(Date.now() + (scopes.includes('offline_access') ? OFFLINE_REFRESH_TTL : ONLINE_REFRESH_TTL)),
+    });
+  }
+
+  return {
+    access_token: accessToken,
+    token_type: 'Bearer',
+    expires_in: ACCESS_TOKEN_TTL,
+    scope,
+    ...(patient ? { patient, need_patient_banner: true } : {}),
+    ...(encounter ? { encounter } : {}),
+    ...(refreshToken ? { refresh_token: refreshToken } : {}),
+  };
+}
+
+async function takeGrant(kind, token, client) {
+  // Codes and refresh tokens are single use
+  const grant = token && await SmartGrant.findOneAndDelete({ kind, hash: sha256(String(token)) });
+  if (!grant || grant.expiresAt <= new Date() || grant.client !== client._id) {
+    throw new OAuthError(400, 'invalid_grant', `The ${kind === 'code' ? 'authorization code' : 'refresh token'} is invalid or expired`);
+  }
+  return grant;
+}
+
+/**
+ * POST auth/token: trade an authorization code or refresh token for an
+ * access token.
+ * @param {Object} body - Form parameters
+ * @param {Object} [options]
+ * @param {string} [options.authorization] - Authorization header
+ * @returns {Promise<Object>} RFC 6749 token response with SMART context
+ * @throws {OAuthError}
+ */
+export async function issueToken(body = {}, { authorization } = {}) {
+  const client = await authenticateClient(authorization, body);
+
+  if (body.grant_type === 'authorization_code') {
+    const grant = await takeGrant('code', body.code, client);
+    if (grant.redirectUri !== body.redirect_uri) {
+      throw new OAuthError(400, 'invalid_grant', 'redirect_uri does not match the authorization request');
+    }
+    if (!body.code_verifier || pkceChallenge(String(body.code_verifier)) !== grant.codeChallenge) {
+      throw new OAuthError(400, 'invalid_grant', 'code_verifier does not match the code_challenge');
+    }
+    return tokenResponse(grant, client);
+  }
+
+  if (body.grant_type === 'refresh_token') {
+    const grant = await takeGrant('refresh', body.refresh_token, client);
+    // A refresh may narrow the scopes but never widen them
+    if (body.scope) grant.scope = grantableScopes(body.scope, grant.scope, { role: grant.role });
+    return tokenResponse(grant, client);
+  }
+
+  throw new OAuthError(400, 'unsupported_grant_type', `grant_type '${body.grant_type}' is not supported`);
+}
@@ -0,0 +1,260 @@
+// smartScopes.js - SMART on FHIR scopes, and which ones a request needs
+//
+// Resource scopes follow SMART App Launch v2 (patient/Observation.rs,
+// user/*.cruds) and accept the v1 spellings (.read = rs, .write = cud,
+// .* = cruds). A patient/ scope only reaches the launch patient's
+// compartment; a user/ scope reaches whatever the user may see. Scopes
+// narrowed by search parameters (patient/Observation.rs?category=...) are
+// not supported and grant nothing, so they never grant more than asked.
+import { FhirError } from './operationOutcome.js';
+import { patientCompartmentTypes } from './registry.js';
+
+const SCOPE = /^(patient|user|system)\/(\*|[A-Z][A-Za-z]+)\.(\*|read|write|c?r?u?d?s?)$/;
+const V1_PERMISSIONS = { '*': 'cruds', read: 'rs', write: 'cud' };
+
+// Scopes other than resource scopes the server understands
+export const CONTEXT_SCOPES = ['launch', 'launch/patient', 'launch/encounter', 'offline_access', 'online_access'];
+
+// Old URL spellings of the Patient and Observation routes
+const ALIASES = { patients: 'Patient', observations: 'Observation' };
+
+/**
+ * Split a scope string into resource scopes and the rest.
+ * @param {string} [scope] - Space-separated scopes
+ * @returns {{resources: Array<{context: string, resourceType: string, permissions: string}>, other: string[]}}
+ *   resourceType is "*" for wildcards; other holds launch, offline_access etc.
+ */
+export function parseScopes(scope = '') {
+  const resources = [];
+  const other = [];
+  for (const value of scope.split(/\s+/).filter(Boolean)) {
+    const match = SCOPE.exec(value);
+    if (!match) {
+      other.push(value);
+      continue;
+    }
+    const [, context, resourceType, action] = match;
+    const permissions = V1_PERMISSIONS[action] || action;
+    if (permissions) resources.push({ context, resourceType, permissions, scope: value });
+  }
+  return { resources, other };
+}
+
+function covers(allowed, requested) {
+  return allowed.context === requested.context
+    && (allowed.resourceType === '*' || allowed.resourceType === requested.resourceType)
+    && [...requested.permissions].every((p) => allowed.permissions.includes(p));
+}
+
+/**
+ * The part of a requested scope an app may be granted: what its
+ * registration allows and, for resource scopes, what the user's role
+ * allows (Patient users only get patient/ scopes). system/ scopes belong
+ * to backend services and are never granted to a user.
+ * @param {string} requested - Space-separated scopes asked for
+ * @param {string} allowed - Space-separated scopes the client may have
+ * @param {Object} [options]
+ * @param {string} [options.role] - The approving user's role
+ * @returns {string} Space-separated granted scopes
+ */
+export function grantableScopes(requested, allowed, { role } = {}) {
+  const permitted = parseScopes(allowed);
+  const { resources, other } = parseScopes(requested);
+  return [
+    ...resources
+      .filter((s) => s.context === 'patient' || (s.context === 'user' && role !== 'Patient'))
+      .filter((s) => permitted.resources.some((a) => covers(a, s)))
+      .map((s) => s.scope),
+    ...other.filter((s) => CONTEXT_SCOPES.includes(s) && permitted.other.includes(s)),
+  ].join(' ');
+}
+
+/**
+ * How a token's scopes grant a permission on a resource type.
+ * @param {string} scope - The token's space-separated scopes
+ * @param {string} resourceType - A type, or "*" for every type
+ * @param {string} permission - One of c, r, u, d, s
+ * @returns {"user"|"patient"|undefined} "user" for unrestricted access,
+ *   "patient" for the launch patient's compartment only, undefined for none
+ */
+export function scopeGrant(scope, resourceType, permission) {
+  const grants = parseScopes(scope).resources.filter((s) => s.permissions.includes(permission)
+    && (s.resourceType === '*' || s.resourceType === resourceType));
+  if (grants.some((s) => s.context !== 'patient')) return 'user';
+  return grants.length ? 'patient' : undefined;
+}
+
+function need(resourceType, permission) {
+  return { resourceType, permission };
+}
+
+function typesIn(value) {
+  const types = [].concat(value || []).flatMap((v) => String(v).split(',')).map((v) => v.trim()).filter(Boolean);
+  return types.length ? types : ['*'];
+}
+
+/**
+ * What a FHIR request needs of a SMART token.
+ *
+ * @param {string} method - HTTP method
+ * @param {string} path - Path under the FHIR base, e.g. /Patient/123/_history
+ * @param {Object} [request]
+ * @param {Object} [request.query]
+ * @param {Object} [request.body]
+ * @returns {{needs: Array<{resourceType: string, permission: string}>, resourceType?: string, id?: string, compartment?: string, userLevel?: boolean}|null}
+ *   null for requests open to anyone (metadata, terminology, authorization).
+ *   compartment is the Patient id of a compartment search.
+ *   userLevel marks requests a patient/ scope can never cover, such as
+ *   bulk data, Bundles, type-level history and conditional updates.
+ */
+export function requiredAccess(method, path, { query = {}, body } = {}) {
+  const segments = path.split('?')[0].split('/').filter(Boolean).map(decodeURIComponent);
+  const [first, second, third] = segments;
+
+  if (!first) {
+    if (method !== 'POST') return null;
+    const entries = (body?.entry || []).filter((entry) => entry.request);
+    const needs = entries.flatMap(({ request }) => {
+      const url = new URL(request.url || '', 'http://fhir.invalid/').pathname;
+      return requiredAccess(request.method || 'GET', url.replace(/^.*?\/(?=[A-Z][A-Za-z]+(\/|$))/, '/'))?.needs || [];
+    });
+    return { needs, userLevel: true };
+  }
+
+  switch (first) {
+    case 'metadata':
+    case '.well-known':
+    case 'auth':
+    case 'CodeSystem':
+    case 'ValueSet':
+      return null;
+    case '$export':
+      return { needs: typesIn(query._type).map((type) => need(type, 's')), userLevel: true };
+    case '$export-status':
+    case '$export-file':
+      // The job's types are checked against the scopes once it is looked up (see bulkExport.js)
+      return { needs: [], userLevel: true };
+    case '$import':
+      return { needs: [need('*', 'c')], userLevel: true };
+    case '$deleted':
+      return { needs: typesIn(query._type).map((type) => need(type, 'r')), userLevel: true };
+    case '$match-review':
+      return { needs: [need('Patient', method === 'GET' ? 's' : 'u')], userLevel: true };
+    default:
+  }
+
+  const resourceType = ALIASES[first] || first;
+  if (second === '$validate') return null;
+  if (second === '$match') return { needs: [need('Patient', 's')], resourceType, userLevel: true };
+  if (second === '$merge' || second === '$unmerge') return { needs: [need('Patient', 'u')], resourceType, userLevel: true };
+  if (second === '$export' || third === '$export') {
+    return { needs: typesIn(query._type).map((type) => need(type, 's')), resourceType, userLevel: true };
+  }
+  if (second === '_history') return { needs: [need(resourceType, 's')], resourceType, userLevel: true };
+  if (!second) {
+    const permission = { GET: 's', HEAD: 's', POST: 'c', PUT: 'u' }[method] || 's';
+    // A conditional update's criteria could match outside the compartment
+    return { needs: [need(resourceType, permission)], resourceType, ...(method === 'PUT' ? { userLevel: true } : {}) };
+  }
+
+  // Compartment search, e.g. Patient/123/Observation
+  if (resourceType === 'Patient' && /^[A-Z]/.test(third || '')) {
+    return { needs: [need(third, 's')], resourceType: third, compartment: second };
+  }
+
+  const id = second;
+  if (third === '$everything') return { needs: [need('*', 'r')], resourceType, id };
+  if (third === '$restore') return { needs: [need(resourceType, 'c')], resourceType, id };
+  // Sharing or handing a chart to another hospital is never an app's call on a patient's behalf
+  if (['$share', '$unshare', '$transfer'].includes(third)) return { needs: [need('*', 'u')], resourceType, id, userLevel: true };
+  if (third === '_history') return { needs: [need(resourceType, 'r')], resourceType, id };
+  const permission = { GET: 'r', HEAD: 'r', PUT: 'u', PATCH: 'u', DELETE: 'd' }[method] || 'r';
+  return { needs: [need(resourceType, permission)], resourceType, id };
+}
+
+/**
+ * Check a SMART token against what a request needs (see requiredAccess()).
+ * @param {Object} token - Decoded access token
+ * @param {string} token.scope
+ * @param {string} [token.patient] - Patient in context
+ * @param {Object} access - requiredAccess() of the request
+ * @returns {string|undefined} The patient whose compartment the request is
+ *   limited to, when only patient/ scopes allow it
+ * @throws {FhirError} 403 when the scopes do not allow the request
+ */
+export function authorizeAccess({ scope, patient }, { needs, resourceType, id, compartment, userLevel }) {
+  const grants = needs.map(({ resourceType: type, permission }) => {
+    const grant = scopeGrant(scope, type, permission);
+    if (!grant) {
+      throw new FhirError(403, `The token's scopes do not allow '${permission}' on ${type === '*' ? 'all resource types' : type}`);
+    }
+    return grant;
+  });
+  const userScopes = parseScopes(scope).resources.some((s) => s.context !== 'patient');
+  const patientOnly = grants.includes('patient') || (!grants.length && !userScopes);
+  if (!patientOnly) return undefined;
+
+  if (!patient && !userLevel) throw new FhirError(403, 'The token has patient scopes but no patient in context');
+  return limitToPatient(patient, { resourceType, id, compartment, userLevel });
+}
+
+/**
+ * Hold a request to one patient's compartment: a SMART token with only
+ * patient/ scopes, or a portal user with the Patient role.
+ * @param {string} patient - Patient id
+ * @param {Object} access - requiredAccess() of the request
+ * @returns {string} The patient, to set as req.compartment
+ * @throws {FhirError} 403 when the request reaches beyond the compartment
+ */
+export function limitToPatient(patient, { resourceType, id, compartment, userLevel }) {
+  if (userLevel) throw new FhirError(403, 'This request needs user-level access');
+  if (resourceType && !hasCompartment(resourceType)) {
+    throw new FhirError(403, `${resourceType} resources are outside a patient's compartment`);
+  }
+  if ((resourceType === 'Patient' && id && id !== patient) || (compartment && compartment !== patient)) {
+    throw new FhirError(403, `Access is limited to Patient/${patient}`);
+  }
+  return patient;
+}
+
+// ---------------- Patient compartment ----------------
+
+function compartmentPaths(resourceType) {
+  return patientCompartmentTypes().find((type) => type.resourceType === resourceType)?.compartment;
+}
+
+/**
+ * Whether a patient/ scope can reach a resource type at all.
+ */
+export function hasCompartment(resourceType) {
+  return resourceType === 'Patient' || Boolean(compartmentPaths(resourceType));
+}
+
+/**
+ * Mongo filter for the resources of a type in a Patient's compartment.
+ * @returns {Object|undefined} undefined for types outside the compartment
+ */
+export function compartmentFilter(resourceType, patientId) {
+  if (resourceType === 'Patient') return { _id: patientId };
+  const paths = compartmentPaths(resourceType);
+  if (!paths) return undefined;
+  const reference = `Patient/${patientId}`;
+  return { $or: paths.map((path) => ({ [path]: reference })) };
+}
+
+function valuesAt(value, [key, ...rest]) {
+  if (value === undefined || value === null) return [];
+  if (Array.isArray(value)) return value.flatMap((item) => valuesAt(item, [key, ...rest]));
+  if (key === undefined) return [value];
+  return valuesAt(value[key], rest);
+}
+
+/**
+ * Whether a resource (FHIR JSON) is in a Patient's compartment.
+ */
+export function inCompartment(resourceType, resource, patientId) {
+  if (resourceType === 'Patient') return resource?.id === patientId;
+  const reference = `Patient/${patientId}`;
+  return (compartmentPaths(resourceType) || [])
+    .some((path) => valuesAt(resource, path.split('.')).includes(reference));
+}
@@ -0,0 +1,900 @@
+// structureDefinitions.js - Base R4 definitions the offline validator checks against
+//
+// A condensed form of the R4 StructureDefinitions for the datatypes and the
+// resource types the local store holds. Each element is written as
+// 'min..max Type' (choice elements list their types as 'Type1|Type2'), keyed
+// by its path below the type. BackboneElements without listed children are
+// left open. `bindings` name the required value set of an element and
+// `constraints` carry the invariants as FHIRPath, evaluated on `path`
+// (the type itself when omitted). `summary` lists the top-level elements
+// R4 marks isSummary, which _summary=true keeps (see subsetting.js).
+
+const HL7 = 'http://hl7.org/fhir/ValueSet';
+const TERMINOLOGY = 'http://terminology.hl7.org/CodeSystem';
+
+const codes = (...values) => values.map((code) => ({ code }));
+const coded = (system, ...values) => values.map((code) => ({ system, code }));
+
+/**
+ * Required value sets, keyed by canonical URL. Entries without a system
+ * bind plain `code` elements.
+ */
+export const valueSets = {
+  [`${HL7}/administrative-gender`]: codes('male', 'female', 'other', 'unknown'),
+  [`${HL7}/identifier-use`]: codes('usual', 'official', 'temp', 'secondary', 'old'),
+  [`${HL7}/name-use`]: codes('usual', 'official', 'temp', 'nickname', 'anonymous', 'old', 'maiden'),
+  [`${HL7}/contact-point-system`]: codes('phone', 'fax', 'email', 'pager', 'url', 'sms', 'other'),
+  [`${HL7}/contact-point-use`]: codes('home', 'work', 'temp', 'old', 'mobile'),
+  [`${HL7}/address-use`]: codes('home', 'work', 'temp', 'old', 'billing'),
+  [`${HL7}/address-type`]: codes('postal', 'physical', 'both'),
+  [`${HL7}/quantity-comparator`]: codes('<', '<=', '>=', '>'),
+  [`${HL7}/narrative-status`]: codes('generated', 'extensions', 'additional', 'empty'),
+  [`${HL7}/link-type`]: codes('replaced-by', 'replaces', 'refer', 'seealso'),
+  [`${HL7}/observation-status`]: codes('registered', 'preliminary', 'final', 'amended', 'corrected', 'cancelled', 'entered-in-error', 'unknown'),
+  [`${HL7}/condition-clinical`]: coded(`${TERMINOLOGY}/condition-clinical`, 'active', 'recurrence', 'relapse', 'inactive', 'remission', 'resolved'),
+  [`${HL7}/condition-ver-status`]: coded(`${TERMINOLOGY}/condition-ver-status`, 'unconfirmed', 'provisional', 'differential', 'confirmed', 'refuted', 'entered-in-error'),
+  [`${HL7}/allergyintolerance-clinical`]: coded(`${TERMINOLOGY}/allergyintolerance-clinical`, 'active', 'inactive', 'resolved'),
+  [`${HL7}/allergyintolerance-verification`]: coded(`${TERMINOLOGY}/allergyintolerance-verification`, 'unconfirmed', 'confirmed', 'refuted', 'entered-in-error'),
+  [`${HL7}/allergy-intolerance-type`]: codes('allergy', 'intolerance'),
+  [`${HL7}/allergy-intolerance-category`]: codes('food', 'medication', 'environment', 'biologic'),
+  [`${HL7}/allergy-intolerance-criticality`]: codes('low', 'high', 'unable-to-assess'),
+  [`${HL7}/reaction-event-severity`]: codes('mild', 'moderate', 'severe'),
+  [`${HL7}/medicationrequest-status`]: codes('active', 'on-hold', 'cancelled', 'completed', 'entered-in-error', 'stopped', 'draft', 'unknown'),
+  [`${HL7}/medicationrequest-intent`]: codes('proposal', 'plan', 'order', 'original-order', 'reflex-order', 'filler-order', 'instance-order', 'option'),
+  [`${HL7}/request-priority`]: codes('routine', 'urgent', 'asap', 'stat'),
+  [`${HL7}/encounter-status`]: codes('planned', 'arrived', 'triaged', 'in-progress', 'onleave', 'finished', 'cancelled', 'entered-in-error', 'unknown'),
+  [`${HL7}/encounter-location-status`]: codes('planned', 'active', 'reserved', 'completed'),
+  [`${HL7}/diagnostic-report-status`]: codes('registered', 'partial', 'preliminary', 'final', 'amended', 'corrected', 'appended', 'cancelled', 'entered-in-error', 'unknown'),
+  [`${HL7}/event-status`]: codes('preparation', 'in-progress', 'not-done', 'on-hold', 'stopped', 'completed', 'entered-in-error', 'unknown'),
+  [`${HL7}/immunization-status`]: codes('completed', 'entered-in-error', 'not-done'),
+  [`${HL7}/subscription-status`]: codes('requested', 'active', 'error', 'off'),
+  [`${HL7}/subscription-channel-type`]: codes('rest-hook', 'websocket', 'email', 'sms', 'message'),
+  [`${HL7}/group-type`]: codes('person', 'animal', 'practitioner', 'device', 'medication', 'substance'),
+  [`${HL7}/provenance-entity-role`]: codes('derivation', 'revision', 'quotation', 'source', 'removal'),
+};
+
+const extensionValue = [
+  'base64Binary', 'boolean', 'canonical', 'code', 'date', 'dateTime', 'decimal', 'id', 'instant', 'integer',
+  'markdown', 'oid', 'positiveInt', 'string', 'time', 'unsignedInt', 'uri', 'url', 'uuid',
+  'Address', 'Age', 'Annotation', 'Attachment', 'CodeableConcept', 'Coding', 'ContactPoint', 'Count',
+  'Distance', 'Duration', 'HumanName', 'Identifier', 'Money', 'Period', 'Quantity', 'Range', 'Ratio',
+  'Reference', 'SampledData', 'Signature', 'Timing', 'ContactDetail', 'Contributor', 'DataRequirement',
+  'Expression', 'ParameterDefinition', 'RelatedArtifact', 'TriggerDefinition', 'UsageContext', 'Dosage', 'Meta',
+].join('|');
+
+const quantity = {
+  elements: {
+    value: '0..1 decimal',
+    comparator: '0..1 code',
+    unit: '0..1 string',
+    system: '0..1 uri',
+    code: '0..1 code',
+  },
+  bindings: { comparator: `${HL7}/quantity-comparator` },
+  constraints: [
+    { key: 'qty-3', severity: 'error', human: 'If a code for the unit is present, the system SHALL also be present', expression: 'code.empty() or system.exists()' },
+  ],
+};
+
+/**
+ * Complex datatypes. Types not listed here (Signature, ContactDetail, ...)
+ * are accepted as is.
+ */
+export const datatypes = {
+  Coding: {
+    elements: {
+      system: '0..1 uri',
+      version: '0..1 string',
+      code: '0..1 code',
+      display: '0..1 string',
+      userSelected: '0..1 boolean',
+    },
+  },
+  CodeableConcept: {
+    elements: {
+      coding: '0..* Coding',
+      text: '0..1 string',
+    },
+  },
+  Identifier: {
+    elements: {
+      use: '0..1 code',
+      type: '0..1 CodeableConcept',
+      system: '0..1 uri',
+      value: '0..1 string',
+      period: '0..1 Period',
+      assigner: '0..1 Reference',
+    },
+    bindings: { use: `${HL7}/identifier-use` },
+  },
+  Reference: {
+    elements: {
+      reference: '0..1 string',
+      type: '0..1 uri',
+      identifier: '0..1 Identifier',
+      display: '0..1 string',
+    },
+  },
+  Period: {
+    elements: {
+      start: '0..1 dateTime',
+      end: '0..1 dateTime',
+    },
+    constraints: [
+      { key: 'per-1', severity: 'error', human: 'If present, start SHALL have a lower value than end', expression: 'start.hasValue().not() or end.hasValue().not() or (start <= end)' },
+    ],
+  },
+  Quantity: quantity,
+  SimpleQuantity: quantity,
+  Age: quantity,
+  Duration: quantity,
+  Count: quantity,
+  Distance: quantity,
+  Money: {
+    elements: {
+      value: '0..1 decimal',
+      currency: '0..1 code',
+    },
+  },
+  Range: {
+    elements: {
+      low: '0..1 SimpleQuantity',
+      high: '0..1 SimpleQuantity',
+    },
+  },
+  Ratio: {
+    elements: {
+      numerator: '0..1 Quantity',
+      denominator: '0..1 Quantity',
+    },
+  },
+  HumanName: {
+    elements: {
+      use: '0..1 code',
+      text: '0..1 string',
+      family: '0..1 string',
+      given: '0..* string',
+      prefix: '0..* string',
+      suffix: '0..* string',
+      period: '0..1 Period',
+    },
+    bindings: { use: `${HL7}/name-use` },
+  },
+  ContactPoint: {
+    elements: {
+      system: '0..1 code',
+      value: '0..1 string',
+      use: '0..1 code',
+      rank: '0..1 positiveInt',
+      period: '0..1 Period',
+    },
+    bindings: { system: `${HL7}/contact-point-system`, use: `${HL7}/contact-point-use` },
+    constraints: [
+      { key: 'cpt-2', severity: 'error', human: 'A system is required if a value is provided.', expression: 'value.empty() or system.exists()' },
+    ],
+  },
+  Address: {
+    elements: {
+      use: '0..1 code',
+      type: '0..1 code',
+      text: '0..1 string',
+      line: '0..* string',
+      city: '0..1 string',
+      district: '0..1 string',
+      state: '0..1 string',
+      postalCode: '0..1 string',
+      country: '0..1 string',
+      period: '0..1 Period',
+    },
+    bindings: { use: `${HL7}/address-use`, type: `${HL7}/address-type` },
+  },
+  Annotation: {
+    elements: {
+      'author[x]': '0..1 Reference|string',
+      time: '0..1 dateTime',
+      text: '1..1 markdown',
+    },
+  },
+  Attachment: {
+    elements: {
+      contentType: '0..1 code',
+      language: '0..1 code',
+      data: '0..1 base64Binary',
+      url: '0..1 url',
+      size: '0..1 unsignedInt',
+      hash: '0..1 base64Binary',
+      title: '0..1 string',
+      creation: '0..1 dateTime',
+    },
+    constraints: [
+      { key: 'att-1', severity: 'error', human: 'If the Attachment has data, it SHALL have a contentType', expression: 'data.empty() or contentType.exists()' },
+    ],
+  },
+  SampledData: {
+    elements: {
+      origin: '1..1 SimpleQuantity',
+      period: '1..1 decimal',
+      factor: '0..1 decimal',
+      lowerLimit: '0..1 decimal',
+      upperLimit: '0..1 decimal',
+      dimensions: '1..1 positiveInt',
+      data: '0..1 string',
+    },
+  },
+  Timing: {
+    elements: {
+      event: '0..* dateTime',
+      repeat: '0..1 BackboneElement',
+      'repeat.bounds[x]': '0..1 Duration|Range|Period',
+      'repeat.count': '0..1 positiveInt',
+      'repeat.countMax': '0..1 positiveInt',
+      'repeat.duration': '0..1 decimal',
+      'repeat.durationMax': '0..1 decimal',
+      'repeat.durationUnit': '0..1 code',
+      'repeat.frequency': '0..1 positiveInt',
+      'repeat.frequencyMax': '0..1 positiveInt',
+      'repeat.period': '0..1 decimal',
+      'repeat.periodMax': '0..1 decimal',
+      'repeat.periodUnit': '0..1 code',
+      'repeat.dayOfWeek': '0..* code',
+      'repeat.timeOfDay': '0..* time',
+      'repeat.when': '0..* code',
+      'repeat.offset': '0..1 unsignedInt',
+      code: '0..1 CodeableConcept',
+    },
+  },
+  Dosage: {
+    elements: {
+      sequence: '0..1 integer',
+      text: '0..1 string',
+      additionalInstruction: '0..* CodeableConcept',
+      patientInstruction: '0..1 string',
+      timing: '0..1 Timing',
+      'asNeeded[x]': '0..1 boolean|CodeableConcept',
+      site: '0..1 CodeableConcept',
+      route: '0..1 CodeableConcept',
+      method: '0..1 CodeableConcept',
+      doseAndRate: '0..* BackboneElement',
+      'doseAndRate.type': '0..1 CodeableConcept',
+      'doseAndRate.dose[x]': '0..1 Range|SimpleQuantity',
+      'doseAndRate.rate[x]': '0..1 Ratio|Range|SimpleQuantity',
+      maxDosePerPeriod: '0..1 Ratio',
+      maxDosePerAdministration: '0..1 SimpleQuantity',
+      maxDosePerLifetime: '0..1 SimpleQuantity',
+    },
+  },
+  Meta: {
+    elements: {
+      versionId: '0..1 id',
+      lastUpdated: '0..1 instant',
+      source: '0..1 uri',
+      profile: '0..* canonical',
+      security: '0..* Coding',
+      tag: '0..* Coding',
+    },
+  },
+  Narrative: {
+    elements: {
+      status: '1..1 code',
+      div: '1..1 xhtml',
+    },
+    bindings: { status: `${HL7}/narrative-status` },
+  },
+  // url is an attribute in XML
+  Extension: {
+    elements: {
+      url: '1..1 uri',
+      'value[x]': `0..1 ${extensionValue}`,
+    },
+  },
+};
+
+// Elements every resource may carry
+export const resourceElements = {
+  id: '0..1 id',
+  meta: '0..1 Meta',
+  implicitRules: '0..1 uri',
+  language: '0..1 code',
+  text: '0..1 Narrative',
+  contained: '0..* Resource',
+};
+
+const observationValue = 'Quantity|CodeableConcept|string|boolean|integer|Range|Ratio|SampledData|time|dateTime|Period';
+const onset = 'dateTime|Age|Period|Range|string';
+
+export const resources = {
+  Patient: {
+    summary: [
+      'identifier', 'active', 'name', 'telecom', 'gender', 'birthDate', 'deceased[x]', 'address',
+      'managingOrganization', 'link',
+    ],
+    elements: {
+      identifier: '0..* Identifier',
+      active: '0..1 boolean',
+      name: '0..* HumanName',
+      telecom: '0..* ContactPoint',
+      gender: '0..1 code',
+      birthDate: '0..1 date',
+      'deceased[x]': '0..1 boolean|dateTime',
+      address: '0..* Address',
+      maritalStatus: '0..1 CodeableConcept',
+      'multipleBirth[x]': '0..1 boolean|integer',
+      photo: '0..* Attachment',
+      contact: '0..* BackboneElement',
+      'contact.relationship': '0..* CodeableConcept',
+      'contact.name': '0..1 HumanName',
+      'contact.telecom': '0..* ContactPoint',
+      'contact.address': '0..1 Address',
+      'contact.gender': '0..1 code',
+      'contact.organization': '0..1 Reference',
+      'contact.period': '0..1 Period',
+      communication: '0..* BackboneElement',
+      'communication.language': '1..1 CodeableConcept',
+      'communication.preferred': '0..1 boolean',
+      generalPractitioner: '0..* Reference',
+      managingOrganization: '0..1 Reference',
+      link: '0..* BackboneElement',
+      'link.other': '1..1 Reference',
+      'link.type': '1..1 code',
+    },
+    bindings: {
+      gender: `${HL7}/administrative-gender`,
+      'contact.gender': `${HL7}/administrative-gender`,
+      'link.type': `${HL7}/link-type`,
+    },
+    constraints: [
+      { key: 'pat-1', path: 'contact', severity: 'error', human: 'SHALL at least contain a contact\'s details or a reference to an organization', expression: 'name.exists() or telecom.exists() or address.exists() or organization.exists()' },
+    ],
+  },
+
+  Observation: {
+    summary: [
+      'identifier', 'basedOn', 'partOf', 'status', 'code', 'subject', 'focus', 'encounter', 'effective[x]',
+      'issued', 'performer', 'value[x]', 'hasMember', 'derivedFrom', 'component',
+    ],
+    elements: {
+      identifier: '0..* Identifier',
+      basedOn: '0..* Reference',
+      partOf: '0..* Reference',
+      status: '1..1 code',
+      category: '0..* CodeableConcept',
+      code: '1..1 CodeableConcept',
+      subject: '0..1 Reference',
+      focus: '0..* Reference',
+      encounter: '0..1 Reference',
+      'effective[x]': '0..1 dateTime|Period|Timing|instant',
+      issued: '0..1 instant',
+      performer: '0..* Reference',
+      'value[x]': `0..1 ${observationValue}`,
+      dataAbsentReason: '0..1 CodeableConcept',
+      interpretation: '0..* CodeableConcept',
+      note: '0..* Annotation',
+      bodySite: '0..1 CodeableConcept',
+      method: '0..1 CodeableConcept',
+      specimen: '0..1 Reference',
+      device: '0..1 Reference',
+      referenceRange: '0..* BackboneElement',
+      'referenceRange.low': '0..1 SimpleQuantity',
+      'referenceRange.high': '0..1 SimpleQuantity',
+      'referenceRange.type': '0..1 CodeableConcept',
+      'referenceRange.appliesTo': '0..* CodeableConcept',
+      'referenceRange.age': '0..1 Range',
+      'referenceRange.text': '0..1 string',
+      hasMember: '0..* Reference',
+      derivedFrom: '0..* Reference',
+      component: '0..* BackboneElement',
+      'component.code': '1..1 CodeableConcept',
+      'component.value[x]': `0..1 ${observationValue}`,
+      'component.dataAbsentReason': '0..1 CodeableConcept',
+      'component.interpretation': '0..* CodeableConcept',
+      'component.referenceRange': '0..* BackboneElement',
+      'component.referenceRange.low': '0..1 SimpleQuantity',
+      'component.referenceRange.high': '0..1 SimpleQuantity',
+      'component.referenceRange.type': '0..1 CodeableConcept',
+      'component.referenceRange.appliesTo': '0..* CodeableConcept',
+      'component.referenceRange.age': '0..1 Range',
+      'component.referenceRange.text': '0..1 string',
+    },
+    bindings: { status: `${HL7}/observation-status` },
+    constraints: [
+      { key: 'obs-3', path: 'referenceRange', severity: 'error', human: 'Must have at least a low or a high or text', expression: 'low.exists() or high.exists() or text.exists()' },
+      { key: 'obs-6', severity: 'error', human: 'dataAbsentReason SHALL only be present if Observation.value[x] is not present', expression: 'dataAbsentReason.empty() or value.empty()' },
+      { key: 'obs-7', severity: 'error', human: 'If Observation.code is the same as an Observation.component.code then the value element associated with the code SHALL NOT be present', expression: 'value.empty() or component.code.where(coding.intersect(%resource.code.coding).exists()).empty()' },
+    ],
+  },
+
+  Condition: {
+    summary: [
+      'identifier', 'clinicalStatus', 'verificationStatus', 'code', 'bodySite', 'subject', 'encounter',
+      'onset[x]', 'recordedDate',
+    ],
+    elements: {
+      identifier: '0..* Identifier',
+      clinicalStatus: '0..1 CodeableConcept',
+      verificationStatus: '0..1 CodeableConcept',
+      category: '0..* CodeableConcept',
+      severity: '0..1 CodeableConcept',
+      code: '0..1 CodeableConcept',
+      bodySite: '0..* CodeableConcept',
+      subject: '1..1 Reference',
+      encounter: '0..1 Reference',
+      'onset[x]': `0..1 ${onset}`,
+      'abatement[x]': `0..1 ${onset}`,
+      recordedDate: '0..1 dateTime',
+      recorder: '0..1 Reference',
+      asserter: '0..1 Reference',
+      stage: '0..* BackboneElement',
+      'stage.summary': '0..1 CodeableConcept',
+      'stage.assessment': '0..* Reference',
+      'stage.type': '0..1 CodeableConcept',
+      evidence: '0..* BackboneElement',
+      'evidence.code': '0..* CodeableConcept',
+      'evidence.detail': '0..* Reference',
+      note: '0..* Annotation',
+    },
+    bindings: {
+      clinicalStatus: `${HL7}/condition-clinical`,
+      verificationStatus: `${HL7}/condition-ver-status`,
+    },
+    constraints: [
+      { key: 'con-4', severity: 'error', human: 'If condition is abated, then clinicalStatus must be either inactive, resolved, or remission', expression: `abatement.empty() or clinicalStatus.coding.where(system='${TERMINOLOGY}/condition-clinical' and (code='resolved' or code='remission' or code='inactive')).exists()` },
+      { key: 'con-5', severity: 'error', human: 'Condition.clinicalStatus SHALL NOT be present if verification Status is entered-in-error', expression: `verificationStatus.coding.where(system='${TERMINOLOGY}/condition-ver-status' and code='entered-in-error').empty() or clinicalStatus.empty()` },
+    ],
+  },
+
+  AllergyIntolerance: {
+    summary: [
+      'identifier', 'clinicalStatus', 'verificationStatus', 'type', 'category', 'criticality', 'code',
+      'patient', 'asserter',
+    ],
+    elements: {
+      identifier: '0..* Identifier',
+      clinicalStatus: '0..1 CodeableConcept',
+      verificationStatus: '0..1 CodeableConcept',
+      type: '0..1 code',
+      category: '0..* code',
+      criticality: '0..1 code',
+      code: '0..1 CodeableConcept',
+      patient: '1..1 Reference',
+      encounter: '0..1 Reference',
+      'onset[x]': `0..1 ${onset}`,
+      recordedDate: '0..1 dateTime',
+      recorder: '0..1 Reference',
+      asserter: '0..1 Reference',
+      lastOccurrence: '0..1 dateTime',
+      note: '0..* Annotation',
+      reaction: '0..* BackboneElement',
+      'reaction.substance': '0..1 CodeableConcept',
+      'reaction.manifestation': '1..* CodeableConcept',
+      'reaction.description': '0..1 string',
+      'reaction.onset': '0..1 dateTime',
+      'reaction.severity': '0..1 code',
+      'reaction.exposureRoute': '0..1 CodeableConcept',
+      'reaction.note': '0..* Annotation',
+    },
+    bindings: {
+      clinicalStatus: `${HL7}/allergyintolerance-clinical`,
+      verificationStatus: `${HL7}/allergyintolerance-verification`,
+      type: `${HL7}/allergy-intolerance-type`,
+      category: `${HL7}/allergy-intolerance-category`,
+      criticality: `${HL7}/allergy-intolerance-criticality`,
+      'reaction.severity': `${HL7}/reaction-event-severity`,
+    },
+    constraints: [
+      { key: 'ait-1', severity: 'error', human: 'AllergyIntolerance.clinicalStatus SHALL be present if verificationStatus is not entered-in-error.', expression: `verificationStatus.coding.where(system = '${TERMINOLOGY}/allergyintolerance-verification' and code = 'entered-in-error').exists() or clinicalStatus.exists()` },
+      { key: 'ait-2', severity: 'error', human: 'AllergyIntolerance.clinicalStatus SHALL NOT be present if verification Status is entered-in-error', expression: `verificationStatus.coding.where(system = '${TERMINOLOGY}/allergyintolerance-verification' and code = 'entered-in-error').empty() or clinicalStatus.empty()` },
+    ],
+  },
+
+  MedicationRequest: {
+    summary: [
+      'identifier', 'status', 'intent', 'priority', 'doNotPerform', 'reported[x]', 'medication[x]', 'subject',
+      'encounter', 'authoredOn', 'requester', 'performer',
+    ],
+    elements: {
+      identifier: '0..* Identifier',
+      status: '1..1 code',
+      statusReason: '0..1 CodeableConcept',
+      intent: '1..1 code',
+      category: '0..* CodeableConcept',
+      priority: '0..1 code',
+      doNotPerform: '0..1 boolean',
+      'reported[x]': '0..1 boolean|Reference',
+      'medication[x]': '1..1 CodeableConcept|Reference',
+      subject: '1..1 Reference',
+      encounter: '0..1 Reference',
+      supportingInformation: '0..* Reference',
+      authoredOn: '0..1 dateTime',
+      requester: '0..1 Reference',
+      performer: '0..1 Reference',
+      performerType: '0..1 CodeableConcept',
+      recorder: '0..1 Reference',
+      reasonCode: '0..* CodeableConcept',
+      reasonReference: '0..* Reference',
+      instantiatesCanonical: '0..* canonical',
+      instantiatesUri: '0..* uri',
+      basedOn: '0..* Reference',
+      groupIdentifier: '0..1 Identifier',
+      courseOfTherapyType: '0..1 CodeableConcept',
+      insurance: '0..* Reference',
+      note: '0..* Annotation',
+      dosageInstruction: '0..* Dosage',
+      dispenseRequest: '0..1 BackboneElement',
+      'dispenseRequest.initialFill': '0..1 BackboneElement',
+      'dispenseRequest.initialFill.quantity': '0..1 SimpleQuantity',
+      'dispenseRequest.initialFill.duration': '0..1 Duration',
+      'dispenseRequest.dispenseInterval': '0..1 Duration',
+      'dispenseRequest.validityPeriod': '0..1 Period',
+      'dispenseRequest.numberOfRepeatsAllowed': '0..1 unsignedInt',
+      'dispenseRequest.quantity': '0..1 SimpleQuantity',
+      'dispenseRequest.expectedSupplyDuration': '0..1 Duration',
+      'dispenseRequest.performer': '0..1 Reference',
+      substitution: '0..1 BackboneElement',
+      'substitution.allowed[x]': '1..1 boolean|CodeableConcept',
+      'substitution.reason': '0..1 CodeableConcept',
+      priorPrescription: '0..1 Reference',
+      detectedIssue: '0..* Reference',
+      eventHistory: '0..* Reference',
+    },
+    bindings: {
+      status: `${HL7}/medicationrequest-status`,
+      intent: `${HL7}/medicationrequest-intent`,
+      priority: `${HL7}/request-priority`,
+    },
+  },
+
+  Encounter: {
+    summary: [
+      'identifier', 'status', 'class', 'type', 'serviceType', 'priority', 'subject', 'episodeOfCare',
+      'basedOn', 'participant', 'appointment', 'period', 'length', 'reasonCode', 'reasonReference',
+      'diagnosis', 'account', 'serviceProvider', 'partOf',
+    ],
+    elements: {
+      identifier: '0..* Identifier',
+      status: '1..1 code',
+      statusHistory: '0..* BackboneElement',
+      'statusHistory.status': '1..1 code',
+      'statusHistory.period': '1..1 Period',
+      class: '1..1 Coding',
+      classHistory: '0..* BackboneElement',
+      'classHistory.class': '1..1 Coding',
+      'classHistory.period': '1..1 Period',
+      type: '0..* CodeableConcept',
+      serviceType: '0..1 CodeableConcept',
+      priority: '0..1 CodeableConcept',
+      subject: '0..1 Reference',
+      episodeOfCare: '0..* Reference',
+      basedOn: '0..* Reference',
+      participant: '0..* BackboneElement',
+      'participant.type': '0..* CodeableConcept',
+      'participant.period': '0..1 Period',
+      'participant.individual': '0..1 Reference',
+      appointment: '0..* Reference',
+      period: '0..1 Period',
+      length: '0..1 Duration',
+      reasonCode: '0..* CodeableConcept',
+      reasonReference: '0..* Reference',
+      diagnosis: '0..* BackboneElement',
+      'diagnosis.condition': '1..1 Reference',
+      'diagnosis.use': '0..1 CodeableConcept',
+      'diagnosis.rank': '0..1 positiveInt',
+      account: '0..* Reference',
+      hospitalization: '0..1 BackboneElement',
+      'hospitalization.preAdmissionIdentifier': '0..1 Identifier',
+      'hospitalization.origin': '0..1 Reference',
+      'hospitalization.admitSource': '0..1 CodeableConcept',
+      'hospitalization.reAdmission': '0..1 CodeableConcept',
+      'hospitalization.dietPreference': '0..* CodeableConcept',
+      'hospitalization.specialCourtesy': '0..* CodeableConcept',
+      'hospitalization.specialArrangement': '0..* CodeableConcept',
+      'hospitalization.destination': '0..1 Reference',
+      'hospitalization.dischargeDisposition': '0..1 CodeableConcept',
+      location: '0..* BackboneElement',
+      'location.location': '1..1 Reference',
+      'location.status': '0..1 code',
+      'location.physicalType': '0..1 CodeableConcept',
+      'location.period': '0..1 Period',
+      serviceProvider: '0..1 Reference',
+      partOf: '0..1 Reference',
+    },
+    bindings: {
+      status: `${HL7}/encounter-status`,
+      'location.status': `${HL7}/encounter-location-status`,
+    },
+  },
+
+  DiagnosticReport: {
+    summary: [
+      'identifier', 'basedOn', 'status', 'category', 'code', 'subject', 'encounter', 'effective[x]', 'issued',
+      'performer', 'resultsInterpreter', 'media',
+    ],
+    elements: {
+      identifier: '0..* Identifier',
+      basedOn: '0..* Reference',
+      status: '1..1 code',
+      category: '0..* CodeableConcept',
+      code: '1..1 CodeableConcept',
+      subject: '0..1 Reference',
+      encounter: '0..1 Reference',
+      'effective[x]': '0..1 dateTime|Period',
+      issued: '0..1 instant',
+      performer: '0..* Reference',
+      resultsInterpreter: '0..* Reference',
+      specimen: '0..* Reference',
+      result: '0..* Reference',
+      imagingStudy: '0..* Reference',
+      media: '0..* BackboneElement',
+      'media.comment': '0..1 string',
+      'media.link': '1..1 Reference',
+      conclusion: '0..1 string',
+      conclusionCode: '0..* CodeableConcept',
+      presentedForm: '0..* Attachment',
+    },
+    bindings: { status: `${HL7}/diagnostic-report-status` },
+  },
+
+  Procedure: {
+    summary: [
+      'identifier', 'instantiatesCanonical', 'instantiatesUri', 'basedOn', 'partOf', 'status', 'statusReason',
+      'category', 'code', 'subject', 'encounter', 'performed[x]', 'recorder', 'asserter', 'performer',
+      'location', 'reasonCode', 'reasonReference', 'bodySite',
+    ],
+    elements: {
+      identifier: '0..* Identifier',
+      instantiatesCanonical: '0..* canonical',
+      instantiatesUri: '0..* uri',
+      basedOn: '0..* Reference',
+      partOf: '0..* Reference',
+      status: '1..1 code',
+      statusReason: '0..1 CodeableConcept',
+      category: '0..1 CodeableConcept',
+      code: '0..1 CodeableConcept',
+      subject: '1..1 Reference',
+      encounter: '0..1 Reference',
+      'performed[x]': '0..1 dateTime|Period|string|Age|Range',
+      recorder: '0..1 Reference',
+      asserter: '0..1 Reference',
+      performer: '0..* BackboneElement',
+      'performer.function': '0..1 CodeableConcept',
+      'performer.actor': '1..1 Reference',
+      'performer.onBehalfOf': '0..1 Reference',
+      location: '0..1 Reference',
+      reasonCode: '0..* CodeableConcept',
+      reasonReference: '0..* Reference',
+      bodySite: '0..* CodeableConcept',
+      outcome: '0..1 CodeableConcept',
+      report: '0..* Reference',
+      complication: '0..* CodeableConcept',
+      complicationDetail: '0..* Reference',
+      followUp: '0..* CodeableConcept',
+      note: '0..* Annotation',
+      focalDevice: '0..* BackboneElement',
+      'focalDevice.action': '0..1 CodeableConcept',
+      'focalDevice.manipulated': '1..1 Reference',
+      usedReference: '0..* Reference',
+      usedCode: '0..* CodeableConcept',
+    },
+    bindings: { status: `${HL7}/event-status` },
+  },
+
+  Immunization: {
+    summary: [
+      'identifier', 'status', 'statusReason', 'vaccineCode', 'patient', 'encounter', 'occurrence[x]',
+      'primarySource', 'location', 'lotNumber', 'performer', 'isSubpotent',
+    ],
+    elements: {
+      identifier: '0..* Identifier',
+      status: '1..1 code',
+      statusReason: '0..1 CodeableConcept',
+      vaccineCode: '1..1 CodeableConcept',
+      patient: '1..1 Reference',
+      encounter: '0..1 Reference',
+      'occurrence[x]': '1..1 dateTime|string',
+      recorded: '0..1 dateTime',
+      primarySource: '0..1 boolean',
+      reportOrigin: '0..1 CodeableConcept',
+      location: '0..1 Reference',
+      manufacturer: '0..1 Reference',
+      lotNumber: '0..1 string',
+      expirationDate: '0..1 date',
+      site: '0..1 CodeableConcept',
+      route: '0..1 CodeableConcept',
+      doseQuantity: '0..1 SimpleQuantity',
+      performer: '0..* BackboneElement',
+      'performer.function': '0..1 CodeableConcept',
+      'performer.actor': '1..1 Reference',
+      note: '0..* Annotation',
+      reasonCode: '0..* CodeableConcept',
+      reasonReference: '0..* Reference',
+      isSubpotent: '0..1 boolean',
+      subpotentReason: '0..* CodeableConcept',
+      education: '0..* BackboneElement',
+      'education.documentType': '0..1 string',
+      'education.reference': '0..1 uri',
+      'education.publicationDate': '0..1 dateTime',
+      'education.presentationDate': '0..1 dateTime',
+      programEligibility: '0..* CodeableConcept',
+      fundingSource: '0..1 CodeableConcept',
+      reaction: '0..* BackboneElement',
+      'reaction.date': '0..1 dateTime',
+      'reaction.detail': '0..1 Reference',
+      'reaction.reported': '0..1 boolean',
+      protocolApplied: '0..* BackboneElement',
+      'protocolApplied.series': '0..1 string',
+      'protocolApplied.authority': '0..1 Reference',
+      'protocolApplied.targetDisease': '0..* CodeableConcept',
+      'protocolApplied.doseNumber[x]': '1..1 positiveInt|string',
+      'protocolApplied.seriesDoses[x]': '0..1 positiveInt|string',
+    },
+    bindings: { status: `${HL7}/immunization-status` },
+  },
+
+  RiskAssessment: {
+    summary: [
+      'identifier', 'basedOn', 'parent', 'status', 'method', 'code', 'subject', 'encounter',
+      'occurrence[x]', 'condition', 'performer', 'reasonCode', 'reasonReference',
+    ],
+    elements: {
+      identifier: '0..* Identifier',
+      basedOn: '0..1 Reference',
+      parent: '0..1 Reference',
+      status: '1..1 code',
+      method: '0..1 CodeableConcept',
+      code: '0..1 CodeableConcept',
+      subject: '1..1 Reference',
+      encounter: '0..1 Reference',
+      'occurrence[x]': '0..1 dateTime|Period',
+      condition: '0..1 Reference',
+      performer: '0..1 Reference',
+      reasonCode: '0..* CodeableConcept',
+      reasonReference: '0..* Reference',
+      basis: '0..* Reference',
+      prediction: '0..* BackboneElement',
+      'prediction.outcome': '0..1 CodeableConcept',
+      'prediction.probability[x]': '0..1 decimal|Range',
+      'prediction.qualitativeRisk': '0..1 CodeableConcept',
+      'prediction.relativeRisk': '0..1 decimal',
+      'prediction.when[x]': '0..1 Period|Range',
+      'prediction.rationale': '0..1 string',
+      mitigation: '0..1 string',
+      note: '0..* Annotation',
+    },
+    bindings: { status: `${HL7}/observation-status` },
+  },
+
+  Subscription: {
+    summary: ['status', 'contact', 'end', 'reason', 'criteria', 'error', 'channel'],
+    elements: {
+      status: '1..1 code',
+      contact: '0..* ContactPoint',
+      end: '0..1 instant',
+      reason: '1..1 string',
+      criteria: '1..1 string',
+      error: '0..1 string',
+      channel: '1..1 BackboneElement',
+      'channel.type': '1..1 code',
+      'channel.endpoint': '0..1 url',
+      'channel.payload': '0..1 code',
+      'channel.header': '0..* string',
+    },
+    bindings: {
+      status: `${HL7}/subscription-status`,
+      'channel.type': `${HL7}/subscription-channel-type`,
+    },
+  },
+
+  Group: {
+    summary: ['identifier', 'active', 'type', 'actual', 'code', 'name', 'quantity', 'managingEntity'],
+    elements: {
+      identifier: '0..* Identifier',
+      active: '0..1 boolean',
+      type: '1..1 code',
+      actual: '1..1 boolean',
+      code: '0..1 CodeableConcept',
+      name: '0..1 string',
+      quantity: '0..1 unsignedInt',
+      managingEntity: '0..1 Reference',
+      characteristic: '0..* BackboneElement',
+      'characteristic.code': '1..1 CodeableConcept',
+      'characteristic.value[x]': '1..1 CodeableConcept|boolean|Quantity|Range|Reference',
+      'characteristic.exclude': '1..1 boolean',
+      'characteristic.period': '0..1 Period',
+      member: '0..* BackboneElement',
+      'member.entity': '1..1 Reference',
+      'member.period': '0..1 Period',
+      'member.inactive': '0..1 boolean',
+    },
+    bindings: { type: `${HL7}/group-type` },
+  },
+
+  Provenance: {
+    summary: ['target', 'occurred[x]', 'recorded', 'agent'],
+    elements: {
+      target: '1..* Reference',
+      'occurred[x]': '0..1 Period|dateTime',
+      recorded: '1..1 instant',
+      policy: '0..* uri',
+      location: '0..1 Reference',
+      reason: '0..* CodeableConcept',
+      activity: '0..1 CodeableConcept',
+      agent: '1..* BackboneElement',
+      'agent.type': '0..1 CodeableConcept',
+      'agent.role': '0..* CodeableConcept',
+      'agent.who': '1..1 Reference',
+      'agent.onBehalfOf': '0..1 Reference',
+      entity: '0..* BackboneElement',
+      'entity.role': '1..1 code',
+      'entity.what': '1..1 Reference',
+      'entity.agent': '0..* BackboneElement',
+      'entity.agent.type': '0..1 CodeableConcept',
+      'entity.agent.role': '0..* CodeableConcept',
+      'entity.agent.who': '1..1 Reference',
+      'entity.agent.onBehalfOf': '0..1 Reference',
+    },
+    bindings: { 'entity.role': `${HL7}/provenance-entity-role` },
+  },
+};
+
+/**
+ * Resources the API exchanges but does not store. The XML converter
+ * (xml.js) reads these; the validator does not. `references` name
+ * elements that reuse another element's definition (R4 contentReference).
+ */
+export const exchangeResources = {
+  Bundle: {
+    elements: {
+      identifier: '0..1 Identifier',
+      type: '1..1 code',
+      timestamp: '0..1 instant',
+      total: '0..1 unsignedInt',
+      link: '0..* BackboneElement',
+      'link.relation': '1..1 string',
+      'link.url': '1..1 uri',
+      entry: '0..* BackboneElement',
+      'entry.link': '0..* BackboneElement',
+      'entry.fullUrl': '0..1 uri',
+      'entry.resource': '0..1 Resource',
+      'entry.search': '0..1 BackboneElement',
+      'entry.search.mode': '0..1 code',
+      'entry.search.score': '0..1 decimal',
+      'entry.request': '0..1 BackboneElement',
+      'entry.request.method': '1..1 code',
+      'entry.request.url': '1..1 uri',
+      'entry.request.ifNoneMatch': '0..1 string',
+      'entry.request.ifModifiedSince': '0..1 instant',
+      'entry.request.ifMatch': '0..1 string',
+      'entry.request.ifNoneExist': '0..1 string',
+      'entry.response': '0..1 BackboneElement',
+      'entry.response.status': '1..1 string',
+      'entry.response.location': '0..1 uri',
+      'entry.response.etag': '0..1 string',
+      'entry.response.lastModified': '0..1 instant',
+      'entry.response.outcome': '0..1 Resource',
+      signature: '0..1 Signature',
+    },
+    references: { 'entry.link': 'link' },
+  },
+
+  Parameters: {
+    elements: {
+      parameter: '0..* BackboneElement',
+      'parameter.name': '1..1 string',
+      'parameter.value[x]': `0..1 ${extensionValue}`,
+      'parameter.resource': '0..1 Resource',
+      'parameter.part': '0..* BackboneElement',
+    },
+    references: { 'parameter.part': 'parameter' },
+  },
+
+  OperationOutcome: {
+    elements: {
+      issue: '1..* BackboneElement',
+      'issue.severity': '1..1 code',
+      'issue.code': '1..1 code',
+      'issue.details': '0..1 CodeableConcept',
+      'issue.diagnostics': '0..1 string',
+      'issue.location': '0..* string',
+      'issue.expression': '0..* string',
+    },
+  },
+};
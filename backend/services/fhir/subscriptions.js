@@ -0,0 +1,456 @@
+// subscriptions.js - Deliver FHIR Subscription notifications for local writes
+//
+// A Subscription names search criteria (e.g. Observation?patient=123&code=2160-0)
+// and a channel. Every create or update that matches an active subscription's
+// criteria is sent as a notification Bundle in the shape of the R4
+// Subscriptions Backport: a SubscriptionStatus Parameters entry followed by
+// the resource when channel.payload is set.
+//
+//   rest-hook - POSTed to channel.endpoint with channel.header, retried with
+//               back-off; a handshake on activation must succeed first.
+//               Notifications carry patient data, so the endpoint must be
+//               https on a host of FHIR_SUBSCRIPTION_HOSTS (comma-separated;
+//               "*.example.org" allows its subdomains)
+//   websocket - Sent to sockets that sent "bind <subscription id> <access token>"
+//
+// A heartbeat is sent every backport-heartbeat-period seconds without events.
+// Each subscription gets its notifications in order, one at a time, but
+// subscriptions do not wait for each other: a dead endpoint only holds up
+// its own. Resources the server writes itself (Provenance) cannot be
+// subscribed to and are not matched.
+//
+// Writes are matched in the tenant that made them (see tenancy.js), so a
+// hospital's subscriptions only ever hear of its own resources.
+import axios from 'axios';
+import jwt from 'jsonwebtoken';
+import { v4 as uuidv4 } from 'uuid';
+import { FhirError } from './operationOutcome.js';
+import { resourceEvents } from './events.js';
+import { getModel, isReadOnly, resourceTypes } from './registry.js';
+import { parseQueryString, parseSearch } from './search.js';
+import { readResource, updateResource } from './resourceStore.js';
+import { authorizeAccess, requiredAccess } from './smartScopes.js';
+import { runInTenant } from './tenancy.js';
+
+export const HEARTBEAT_EXTENSION = 'http://hl7.org/fhir/uv/subscriptions-backport/StructureDefinition/backport-heartbeat-period';
+
+const DEFAULT_RETRY_DELAYS = [1000, 5000, 30000];
+const HEARTBEAT_TICK = 5000;
+const HTTP_TIMEOUT = 10000;
+
+const state = {
+  baseUrl: '',
+  retryDelays: DEFAULT_RETRY_DELAYS,
+  allowedHosts: [], // hosts rest-hook endpoints may be on
+  queues: new Map(), // subscription id -> its last queued delivery
+  sockets: new Map(), // subscription id -> Set of bound sockets
+  eventCounts: new Map(), // subscription id -> events since activation
+  lastSent: new Map(), // subscription id -> time of the last notification
+  heartbeat: null,
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// ---------------- Criteria ----------------
+
+/**
+ * Split Subscription.criteria into the resource type and search query.
+ * @param {string} criteria - e.g. "Observation?patient=123&code=2160-0"
+ * @returns {{resourceType: string, query: Object}}
+ * @throws {FhirError} 400 when the type is not held locally, is written
+ *   by the server itself, or a parameter is unknown
+ */
+export function parseCriteria(criteria = '') {
+  const [resourceType, queryString = ''] = criteria.split('?');
+  if (!resourceTypes().includes(resourceType)) {
+    throw new FhirError(400, `Subscription criteria must start with a supported resource type, not '${resourceType}'`);
+  }
+  if (isReadOnly(resourceType)) {
+    throw new FhirError(400, `${resourceType} is written by the server and cannot be subscribed to`);
+  }
+  const query = parseQueryString(queryString);
+  // Strict so a typo does not silently match everything
+  parseSearch(resourceType, query, { strict: true });
+  return { resourceType, query };
+}
+
+async function matchesCriteria(subscription, change) {
+  const { resourceType, query } = parseCriteria(subscription.criteria);
+  if (resourceType !== change.resourceType) return false;
+  const { filter } = parseSearch(resourceType, query, { strict: true });
+  return Boolean(await getModel(resourceType).exists({ $and: [{ _id: change.id }, filter] }));
+}
+
+// ---------------- Notifications ----------------
+
+function heartbeatPeriod(subscription) {
+  const extension = (subscription.channel?.extension || []).find((e) => e.url === HEARTBEAT_EXTENSION);
+  return extension?.valueUnsignedInt;
+}
+
+/**
+ * Build a notification Bundle (R4 Subscriptions Backport shape).
+ *
+ * @param {Object} subscription - Subscription resource JSON
+ * @param {string} type - handshake, heartbeat or event-notification
+ * @param {Object} [options]
+ * @param {Object} [options.change] - The write being notified (see events.js)
+ * @param {number} [options.eventNumber] - Events since the subscription started
+ * @param {string} [options.baseUrl]
+ * @returns {Object} FHIR Bundle
+ */
+export function notificationBundle(subscription, type, { change, eventNumber = 0, baseUrl = state.baseUrl } = {}) {
+  const focus = change && `${change.resourceType}/${change.id}`;
+  const status = {
+    resourceType: 'Parameters',
+    id: uuidv4(),
+    parameter: [
+      { name: 'subscription', valueReference: { reference: `Subscription/${subscription.id}` } },
+      { name: 'status', valueCode: subscription.status },
+      { name: 'type', valueCode: type },
+      { name: 'events-since-subscription-start', valueString: String(eventNumber) },
+      ...(change ? [{
+        name: 'notification-event',
+        part: [
+          { name: 'event-number', valueString: String(eventNumber) },
+          { name: 'focus', valueReference: { reference: focus } },
+        ],
+      }] : []),
+    ],
+  };
+
+  const entry = [{
+    fullUrl: `urn:uuid:${status.id}`,
+    resource: status,
+    request: { method: 'GET', url: `Subscription/${subscription.id}/$status` },
+    response: { status: '200' },
+  }];
+  if (change && subscription.channel?.payload) {
+    entry.push({
+      fullUrl: `${baseUrl}/${focus}`,
+      resource: change.resource,
+      request: { method: change.method, url: change.method === 'POST' ? change.resourceType : focus },
+      response: { status: change.method === 'POST' ? '201' : '200' },
+    });
+  }
+
+  return {
+    resourceType: 'Bundle',
+    id: uuidv4(),
+    type: 'history',
+    timestamp: new Date().toISOString(),
+    entry,
+  };
+}
+
+function restHookHeaders(subscription) {
+  const headers = { 'Content-Type': subscription.channel.payload || 'application/fhir+json' };
+  for (const header of subscription.channel.header || []) {
+    const index = header.indexOf(':');
+    if (index > 0) headers[header.slice(0, index).trim()] = header.slice(index + 1).trim();
+  }
+  return headers;
+}
+
+/**
+ * Hosts from a comma-separated list such as FHIR_SUBSCRIPTION_HOSTS.
+ */
+function parseHosts(list = '') {
+  return list.split(',').map((host) => host.trim().toLowerCase()).filter(Boolean);
+}
+
+/**
+ * Refuse rest-hook endpoints notifications may not be sent to.
+ * @param {string} endpoint
+ * @param {string[]} [allowedHosts] - Host names; "*.example.org" allows the subdomains of example.org
+ * @throws {FhirError} 422 unless the endpoint is an https URL on an allowed host
+ */
+export function assertEndpointAllowed(endpoint, allowedHosts = state.allowedHosts) {
+  let url;
+  try {
+    url = new URL(endpoint);
+  } catch {
+    throw new FhirError(422, `Rest-hook endpoint '${endpoint}' is not a URL`);
+  }
+  if (url.protocol !== 'https:') {
+    throw new FhirError(422, `Rest-hook endpoint ${endpoint} must use https`);
+  }
+  const host = url.hostname.toLowerCase();
+  const allowed = allowedHosts.some((pattern) => (
+    pattern.startsWith('*.') ? host.endsWith(pattern.slice(1)) : host === pattern
+  ));
+  if (!allowed) {
+    throw new FhirError(422, `Rest-hook endpoint host ${host} is not allowed for subscriptions`);
+  }
+}
+
+/**
+ * POST a notification, retrying with back-off.
+ * @throws {Error} The last failure once the retries are used up, or at
+ *   once for endpoints that are not allowed
+ */
+async function postWithRetries(subscription, bundle) {
+  assertEndpointAllowed(subscription.channel.endpoint);
+  let lastError;
+  for (let attempt = 0; attempt <= state.retryDelays.length; attempt += 1) {
+    if (attempt > 0) await sleep(state.retryDelays[attempt - 1]);
+    try {
+      await axios.post(subscription.channel.endpoint, bundle, {
+        headers: restHookHeaders(subscription),
+        timeout: HTTP_TIMEOUT,
+      });
+      return;
+    } catch (err) {
+      lastError = err;
+    }
+  }
+  throw lastError;
+}
+
+function sendToSockets(subscription, bundle) {
+  for (const ws of state.sockets.get(subscription.id) || []) {
+    if (ws.readyState === 1) ws.send(JSON.stringify(bundle));
+  }
+}
+
+async function send(subscription, type, options) {
+  const bundle = notificationBundle(subscription, type, options);
+  state.lastSent.set(subscription.id, Date.now());
+
+  if (subscription.channel.type === 'websocket') {
+    sendToSockets(subscription, bundle);
+    return;
+  }
+  try {
+    await postWithRetries(subscription, bundle);
+  } catch (err) {
+    await setStatus(subscription.id, 'error', `Delivery to ${subscription.channel.endpoint} failed: ${err.message}`);
+  }
+}
+
+/**
+ * Send a notification after the subscription's earlier ones.
+ * @returns {Promise<void>} Settles once it was sent or given up on
+ */
+function deliver(subscription, type, options = {}) {
+  const previous = state.queues.get(subscription.id) || Promise.resolve();
+  const delivery = previous
+    .then(() => send(subscription, type, options))
+    .catch((err) => console.error('Subscription delivery failed:', err));
+  state.queues.set(subscription.id, delivery);
+  delivery.then(() => {
+    if (state.queues.get(subscription.id) === delivery) state.queues.delete(subscription.id);
+  });
+  return delivery;
+}
+
+// ---------------- Lifecycle ----------------
+
+/**
+ * Move a subscription to a new status as a new version of the resource.
+ */
+async function setStatus(id, status, error) {
+  const Subscription = getModel('Subscription');
+  try {
+    const current = await readResource(Subscription, id);
+    const resource = { ...current.toJSON(), status };
+    if (error) resource.error = error;
+    else delete resource.error;
+    await updateResource(Subscription, id, resource, { ifMatch: current.meta.versionId });
+  } catch (err) {
+    // Deleted or changed by a client meanwhile: their version wins
+    if (!(err instanceof FhirError)) console.error(err);
+  }
+}
+
+async function activate(subscription) {
+  try {
+    parseCriteria(subscription.criteria);
+  } catch (err) {
+    await setStatus(subscription.id, 'error', err.message);
+    return;
+  }
+
+  switch (subscription.channel.type) {
+    case 'rest-hook':
+      if (!subscription.channel.endpoint) {
+        await setStatus(subscription.id, 'error', 'A rest-hook channel needs an endpoint');
+        return;
+      }
+      try {
+        await postWithRetries(subscription, notificationBundle(subscription, 'handshake'));
+      } catch (err) {
+        await setStatus(subscription.id, 'error', `Handshake with ${subscription.channel.endpoint} failed: ${err.message}`);
+        return;
+      }
+      break;
+    case 'websocket':
+      // The handshake is sent when a socket binds
+      break;
+    default:
+      await setStatus(subscription.id, 'error', `Channel type '${subscription.channel.type}' is not supported`);
+      return;
+  }
+
+  state.eventCounts.set(subscription.id, 0);
+  state.lastSent.set(subscription.id, Date.now());
+  await setStatus(subscription.id, 'active');
+}
+
+function isExpired(subscription) {
+  return subscription.end && new Date(subscription.end) <= new Date();
+}
+
+async function notifyMatches(change) {
+  const active = await getModel('Subscription').find({
+    status: 'active',
+    criteria: { $regex: `^${change.resourceType}(\\?|$)` },
+  });
+
+  await Promise.all(active.map(async (doc) => {
+    const subscription = doc.toJSON();
+    if (isExpired(subscription)) {
+      await setStatus(subscription.id, 'off');
+      return;
+    }
+    try {
+      if (!(await matchesCriteria(subscription, change))) return;
+    } catch (err) {
+      await setStatus(subscription.id, 'error', err.message);
+      return;
+    }
+    const eventNumber = (state.eventCounts.get(subscription.id) || 0) + 1;
+    state.eventCounts.set(subscription.id, eventNumber);
+    await deliver(subscription, 'event-notification', { change, eventNumber });
+  }));
+}
+
+async function onChange(change) {
+  if (isReadOnly(change.resourceType)) return;
+  try {
+    if (change.resourceType === 'Subscription') {
+      if (change.method === 'DELETE') {
+        for (const ws of state.sockets.get(change.id) || []) ws.close(1000, 'Subscription deleted');
+        state.sockets.delete(change.id);
+        state.eventCounts.delete(change.id);
+        state.lastSent.delete(change.id);
+      } else if (change.resource.status === 'requested') {
+        await activate(change.resource);
+      }
+      return;
+    }
+    if (change.method !== 'DELETE') await notifyMatches(change);
+  } catch (err) {
+    console.error('Subscription notification failed:', err);
+  }
+}
+
+async function sendHeartbeats() {
+  try {
+    const active = await getModel('Subscription').find({
+      status: 'active',
+      'channel.extension.url': HEARTBEAT_EXTENSION,
+    });
+    for (const doc of active) {
+      const subscription = doc.toJSON();
+      const period = heartbeatPeriod(subscription);
+      const last = state.lastSent.get(subscription.id) || 0;
+      if (period && Date.now() - last >= period * 1000) {
+        // A failed delivery updates the subscription, which must stay with its tenant
+        await runInTenant(doc._tenant, () => deliver(subscription, 'heartbeat', {
+          eventNumber: state.eventCounts.get(subscription.id) || 0,
+        }));
+      }
+    }
+  } catch (err) {
+    console.error('Subscription heartbeat failed:', err);
+  }
+}
+
+/**
+ * The Subscription a websocket client may bind to with its access token,
+ * read in the token's tenant so other hospitals' subscriptions are not found.
+ * @param {string} id - Subscription id
+ * @param {string} [token] - A bearer token of the FHIR API (see middleware/fhirAuth.js)
+ * @returns {Promise<Object>} The Subscription
+ * @throws {FhirError} 401 without a valid token, 403 when the token may
+ *   not read the Subscription, 404/410 for unknown Subscriptions
+ */
+async function subscriptionForSocket(id, token) {
+  let user;
+  try {
+    user = jwt.verify(token, process.env.JWT_SECRET);
+  } catch {
+    throw new FhirError(401, 'Binding a subscription needs a valid access token');
+  }
+  // Notifications can be about any patient, so compartment-limited callers may not listen
+  if (user.scope === undefined) {
+    if (user.role === 'Patient') throw new FhirError(403, 'Patient users cannot bind subscriptions');
+  } else {
+    authorizeAccess(user, requiredAccess('GET', `/Subscription/${id}`));
+  }
+  return runInTenant(user.organization, () => readResource(getModel('Subscription'), id));
+}
+
+/**
+ * Handle a websocket client of the websocket channel. The client sends
+ * "bind <subscription id> <access token>" and gets "bound <subscription id>",
+ * a handshake Bundle and from then on the subscription's notifications.
+ * @param {WebSocket} ws
+ */
+export function handleSubscriptionSocket(ws) {
+  const bound = new Set();
+
+  ws.on('message', async (data) => {
+    const [command, id, token] = String(data).trim().split(/\s+/);
+    if (command !== 'bind' || !id) return;
+
+    try {
+      const subscription = (await subscriptionForSocket(id, token)).toJSON();
+      if (subscription.channel.type !== 'websocket' || subscription.status !== 'active') {
+        throw new FhirError(400, `Subscription/${id} is not an active websocket subscription`);
+      }
+      if (!state.sockets.has(id)) state.sockets.set(id, new Set());
+      state.sockets.get(id).add(ws);
+      bound.add(id);
+
+      ws.send(`bound ${id}`);
+      ws.send(JSON.stringify(notificationBundle(subscription, 'handshake', {
+        eventNumber: state.eventCounts.get(id) || 0,
+      })));
+    } catch (err) {
+      ws.send(`error ${id} ${err.message}`);
+    }
+  });
+
+  ws.on('close', () => {
+    for (const id of bound) state.sockets.get(id)?.delete(ws);
+  });
+}
+
+/**
+ * Start delivering notifications for writes to the local store.
+ * @param {Object} options
+ * @param {string} options.baseUrl - Base URL of the local FHIR API, for fullUrls
+ * @param {number[]} [options.retryDelays] - Milliseconds to wait before each rest-hook retry
+ * @param {string[]} [options.allowedHosts] - Hosts rest-hook endpoints may be
+ *   on, see assertEndpointAllowed(); FHIR_SUBSCRIPTION_HOSTS by default
+ * @returns {Function} Stops delivery
+ */
+export function startSubscriptions({
+  baseUrl,
+  retryDelays = DEFAULT_RETRY_DELAYS,
+  allowedHosts = parseHosts(process.env.FHIR_SUBSCRIPTION_HOSTS),
+}) {
+  state.baseUrl = baseUrl;
+  state.retryDelays = retryDelays;
+  state.allowedHosts = allowedHosts;
+  resourceEvents.on('change', onChange);
+  state.heartbeat = setInterval(sendHeartbeats, HEARTBEAT_TICK);
+  state.heartbeat.unref();
+
+  return () => {
+    resourceEvents.off('change', onChange);
+    clearInterval(state.heartbeat);
+  };
+}
@@ -0,0 +1,111 @@
+// subsetting.js - _summary and _elements: return only part of each resource
+//
+// Reads and searches accept _summary=true|text|data|count|false or
+// _elements=name,gender,birthDate (not both). Only top-level elements are
+// picked; whatever sits below a kept element comes along whole. id, meta
+// and the type's mandatory elements are always kept, and every trimmed
+// resource is tagged SUBSETTED so it is never mistaken for the full one.
+import { FhirError } from './operationOutcome.js';
+import { resources as definitions } from './structureDefinitions.js';
+
+export const SUBSETTED = {
+  system: 'http://terminology.hl7.org/CodeSystem/v3-ObservationValue',
+  code: 'SUBSETTED',
+  display: 'subsetted',
+};
+
+const SUMMARY_VALUES = ['true', 'text', 'data', 'count', 'false'];
+// Kept by every subset
+const ALWAYS = ['resourceType', 'id', 'meta'];
+
+function single(name, value) {
+  if (Array.isArray(value)) throw new FhirError(400, `${name} can only be given once`);
+  return value;
+}
+
+/**
+ * The subset a request asks for.
+ * @param {Object} query - req.query
+ * @param {Object} [options]
+ * @param {boolean} [options.search] - Whether the request is a search;
+ *   _summary=count only applies to searches
+ * @returns {{summary?: string, elements?: string[]}|undefined} undefined
+ *   for the full resource
+ * @throws {FhirError} 400 for unknown _summary values, or _summary
+ *   combined with _elements
+ */
+export function parseSubsetting(query = {}, { search = false } = {}) {
+  const summary = single('_summary', query._summary);
+  const elements = single('_elements', query._elements);
+  if (summary !== undefined && !SUMMARY_VALUES.includes(summary)) {
+    throw new FhirError(400, `Invalid _summary '${summary}', expected one of ${SUMMARY_VALUES.join(', ')}`);
+  }
+  if (summary === 'count' && !search) throw new FhirError(400, '_summary=count only applies to searches');
+  if (summary !== undefined && elements !== undefined) {
+    throw new FhirError(400, '_summary and _elements cannot be combined');
+  }
+
+  if (elements !== undefined) {
+    return {
+      elements: elements.split(',')
+        .map((name) => name.trim().replace(/^[A-Z][A-Za-z]+\./, '').replace(/\[x\]$/, ''))
+        .filter(Boolean),
+    };
+  }
+  return summary && summary !== 'false' ? { summary } : undefined;
+}
+
+// The element a JSON property belongs to: valueQuantity -> value, _birthDate -> birthDate
+function elementName(elements, key) {
+  const name = key.replace(/^_/, '');
+  if (elements[name]) return name;
+  const choice = Object.keys(elements).find((path) => path.endsWith('[x]')
+    && name.startsWith(path.slice(0, -3))
+    && /^[A-Z]/.test(name.slice(path.length - 3)));
+  return choice ? choice.slice(0, -3) : name;
+}
+
+const topLevel = (names) => names.filter((name) => !name.includes('.')).map((name) => name.replace(/\[x\]$/, ''));
+
+function keptElements(resourceType, { summary, elements }) {
+  const definition = definitions[resourceType] || {};
+  const mandatory = topLevel(Object.entries(definition.elements || {})
+    .filter(([, spec]) => /^[1-9]/.test(spec))
+    .map(([name]) => name));
+
+  if (elements) return [...elements, ...mandatory];
+  if (summary === 'true') return ['implicitRules', ...topLevel(definition.summary || [])];
+  if (summary === 'text') return ['implicitRules', 'text', ...mandatory];
+  return undefined;
+}
+
+/**
+ * Trim a resource to the subset asked for (see parseSubsetting()).
+ * @param {Object} resource - FHIR resource JSON, left unchanged
+ * @param {{summary?: string, elements?: string[]}} [subsetting]
+ * @returns {Object} The resource, or a SUBSETTED copy of it
+ */
+export function subsetResource(resource, subsetting) {
+  if (!subsetting || subsetting.summary === 'count') return resource;
+  const { resourceType } = resource;
+  const elements = definitions[resourceType]?.elements || {};
+  const kept = keptElements(resourceType, subsetting);
+
+  const subset = Object.fromEntries(Object.entries(resource).filter(([key]) => {
+    if (ALWAYS.includes(key)) return true;
+    // _summary=data drops the narrative and keeps everything else
+    if (subsetting.summary === 'data') return key !== 'text';
+    return kept.includes(elementName(elements, key));
+  }));
+
+  const tags = resource.meta?.tag || [];
+  return {
+    ...subset,
+    meta: {
+      ...resource.meta,
+      tag: tags.some((tag) => tag.system === SUBSETTED.system && tag.code === SUBSETTED.code)
+        ? tags
+        : [...tags, SUBSETTED],
+    },
+  };
+}
@@ -0,0 +1,121 @@
+// tenancy.js - Keep each hospital's data to itself
+//
+// Every document of a tenant-scoped model (all FHIR resources, their
+// history and tombstones, export jobs, import mappings and MPI records)
+// carries a server-only _tenant: the id of the Organization (hospital) that
+// owns it, or null for data written before tenancy or by users with no
+// organization. Requests to the FHIR API run inside their caller's tenant
+// (see scopeTenant in middleware/fhirAuth.js) and the tenantScoped plugin
+// adds the tenant to every query and stamps it on every new document, so
+// no service can read or write another hospital's data by accident.
+//
+// Work started from a request (a bulk export, a subscription notification)
+// inherits its tenant. Code running outside any tenant - timers, scripts -
+// sees every tenant and must enter one with runInTenant() before creating
+// anything. Other hospitals only get at a chart through an explicit share
+// or a transfer (see patientSharing.js).
+import { AsyncLocalStorage } from 'async_hooks';
+import { FhirError } from './operationOutcome.js';
+
+const storage = new AsyncLocalStorage();
+
+const READS = ['countDocuments', 'distinct', 'find', 'findOne'];
+const WRITES = [
+  'deleteMany',
+  'deleteOne',
+  'findOneAndDelete',
+  'findOneAndReplace',
+  'findOneAndUpdate',
+  'replaceOne',
+  'updateMany',
+  'updateOne',
+];
+
+/**
+ * Run work inside a tenant.
+ * @param {string|null} tenant - Organization id, null for untenanted data
+ * @param {Function} work - Called with no arguments; may be async
+ * @param {Object} [options]
+ * @param {boolean} [options.readOnly] - Refuse writes, for charts shared by
+ *   another tenant
+ * @returns {*} What work returns
+ */
+export function runInTenant(tenant, work, { readOnly = false } = {}) {
+  return storage.run({ tenant: tenant ?? null, readOnly }, work);
+}
+
+/**
+ * The tenant the current code runs in.
+ * @returns {string|null|undefined} undefined outside any tenant
+ */
+export function currentTenant() {
+  return storage.getStore()?.tenant;
+}
+
+/**
+ * Run work outside any tenant, seeing every tenant's data. Only for
+ * checks that must span tenants, such as whether an id is taken.
+ * @param {Function} work - Called with no arguments; may be async
+ * @returns {*} What work returns
+ */
+export function acrossTenants(work) {
+  return storage.exit(work);
+}
+
+/**
+ * The filter that keeps a query inside the current tenant.
+ * @returns {{_tenant: string|null}|undefined} undefined outside any tenant
+ */
+export function tenantFilter() {
+  const store = storage.getStore();
+  return store ? { _tenant: store.tenant } : undefined;
+}
+
+/**
+ * @throws {FhirError} 403 inside a read-only tenant
+ */
+export function assertWritable() {
+  if (storage.getStore()?.readOnly) {
+    throw new FhirError(403, 'Records shared by another organization are read-only');
+  }
+}
+
+/**
+ * Mongoose plugin scoping a model's queries and new documents to the
+ * current tenant. Apply it before the model is compiled.
+ */
+export function tenantScoped(schema) {
+  schema.add({ _tenant: { type: String, default: null } });
+  schema.index({ _tenant: 1 });
+
+  schema.pre(READS, function scopeRead() {
+    const filter = tenantFilter();
+    if (filter) this.where(filter);
+  });
+
+  schema.pre(WRITES, function scopeWrite() {
+    assertWritable();
+    const filter = tenantFilter();
+    if (!filter) return;
+    this.where(filter);
+    // A replacement would otherwise drop the owner
+    if (this.op === 'replaceOne' || this.op === 'findOneAndReplace') {
+      this.setUpdate({ ...this.getUpdate(), ...filter });
+    }
+  });
+
+  schema.pre('save', function stampTenant() {
+    assertWritable();
+    if (!this.isNew) return;
+    const filter = tenantFilter();
+    if (!filter) {
+      throw new Error(`Cannot create a ${this.constructor.modelName} outside a tenant; use runInTenant()`);
+    }
+    this._tenant = filter._tenant;
+  });
+
+  schema.pre('aggregate', function scopeAggregate() {
+    const filter = tenantFilter();
+    if (filter) this.pipeline().unshift({ $match: filter });
+  });
+}
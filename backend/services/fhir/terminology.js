@@ -0,0 +1,465 @@
+// terminology.js - Local terminology service for LOINC, SNOMED CT, ICD-10-CM and UCUM
+//
+// Code systems and value sets are plain FHIR CodeSystem and ValueSet JSON.
+// The ones in ./codesystems and ./valuesets are loaded at startup; a full
+// release converted to CodeSystem JSON can be dropped into
+// FHIR_TERMINOLOGY_DIR, and more can be added with registerCodeSystem() and
+// registerValueSet().
+//
+// Value set composes may list concepts, include whole systems, import other
+// value sets and filter with is-a, descendent-of, is-not-a, =, in and regex.
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { v4 as uuidv4 } from 'uuid';
+import { FhirError } from './operationOutcome.js';
+
+export const SYSTEMS = {
+  LOINC: 'http://loinc.org',
+  SNOMED_CT: 'http://snomed.info/sct',
+  ICD_10_CM: 'http://hl7.org/fhir/sid/icd-10-cm',
+  UCUM: 'http://unitsofmeasure.org',
+};
+
+export const VALUE_SET_BASE = 'http://uhrh.local/fhir/ValueSet';
+
+// Largest expansion returned without paging
+const MAX_EXPANSION = 10000;
+
+const codeSystems = new Map(); // url -> { resource, concepts }
+const valueSets = new Map(); // url -> ValueSet
+
+// ---------------- Loading ----------------
+
+/**
+ * Add a code system. Nested concepts become children of their parent, as
+ * do concepts with a `parent` property.
+ *
+ * @param {Object} codeSystem - FHIR CodeSystem with its concepts
+ * @throws {FhirError} 400 when it is not a CodeSystem with a url
+ */
+export function registerCodeSystem(codeSystem) {
+  if (codeSystem?.resourceType !== 'CodeSystem' || !codeSystem.url) {
+    throw new FhirError(400, 'A code system must be a CodeSystem with a url');
+  }
+  const key = (code) => (codeSystem.caseSensitive === false ? code.toUpperCase() : code);
+  const concepts = new Map();
+
+  const add = (concept, parent) => {
+    const { concept: nested = [], ...rest } = concept;
+    const parents = new Set(parent ? [parent] : []);
+    for (const property of rest.property || []) {
+      if (property.code === 'parent' && property.valueCode) parents.add(property.valueCode);
+    }
+    concepts.set(key(rest.code), { ...rest, parents: [...parents], children: [] });
+    for (const child of nested) add(child, rest.code);
+  };
+  for (const concept of codeSystem.concept || []) add(concept);
+
+  for (const concept of concepts.values()) {
+    for (const parent of concept.parents) concepts.get(key(parent))?.children.push(concept.code);
+  }
+
+  const { concept, ...resource } = codeSystem;
+  codeSystems.set(codeSystem.url, { resource, concepts, key });
+}
+
+/**
+ * Add a value set.
+ * @param {Object} valueSet - FHIR ValueSet with a compose
+ * @throws {FhirError} 400 when it is not a ValueSet with a url
+ */
+export function registerValueSet(valueSet) {
+  if (valueSet?.resourceType !== 'ValueSet' || !valueSet.url) {
+    throw new FhirError(400, 'A value set must be a ValueSet with a url');
+  }
+  valueSets.set(valueSet.url, valueSet);
+}
+
+function loadDirectory(dir) {
+  for (const file of fs.readdirSync(dir).filter((name) => name.endsWith('.json'))) {
+    const resource = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+    if (resource.resourceType === 'CodeSystem') registerCodeSystem(resource);
+    else if (resource.resourceType === 'ValueSet') registerValueSet(resource);
+  }
+}
+
+function loadBundledTerminology() {
+  loadDirectory(fileURLToPath(new URL('./codesystems/', import.meta.url)));
+  loadDirectory(fileURLToPath(new URL('./valuesets/', import.meta.url)));
+  if (process.env.FHIR_TERMINOLOGY_DIR) loadDirectory(process.env.FHIR_TERMINOLOGY_DIR);
+}
+
+loadBundledTerminology();
+
+// ---------------- Resources ----------------
+
+function byId(map, id, resourceType) {
+  const found = [...map.values()].find((entry) => (entry.resource || entry).id === id);
+  if (!found) throw new FhirError(404, `${resourceType}/${id} not found`);
+  return found;
+}
+
+/**
+ * A loaded code system with its concepts.
+ * @param {string} id
+ * @returns {Object} FHIR CodeSystem
+ * @throws {FhirError} 404
+ */
+export function getCodeSystem(id) {
+  const { resource, concepts } = byId(codeSystems, id, 'CodeSystem');
+  const concept = [...concepts.values()].map(({ parents, children, ...rest }) => {
+    const declared = (rest.property || []).filter((p) => p.code === 'parent').map((p) => p.valueCode);
+    const nested = parents.filter((parent) => !declared.includes(parent)).map((valueCode) => ({ code: 'parent', valueCode }));
+    return nested.length ? { ...rest, property: [...(rest.property || []), ...nested] } : rest;
+  });
+  return { ...resource, concept };
+}
+
+/**
+ * A loaded value set.
+ * @param {string} id
+ * @returns {Object} FHIR ValueSet
+ * @throws {FhirError} 404
+ */
+export function getValueSet(id) {
+  return byId(valueSets, id, 'ValueSet');
+}
+
+/**
+ * Loaded code systems (without concepts) or value sets, optionally by url or name.
+ * @param {string} resourceType - CodeSystem or ValueSet
+ * @param {Object} [query]
+ * @param {string} [query.url]
+ * @param {string} [query.name] - Case-insensitive "starts with" match on name or title
+ * @returns {Object[]}
+ */
+export function findTerminology(resourceType, { url, name } = {}) {
+  const all = resourceType === 'CodeSystem'
+    ? [...codeSystems.values()].map((entry) => entry.resource)
+    : [...valueSets.values()];
+  const prefix = name?.toLowerCase();
+  return all
+    .filter((resource) => !url || resource.url === url)
+    .filter((resource) => !prefix || [resource.name, resource.title].some((n) => n?.toLowerCase().startsWith(prefix)));
+}
+
+// ---------------- Concepts ----------------
+
+function codeSystem(system) {
+  const entry = codeSystems.get(system);
+  if (!entry) throw new FhirError(404, `Code system '${system}' is not loaded`, 'not-found');
+  return entry;
+}
+
+function findConcept(entry, code) {
+  return code === undefined ? undefined : entry.concepts.get(entry.key(String(code)));
+}
+
+function descendants(entry, code, seen = new Set()) {
+  for (const child of findConcept(entry, code)?.children || []) {
+    if (seen.has(child)) continue;
+    seen.add(child);
+    descendants(entry, child, seen);
+  }
+  return seen;
+}
+
+function propertyValue(concept, code) {
+  if (code === 'code') return concept.code;
+  if (code === 'display') return concept.display;
+  const property = (concept.property || []).find((p) => p.code === code);
+  if (!property) return undefined;
+  const key = Object.keys(property).find((k) => k.startsWith('value'));
+  const value = property[key];
+  return value?.code ?? value;
+}
+
+/**
+ * Predicate for one compose filter. Hierarchy filters collect the
+ * descendants once, so filtering a large code system stays linear.
+ */
+function compileFilter(entry, { property, op, value }) {
+  const is = (concept) => entry.key(concept.code) === entry.key(String(value));
+  const valueOf = (concept) => String(propertyValue(concept, property) ?? '');
+  switch (op) {
+    case 'is-a': {
+      const below = descendants(entry, value);
+      return (concept) => is(concept) || below.has(concept.code);
+    }
+    case 'descendent-of': {
+      const below = descendants(entry, value);
+      return (concept) => below.has(concept.code);
+    }
+    case 'is-not-a': {
+      const below = descendants(entry, value);
+      return (concept) => !is(concept) && !below.has(concept.code);
+    }
+    case '=':
+      return (concept) => valueOf(concept).toLowerCase() === String(value).toLowerCase();
+    case 'in': {
+      const values = String(value).split(',').map((v) => v.trim().toLowerCase());
+      return (concept) => values.includes(valueOf(concept).toLowerCase());
+    }
+    case 'regex': {
+      const pattern = new RegExp(`^(${value})$`);
+      return (concept) => pattern.test(valueOf(concept));
+    }
+    default:
+      throw new FhirError(400, `Value set filter operator '${op}' is not supported`, 'not-supported');
+  }
+}
+
+const toCoding = (system, concept) => ({ system, code: concept.code, ...(concept.display ? { display: concept.display } : {}) });
+
+/**
+ * Codings selected by one compose include/exclude entry.
+ */
+function includeCodings(include, seen) {
+  let codings;
+  if (include.system) {
+    const entry = codeSystems.get(include.system);
+    if (include.concept) {
+      codings = include.concept.map((c) => {
+        const known = entry && findConcept(entry, c.code);
+        return { system: include.system, code: c.code, display: c.display || known?.display };
+      });
+    } else {
+      if (!entry) throw new FhirError(422, `Code system '${include.system}' is not loaded`, 'not-found');
+      const filters = (include.filter || []).map((filter) => compileFilter(entry, filter));
+      codings = [...entry.concepts.values()]
+        .filter((concept) => filters.every((matches) => matches(concept)))
+        .map((concept) => toCoding(include.system, concept));
+    }
+  }
+
+  // Imported value sets intersect with each other and with the system part
+  for (const url of include.valueSet || []) {
+    const imported = valueSetCodings(url, seen);
+    const keys = new Set(imported.map((c) => `${c.system}|${c.code}`));
+    codings = codings ? codings.filter((c) => keys.has(`${c.system}|${c.code}`)) : imported;
+  }
+  return codings || [];
+}
+
+/**
+ * Every coding in a value set, in compose order without repeats.
+ * @param {string} url - Canonical URL of a loaded value set
+ * @returns {Array<{system: string, code: string, display?: string}>}
+ * @throws {FhirError} 404 when the value set is not loaded
+ */
+export function valueSetCodings(url, seen = new Set()) {
+  const valueSet = valueSets.get(url);
+  if (!valueSet) throw new FhirError(404, `Value set '${url}' is not loaded`, 'not-found');
+  if (seen.has(url)) throw new FhirError(422, `Value set '${url}' includes itself`, 'processing');
+  const chain = new Set([...seen, url]);
+
+  const excluded = new Set((valueSet.compose?.exclude || [])
+    .flatMap((exclude) => includeCodings(exclude, chain))
+    .map((c) => `${c.system}|${c.code}`));
+
+  const codings = new Map();
+  for (const include of valueSet.compose?.include || []) {
+    for (const coding of includeCodings(include, chain)) {
+      const key = `${coding.system}|${coding.code}`;
+      if (!excluded.has(key) && !codings.has(key)) codings.set(key, coding);
+    }
+  }
+  return [...codings.values()];
+}
+
+/**
+ * A value set as a token search value, e.g. for Observation?code=
+ * ("http://loinc.org|2160-0,http://loinc.org|38483-4,...").
+ * @param {string} url - Canonical URL of a loaded value set
+ * @returns {string}
+ */
+export function valueSetToken(url) {
+  return valueSetCodings(url).map((c) => `${c.system}|${c.code}`).join(',');
+}
+
+/**
+ * One property of a code, e.g. the EXAMPLE_UCUM_UNITS of a LOINC code.
+ * @param {string} system
+ * @param {string} code
+ * @param {string} property
+ * @returns {*} The value, or undefined for unknown systems, codes and properties
+ */
+export function conceptProperty(system, code, property) {
+  const entry = codeSystems.get(system);
+  const concept = entry && findConcept(entry, code);
+  return concept ? propertyValue(concept, property) : undefined;
+}
+
+/**
+ * Whether every word of a typeahead filter starts a word of the code,
+ * display or a designation.
+ */
+function matchesText(concept, designations, filter) {
+  const words = [concept.code, concept.display, ...designations]
+    .filter(Boolean)
+    .join(' ')
+    .toLowerCase()
+    .split(/[\s,/()[\]^.-]+/);
+  return filter.toLowerCase().split(/\s+/).filter(Boolean)
+    .every((term) => words.some((word) => word.startsWith(term)));
+}
+
+function designationsOf(coding) {
+  const entry = codeSystems.get(coding.system);
+  const concept = entry && findConcept(entry, coding.code);
+  return (concept?.designation || []).map((d) => d.value);
+}
+
+// ---------------- Operations ----------------
+
+/**
+ * CodeSystem/$lookup: details of a code.
+ *
+ * @param {Object} params
+ * @param {string} params.system
+ * @param {string} params.code
+ * @param {string[]} [params.property] - Properties to return (default all)
+ * @returns {Object} FHIR Parameters
+ * @throws {FhirError} 400 without system and code, 404 for unknown ones
+ */
+export function lookupCode({ system, code, property }) {
+  if (!system || !code) throw new FhirError(400, '$lookup needs a system and a code');
+  const entry = codeSystem(system);
+  const concept = findConcept(entry, code);
+  if (!concept) throw new FhirError(404, `Code '${code}' is not in ${system}`, 'not-found');
+
+  const wanted = property ? [].concat(property) : undefined;
+  const properties = [
+    ...(concept.property || []).filter((p) => p.code !== 'parent'),
+    ...concept.parents.map((valueCode) => ({ code: 'parent', valueCode })),
+    ...concept.children.map((valueCode) => ({ code: 'child', valueCode })),
+  ].filter((p) => !wanted || wanted.includes(p.code));
+
+  const { resource } = entry;
+  return {
+    resourceType: 'Parameters',
+    parameter: [
+      { name: 'name', valueString: resource.title || resource.name },
+      ...(resource.version ? [{ name: 'version', valueString: resource.version }] : []),
+      { name: 'display', valueString: concept.display || concept.code },
+      ...(concept.designation || []).map((d) => ({
+        name: 'designation',
+        part: [
+          ...(d.language ? [{ name: 'language', valueCode: d.language }] : []),
+          ...(d.use ? [{ name: 'use', valueCoding: d.use }] : []),
+          { name: 'value', valueString: d.value },
+        ],
+      })),
+      ...properties.map(({ code: propertyCode, ...value }) => ({
+        name: 'property',
+        part: [{ name: 'code', valueCode: propertyCode }, ...Object.entries(value).map(([k, v]) => ({ name: 'value', [k]: v }))],
+      })),
+    ],
+  };
+}
+
+/**
+ * ValueSet/$expand, with a typeahead text filter and paging.
+ *
+ * @param {Object} params
+ * @param {string} params.url - Canonical URL of the value set
+ * @param {string} [params.filter] - Text each returned concept must match
+ * @param {number} [params.count] - Concepts to return
+ * @param {number} [params.offset]
+ * @returns {Object} FHIR ValueSet with an expansion
+ * @throws {FhirError} 404 for unknown value sets, 422 when too large to expand unpaged
+ */
+export function expandValueSet({ url, filter, count, offset = 0 }) {
+  if (!url) throw new FhirError(400, '$expand needs a value set url');
+  const valueSet = valueSets.get(url);
+  let codings = valueSetCodings(url);
+  if (filter) codings = codings.filter((c) => matchesText(c, designationsOf(c), filter));
+
+  const start = Math.max(Number(offset) || 0, 0);
+  const size = count === undefined ? codings.length : Math.max(Number(count) || 0, 0);
+  if (size > MAX_EXPANSION) {
+    throw new FhirError(422, `Value set '${url}' has ${codings.length} concepts; page with count and offset`, 'too-costly');
+  }
+
+  const { compose, ...rest } = valueSet;
+  return {
+    ...rest,
+    expansion: {
+      identifier: `urn:uuid:${uuidv4()}`,
+      timestamp: new Date().toISOString(),
+      total: codings.length,
+      offset: start,
+      parameter: [
+        ...(filter ? [{ name: 'filter', valueString: filter }] : []),
+        ...(count !== undefined ? [{ name: 'count', valueInteger: size }] : []),
+        { name: 'offset', valueInteger: start },
+      ],
+      contains: codings.slice(start, start + size),
+    },
+  };
+}
+
+function checkDisplay(concept, display) {
+  if (!display || !concept) return undefined;
+  const names = [concept.display, ...(concept.designation || []).map((d) => d.value)].filter(Boolean);
+  return names.some((name) => name.toLowerCase() === display.toLowerCase())
+    ? undefined
+    : `Display '${display}' does not match '${concept.display}'`;
+}
+
+/**
+ * $validate-code against a code system or a value set. A CodeableConcept
+ * is valid when any of its codings is.
+ *
+ * @param {Object} params
+ * @param {string} [params.url] - Code system URL (CodeSystem/$validate-code)
+ *   or value set URL (ValueSet/$validate-code)
+ * @param {string} [params.valueSet] - Value set URL, when url names a code system
+ * @param {string} [params.system]
+ * @param {string} [params.code]
+ * @param {string} [params.display]
+ * @param {Object} [params.coding]
+ * @param {Object} [params.codeableConcept]
+ * @returns {{result: boolean, message?: string, display?: string}}
+ * @throws {FhirError} 400 without a code, 404 for unknown systems or value sets
+ */
+export function validateCode({ url, valueSet, system, code, display, coding, codeableConcept }) {
+  const codings = [...(codeableConcept?.coding || []), ...(coding ? [coding] : [])];
+  if (code !== undefined) codings.push({ system: system || (codeSystems.has(url) ? url : undefined), code, display });
+  if (!codings.length) throw new FhirError(400, '$validate-code needs a code, coding or codeableConcept');
+
+  const setUrl = valueSet || (valueSets.has(url) ? url : undefined);
+  if (!setUrl && !codeSystems.has(url) && url) {
+    throw new FhirError(404, `'${url}' is neither a loaded code system nor value set`, 'not-found');
+  }
+  const members = setUrl && new Map(valueSetCodings(setUrl).map((c) => [`${c.system}|${c.code}`, c]));
+
+  const messages = [];
+  for (const candidate of codings) {
+    const entry = codeSystems.get(candidate.system);
+    const concept = entry && findConcept(entry, candidate.code);
+    const known = concept?.code || candidate.code;
+
+    if (members) {
+      if (!members.has(`${candidate.system}|${known}`)) {
+        messages.push(`${candidate.system}|${candidate.code} is not in value set ${setUrl}`);
+        continue;
+      }
+    } else if (!entry) {
+      messages.push(`Code system '${candidate.system}' is not loaded`);
+      continue;
+    } else if (!concept) {
+      messages.push(`Code '${candidate.code}' is not in ${candidate.system}`);
+      continue;
+    }
+
+    const mismatch = checkDisplay(concept, candidate.display);
+    if (mismatch) {
+      messages.push(mismatch);
+      continue;
+    }
+    return { result: true, display: concept?.display || members?.get(`${candidate.system}|${known}`)?.display };
+  }
+  return { result: false, message: messages.join('; ') };
+}
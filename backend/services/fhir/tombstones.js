@@ -0,0 +1,101 @@
+// tombstones.js - Deleted resources awaiting restore or purge
+//
+// resourceStore.deleteResource() leaves a Tombstone with the last version,
+// who deleted it, when and why. Tombstones older than the retention period
+// (FHIR_DELETED_RETENTION_DAYS, 30 days by default) are purged together
+// with the resource's version history, after which it can no longer be
+// restored or read from _history.
+import Tombstone from '../../models/Tombstone.js';
+import ResourceHistory from '../../models/ResourceHistory.js';
+import { FhirError } from './operationOutcome.js';
+import { resourceTypes } from './registry.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const DEFAULT_RETENTION_DAYS = 30;
+const PURGE_INTERVAL = 60 * 60 * 1000;
+
+/**
+ * Days a deleted resource is kept before it is purged.
+ * @returns {number}
+ * @throws {FhirError} 500 for a retention setting that is not a number of days
+ */
+export function retentionDays() {
+  const setting = process.env.FHIR_DELETED_RETENTION_DAYS;
+  if (setting === undefined || setting === '') return DEFAULT_RETENTION_DAYS;
+  const days = Number(setting);
+  if (!Number.isFinite(days) || days < 0) {
+    throw new FhirError(500, `FHIR_DELETED_RETENTION_DAYS must be a number of days, not '${setting}'`);
+  }
+  return days;
+}
+
+/**
+ * A tombstone as returned by the API.
+ */
+export function tombstoneJSON(tombstone, { retention = retentionDays() } = {}) {
+  return {
+    resourceType: tombstone.resourceType,
+    id: tombstone.resourceId,
+    versionId: String(tombstone.versionId),
+    deletedAt: tombstone.deletedAt,
+    ...(tombstone.deletedBy ? { deletedBy: tombstone.deletedBy } : {}),
+    ...(tombstone.reason ? { reason: tombstone.reason } : {}),
+    purgeAfter: new Date(tombstone.deletedAt.getTime() + retention * DAY),
+    resource: tombstone.resource,
+  };
+}
+
+/**
+ * Deleted resources that can still be restored, newest first.
+ * @param {Object} [query]
+ * @param {string} [query.resourceType]
+ * @param {number} [query.count]
+ * @param {number} [query.offset]
+ * @returns {Promise<{total: number, deleted: Object[]}>}
+ * @throws {FhirError} 400 for unknown resource types
+ */
+export async function listDeleted({ resourceType, count = 20, offset = 0 } = {}) {
+  if (resourceType && !resourceTypes().includes(resourceType)) {
+    throw new FhirError(400, `Resource type '${resourceType}' is not supported`);
+  }
+  const filter = resourceType ? { resourceType } : {};
+  const [total, tombstones] = await Promise.all([
+    Tombstone.countDocuments(filter),
+    Tombstone.find(filter).sort({ deletedAt: -1 }).skip(Number(offset)).limit(Number(count)),
+  ]);
+  const retention = retentionDays();
+  return { total, deleted: tombstones.map((t) => tombstoneJSON(t, { retention })) };
+}
+
+/**
+ * Permanently remove resources deleted longer ago than the retention
+ * period, with their version history.
+ * @param {Object} [options]
+ * @param {Date} [options.now]
+ * @returns {Promise<number>} How many resources were purged
+ */
+export async function purgeDeleted({ now = new Date() } = {}) {
+  const cutoff = new Date(now.getTime() - retentionDays() * DAY);
+  const expired = await Tombstone.find({ deletedAt: { $lte: cutoff } });
+  let purged = 0;
+  for (const { _id, resourceType, resourceId } of expired) {
+    // A resource restored in the meantime has lost its tombstone and keeps its history
+    const { deletedCount } = await Tombstone.deleteOne({ _id });
+    if (!deletedCount) continue;
+    await ResourceHistory.deleteMany({ resourceType, resourceId });
+    purged += 1;
+  }
+  return purged;
+}
+
+/**
+ * Purge expired tombstones now and every hour.
+ * @returns {Function} Stops purging
+ */
+export function startTombstonePurge() {
+  const purge = () => purgeDeleted().catch((err) => console.error('Tombstone purge failed:', err));
+  purge();
+  const timer = setInterval(purge, PURGE_INTERVAL);
+  timer.unref();
+  return () => clearInterval(timer);
+}
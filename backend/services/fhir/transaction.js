@@ -0,0 +1,306 @@
+// transaction.js - Process batch and transaction Bundles against the local store
+import mongoose from 'mongoose';
+import { v4 as uuidv4 } from 'uuid';
+import { FhirError, toOperationOutcome } from './operationOutcome.js';
+import { parseEtag } from './headers.js';
+import { parseQueryString } from './search.js';
+import { getModel, isReadOnly } from './registry.js';
+import { searchsetBundle } from './bundle.js';
+import { discardChanges, flushChanges } from './events.js';
+import {
+  conditionalCreate,
+  conditionalUpdate,
+  createResource,
+  deleteResource,
+  findConditionalMatches,
+  patchResource,
+  readResource,
+  readVersion,
+  searchResources,
+  updateResource,
+} from './resourceStore.js';
+
+// Transactions run deletes, then creates, then updates, then reads
+const METHOD_ORDER = { DELETE: 0, POST: 1, PUT: 2, PATCH: 2, GET: 3, HEAD: 3 };
+
+/**
+ * Split an entry request URL ("Patient/123", "Patient?identifier=x",
+ * "Patient/123/_history/2", or absolute under baseUrl) into its parts.
+ */
+function parseRequestUrl(url, baseUrl) {
+  if (!url) throw new FhirError(400, 'Bundle entry request.url is required');
+
+  const relative = (url.startsWith(baseUrl) ? url.slice(baseUrl.length) : url).replace(/^\//, '');
+  const queryStart = relative.indexOf('?');
+  const path = queryStart === -1 ? relative : relative.slice(0, queryStart);
+  const [resourceType, id, keyword, versionId] = path.split('/');
+
+  return {
+    resourceType,
+    id,
+    versionId: keyword === '_history' ? versionId : undefined,
+    query: queryStart === -1 ? undefined : parseQueryString(relative.slice(queryStart + 1)),
+  };
+}
+
+/**
+ * Decode the JSON Patch carried by a PATCH entry as a Binary resource.
+ */
+function patchOperations(resource) {
+  if (resource?.resourceType !== 'Binary' || resource.contentType !== 'application/json-patch+json') {
+    throw new FhirError(400, 'PATCH entries must carry a Binary resource with contentType application/json-patch+json');
+  }
+  try {
+    return JSON.parse(Buffer.from(resource.data || '', 'base64').toString('utf8'));
+  } catch {
+    throw new FhirError(400, 'PATCH entry Binary.data is not valid base64 encoded JSON');
+  }
+}
+
+function entryResponse(status, resource, baseUrl, { location = false } = {}) {
+  const json = resource?.toJSON ? resource.toJSON() : resource;
+  const response = { status };
+  if (json?.meta?.versionId) {
+    response.etag = `W/"${json.meta.versionId}"`;
+    response.lastModified = new Date(json.meta.lastUpdated).toISOString();
+    if (location) {
+      response.location = `${baseUrl}/${json.resourceType}/${json.id}/_history/${json.meta.versionId}`;
+    }
+  }
+  return { ...(json ? { resource: json } : {}), response };
+}
+
+/**
+ * Execute one entry's request.
+ * @param {Object} entry - Bundle entry (references already resolved)
+ * @param {Object} context
+ * @param {string} context.baseUrl
+ * @param {WriteAgent} [context.agent] - Who is writing, see provenance.js
+ * @param {ClientSession} [context.session]
+ * @param {Map<string, string>} [context.ids] - fullUrl -> id assigned to new resources
+ */
+async function executeEntry(entry, { baseUrl, agent, session, ids = new Map() }) {
+  const { method, url, ifMatch, ifNoneExist } = entry.request || {};
+  const target = parseRequestUrl(url, baseUrl);
+  const Model = getModel(target.resourceType);
+  const options = { session, agent, ifMatch: parseEtag(ifMatch), id: ids.get(entry.fullUrl) };
+  if (isReadOnly(target.resourceType) && !['GET', 'HEAD'].includes(method)) {
+    throw new FhirError(405, `${target.resourceType} is recorded by the server and cannot be written`);
+  }
+
+  switch (method) {
+    case 'GET':
+    case 'HEAD': {
+      if (target.versionId) {
+        const { resource } = await readVersion(Model, target.id, target.versionId, { session });
+        return entryResponse('200 OK', resource, baseUrl);
+      }
+      if (target.id) {
+        return entryResponse('200 OK', await readResource(Model, target.id, { session }), baseUrl);
+      }
+      const { resources, included, total, count, offset, params } = await searchResources(Model, target.query || {}, { session });
+      return {
+        resource: searchsetBundle({
+          baseUrl,
+          resourceType: target.resourceType,
+          resources: resources.map((r) => r.toJSON()),
+          included: included.map((r) => r.toJSON()),
+          total,
+          count,
+          offset,
+          params,
+        }),
+        response: { status: '200 OK' },
+      };
+    }
+    case 'POST': {
+      const { resource, created } = ifNoneExist
+        ? await conditionalCreate(Model, entry.resource, parseQueryString(ifNoneExist), options)
+        : { resource: await createResource(Model, entry.resource, options), created: true };
+      return entryResponse(created ? '201 Created' : '200 OK', resource, baseUrl, { location: created });
+    }
+    case 'PUT': {
+      const { resource, created } = target.id
+        ? await updateResource(Model, target.id, entry.resource, options)
+        : await conditionalUpdate(Model, target.query || {}, entry.resource, options);
+      return entryResponse(created ? '201 Created' : '200 OK', resource, baseUrl, { location: created });
+    }
+    case 'PATCH': {
+      const resource = await patchResource(Model, target.id, patchOperations(entry.resource), options);
+      return entryResponse('200 OK', resource, baseUrl);
+    }
+    case 'DELETE': {
+      if (!target.id) throw new FhirError(400, 'Conditional delete is not supported');
+      await deleteResource(Model, target.id, options);
+      return entryResponse('204 No Content', null, baseUrl);
+    }
+    default:
+      throw new FhirError(400, `Unsupported bundle entry method '${method}'`);
+  }
+}
+
+/**
+ * Work out the id every created or updated entry will end up with, so
+ * urn:uuid references between entries can be rewritten before any write.
+ * @returns {Promise<{ids: Map<string, string>, references: Map<string, string>}>}
+ */
+async function assignIds(entries, { baseUrl, session }) {
+  const ids = new Map();
+  const references = new Map();
+
+  for (const entry of entries) {
+    const { method, url, ifNoneExist } = entry.request || {};
+    if (method !== 'POST' && method !== 'PUT') continue;
+
+    const target = parseRequestUrl(url, baseUrl);
+    const Model = getModel(target.resourceType);
+    let id = target.id;
+
+    if (!id) {
+      const criteria = method === 'POST' ? ifNoneExist && parseQueryString(ifNoneExist) : target.query;
+      const matches = criteria ? await findConditionalMatches(Model, criteria, { session }) : [];
+      if (matches.length > 1) {
+        throw new FhirError(412, `Conditional ${method} ${url} matches multiple resources`);
+      }
+      id = matches[0]?._id || (method === 'PUT' && entry.resource?.id) || uuidv4();
+    }
+
+    if (entry.fullUrl) {
+      ids.set(entry.fullUrl, id);
+      references.set(entry.fullUrl, `${target.resourceType}/${id}`);
+    }
+  }
+  return { ids, references };
+}
+
+/**
+ * Replace every Reference.reference that points at a bundle fullUrl (or
+ * is a conditional reference like "Patient?identifier=x") with Type/id.
+ */
+async function resolveReferences(value, references, { baseUrl, session }) {
+  if (Array.isArray(value)) {
+    for (const item of value) await resolveReferences(item, references, { baseUrl, session });
+    return;
+  }
+  if (!value || typeof value !== 'object') return;
+
+  for (const [key, child] of Object.entries(value)) {
+    if (key === 'reference' && typeof child === 'string') {
+      if (references.has(child)) {
+        value.reference = references.get(child);
+      } else if (/^[A-Z][A-Za-z]+\?/.test(child)) {
+        const target = parseRequestUrl(child, baseUrl);
+        const matches = await findConditionalMatches(getModel(target.resourceType), target.query, { session });
+        if (matches.length !== 1) {
+          throw new FhirError(412, `Conditional reference '${child}' matched ${matches.length} resources`);
+        }
+        value.reference = `${target.resourceType}/${matches[0]._id}`;
+      }
+    } else {
+      await resolveReferences(child, references, { baseUrl, session });
+    }
+  }
+}
+
+function validateBundle(bundle) {
+  if (bundle?.resourceType !== 'Bundle') {
+    throw new FhirError(400, 'Request body must be a Bundle');
+  }
+  if (bundle.type !== 'batch' && bundle.type !== 'transaction') {
+    throw new FhirError(400, `Bundle.type must be 'batch' or 'transaction', not '${bundle.type}'`);
+  }
+
+  const entries = bundle.entry || [];
+  const fullUrls = entries.map((e) => e.fullUrl).filter(Boolean);
+  if (new Set(fullUrls).size !== fullUrls.length) {
+    throw new FhirError(400, 'Bundle entries must have unique fullUrl values');
+  }
+  entries.forEach((entry, index) => {
+    if (!entry.request?.method || !entry.request?.url) {
+      throw new FhirError(400, `Bundle entry ${index} is missing request.method or request.url`);
+    }
+  });
+  return entries;
+}
+
+function entryError(err, index, entry) {
+  const { status, body } = toOperationOutcome(err);
+  const { method, url } = entry.request;
+  return new FhirError(status, `Bundle entry ${index} (${method} ${url}): ${body.issue[0].diagnostics}`, body.issue[0].code);
+}
+
+async function processTransaction(entries, { baseUrl, agent }) {
+  const session = await mongoose.startSession();
+  try {
+    let responses;
+    // withTransaction may retry the callback, so it starts from a fresh copy each time
+    await session.withTransaction(async () => {
+      discardChanges(session);
+      const working = JSON.parse(JSON.stringify(entries));
+      const context = { baseUrl, session };
+      const { ids, references } = await assignIds(working, context);
+
+      for (const entry of working) {
+        if (entry.resource) await resolveReferences(entry.resource, references, context);
+      }
+
+      const order = working
+        .map((entry, index) => ({ entry, index }))
+        .sort((a, b) => METHOD_ORDER[a.entry.request.method] - METHOD_ORDER[b.entry.request.method]);
+
+      responses = new Array(working.length);
+      for (const { entry, index } of order) {
+        try {
+          responses[index] = await executeEntry(entry, { ...context, agent, ids });
+        } catch (err) {
+          throw entryError(err, index, entry);
+        }
+      }
+    });
+    flushChanges(session);
+    return responses;
+  } finally {
+    await session.endSession();
+  }
+}
+
+async function processBatch(entries, { baseUrl, agent }) {
+  const responses = [];
+  for (const entry of entries) {
+    try {
+      responses.push(await executeEntry(entry, { baseUrl, agent }));
+    } catch (err) {
+      const { status, body } = toOperationOutcome(err);
+      responses.push({ response: { status: String(status), outcome: body } });
+    }
+  }
+  return responses;
+}
+
+/**
+ * Process a batch or transaction Bundle.
+ *
+ * A transaction is all-or-nothing: it runs inside a Mongo transaction and
+ * any failing entry aborts the whole Bundle. A batch runs each entry on its
+ * own and reports per-entry failures in the response.
+ *
+ * @param {Object} bundle - FHIR Bundle of type batch or transaction
+ * @param {Object} options
+ * @param {string} options.baseUrl - See fhirBaseUrl()
+ * @param {WriteAgent} [options.agent] - Who is writing, see provenance.js
+ * @returns {Promise<Object>} batch-response or transaction-response Bundle
+ * @throws {FhirError} When the Bundle is malformed or a transaction entry fails
+ */
+export async function processBundle(bundle, { baseUrl, agent }) {
+  const entries = validateBundle(bundle);
+  const responses = bundle.type === 'transaction'
+    ? await processTransaction(entries, { baseUrl, agent })
+    : await processBatch(entries, { baseUrl, agent });
+
+  return {
+    resourceType: 'Bundle',
+    id: uuidv4(),
+    type: `${bundle.type}-response`,
+    entry: responses,
+  };
+}
@@ -0,0 +1,274 @@
+// ucum.js - Parse and convert UCUM unit codes
+//
+// Covers the part of UCUM that clinical results use: metric prefixes, the
+// SI base and derived units, liters, time, pressure (mm[Hg], Pa), enzyme
+// units, equivalents, percent, powers of ten, customary US units, the
+// Celsius/Fahrenheit temperature scales and {annotations}. Units are
+// reduced to a factor over the base units g, m, s, K, mol and C, so any
+// two commensurable units convert into each other. UCUM treats mol as a
+// number; here it is a base unit so that mass and molar concentrations are
+// never silently mixed (see normalization.js for converting those).
+import { FhirError } from './operationOutcome.js';
+
+export const UCUM_SYSTEM = 'http://unitsofmeasure.org';
+
+const BASE_ORDER = ['g', 'm', 's', 'K', 'mol', 'C'];
+
+const PREFIXES = {
+  Y: 1e24, Z: 1e21, E: 1e18, P: 1e15, T: 1e12, G: 1e9, M: 1e6, k: 1e3, h: 1e2, da: 1e1,
+  d: 1e-1, c: 1e-2, m: 1e-3, u: 1e-6, n: 1e-9, p: 1e-12, f: 1e-15, a: 1e-18, z: 1e-21, y: 1e-24,
+};
+
+const PASCAL = { factor: 1000, dims: { g: 1, m: -1, s: -2 } };
+
+// code -> factor over base units, dimensions, and whether it takes a prefix
+const ATOMS = {
+  g: { factor: 1, dims: { g: 1 }, metric: true },
+  m: { factor: 1, dims: { m: 1 }, metric: true },
+  s: { factor: 1, dims: { s: 1 }, metric: true },
+  K: { factor: 1, dims: { K: 1 }, metric: true },
+  mol: { factor: 1, dims: { mol: 1 }, metric: true },
+  C: { factor: 1, dims: { C: 1 }, metric: true },
+  L: { factor: 1e-3, dims: { m: 3 }, metric: true },
+  l: { factor: 1e-3, dims: { m: 3 }, metric: true },
+  Pa: { ...PASCAL, metric: true },
+  bar: { factor: 1e5 * PASCAL.factor, dims: PASCAL.dims, metric: true },
+  'm[Hg]': { factor: 133322 * PASCAL.factor, dims: PASCAL.dims, metric: true },
+  'm[H2O]': { factor: 9806.65 * PASCAL.factor, dims: PASCAL.dims, metric: true },
+  J: { factor: 1000, dims: { g: 1, m: 2, s: -2 }, metric: true },
+  cal: { factor: 4184, dims: { g: 1, m: 2, s: -2 }, metric: true },
+  W: { factor: 1000, dims: { g: 1, m: 2, s: -3 }, metric: true },
+  Hz: { factor: 1, dims: { s: -1 }, metric: true },
+  eq: { factor: 1, dims: { mol: 1 }, metric: true },
+  U: { factor: 1e-6 / 60, dims: { mol: 1, s: -1 }, metric: true },
+  kat: { factor: 1, dims: { mol: 1, s: -1 }, metric: true },
+  min: { factor: 60, dims: { s: 1 } },
+  h: { factor: 3600, dims: { s: 1 } },
+  d: { factor: 86400, dims: { s: 1 } },
+  wk: { factor: 604800, dims: { s: 1 } },
+  mo: { factor: 2629800, dims: { s: 1 } },
+  a: { factor: 31557600, dims: { s: 1 } },
+  '%': { factor: 0.01, dims: {} },
+  '[ppm]': { factor: 1e-6, dims: {} },
+  '[in_i]': { factor: 0.0254, dims: { m: 1 } },
+  '[ft_i]': { factor: 0.3048, dims: { m: 1 } },
+  '[lb_av]': { factor: 453.59237, dims: { g: 1 } },
+  '[oz_av]': { factor: 28.349523125, dims: { g: 1 } },
+  '[IU]': { factor: 1, dims: { '[IU]': 1 }, metric: true },
+  '[iU]': { factor: 1, dims: { '[IU]': 1 }, metric: true },
+  Cel: { special: 'Cel', dims: { K: 1 }, metric: true },
+  '[degF]': { special: '[degF]', dims: { K: 1 } },
+};
+
+// Special (non-ratio) scales: to and from kelvin
+const SCALES = {
+  Cel: { toBase: (v) => v + 273.15, fromBase: (v) => v - 273.15 },
+  '[degF]': { toBase: (v) => (v + 459.67) * (5 / 9), fromBase: (v) => v * (9 / 5) - 459.67 },
+};
+
+const invalid = (code, reason) => new FhirError(400, `'${code}' is not a valid UCUM unit: ${reason}`, 'code-invalid');
+
+function multiply(a, b, power = 1) {
+  const dims = { ...a.dims };
+  for (const [dim, exponent] of Object.entries(b.dims)) {
+    dims[dim] = (dims[dim] || 0) + exponent * power;
+    if (!dims[dim]) delete dims[dim];
+  }
+  return { factor: a.factor * b.factor ** power, dims };
+}
+
+function parseAtom(code, symbol) {
+  if (ATOMS[symbol]) return ATOMS[symbol];
+  // "da" is the only two-letter prefix and is tried before "d"
+  for (const prefix of Object.keys(PREFIXES).sort((a, b) => b.length - a.length)) {
+    if (!symbol.startsWith(prefix)) continue;
+    const atom = ATOMS[symbol.slice(prefix.length)];
+    if (atom?.metric) {
+      if (atom.special) throw invalid(code, `'${symbol}' cannot be prefixed`);
+      return { factor: atom.factor * PREFIXES[prefix], dims: atom.dims };
+    }
+  }
+  throw invalid(code, `unknown unit '${symbol}'`);
+}
+
+/**
+ * Parse one component: an annotation, a power of ten, an integer or an
+ * optionally prefixed atom with an exponent.
+ */
+function parseComponent(code, text) {
+  const bare = text.replace(/\{[^}]*\}/g, '');
+  if (!bare) return { factor: 1, dims: {} };
+
+  const power = /^10[*^]([+-]?\d+)$/.exec(bare);
+  if (power) return { factor: 10 ** Number(power[1]), dims: {} };
+  if (/^\d+$/.test(bare)) return { factor: Number(bare), dims: {} };
+
+  const [, symbol, exponent] = /^(.*?)([+-]?\d+)?$/.exec(bare);
+  const unit = parseAtom(code, symbol);
+  if (unit.special) {
+    if (exponent) throw invalid(code, `'${symbol}' cannot take an exponent`);
+    return unit;
+  }
+  return exponent ? multiply({ factor: 1, dims: {} }, unit, Number(exponent)) : unit;
+}
+
+/**
+ * Split a term into components joined by "." and "/", keeping
+ * parenthesized sub-terms, [..] and {..} whole.
+ */
+function splitTerm(code, term) {
+  const parts = [];
+  let depth = 0;
+  let operator = '.';
+  let current = '';
+  for (const char of term) {
+    if ('([{'.includes(char)) depth += 1;
+    if (')]}'.includes(char)) depth -= 1;
+    if (depth < 0) throw invalid(code, 'unbalanced brackets');
+    if (depth === 0 && (char === '.' || char === '/')) {
+      parts.push({ operator, text: current });
+      operator = char;
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  if (depth !== 0) throw invalid(code, 'unbalanced brackets');
+  parts.push({ operator, text: current });
+  return parts;
+}
+
+function parseTerm(code, term) {
+  const parts = splitTerm(code, term);
+  // A leading "/" (e.g. "/min") divides unity
+  if (parts[0].text === '' && parts.length > 1 && parts[1].operator === '/') parts.shift();
+
+  let result = { factor: 1, dims: {} };
+  for (const { operator, text } of parts) {
+    if (!text) throw invalid(code, 'missing unit around an operator');
+    const group = /^\((.*)\)([+-]?\d+)?$/.exec(text);
+    let unit = group ? parseTerm(code, group[1]) : parseComponent(code, text);
+    if (group?.[2]) unit = multiply({ factor: 1, dims: {} }, unit, Number(group[2]));
+    if (unit.special) {
+      if (parts.length > 1) throw invalid(code, `'${text}' cannot be combined with other units`);
+      return unit;
+    }
+    result = multiply(result, unit, operator === '/' ? -1 : 1);
+  }
+  return result;
+}
+
+/**
+ * Parse a UCUM code into a factor over base units.
+ * @param {string} code - e.g. "mg/dL", "mL/min/{1.73_m2}", "10*3/uL"
+ * @returns {{factor?: number, special?: string, dims: Object<string, number>}}
+ * @throws {FhirError} 400 (code-invalid) for codes outside the supported grammar
+ */
+export function parseUnit(code) {
+  if (typeof code !== 'string' || !code || /\s/.test(code)) throw invalid(String(code), 'empty or contains spaces');
+  if (code === '1') return { factor: 1, dims: {} };
+  return parseTerm(code, code);
+}
+
+/**
+ * @param {string} code
+ * @returns {boolean} Whether the code is a UCUM unit this module understands
+ */
+export function isValidUnit(code) {
+  try {
+    parseUnit(code);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * The base units of a parsed unit as a UCUM code, e.g. "g.m-3".
+ */
+function dimensionCode(dims) {
+  const keys = Object.keys(dims).sort((a, b) => {
+    const rank = (key) => (BASE_ORDER.includes(key) ? BASE_ORDER.indexOf(key) : BASE_ORDER.length);
+    return rank(a) - rank(b) || a.localeCompare(b);
+  });
+  return keys.map((key) => `${key}${dims[key] === 1 ? '' : dims[key]}`).join('.') || '1';
+}
+
+// Factors like 1e-6 leave binary noise (1e12 comes out as 999999999999.9999)
+const round = (value) => Number(value.toPrecision(12));
+
+const toBase = (unit, value) => (unit.special ? SCALES[unit.special].toBase(value) : value * unit.factor);
+const fromBase = (unit, value) => (unit.special ? SCALES[unit.special].fromBase(value) : value / unit.factor);
+
+/**
+ * Restate the `from` base unit (g or mol) of a unit as `to`, given the
+ * molar mass of the substance, e.g. umol/L of creatinine as g/m3.
+ */
+function substance(unit, molarMass, from, to) {
+  const power = unit.dims[from];
+  if (!power || unit.special) return unit;
+  const { [from]: _, ...dims } = unit.dims;
+  const scale = from === 'mol' ? molarMass ** power : molarMass ** -power;
+  return multiply({ factor: unit.factor * scale, dims }, { factor: 1, dims: { [to]: power } });
+}
+
+/**
+ * Express a value in base units.
+ * @param {number} value
+ * @param {string} code - UCUM unit of the value
+ * @returns {{value: number, code: string}} e.g. 1 mg/dL -> { value: 10, code: 'g.m-3' }
+ * @throws {FhirError} 400 for invalid units
+ */
+export function canonicalize(value, code) {
+  const unit = parseUnit(code);
+  return { value: round(toBase(unit, value)), code: dimensionCode(unit.dims) };
+}
+
+/**
+ * Every base-unit form of a value: the plain one and, given a molar mass,
+ * the mass and the substance form, so a result stored in umol/L can be
+ * compared with a search in mg/dL.
+ * @param {number} value
+ * @param {string} code - UCUM unit of the value
+ * @param {Object} [options]
+ * @param {number} [options.molarMass] - g/mol of the measured substance
+ * @returns {Array<{value: number, code: string}>}
+ * @throws {FhirError} 400 for invalid units
+ */
+export function canonicalForms(value, code, { molarMass } = {}) {
+  const unit = parseUnit(code);
+  const units = molarMass
+    ? [unit, substance(unit, molarMass, 'mol', 'g'), substance(unit, molarMass, 'g', 'mol')]
+    : [unit];
+
+  const forms = new Map();
+  for (const form of units) {
+    const dims = dimensionCode(form.dims);
+    if (!forms.has(dims)) forms.set(dims, { value: round(toBase(form, value)), code: dims });
+  }
+  return [...forms.values()];
+}
+
+/**
+ * Convert a value between commensurable units. With a molar mass, mass
+ * and substance units (mg/dL and mmol/L) convert into each other too.
+ * @param {number} value
+ * @param {string} from - UCUM code
+ * @param {string} to - UCUM code
+ * @param {Object} [options]
+ * @param {number} [options.molarMass] - g/mol of the measured substance
+ * @returns {number}
+ * @throws {FhirError} 400 for invalid units, 422 when they measure different things
+ */
+export function convert(value, from, to, { molarMass } = {}) {
+  let source = parseUnit(from);
+  let target = parseUnit(to);
+  if (molarMass && dimensionCode(source.dims) !== dimensionCode(target.dims)) {
+    source = substance(source, molarMass, 'mol', 'g');
+    target = substance(target, molarMass, 'mol', 'g');
+  }
+  if (dimensionCode(source.dims) !== dimensionCode(target.dims)) {
+    throw new FhirError(422, `Cannot convert ${from} to ${to}`, 'processing');
+  }
+  return round(fromBase(target, toBase(source, value)));
+}
@@ -0,0 +1,347 @@
+// validator.js - Offline validation of FHIR resources against R4 and loaded profiles
+//
+// Checks element names, cardinality, primitive formats, required bindings
+// and invariants (FHIRPath) against the base definitions in
+// structureDefinitions.js, then against any profiles the resource claims in
+// meta.profile or that the caller asks for. Profiles are StructureDefinitions
+// whose differential tightens the base; the ones in ./profiles are loaded at
+// startup and more can be added with registerProfile().
+import fs from 'fs';
+import fhirpath from 'fhirpath';
+import r4 from 'fhirpath/fhir-context/r4/index.js';
+import { FhirError } from './operationOutcome.js';
+import { datatypes, resourceElements, resources, valueSets } from './structureDefinitions.js';
+
+const PRIMITIVES = {
+  boolean: (v) => typeof v === 'boolean',
+  integer: (v) => Number.isInteger(v),
+  positiveInt: (v) => Number.isInteger(v) && v > 0,
+  unsignedInt: (v) => Number.isInteger(v) && v >= 0,
+  decimal: (v) => typeof v === 'number' && Number.isFinite(v),
+  string: (v) => typeof v === 'string' && v.trim() !== '',
+  markdown: (v) => typeof v === 'string' && v.trim() !== '',
+  xhtml: (v) => typeof v === 'string' && v.trim() !== '',
+  base64Binary: (v) => typeof v === 'string' && /^[A-Za-z0-9+/\s]*=*$/.test(v),
+  code: (v) => typeof v === 'string' && /^[^\s]+( [^\s]+)*$/.test(v),
+  id: (v) => typeof v === 'string' && /^[A-Za-z0-9\-.]{1,64}$/.test(v),
+  uri: (v) => typeof v === 'string' && /^\S+$/.test(v),
+  url: (v) => typeof v === 'string' && /^\S+$/.test(v),
+  canonical: (v) => typeof v === 'string' && /^\S+$/.test(v),
+  date: (v) => typeof v === 'string'
+    && /^([0-9]([0-9]([0-9][1-9]|[1-9]0)|[1-9]00)|[1-9]000)(-(0[1-9]|1[0-2])(-(0[1-9]|[1-2][0-9]|3[0-1]))?)?$/.test(v),
+  dateTime: (v) => typeof v === 'string'
+    && /^([0-9]([0-9]([0-9][1-9]|[1-9]0)|[1-9]00)|[1-9]000)(-(0[1-9]|1[0-2])(-(0[1-9]|[1-2][0-9]|3[0-1])(T([01][0-9]|2[0-3]):[0-5][0-9]:([0-5][0-9]|60)(\.[0-9]+)?(Z|(\+|-)((0[0-9]|1[0-3]):[0-5][0-9]|14:00)))?)?)?$/.test(v),
+  instant: (v) => typeof v === 'string'
+    && /^([0-9]([0-9]([0-9][1-9]|[1-9]0)|[1-9]00)|[1-9]000)-(0[1-9]|1[0-2])-(0[1-9]|[1-2][0-9]|3[0-1])T([01][0-9]|2[0-3]):[0-5][0-9]:([0-5][0-9]|60)(\.[0-9]+)?(Z|(\+|-)((0[0-9]|1[0-3]):[0-5][0-9]|14:00))$/.test(v),
+  time: (v) => typeof v === 'string' && /^([01][0-9]|2[0-3]):[0-5][0-9]:([0-5][0-9]|60)(\.[0-9]+)?$/.test(v),
+};
+
+// Keys any element may carry besides its own children
+const ELEMENT_KEYS = ['id', 'extension', 'modifierExtension'];
+
+const profiles = new Map();
+
+// ---------------- Definitions ----------------
+
+/**
+ * Expand the condensed 'min..max Type|Type' form into an element definition.
+ */
+function parseElement(spec, binding) {
+  const [cardinality, types] = spec.split(' ');
+  const [min, max] = cardinality.split('..');
+  return {
+    min: Number(min),
+    max,
+    types: types.split('|'),
+    ...(binding ? { binding } : {}),
+  };
+}
+
+function compile({ elements, bindings = {}, constraints = [] }, extra = {}) {
+  const compiled = {};
+  for (const [path, spec] of Object.entries({ ...extra, ...elements })) {
+    compiled[path] = parseElement(spec, bindings[path]);
+  }
+  return { elements: compiled, constraints };
+}
+
+const baseResources = Object.fromEntries(
+  Object.entries(resources).map(([type, definition]) => [type, compile(definition, resourceElements)])
+);
+const baseDatatypes = Object.fromEntries(
+  Object.entries(datatypes).map(([type, definition]) => [type, compile(definition)])
+);
+
+/**
+ * Load a profile. Only the differential is read: each element may tighten
+ * min/max, narrow type, add a required binding or add constraints.
+ *
+ * @param {Object} structureDefinition - FHIR StructureDefinition
+ * @throws {FhirError} 400 for definitions the validator cannot use
+ */
+export function registerProfile(structureDefinition) {
+  const { resourceType, url, type, differential } = structureDefinition || {};
+  if (resourceType !== 'StructureDefinition' || !url || !type) {
+    throw new FhirError(400, 'A profile must be a StructureDefinition with a url and type');
+  }
+  if (!baseResources[type]) {
+    throw new FhirError(400, `Cannot profile unsupported resource type '${type}'`, 'not-supported');
+  }
+
+  const overrides = {};
+  const constraints = [];
+  for (const element of differential?.element || []) {
+    const path = element.path.split('.').slice(1).join('.');
+    for (const constraint of element.constraint || []) constraints.push({ ...constraint, path });
+    overrides[path] = {
+      ...(element.min !== undefined ? { min: element.min } : {}),
+      ...(element.max !== undefined ? { max: element.max } : {}),
+      ...(element.type ? { types: element.type.map((t) => t.code) } : {}),
+      ...(element.binding?.strength === 'required' ? { binding: element.binding.valueSet } : {}),
+    };
+  }
+  profiles.set(url, { url, type, overrides, constraints });
+}
+
+/**
+ * @returns {string[]} Canonical URLs of the loaded profiles
+ */
+export function loadedProfiles() {
+  return [...profiles.keys()];
+}
+
+function loadBundledProfiles() {
+  const dir = new URL('./profiles/', import.meta.url);
+  for (const file of fs.readdirSync(dir).filter((name) => name.endsWith('.json'))) {
+    registerProfile(JSON.parse(fs.readFileSync(new URL(file, dir), 'utf8')));
+  }
+}
+
+loadBundledProfiles();
+
+// ---------------- Validation ----------------
+
+const issue = (severity, code, diagnostics, location) => ({
+  severity,
+  code,
+  diagnostics,
+  ...(location ? { expression: [location] } : {}),
+});
+
+const capitalize = (value) => value.charAt(0).toUpperCase() + value.slice(1);
+
+/**
+ * Direct children of `prefix` in an element map ('' for the top level).
+ */
+function childElements(elements, prefix) {
+  const children = [];
+  for (const [path, element] of Object.entries(elements)) {
+    const parent = path.includes('.') ? path.slice(0, path.lastIndexOf('.')) : '';
+    if (parent !== prefix) continue;
+    const name = path.slice(parent ? parent.length + 1 : 0);
+    children.push({ path, name, element });
+  }
+  return children;
+}
+
+/**
+ * The type a JSON key carries for an element, if it is that element
+ * (a choice element value[x] matches valueQuantity, valueString, ...).
+ */
+function keyFor(child, key, types) {
+  if (!child.name.endsWith('[x]')) return key === child.name ? types[0] : undefined;
+  const stem = child.name.slice(0, -3);
+  return types.find((type) => key === stem + capitalize(type));
+}
+
+function checkBinding(context, value, valueSetUrl, type, location) {
+  const allowed = valueSets[valueSetUrl];
+  if (!allowed) return;
+
+  const matches = (system, code) => allowed.some((entry) => entry.code === code && (!entry.system || !system || entry.system === system));
+  let ok;
+  if (type === 'CodeableConcept') ok = (value.coding || []).some((c) => matches(c.system, c.code));
+  else if (type === 'Coding') ok = matches(value.system, value.code);
+  else ok = matches(undefined, value);
+
+  if (!ok) {
+    context.issues.push(issue('error', 'code-invalid', `Value is not in the required value set ${valueSetUrl}`, location));
+  }
+}
+
+function checkConstraints(context, node, constraints, base, location) {
+  for (const constraint of constraints) {
+    let result;
+    try {
+      result = fhirpath.evaluate(node, { base, expression: constraint.expression }, { resource: context.resource }, r4);
+    } catch (err) {
+      context.issues.push(issue('warning', 'processing', `Could not evaluate ${constraint.key}: ${err.message}`, location));
+      continue;
+    }
+    // An empty result means the constraint does not apply
+    if (!result.length || result.every((r) => r === true)) continue;
+    context.issues.push(issue(
+      constraint.severity === 'warning' ? 'warning' : 'error',
+      'invariant',
+      `Constraint ${constraint.key} failed: ${constraint.human}`,
+      location
+    ));
+  }
+}
+
+/**
+ * Walk a complex value. `elements`/`prefix` locate its definition (a
+ * datatype or a BackboneElement inside a resource); `profilePath` is its
+ * path from the resource root, which is how profile overrides are keyed.
+ */
+function walk(context, node, { elements, prefix, profilePath, base, location }) {
+  if (!node || typeof node !== 'object' || Array.isArray(node)) {
+    context.issues.push(issue('error', 'structure', 'Expected an object', location));
+    return;
+  }
+
+  const children = childElements(elements, prefix);
+  const seen = new Set();
+
+  for (const [key, value] of Object.entries(node)) {
+    if (ELEMENT_KEYS.includes(key) || key.startsWith('_') || (!prefix && !profilePath && key === 'resourceType')) continue;
+
+    let match;
+    for (const child of children) {
+      const override = context.overrides(profilePath ? `${profilePath}.${child.name}` : child.name);
+      const types = override.types || child.element.types;
+      const type = keyFor(child, key, types);
+      if (type) {
+        match = { child, type, element: { ...child.element, ...override } };
+        break;
+      }
+    }
+    if (!match) {
+      context.issues.push(issue('error', 'structure', `Unknown element '${key}'`, `${location}.${key}`));
+      continue;
+    }
+    seen.add(match.child.name);
+    checkValue(context, value, key, match, { elements, base, profilePath, location });
+  }
+
+  // Cardinality minimums, including ones a profile raised
+  for (const child of children) {
+    const element = { ...child.element, ...context.overrides(profilePath ? `${profilePath}.${child.name}` : child.name) };
+    if (element.min > 0 && !seen.has(child.name)) {
+      context.issues.push(issue('error', 'required', `Missing required element '${child.name}'`, `${location}.${child.name}`));
+    }
+  }
+
+  const ownConstraints = prefix ? context.constraintsAt(elements, prefix) : context.typeConstraints(elements);
+  const profileConstraints = context.profileConstraints(profilePath);
+  if (ownConstraints.length || profileConstraints.length) {
+    checkConstraints(context, node, [...ownConstraints, ...profileConstraints], base, location);
+  }
+}
+
+function checkValue(context, value, key, { child, type, element }, { elements, base, profilePath, location }) {
+  const childPath = profilePath ? `${profilePath}.${child.name}` : child.name;
+  const childBase = `${base}.${key}`;
+  const many = element.max === '*' || Number(element.max) > 1;
+
+  if (Array.isArray(value) !== many) {
+    context.issues.push(issue('error', 'structure', many ? `'${key}' must be an array` : `'${key}' must not be an array`, `${location}.${key}`));
+    return;
+  }
+  const items = many ? value : [value];
+  if (element.max !== '*' && items.length > Number(element.max)) {
+    context.issues.push(issue('error', 'structure', `'${key}' allows at most ${element.max} value(s)`, `${location}.${key}`));
+  }
+  if (items.length < element.min) {
+    context.issues.push(issue('error', 'required', `'${key}' needs at least ${element.min} value(s)`, `${location}.${key}`));
+  }
+
+  items.forEach((item, index) => {
+    const itemLocation = many ? `${location}.${key}[${index}]` : `${location}.${key}`;
+
+    if (PRIMITIVES[type]) {
+      if (!PRIMITIVES[type](item)) {
+        context.issues.push(issue('error', 'value', `Invalid ${type} value ${JSON.stringify(item)}`, itemLocation));
+        return;
+      }
+    } else if (type === 'BackboneElement') {
+      // Open when the definition lists no children
+      if (childElements(elements, child.path).length) {
+        walk(context, item, { elements, prefix: child.path, profilePath: childPath, base: childBase, location: itemLocation });
+      }
+    } else if (baseDatatypes[type]) {
+      walk(context, item, { elements: baseDatatypes[type].elements, prefix: '', profilePath: childPath, base: type, location: itemLocation });
+    }
+
+    if (element.binding) checkBinding(context, item, element.binding, type, itemLocation);
+  });
+}
+
+/**
+ * Validate a resource against the base R4 definition of its type and the
+ * profiles it claims (meta.profile) or that are requested.
+ *
+ * @param {Object} resource - FHIR resource JSON
+ * @param {Object} [options]
+ * @param {string[]} [options.profiles] - Extra profile URLs to validate against
+ * @returns {{valid: boolean, issues: Object[]}} OperationOutcome issues
+ */
+export function validateResource(resource, { profiles: requested = [] } = {}) {
+  const issues = [];
+  if (!resource || typeof resource !== 'object' || Array.isArray(resource)) {
+    return { valid: false, issues: [issue('error', 'structure', 'Expected a FHIR resource object')] };
+  }
+  const { resourceType } = resource;
+  const definition = baseResources[resourceType];
+  if (!definition) {
+    return {
+      valid: false,
+      issues: [issue('error', 'not-supported', `Resource type '${resourceType}' is not supported`)],
+    };
+  }
+
+  const applied = [];
+  const claimed = resource.meta?.profile || [];
+  for (const url of [...new Set([...requested, ...claimed])]) {
+    const profile = profiles.get(url);
+    if (!profile) {
+      // A requested profile must be known; an unknown claimed one is only noted
+      issues.push(issue(requested.includes(url) ? 'error' : 'warning', 'not-supported', `Profile '${url}' is not loaded`));
+    } else if (profile.type !== resourceType) {
+      issues.push(issue('error', 'invalid', `Profile '${url}' constrains ${profile.type}, not ${resourceType}`));
+    } else {
+      applied.push(profile);
+    }
+  }
+
+  const context = {
+    resource,
+    issues,
+    overrides: (path) => Object.assign({}, ...applied.map((p) => p.overrides[path] || {})),
+    profileConstraints: (path) => applied.flatMap((p) => p.constraints.filter((c) => c.path === path)),
+    constraintsAt: (elements, prefix) => (elements === definition.elements
+      ? definition.constraints.filter((c) => c.path === prefix)
+      : []),
+    typeConstraints: (elements) => {
+      if (elements === definition.elements) return definition.constraints.filter((c) => !c.path);
+      const datatype = Object.values(baseDatatypes).find((d) => d.elements === elements);
+      return datatype ? datatype.constraints : [];
+    },
+  };
+
+  walk(context, resource, { elements: definition.elements, prefix: '', profilePath: '', base: resourceType, location: resourceType });
+
+  return { valid: !issues.some((i) => i.severity === 'error' || i.severity === 'fatal'), issues };
+}
+
+/**
+ * Reject invalid resources with a 422 carrying every issue found.
+ * @param {Object} resource
+ * @throws {FhirError}
+ */
+export function assertValid(resource) {
+  const { valid, issues } = validateResource(resource);
+  if (!valid) {
+    throw new FhirError(422, `${resource?.resourceType || 'Resource'} failed validation`, 'processing', issues);
+  }
+}
@@ -0,0 +1,422 @@
+// xml.js - Convert FHIR resources between the JSON and XML formats
+//
+// Follows the R4 XML rules (http://hl7.org/fhir/R4/xml.html): a primitive
+// carries its value in a `value` attribute, and its id and extensions (the
+// `_name` companion in JSON) as the attribute and children of the same
+// element; Element.id and Extension.url are attributes; a resource inside
+// a resource (contained, Bundle.entry.resource, ...) is wrapped in an
+// element named for its type; and Narrative.div is XHTML, carried as is.
+//
+// XML cares about element order and JSON does not, while JSON needs to know
+// which elements repeat and which primitives are numbers or booleans. Both
+// come from the condensed definitions in structureDefinitions.js; elements
+// they do not describe are converted by shape alone.
+import { FhirError } from './operationOutcome.js';
+import { datatypes, exchangeResources, resourceElements, resources } from './structureDefinitions.js';
+
+export const FHIR_NS = 'http://hl7.org/fhir';
+const XHTML_NS = 'http://www.w3.org/1999/xhtml';
+
+const NUMBERS = ['integer', 'positiveInt', 'unsignedInt', 'decimal'];
+// Elements of the Element and BackboneElement base types
+const EXTENSIONS = { extension: '0..* Extension', modifierExtension: '0..* Extension' };
+
+const capitalize = (value) => value.charAt(0).toUpperCase() + value.slice(1);
+const isPrimitive = (type) => /^[a-z]/.test(type || '');
+const parentOf = (path) => (path.includes('.') ? path.slice(0, path.lastIndexOf('.')) : '');
+
+// ---------------- Definitions ----------------
+
+function parseSpec(spec) {
+  const [cardinality, types] = spec.split(' ');
+  const max = cardinality.split('..')[1];
+  return { many: max === '*' || Number(max) > 1, types: types.split('|') };
+}
+
+/*
+ * A scope locates the definition of an element's children: `elements` is
+ * the full element map of a resource or datatype and `prefix` the path of
+ * the element within it. No scope means the children are not described.
+ */
+function resourceScope(resourceType) {
+  // Types without a definition still have the elements of every resource
+  const definition = resources[resourceType] || exchangeResources[resourceType] || { elements: {} };
+  return {
+    elements: { ...resourceElements, ...definition.elements },
+    prefix: '',
+    root: true,
+    references: definition.references || {},
+  };
+}
+
+function datatypeScope(type) {
+  if (!datatypes[type]) return undefined;
+  return {
+    elements: datatypes[type].elements,
+    prefix: '',
+    references: {},
+    attributes: type === 'Extension' ? ['url'] : [],
+  };
+}
+
+/**
+ * The child elements of a scope in XML order.
+ */
+function children(scope) {
+  const implicit = Object.entries(EXTENSIONS).map(([name, spec]) => ({ name, path: name, ...parseSpec(spec) }));
+  if (!scope) return implicit;
+
+  const own = Object.entries(scope.elements)
+    .filter(([path]) => parentOf(path) === scope.prefix)
+    .map(([path, spec]) => ({ name: path.slice(scope.prefix ? scope.prefix.length + 1 : 0), path, ...parseSpec(spec) }))
+    .filter((child) => !(scope.attributes || []).includes(child.name));
+  if (!scope.root) return [...implicit, ...own];
+  // Resource elements (id, meta, text, contained) come before the extensions
+  const base = own.filter((child) => resourceElements[child.name]);
+  return [...base, ...implicit, ...own.filter((child) => !resourceElements[child.name])];
+}
+
+/**
+ * The child a JSON key or XML element name belongs to, and the type it
+ * carries (valueQuantity is value[x] as a Quantity).
+ */
+function match(list, name) {
+  for (const child of list) {
+    if (child.name === name) return { child, type: child.types[0] };
+    if (child.name.endsWith('[x]')) {
+      const stem = child.name.slice(0, -3);
+      const type = child.types.find((t) => name === stem + capitalize(t));
+      if (type) return { child, type };
+    }
+  }
+  return undefined;
+}
+
+function descend(scope, { child, type }) {
+  if (type === 'BackboneElement') {
+    const path = scope.references[child.path] || child.path;
+    const described = Object.keys(scope.elements).some((p) => p.startsWith(`${path}.`));
+    return described ? { ...scope, prefix: path, root: false, attributes: [] } : undefined;
+  }
+  return datatypeScope(type);
+}
+
+const isResource = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value)
+  && typeof value.resourceType === 'string';
+
+// ---------------- JSON to XML ----------------
+
+function escapeAttribute(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/\n/g, '&#10;')
+    .replace(/\r/g, '&#13;')
+    .replace(/\t/g, '&#9;');
+}
+
+function writer(pretty) {
+  const parts = [];
+  const line = (depth, text) => parts.push(pretty ? `${'  '.repeat(depth)}${text}\n` : text);
+  const attributes = (attrs) => Object.entries(attrs)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([name, value]) => ` ${name}="${escapeAttribute(value)}"`)
+    .join('');
+  return {
+    empty: (depth, name, attrs = {}) => line(depth, `<${name}${attributes(attrs)}/>`),
+    open: (depth, name, attrs = {}) => line(depth, `<${name}${attributes(attrs)}>`),
+    close: (depth, name) => line(depth, `</${name}>`),
+    raw: (depth, text) => line(depth, text),
+    toString: () => parts.join(''),
+  };
+}
+
+// The narrative must be in the XHTML namespace
+function xhtml(div) {
+  const text = String(div).trim();
+  return /^<div[\s>]/.test(text) && !/^<div[^>]*\sxmlns=/.test(text)
+    ? text.replace(/^<div/, `<div xmlns="${XHTML_NS}"`)
+    : text;
+}
+
+function writeResource(out, depth, resource, attrs = {}) {
+  const { resourceType } = resource;
+  if (!/^[A-Z][A-Za-z]+$/.test(resourceType)) {
+    throw new FhirError(400, `Cannot write resource type '${resourceType}' as XML`);
+  }
+  out.open(depth, resourceType, attrs);
+  writeProperties(out, depth + 1, resource, resourceScope(resourceType));
+  out.close(depth, resourceType);
+}
+
+function writeProperties(out, depth, node, scope) {
+  const list = children(scope);
+  const skip = ['resourceType', ...(scope?.attributes || []), ...(scope?.root ? [] : ['id'])];
+  // `_name` alone is a primitive with only an id or extensions
+  const names = [...new Set(Object.keys(node).map((key) => key.replace(/^_/, '')))]
+    .filter((name) => !skip.includes(name));
+  const position = (name) => {
+    const found = match(list, name);
+    return found ? list.indexOf(found.child) : list.length;
+  };
+  const ordered = names
+    .map((name, index) => ({ name, index, position: position(name) }))
+    .sort((a, b) => a.position - b.position || a.index - b.index);
+
+  for (const { name } of ordered) {
+    writeElement(out, depth, name, node[name], node[`_${name}`], match(list, name), scope);
+  }
+}
+
+function writeElement(out, depth, name, value, extra, matched, scope) {
+  const many = Array.isArray(value) || Array.isArray(extra);
+  const values = many ? [].concat(value ?? []) : [value];
+  const extras = many ? [].concat(extra ?? []) : [extra];
+  const count = Math.max(values.length, extras.length);
+
+  for (let i = 0; i < count; i += 1) {
+    const item = values[i];
+    const itemExtra = extras[i];
+    const type = matched?.type;
+
+    if (type === 'Resource' || isResource(item)) {
+      out.open(depth, name);
+      writeResource(out, depth + 1, item);
+      out.close(depth, name);
+    } else if (type === 'xhtml' || (!matched && name === 'div' && typeof item === 'string')) {
+      out.raw(depth, xhtml(item));
+    } else if (item === null || item === undefined || typeof item !== 'object') {
+      const attrs = { id: itemExtra?.id, value: item };
+      const { id, ...rest } = itemExtra || {};
+      if (Object.keys(rest).length) {
+        out.open(depth, name, attrs);
+        writeProperties(out, depth + 1, rest, undefined);
+        out.close(depth, name);
+      } else {
+        out.empty(depth, name, attrs);
+      }
+    } else {
+      const childScope = matched ? descend(scope, matched) : undefined;
+      const attrs = { id: item.id };
+      for (const attribute of childScope?.attributes || []) attrs[attribute] = item[attribute];
+      const content = Object.keys(item).filter((key) => key !== 'id' && !(childScope?.attributes || []).includes(key));
+      if (content.length) {
+        out.open(depth, name, attrs);
+        writeProperties(out, depth + 1, item, childScope);
+        out.close(depth, name);
+      } else {
+        out.empty(depth, name, attrs);
+      }
+    }
+  }
+}
+
+/**
+ * Write a resource as FHIR XML.
+ * @param {Object} resource - FHIR resource JSON
+ * @param {Object} [options]
+ * @param {boolean} [options.pretty] - Indent the output (_pretty=true)
+ * @returns {string} XML document
+ * @throws {FhirError} 400 when the value is not a resource
+ */
+export function toXml(resource, { pretty = false } = {}) {
+  if (!isResource(resource)) throw new FhirError(400, 'Only resources can be written as XML');
+  const out = writer(pretty);
+  writeResource(out, 0, resource, { xmlns: FHIR_NS });
+  return `<?xml version="1.0" encoding="UTF-8"?>${pretty ? '\n' : ''}${out}`;
+}
+
+// ---------------- XML parsing ----------------
+
+const ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9A-Fa-f]+|#[0-9]+|[A-Za-z]+);/g, (entity, name) => {
+    if (name.startsWith('#x')) return String.fromCodePoint(Number.parseInt(name.slice(2), 16));
+    if (name.startsWith('#')) return String.fromCodePoint(Number.parseInt(name.slice(1), 10));
+    if (!(name in ENTITIES)) throw new FhirError(400, `Unknown XML entity '${entity}'`);
+    return ENTITIES[name];
+  });
+}
+
+const START_TAG = /<([A-Za-z_][\w.:-]*)((?:\s+[A-Za-z_][\w.:-]*\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/y;
+const ATTRIBUTE = /([A-Za-z_][\w.:-]*)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+
+function parseAttributes(text) {
+  const attributes = {};
+  for (const [, name, double, single] of text.matchAll(ATTRIBUTE)) {
+    attributes[name] = decodeEntities(double ?? single);
+  }
+  return attributes;
+}
+
+/**
+ * Parse an XML document into { name, attributes, children, text, start, end }
+ * elements; start/end are offsets into the source so XHTML can be kept as is.
+ * DTDs are refused, which also rules out entity expansion attacks.
+ */
+function parseDocument(source) {
+  const top = { children: [], text: '' };
+  const stack = [top];
+  let pos = 0;
+
+  const skipTo = (terminator, from, what) => {
+    const end = source.indexOf(terminator, from);
+    if (end === -1) throw new FhirError(400, `Unterminated ${what} in XML`);
+    return end + terminator.length;
+  };
+
+  while (pos < source.length) {
+    const lt = source.indexOf('<', pos);
+    const current = stack[stack.length - 1];
+    if (lt === -1) {
+      current.text += source.slice(pos);
+      break;
+    }
+    current.text += source.slice(pos, lt);
+
+    if (source.startsWith('<?', lt)) {
+      pos = skipTo('?>', lt, 'processing instruction');
+    } else if (source.startsWith('<!--', lt)) {
+      pos = skipTo('-->', lt, 'comment');
+    } else if (source.startsWith('<![CDATA[', lt)) {
+      const end = skipTo(']]>', lt, 'CDATA section');
+      current.text += source.slice(lt + 9, end - 3);
+      pos = end;
+    } else if (source.startsWith('<!', lt)) {
+      throw new FhirError(400, 'DOCTYPE and entity declarations are not allowed in FHIR XML');
+    } else if (source.startsWith('</', lt)) {
+      const end = skipTo('>', lt, 'end tag');
+      const name = source.slice(lt + 2, end - 1).trim();
+      const element = stack.pop();
+      if (stack.length === 0 || element.name !== name) {
+        throw new FhirError(400, `Unexpected end tag </${name}> in XML`);
+      }
+      element.end = end;
+      pos = end;
+    } else {
+      START_TAG.lastIndex = lt;
+      const tag = START_TAG.exec(source);
+      if (!tag) throw new FhirError(400, `Malformed XML at offset ${lt}`);
+      const element = { name: tag[1], attributes: parseAttributes(tag[2]), children: [], text: '', start: lt };
+      current.children.push(element);
+      if (tag[3]) element.end = START_TAG.lastIndex;
+      else stack.push(element);
+      pos = START_TAG.lastIndex;
+    }
+  }
+
+  if (stack.length !== 1) throw new FhirError(400, `Unclosed element <${stack[stack.length - 1].name}> in XML`);
+  if (top.text.trim() || top.children.length !== 1) {
+    throw new FhirError(400, 'An XML document must hold exactly one resource');
+  }
+  return top.children[0];
+}
+
+const localName = (name) => name.slice(name.indexOf(':') + 1);
+
+function namespaceOf(element) {
+  const prefix = element.name.includes(':') ? element.name.slice(0, element.name.indexOf(':')) : undefined;
+  return element.attributes[prefix ? `xmlns:${prefix}` : 'xmlns'];
+}
+
+// ---------------- XML to JSON ----------------
+
+function primitiveValue(type, value, name) {
+  if (value === undefined) return undefined;
+  if (type === 'boolean') {
+    if (value !== 'true' && value !== 'false') throw new FhirError(400, `Invalid boolean '${value}' in <${name}>`);
+    return value === 'true';
+  }
+  if (NUMBERS.includes(type)) {
+    const number = Number(value);
+    if (value.trim() === '' || !Number.isFinite(number)) throw new FhirError(400, `Invalid ${type} '${value}' in <${name}>`);
+    return number;
+  }
+  return value;
+}
+
+function readResource(element, source) {
+  const resourceType = localName(element.name);
+  return { resourceType, ...readChildren(element, resourceScope(resourceType), source) };
+}
+
+// A wrapper around a resource, e.g. <contained><Patient>...</Patient></contained>
+const wrapsResource = (element) => element.children.length === 1
+  && /^[A-Z]/.test(localName(element.children[0].name))
+  && element.attributes.value === undefined;
+
+function readChildren(element, scope, source) {
+  if (element.text.trim()) throw new FhirError(400, `Unexpected text in <${localName(element.name)}>`);
+  const list = children(scope);
+  const occurrences = {};
+  for (const child of element.children) {
+    const name = localName(child.name);
+    occurrences[name] = (occurrences[name] || 0) + 1;
+  }
+
+  const json = {};
+  const extras = {};
+  for (const child of element.children) {
+    const name = localName(child.name);
+    const matched = match(list, name);
+    const type = matched?.type;
+    let value;
+    let extra;
+
+    if (type === 'Resource' || (!matched && wrapsResource(child))) {
+      if (child.children.length !== 1) throw new FhirError(400, `<${name}> must hold exactly one resource`);
+      value = readResource(child.children[0], source);
+    } else if (type === 'xhtml' || (!matched && name === 'div')) {
+      value = source.slice(child.start, child.end);
+    } else if (isPrimitive(type) || (!matched && child.attributes.value !== undefined)) {
+      value = primitiveValue(type, child.attributes.value, name);
+      const { id } = child.attributes;
+      const rest = readChildren(child, undefined, source);
+      if (id !== undefined || Object.keys(rest).length) extra = { ...(id !== undefined ? { id } : {}), ...rest };
+    } else {
+      const childScope = matched ? descend(scope, matched) : undefined;
+      value = {};
+      if (child.attributes.id !== undefined) value.id = child.attributes.id;
+      for (const attribute of childScope?.attributes || []) {
+        if (child.attributes[attribute] !== undefined) value[attribute] = child.attributes[attribute];
+      }
+      Object.assign(value, readChildren(child, childScope, source));
+    }
+
+    const many = matched ? matched.child.many : occurrences[name] > 1;
+    if (many) {
+      (json[name] ||= []).push(value ?? null);
+      (extras[name] ||= []).push(extra ?? null);
+    } else {
+      if (name in json || name in extras) throw new FhirError(400, `<${name}> cannot repeat`);
+      if (value !== undefined) json[name] = value;
+      if (extra !== undefined) extras[name] = extra;
+    }
+  }
+
+  // Primitive ids and extensions go in the `_name` companion
+  for (const [name, extra] of Object.entries(extras)) {
+    if (Array.isArray(extra) ? extra.every((e) => e === null) : extra === undefined) continue;
+    json[`_${name}`] = extra;
+    if (Array.isArray(extra) && json[name].every((v) => v === null)) delete json[name];
+  }
+  return json;
+}
+
+/**
+ * Read a FHIR XML document into FHIR JSON.
+ * @param {string} source - XML document
+ * @returns {Object} FHIR resource JSON
+ * @throws {FhirError} 400 for malformed XML or XML that is not a FHIR resource
+ */
+export function fromXml(source) {
+  const text = String(source);
+  const root = parseDocument(text);
+  if (namespaceOf(root) !== FHIR_NS) {
+    throw new FhirError(400, `The root element must be a resource in the ${FHIR_NS} namespace`);
+  }
+  return readResource(root, text);
+}
@@ -1,10 +1,14 @@
 import { WebSocketServer } from 'ws';
+import { handleSubscriptionSocket } from '../services/fhir/subscriptions.js';
 
-const wss = new WebSocketServer({ port: 8080 });
+const wss = new WebSocketServer({ port: process.env.WS_PORT || 8080 });
 
 wss.on('connection', (ws) => {
   console.log('🧩 New WebSocket client connected');
 
+  // FHIR Subscription websocket channel ("bind <subscription id> <access token>")
+  handleSubscriptionSocket(ws);
+
   ws.send(JSON.stringify({ type: 'connected', message: 'Welcome to UHRH stream' }));
 });
 
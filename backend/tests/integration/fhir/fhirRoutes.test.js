@@ -0,0 +1,120 @@
+// fhirRoutes.test.js
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import request from 'supertest';
+import fhirRoutes from '../../../routes/fhir/fhir.js';
+import User from '../../../models/User.js';
+import Patient from '../../../models/Patient.js';
+import Observation from '../../../models/Observation.js';
+import { createResource } from '../../../services/fhir/resourceStore.js';
+import { runInTenant } from '../../../services/fhir/tenancy.js';
+import { useMemoryStore } from '../../support/memoryStore.js';
+
+useMemoryStore();
+
+const app = express();
+app.use('/api/fhir', express.json({ type: ['application/json', 'application/fhir+json'] }));
+app.use('/api/fhir', fhirRoutes);
+
+const token = (claims) => `Bearer ${jwt.sign({ organization: 'org-a', ...claims }, 'test-secret')}`;
+
+describe('FHIR routes - Integration Tests', () => {
+  const secret = process.env.JWT_SECRET;
+  beforeAll(() => { process.env.JWT_SECRET = 'test-secret'; });
+  afterAll(() => {
+    if (secret === undefined) delete process.env.JWT_SECRET;
+    else process.env.JWT_SECRET = secret;
+  });
+
+  describe('master patient index', () => {
+    const parameters = {
+      resourceType: 'Parameters',
+      parameter: [
+        { name: 'source-patient', valueReference: { reference: 'Patient/dup' } },
+        { name: 'target-patient', valueReference: { reference: 'Patient/keep' } },
+      ],
+    };
+
+    it.each([
+      ['/api/fhir/Patient/$merge', parameters],
+      ['/api/fhir/Patient/$unmerge', parameters],
+      ['/api/fhir/$match-review/review-1', { resolution: 'same' }],
+    ])('should limit POST %s to admins', async (path, body) => {
+      const doctor = await request(app).post(path).set('Authorization', token({ userId: 'u1', role: 'Doctor' })).send(body);
+      expect(doctor.status).toBe(403);
+      expect(doctor.body.resourceType).toBe('OperationOutcome');
+      expect((await request(app).post(path).send(body)).status).toBe(401);
+    });
+  });
+
+  describe('portal patients', () => {
+    const heartRate = (patientId) => ({
+      resourceType: 'Observation',
+      status: 'final',
+      code: { coding: [{ system: 'http://loinc.org', code: '8867-4' }] },
+      subject: { reference: `Patient/${patientId}` },
+      effectiveDateTime: '2025-04-06T08:00:00Z',
+      valueQuantity: { value: 72, unit: '/min', system: 'http://unitsofmeasure.org', code: '/min' },
+    });
+
+    // Ann signs in to the portal; Bob is another patient of the same hospital
+    let ann;
+    let bob;
+    let annToken;
+    beforeEach(async () => {
+      await runInTenant('org-a', async () => {
+        ann = { patient: await createResource(Patient, { resourceType: 'Patient', name: [{ family: 'Smith' }] }) };
+        bob = { patient: await createResource(Patient, { resourceType: 'Patient', name: [{ family: 'Jones' }] }) };
+        ann.observation = await createResource(Observation, heartRate(ann.patient.id));
+        bob.observation = await createResource(Observation, heartRate(bob.patient.id));
+      });
+      const user = await User.create({
+        email: 'ann@example.org', password: 'hash', role: 'Patient', patient: ann.patient.id, organization: 'org-a',
+      });
+      annToken = token({ userId: user.id, role: 'Patient' });
+    });
+
+    const get = (path) => request(app).get(`/api/fhir${path}`).set('Authorization', annToken);
+
+    it('should read their own chart', async () => {
+      expect((await get(`/Patient/${ann.patient.id}`)).status).toBe(200);
+      expect((await get(`/Observation/${ann.observation.id}`)).status).toBe(200);
+      expect((await get(`/Observation/${ann.observation.id}/_history`)).status).toBe(200);
+    });
+
+    it('should not read another patient through the generic reads', async () => {
+      expect((await get(`/Patient/${bob.patient.id}`)).status).toBe(403);
+      expect((await get(`/Observation/${bob.observation.id}`)).status).toBe(403);
+      expect((await get(`/Observation/${bob.observation.id}/_history/1`)).status).toBe(403);
+    });
+
+    it('should only find their own resources when searching', async () => {
+      const all = await get('/Observation');
+      expect(all.status).toBe(200);
+      expect(all.body.entry.map((e) => e.resource.id)).toEqual([ann.observation.id]);
+
+      const other = await get(`/Observation?subject=Patient/${bob.patient.id}`);
+      expect(other.status).toBe(200);
+      expect(other.body.total).toBe(0);
+      expect((await get(`/Patient/${bob.patient.id}/Observation`)).status).toBe(403);
+      expect((await get(`/Patient/${bob.patient.id}/$everything`)).status).toBe(403);
+    });
+
+    it('should not read another patient\'s history', async () => {
+      expect((await get(`/Patient/${bob.patient.id}/_history`)).status).toBe(403);
+      expect((await get(`/Observation/${bob.observation.id}/_history`)).status).toBe(403);
+      expect((await get('/Observation/_history')).status).toBe(403);
+    });
+
+    it('should not reach another patient through a Bundle', async () => {
+      const bundle = {
+        resourceType: 'Bundle',
+        type: 'batch',
+        entry: [{ request: { method: 'GET', url: `Observation/${bob.observation.id}` } }],
+      };
+      const response = await request(app).post('/api/fhir').set('Authorization', annToken).send(bundle);
+      expect(response.status).toBe(403);
+      expect(response.body.resourceType).toBe('OperationOutcome');
+    });
+  });
+});
@@ -0,0 +1,331 @@
+// memoryStore.js - An in-memory stand-in for MongoDB in unit tests
+//
+// Replaces the collection methods Mongoose queries and saves end up calling,
+// so models, hooks, casting and the tenancy plugin all run as usual while
+// documents live in a Map. Sessions come from a fake mongoose.startSession()
+// whose withTransaction() rolls the store back when the callback throws.
+//
+// Only the query and update operators the services use are understood;
+// anything else throws so a test cannot silently pass on a half-run query.
+import mongoose from 'mongoose';
+
+const Collection = mongoose.Collection;
+
+// Values that compare by identity in BSON rather than by their fields
+const atomic = (value) => value instanceof Date || value?._bsontype !== undefined;
+
+function copy(value) {
+  if (value instanceof Date) return new Date(value);
+  if (atomic(value)) return value;
+  if (Array.isArray(value)) return value.map(copy);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, child]) => [key, copy(child)]));
+  }
+  return value;
+}
+
+function scalar(value) {
+  if (value instanceof Date) return value.getTime();
+  if (value?._bsontype === 'ObjectId') return value.toHexString();
+  return value;
+}
+
+function equal(a, b) {
+  if (atomic(a) || atomic(b)) return scalar(a) === scalar(b);
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return a.length === b.length && a.every((item, index) => equal(item, b[index]));
+  }
+  if (a && b && typeof a === 'object' && typeof b === 'object') {
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length && keys.every((key) => equal(a[key], b[key]));
+  }
+  return a === b;
+}
+
+function compare(a, b) {
+  const [x, y] = [scalar(a), scalar(b)];
+  if (x === y) return 0;
+  if (x === undefined || x === null) return -1;
+  if (y === undefined || y === null) return 1;
+  return x < y ? -1 : 1;
+}
+
+// Every value a dotted path reaches, descending into arrays like Mongo does
+function valuesAt(value, parts) {
+  if (!parts.length) return Array.isArray(value) ? [value, ...value] : [value];
+  if (Array.isArray(value)) {
+    const [part, ...rest] = parts;
+    const indexed = /^\d+$/.test(part) ? valuesAt(value[Number(part)], rest) : [];
+    return [...indexed, ...value.flatMap((item) => (item && typeof item === 'object' && !atomic(item)
+      ? valuesAt(item, parts)
+      : []))];
+  }
+  if (!value || typeof value !== 'object' || atomic(value)) return [undefined];
+  const [part, ...rest] = parts;
+  return valuesAt(value[part], rest);
+}
+
+const isOperators = (condition) => condition && typeof condition === 'object' && !Array.isArray(condition)
+  && !atomic(condition) && !(condition instanceof RegExp)
+  && Object.keys(condition).length > 0 && Object.keys(condition).every((key) => key.startsWith('$'));
+
+function matchesValue(values, expected) {
+  if (expected instanceof RegExp) return values.some((value) => typeof value === 'string' && expected.test(value));
+  if (expected === null) return values.some((value) => value === null || value === undefined);
+  return values.some((value) => equal(value, expected));
+}
+
+function matchesOperators(values, operators, document, path) {
+  return Object.entries(operators).every(([operator, operand]) => {
+    switch (operator) {
+      case '$eq': return matchesValue(values, operand);
+      case '$ne': return !matchesValue(values, operand);
+      case '$in': return operand.some((expected) => matchesValue(values, expected));
+      case '$nin': return !operand.some((expected) => matchesValue(values, expected));
+      case '$gt': return values.some((value) => value !== undefined && compare(value, operand) > 0);
+      case '$gte': return values.some((value) => value !== undefined && compare(value, operand) >= 0);
+      case '$lt': return values.some((value) => value !== undefined && compare(value, operand) < 0);
+      case '$lte': return values.some((value) => value !== undefined && compare(value, operand) <= 0);
+      case '$exists': return values.some((value) => value !== undefined) === Boolean(operand);
+      case '$regex': {
+        const regex = operand instanceof RegExp ? operand : new RegExp(operand, operators.$options);
+        return matchesValue(values, regex);
+      }
+      case '$options': return true;
+      case '$not': return !matchesOperators(values, operand instanceof RegExp ? { $regex: operand } : operand, document, path);
+      case '$elemMatch': {
+        const [array] = valuesAt(document, path.split('.')).filter(Array.isArray);
+        return (array || []).some((item) => (isOperators(operand) && !Object.keys(operand).some((key) => ['$and', '$or', '$nor'].includes(key))
+          ? matchesOperators([item], operand, item, '')
+          : matches(item, operand)));
+      }
+      default: throw new Error(`memoryStore does not support ${operator}`);
+    }
+  });
+}
+
+function matches(document, filter = {}) {
+  return Object.entries(filter).every(([key, condition]) => {
+    if (key === '$and') return condition.every((part) => matches(document, part));
+    if (key === '$or') return condition.some((part) => matches(document, part));
+    if (key === '$nor') return !condition.some((part) => matches(document, part));
+    if (key.startsWith('$')) throw new Error(`memoryStore does not support ${key}`);
+    const values = valuesAt(document, key.split('.'));
+    return isOperators(condition)
+      ? matchesOperators(values, condition, document, key)
+      : matchesValue(values, condition);
+  });
+}
+
+function sorted(documents, sort) {
+  const keys = Object.entries(sort || {});
+  if (!keys.length) return documents;
+  return [...documents].sort((a, b) => {
+    for (const [path, direction] of keys) {
+      const order = compare(valuesAt(a, path.split('.'))[0], valuesAt(b, path.split('.'))[0]);
+      if (order) return order * (Number(direction) < 0 || direction === 'desc' ? -1 : 1);
+    }
+    return 0;
+  });
+}
+
+function setPath(document, path, value) {
+  const parts = path.split('.');
+  const last = parts.pop();
+  let target = document;
+  for (const part of parts) {
+    if (!target[part] || typeof target[part] !== 'object') target[part] = {};
+    target = target[part];
+  }
+  if (value === undefined) delete target[last];
+  else target[last] = value;
+}
+
+function applyUpdate(document, update, inserting) {
+  for (const [operator, fields] of Object.entries(update)) {
+    for (const [path, value] of Object.entries(fields)) {
+      switch (operator) {
+        case '$set': setPath(document, path, copy(value)); break;
+        case '$setOnInsert': if (inserting) setPath(document, path, copy(value)); break;
+        case '$unset': setPath(document, path, undefined); break;
+        case '$inc': setPath(document, path, (valuesAt(document, path.split('.'))[0] || 0) + value); break;
+        case '$push': {
+          const list = valuesAt(document, path.split('.'))[0] || [];
+          setPath(document, path, [...list, ...copy(value?.$each || [value])]);
+          break;
+        }
+        default: throw new Error(`memoryStore does not support ${operator}`);
+      }
+    }
+  }
+  return document;
+}
+
+// The fields an upsert takes from its filter
+function seed(filter) {
+  const document = {};
+  for (const [path, condition] of Object.entries(filter)) {
+    if (!path.startsWith('$') && !isOperators(condition)) setPath(document, path, copy(condition));
+  }
+  return document;
+}
+
+const key = (id) => String(scalar(id));
+
+/**
+ * Swap MongoDB for an in-memory store until the test file ends. Clears the
+ * store before every test.
+ * @returns {{documents: Function, failNextCommit: Function, reset: Function}}
+ */
+export function useMemoryStore() {
+  let collections = new Map();
+  let failCommit = false;
+
+  const documentsOf = (name) => {
+    if (!collections.has(name)) collections.set(name, new Map());
+    return collections.get(name);
+  };
+  const found = (name, filter) => [...documentsOf(name).values()].filter((document) => matches(document, filter));
+
+  function insert(name, document) {
+    const stored = copy(document);
+    if (stored._id === undefined) stored._id = new mongoose.Types.ObjectId();
+    const documents = documentsOf(name);
+    if (documents.has(key(stored._id))) {
+      throw Object.assign(new Error(`E11000 duplicate key error collection: ${name}`), { code: 11000 });
+    }
+    documents.set(key(stored._id), stored);
+    return stored._id;
+  }
+
+  function update(name, filter, change, { upsert, many } = {}) {
+    const targets = found(name, filter);
+    const chosen = many ? targets : targets.slice(0, 1);
+    const replacing = !Object.keys(change).some((field) => field.startsWith('$'));
+    for (const document of chosen) {
+      const next = replacing ? { ...copy(change), _id: document._id } : applyUpdate(copy(document), change, false);
+      documentsOf(name).set(key(document._id), next);
+    }
+    if (!chosen.length && upsert) {
+      const created = replacing ? { ...seed(filter), ...copy(change) } : applyUpdate(seed(filter), change, true);
+      const upsertedId = insert(name, created);
+      return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 1, upsertedId };
+    }
+    return { acknowledged: true, matchedCount: chosen.length, modifiedCount: chosen.length, upsertedCount: 0, upsertedId: null };
+  }
+
+  const methods = {
+    insertOne(document) {
+      return Promise.resolve({ acknowledged: true, insertedId: insert(this.collectionName, document) });
+    },
+    insertMany(documents) {
+      const insertedIds = Object.fromEntries(documents.map((document, index) => [index, insert(this.collectionName, document)]));
+      return Promise.resolve({ acknowledged: true, insertedCount: documents.length, insertedIds });
+    },
+    find(filter, options = {}) {
+      let documents = sorted(found(this.collectionName, filter), options.sort);
+      if (options.skip) documents = documents.slice(options.skip);
+      if (options.limit) documents = documents.slice(0, options.limit);
+      return { toArray: async () => documents.map(copy) };
+    },
+    findOne(filter, options = {}) {
+      const [document] = sorted(found(this.collectionName, filter), options.sort);
+      return Promise.resolve(document ? copy(document) : null);
+    },
+    countDocuments(filter) {
+      return Promise.resolve(found(this.collectionName, filter).length);
+    },
+    updateOne(filter, change, options = {}) {
+      return Promise.resolve(update(this.collectionName, filter, change, options));
+    },
+    updateMany(filter, change, options = {}) {
+      return Promise.resolve(update(this.collectionName, filter, change, { ...options, many: true }));
+    },
+    replaceOne(filter, replacement, options = {}) {
+      return Promise.resolve(update(this.collectionName, filter, replacement, options));
+    },
+    findOneAndUpdate(filter, change, options = {}) {
+      const [before] = sorted(found(this.collectionName, filter), options.sort);
+      const { upsertedId } = update(this.collectionName, before ? { _id: before._id } : filter, change, options);
+      const after = options.returnDocument === 'after' || options.new === true || options.returnOriginal === false;
+      const id = before?._id ?? upsertedId;
+      const result = after && id !== null && id !== undefined ? documentsOf(this.collectionName).get(key(id)) : before;
+      return Promise.resolve(result ? copy(result) : null);
+    },
+    findOneAndDelete(filter, options = {}) {
+      const [document] = sorted(found(this.collectionName, filter), options.sort);
+      if (document) documentsOf(this.collectionName).delete(key(document._id));
+      return Promise.resolve(document || null);
+    },
+    deleteOne(filter) {
+      const [document] = found(this.collectionName, filter);
+      if (document) documentsOf(this.collectionName).delete(key(document._id));
+      return Promise.resolve({ acknowledged: true, deletedCount: document ? 1 : 0 });
+    },
+    deleteMany(filter) {
+      const documents = found(this.collectionName, filter);
+      for (const document of documents) documentsOf(this.collectionName).delete(key(document._id));
+      return Promise.resolve({ acknowledged: true, deletedCount: documents.length });
+    },
+  };
+
+  const snapshot = () => new Map([...collections].map(([name, documents]) => [name, new Map(
+    [...documents].map(([id, document]) => [id, copy(document)]),
+  )]));
+
+  // Just enough of a ClientSession for resourceStore.js, events.js and the operations
+  const startSession = async () => ({
+    hasEnded: false,
+    active: false,
+    inTransaction() { return this.active; },
+    async withTransaction(callback) {
+      for (;;) {
+        const before = snapshot();
+        this.active = true;
+        try {
+          await callback(this);
+          if (failCommit) {
+            failCommit = false;
+            // A transient failure: the driver rolls back and runs the callback again
+            collections = before;
+            continue;
+          }
+          return;
+        } catch (err) {
+          collections = before;
+          throw err;
+        } finally {
+          this.active = false;
+        }
+      }
+    },
+    async endSession() { this.hasEnded = true; },
+  });
+
+  const originals = {};
+  beforeAll(() => {
+    for (const [name, method] of Object.entries(methods)) {
+      originals[name] = Collection.prototype[name];
+      Collection.prototype[name] = method;
+    }
+    originals.startSession = mongoose.startSession;
+    mongoose.startSession = startSession;
+  });
+  afterAll(() => {
+    for (const [name, method] of Object.entries(originals)) {
+      if (name === 'startSession') mongoose.startSession = method;
+      else Collection.prototype[name] = method;
+    }
+  });
+  beforeEach(() => {
+    collections = new Map();
+    failCommit = false;
+  });
+
+  return {
+    /** Copies of the stored documents of a model, for assertions */
+    documents: (Model) => found(Model.collection.collectionName, {}).map(copy),
+    /** Make the next transaction run its callback a second time, as after a transient error */
+    failNextCommit: () => { failCommit = true; },
+  };
+}
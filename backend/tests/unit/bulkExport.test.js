@@ -0,0 +1,100 @@
+// bulkExport.test.js
+import { exportFilter, exportManifest, exportStatus, kickOffExport, parseExportRequest } from '../../services/fhir/bulkExport.js';
+import { FhirError } from '../../services/fhir/operationOutcome.js';
+
+describe('Bulk Data Export - Unit Tests', () => {
+  const transactionTime = new Date('2025-06-01T00:00:00Z');
+
+  describe('parseExportRequest', () => {
+    it('should export every type allowed at the level by default', () => {
+      const { types } = parseExportRequest('patient', {});
+      expect(types[0]).toBe('Patient');
+      expect(types).toContain('Observation');
+      expect(types).not.toContain('Subscription');
+      expect(parseExportRequest('system', {}).types).toContain('Subscription');
+    });
+
+    it('should narrow to _type and parse _since', () => {
+      const { types, since } = parseExportRequest('system', {
+        _type: 'Observation,Patient',
+        _since: '2025-01-01T00:00:00Z',
+      });
+      expect(types).toEqual(['Patient', 'Observation']);
+      expect(since).toEqual(new Date('2025-01-01T00:00:00Z'));
+    });
+
+    it('should split _typeFilter entries without breaking comma lists in values', () => {
+      const { typeFilter } = parseExportRequest('system', {
+        _typeFilter: 'Observation?status=final,amended,Condition?clinical-status=active',
+      });
+      expect(typeFilter).toEqual(['Observation?status=final,amended', 'Condition?clinical-status=active']);
+    });
+
+    it('should reject unsupported formats, types, dates and filters', () => {
+      expect(() => parseExportRequest('system', { _outputFormat: 'text/csv' })).toThrow(FhirError);
+      expect(() => parseExportRequest('patient', { _type: 'Subscription' })).toThrow(FhirError);
+      expect(() => parseExportRequest('system', { _since: 'yesterday' })).toThrow(FhirError);
+      expect(() => parseExportRequest('system', { _typeFilter: 'Observation?colour=red' })).toThrow(FhirError);
+      expect(() => parseExportRequest('system', { _typeFilter: 'status=final' })).toThrow(FhirError);
+    });
+  });
+
+  describe('exportFilter', () => {
+    it('should bound lastUpdated by _since and the transaction time', () => {
+      const since = new Date('2025-01-01T00:00:00Z');
+      expect(exportFilter('Observation', { transactionTime, since })).toEqual({
+        $and: [{ 'meta.lastUpdated': { $lte: transactionTime, $gte: since } }],
+      });
+    });
+
+    it('should restrict group exports to the member patients', () => {
+      const patients = ['Patient/1', 'Patient/2'];
+      expect(exportFilter('Patient', { transactionTime, patients }).$and[1]).toEqual({ _id: { $in: ['1', '2'] } });
+      expect(exportFilter('Condition', {
+        transactionTime,
+        patients,
+        compartment: ['subject.reference', 'asserter.reference'],
+      }).$and[1]).toEqual({
+        $or: [
+          { 'subject.reference': { $in: patients } },
+          { 'asserter.reference': { $in: patients } },
+        ],
+      });
+    });
+
+    it('should OR the _typeFilter queries for the type', () => {
+      const { $and } = exportFilter('Observation', {
+        transactionTime,
+        typeFilter: ['Observation?status=final', 'Observation?status=amended', 'Condition?clinical-status=active'],
+      });
+      expect($and[1]).toEqual({ $or: [{ $and: [{ status: 'final' }] }, { $and: [{ status: 'amended' }] }] });
+    });
+  });
+
+  describe('access', () => {
+    it('should refuse kick-off, status and files without a user', async () => {
+      await expect(kickOffExport({ level: 'system', query: {}, request: 'http://localhost/api/fhir/$export' }))
+        .rejects.toMatchObject({ status: 401 });
+      await expect(exportStatus('job-1')).rejects.toMatchObject({ status: 401 });
+    });
+  });
+
+  describe('exportManifest', () => {
+    it('should link every output file under the FHIR base URL', () => {
+      const manifest = exportManifest({
+        id: 'job-1',
+        transactionTime,
+        request: 'http://localhost/api/fhir/$export',
+        output: [{ type: 'Patient', file: 'Patient.ndjson', count: 2 }],
+      }, 'http://localhost/api/fhir');
+
+      expect(manifest).toEqual({
+        transactionTime: '2025-06-01T00:00:00.000Z',
+        request: 'http://localhost/api/fhir/$export',
+        requiresAccessToken: true,
+        output: [{ type: 'Patient', url: 'http://localhost/api/fhir/$export-file/job-1/Patient.ndjson', count: 2 }],
+        error: [],
+      });
+    });
+  });
+});
@@ -0,0 +1,56 @@
+// bulkImport.test.js
+import { Readable } from 'stream';
+import { importNdjson, lineResources, rewriteReferences } from '../../services/fhir/bulkImport.js';
+import { FhirError } from '../../services/fhir/operationOutcome.js';
+
+describe('Bulk Import - Unit Tests', () => {
+  describe('lineResources', () => {
+    it('should read a resource line as one resource', () => {
+      expect(lineResources('{"resourceType":"Patient","id":"1"}')).toEqual([
+        { resource: { resourceType: 'Patient', id: '1' } },
+      ]);
+    });
+
+    it('should read a Bundle line as its entries', () => {
+      const bundle = {
+        resourceType: 'Bundle',
+        type: 'collection',
+        entry: [
+          { fullUrl: 'urn:uuid:a', resource: { resourceType: 'Patient' } },
+          { request: { method: 'DELETE', url: 'Patient/2' } },
+        ],
+      };
+      expect(lineResources(JSON.stringify(bundle))).toEqual([
+        { fullUrl: 'urn:uuid:a', resource: { resourceType: 'Patient' } },
+      ]);
+    });
+
+    it('should throw on lines that are not JSON', () => {
+      expect(() => lineResources('{"resourceType":')).toThrow(SyntaxError);
+    });
+  });
+
+  describe('rewriteReferences', () => {
+    it('should replace nested references and keep the rest', async () => {
+      const resource = {
+        resourceType: 'Observation',
+        subject: { reference: 'Patient/123' },
+        performer: [{ reference: 'Practitioner/9' }],
+        derivedFrom: [{ reference: 'Observation/7', display: 'Earlier result' }],
+      };
+      const ids = { 'Patient/123': 'Patient/abc', 'Observation/7': 'Observation/def' };
+      await rewriteReferences(resource, async (reference) => ids[reference]);
+
+      expect(resource.subject.reference).toBe('Patient/abc');
+      expect(resource.performer[0].reference).toBe('Practitioner/9');
+      expect(resource.derivedFrom[0]).toEqual({ reference: 'Observation/def', display: 'Earlier result' });
+    });
+  });
+
+  describe('importNdjson', () => {
+    it('should require a source and a known duplicates mode', async () => {
+      await expect(importNdjson(Readable.from([]), {})).rejects.toThrow(FhirError);
+      await expect(importNdjson(Readable.from([]), { source: 'legacy', duplicates: 'merge' })).rejects.toThrow(FhirError);
+    });
+  });
+});
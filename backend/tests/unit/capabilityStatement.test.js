@@ -0,0 +1,36 @@
+// capabilityStatement.test.js
+import { capabilityStatement, FHIR_VERSION } from '../../services/fhir/capabilityStatement.js';
+import { resourceTypes } from '../../services/fhir/registry.js';
+
+describe('CapabilityStatement - Unit Tests', () => {
+  const statement = capabilityStatement({ baseUrl: 'http://localhost/api/fhir' });
+  const [rest] = statement.rest;
+  const resource = (type) => rest.resource.find((r) => r.type === type);
+
+  it('should describe every registered resource type', () => {
+    expect(statement.fhirVersion).toBe(FHIR_VERSION);
+    expect(statement.implementation.url).toBe('http://localhost/api/fhir');
+    expect(rest.resource.map((r) => r.type)).toEqual([...resourceTypes(), 'CodeSystem', 'ValueSet']);
+    expect(rest.interaction.map((i) => i.code)).toEqual(['transaction', 'batch']);
+  });
+
+  it('should list search parameters with their types', () => {
+    expect(resource('Observation').searchParam).toContainEqual({ name: 'value-quantity', type: 'quantity' });
+    expect(resource('Patient').searchParam).toContainEqual({ name: 'birthdate', type: 'date' });
+  });
+
+  it('should advertise includes, revincludes and operations', () => {
+    expect(resource('Observation').searchInclude).toContain('Observation:subject');
+    expect(resource('Patient').searchRevInclude).toContain('Observation:subject');
+    expect(resource('Patient').operation.map((o) => o.name)).toEqual(['validate', 'everything', 'match', 'merge', 'export']);
+    expect(resource('Group').operation.map((o) => o.name)).toEqual(['validate', 'export']);
+    expect(rest.operation.map((o) => o.name)).toEqual(['export']);
+  });
+
+  it('should leave the writes out for read-only types', () => {
+    expect(resource('Provenance').interaction.map((i) => i.code))
+      .toEqual(['read', 'vread', 'history-instance', 'history-type', 'search-type']);
+    expect(resource('Provenance')).toMatchObject({ updateCreate: false, conditionalCreate: false, conditionalUpdate: false });
+    expect(resource('Observation').interaction.map((i) => i.code)).toContain('create');
+  });
+});
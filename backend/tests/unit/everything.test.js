@@ -0,0 +1,107 @@
+// everything.test.js
+import Patient from '../../models/Patient.js';
+import Observation from '../../models/Observation.js';
+import Condition from '../../models/Condition.js';
+import RiskAssessment from '../../models/RiskAssessment.js';
+import { patientEverything } from '../../services/fhir/everything.js';
+import { createResource } from '../../services/fhir/resourceStore.js';
+import { runInTenant } from '../../services/fhir/tenancy.js';
+import { useMemoryStore } from '../support/memoryStore.js';
+
+useMemoryStore();
+
+const observation = (patientId, effectiveDateTime) => ({
+  resourceType: 'Observation',
+  status: 'final',
+  code: { coding: [{ system: 'http://loinc.org', code: '8867-4' }] },
+  subject: { reference: `Patient/${patientId}` },
+  effectiveDateTime,
+  valueQuantity: { value: 72, unit: '/min', system: 'http://unitsofmeasure.org', code: '/min' },
+});
+const condition = (patientId) => ({
+  resourceType: 'Condition',
+  code: { coding: [{ system: 'http://snomed.info/sct', code: '44054006' }] },
+  subject: { reference: `Patient/${patientId}` },
+  onsetDateTime: '2020-03-01',
+});
+const riskAssessment = (patientId) => ({
+  resourceType: 'RiskAssessment',
+  status: 'final',
+  code: { text: 'Diabetes risk' },
+  subject: { reference: `Patient/${patientId}` },
+  occurrenceDateTime: '2025-04-01T10:00:00Z',
+  prediction: [{ outcome: { text: 'Type 2 diabetes' }, probabilityDecimal: 0.42 }],
+});
+
+const types = ({ resources }) => resources.map((r) => r.resourceType);
+const tick = () => new Promise((resolve) => setTimeout(resolve, 5));
+
+describe('Patient/$everything - Unit Tests', () => {
+  const inTenant = (fn) => () => runInTenant('org-a', fn);
+
+  // Ann's chart, and Bob's observation that must never show up in it
+  async function charts() {
+    const ann = await createResource(Patient, { resourceType: 'Patient', name: [{ family: 'Smith' }] });
+    const bob = await createResource(Patient, { resourceType: 'Patient', name: [{ family: 'Jones' }] });
+    await createResource(Observation, observation(ann.id, '2024-01-10T08:00:00Z'));
+    await createResource(Observation, observation(ann.id, '2025-02-10T08:00:00Z'));
+    await createResource(Condition, condition(ann.id));
+    await createResource(RiskAssessment, riskAssessment(ann.id));
+    await createResource(Observation, observation(bob.id, '2025-02-10T08:00:00Z'));
+    return { ann, bob };
+  }
+
+  it('should return the patient and their whole compartment, predictions included', inTenant(async () => {
+    const { ann } = await charts();
+    const result = await patientEverything(ann.id);
+    expect(result.total).toBe(5);
+    expect(types(result)).toEqual(['Patient', 'Observation', 'Observation', 'Condition', 'RiskAssessment']);
+    expect(result.resources[0].id).toBe(ann.id);
+    expect(result.resources.slice(1).every((r) => r.toJSON().subject.reference === `Patient/${ann.id}`)).toBe(true);
+  }));
+
+  it('should page across resource types', inTenant(async () => {
+    const { ann } = await charts();
+    const first = await patientEverything(ann.id, { _count: '2' });
+    const second = await patientEverything(ann.id, { _count: '2', _offset: '2' });
+    const third = await patientEverything(ann.id, { _count: '2', _offset: '4' });
+    expect([first, second, third].map((page) => page.total)).toEqual([5, 5, 5]);
+    expect([...types(first), ...types(second), ...types(third)])
+      .toEqual(['Patient', 'Observation', 'Observation', 'Condition', 'RiskAssessment']);
+  }));
+
+  it('should keep only the types named in _type', inTenant(async () => {
+    const { ann } = await charts();
+    const result = await patientEverything(ann.id, { _type: 'Condition,RiskAssessment' });
+    expect(types(result)).toEqual(['Condition', 'RiskAssessment']);
+    expect(result.params).toEqual({ _type: ['Condition,RiskAssessment'] });
+    await expect(patientEverything(ann.id, { _type: 'Subscription' })).rejects.toMatchObject({ status: 400 });
+  }));
+
+  it('should keep only compartment resources updated at or after _since', inTenant(async () => {
+    const { ann } = await charts();
+    await tick();
+    const since = new Date().toISOString();
+    await tick();
+    await createResource(Observation, observation(ann.id, '2025-03-10T08:00:00Z'));
+
+    const result = await patientEverything(ann.id, { _since: since });
+    // The Patient always leads the Bundle
+    expect(types(result)).toEqual(['Patient', 'Observation']);
+    expect(result.resources[1].effectiveDateTime).toBe('2025-03-10T08:00:00Z');
+    await expect(patientEverything(ann.id, { _since: 'last week' })).rejects.toMatchObject({ status: 400 });
+  }));
+
+  it('should limit care dates to start and end', inTenant(async () => {
+    const { ann } = await charts();
+    const result = await patientEverything(ann.id, { _type: 'Observation', start: '2025-01-01' });
+    expect(result.resources.map((r) => r.effectiveDateTime)).toEqual(['2025-02-10T08:00:00Z']);
+  }));
+
+  it('should answer 404 for unknown patients and stay in the tenant', async () => {
+    const { ann } = await runInTenant('org-a', charts);
+    await runInTenant('org-b', async () => {
+      await expect(patientEverything(ann.id)).rejects.toMatchObject({ status: 404 });
+    });
+  });
+});
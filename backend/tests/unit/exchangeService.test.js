@@ -0,0 +1,85 @@
+// exchangeService.test.js
+import { jest } from '@jest/globals';
+import { useMemoryStore } from '../support/memoryStore.js';
+
+const linkPatient = jest.fn(async () => ({ patient: { _id: 'chart-1', tenant: currentTenant() }, created: false, reviews: 0 }));
+jest.unstable_mockModule('../../services/fhir/mpi.js', () => ({ linkPatient }));
+
+const { default: Observation } = await import('../../models/Observation.js');
+const { currentTenant } = await import('../../services/fhir/tenancy.js');
+const {
+  processIncomingData,
+  transformToInternalSchema,
+} = await import('../../dataHub/exchangeService.js');
+
+const store = useMemoryStore();
+
+const user = { userId: 'u1', email: 'lab@example.org', role: 'Doctor', organization: 'org-a' };
+const patient = { resourceType: 'Patient', id: 'lab-42', name: [{ family: 'Smith' }] };
+const heartRate = (reference) => ({
+  resourceType: 'Observation',
+  id: 'lab-obs-1',
+  status: 'final',
+  code: { coding: [{ system: 'http://loinc.org', code: '8867-4' }] },
+  subject: { reference },
+  effectiveDateTime: '2025-04-06T08:00:00Z',
+  valueQuantity: { value: 72, unit: '/min', system: 'http://unitsofmeasure.org', code: '/min' },
+});
+
+describe('Exchange service - Unit Tests', () => {
+  beforeEach(() => linkPatient.mockClear());
+
+  describe('transformToInternalSchema', () => {
+    it('should split Bundles and refuse anything that is not FHIR', async () => {
+      const bundle = { resourceType: 'Bundle', entry: [{ fullUrl: 'urn:uuid:a', resource: patient }, { request: {} }] };
+      expect(await transformToInternalSchema(bundle)).toEqual([{ fullUrl: 'urn:uuid:a', resource: patient }]);
+      expect(await transformToInternalSchema(patient)).toEqual([{ resource: patient }]);
+      await expect(transformToInternalSchema({ name: 'x' })).rejects.toMatchObject({ status: 400 });
+    });
+  });
+
+  describe('processIncomingData', () => {
+    it('should link uploaded Patients through the master patient index', async () => {
+      const result = await processIncomingData({
+        resourceType: 'Bundle',
+        type: 'collection',
+        entry: [
+          { fullUrl: 'urn:uuid:a', resource: patient },
+          { resource: heartRate('urn:uuid:a') },
+          { resource: heartRate('Patient/lab-42') },
+        ],
+      }, user);
+
+      expect(linkPatient).toHaveBeenCalledTimes(1);
+      expect(linkPatient).toHaveBeenCalledWith(patient, {
+        source: 'exchange:u1',
+        agent: { who: 'lab@example.org', role: 'Doctor', source: 'exchange', system: 'exchange:u1' },
+      });
+      expect(result.patients).toEqual([{ reference: 'Patient/chart-1', created: false, reviews: 0 }]);
+      expect(result.resources).toHaveLength(2);
+    });
+
+    it('should point the other resources at the linked chart', async () => {
+      await processIncomingData({
+        resourceType: 'Bundle',
+        type: 'collection',
+        entry: [{ fullUrl: 'urn:uuid:a', resource: patient }, { resource: heartRate('urn:uuid:a') }],
+      }, user);
+
+      const [stored] = store.documents(Observation);
+      expect(stored.subject.reference).toBe('Patient/chart-1');
+      expect(stored._id).not.toBe('lab-obs-1');
+    });
+
+    it('should store the upload in the uploading user\'s organization', async () => {
+      await processIncomingData({
+        resourceType: 'Bundle',
+        type: 'collection',
+        entry: [{ fullUrl: 'urn:uuid:a', resource: patient }, { resource: heartRate('urn:uuid:a') }],
+      }, user);
+
+      expect(await linkPatient.mock.results[0].value).toMatchObject({ patient: { tenant: 'org-a' } });
+      expect(store.documents(Observation).map((o) => o._tenant)).toEqual(['org-a']);
+    });
+  });
+});
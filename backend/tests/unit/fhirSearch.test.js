@@ -0,0 +1,192 @@
+// fhirSearch.test.js
+import { parseSearch, parseDateRange, DEFAULT_COUNT } from '../../services/fhir/search.js';
+import { searchsetBundle } from '../../services/fhir/bundle.js';
+import { resolveIncludes } from '../../services/fhir/include.js';
+
+describe('FHIR Search - Unit Tests', () => {
+  describe('parseSearch', () => {
+    it('should AND repeated parameters and OR comma separated values', () => {
+      const { filter } = parseSearch('Patient', {
+        family: ['Smith', 'Smythe'],
+        gender: 'male,female',
+      });
+
+      expect(filter.$and).toHaveLength(3);
+      expect(filter.$and[0]).toEqual({ 'name.family': /^Smith/i });
+      expect(filter.$and[2]).toEqual({ $or: [{ gender: 'male' }, { gender: 'female' }] });
+    });
+
+    it('should match identifiers by system and value', () => {
+      const { filter } = parseSearch('Patient', { identifier: 'urn:mrn|12345' });
+
+      expect(filter.$and[0]).toEqual({
+        identifier: { $elemMatch: { system: 'urn:mrn', value: '12345' } },
+      });
+    });
+
+    it('should turn birthdate prefixes into ranges', () => {
+      const { filter } = parseSearch('Patient', { birthdate: ['ge1980-01', 'lt1990'] });
+
+      expect(filter.$and).toEqual([
+        { birthDate: { $gte: '1980-01-01' } },
+        { birthDate: { $lt: '1990-01-01' } },
+      ]);
+    });
+
+    it('should default paging and ignore unknown parameters', () => {
+      const { filter, count, offset } = parseSearch('Patient', { foo: 'bar' });
+
+      expect(filter).toEqual({});
+      expect(count).toBe(DEFAULT_COUNT);
+      expect(offset).toBe(0);
+    });
+
+    it('should reject unknown parameters in strict mode', () => {
+      expect(() => parseSearch('Patient', { foo: 'bar' }, { strict: true }))
+        .toThrow("Unknown search parameter 'foo'");
+    });
+
+    it('should expand a bare patient id into a typed reference', () => {
+      const { filter } = parseSearch('Condition', { patient: 'p1', 'clinical-status': 'active' });
+
+      expect(filter.$and[0]).toEqual({ 'subject.reference': { $in: ['Patient/p1'] } });
+      expect(filter.$and[1]).toEqual({
+        'clinicalStatus.coding': { $elemMatch: { code: 'active' } },
+      });
+    });
+
+    it('should find Provenance for any version of its target', () => {
+      const { filter } = parseSearch('Provenance', { target: 'Patient/123' });
+      const [exact, versions] = filter.$and[0]['target.reference'].$in;
+
+      expect(exact).toBe('Patient/123');
+      expect(versions.test('Patient/123/_history/4')).toBe(true);
+      expect(versions.test('Patient/1234/_history/4')).toBe(false);
+      expect(parseSearch('Provenance', { target: 'Patient/123/_history/4' }).filter.$and[0])
+        .toEqual({ 'target.reference': 'Patient/123/_history/4' });
+    });
+
+    it('should match Coding tokens on their own system and code', () => {
+      const { filter } = parseSearch('Encounter', { class: 'http://terminology.hl7.org/CodeSystem/v3-ActCode|AMB' });
+
+      expect(filter.$and[0]).toEqual({
+        'class.system': 'http://terminology.hl7.org/CodeSystem/v3-ActCode',
+        'class.code': 'AMB',
+      });
+    });
+
+    it('should compare UCUM quantities in base units', () => {
+      const { filter } = parseSearch('Observation', {
+        'value-quantity': 'gt1.3|http://unitsofmeasure.org|mg/dL',
+      });
+
+      expect(filter.$and[0]).toEqual({
+        '_index.valueQuantity': { $elemMatch: { code: 'g.m-3', value: { $gt: 13 } } },
+      });
+    });
+
+    it('should compare other quantities by prefix, system and unit code', () => {
+      const { filter } = parseSearch('Observation', {
+        'value-quantity': 'gt1.3|http://example.org/units|MGDL',
+      });
+
+      expect(filter.$and[0]).toEqual({
+        $and: [
+          { 'valueQuantity.value': { $gt: 1.3 } },
+          { 'valueQuantity.system': 'http://example.org/units' },
+          { 'valueQuantity.code': 'MGDL' },
+        ],
+      });
+    });
+
+    it('should treat an unprefixed quantity as a range at its precision', () => {
+      const { filter } = parseSearch('Observation', { 'value-quantity': '1.3' });
+      const { $gte, $lt } = filter.$and[0]['valueQuantity.value'];
+
+      expect($gte).toBeCloseTo(1.25);
+      expect($lt).toBeCloseTo(1.35);
+    });
+
+    it('should build a sort spec with _id as the tie breaker', () => {
+      const { sort } = parseSearch('Observation', { _sort: '-date,code' });
+
+      expect(sort).toEqual({ effectiveDateTime: -1, 'code.coding.code': 1, _id: 1 });
+    });
+
+    it('should reject sorting by unknown parameters', () => {
+      expect(() => parseSearch('Observation', { _sort: 'foo' }))
+        .toThrow("Cannot sort Observation by 'foo'");
+    });
+  });
+
+  describe('parseDateRange', () => {
+    it('should cover the implied precision of a partial date', () => {
+      const { start, end } = parseDateRange('2025-02');
+
+      expect(start.toISOString()).toBe('2025-02-01T00:00:00.000Z');
+      expect(end.toISOString()).toBe('2025-03-01T00:00:00.000Z');
+    });
+
+    it('should return null for malformed dates', () => {
+      expect(parseDateRange('02/03/2025')).toBeNull();
+    });
+  });
+
+  describe('searchsetBundle', () => {
+    it('should include paging links and totals', () => {
+      const bundle = searchsetBundle({
+        baseUrl: 'http://localhost/api/fhir',
+        resourceType: 'Patient',
+        resources: [{ resourceType: 'Patient', id: 'p1' }],
+        total: 25,
+        count: 10,
+        offset: 10,
+        params: { family: ['Smith'] },
+      });
+
+      const links = Object.fromEntries(bundle.link.map((l) => [l.relation, l.url]));
+      expect(bundle.type).toBe('searchset');
+      expect(bundle.total).toBe(25);
+      expect(links.next).toBe('http://localhost/api/fhir/Patient?family=Smith&_count=10&_offset=20');
+      expect(links.previous).toBe('http://localhost/api/fhir/Patient?family=Smith&_count=10&_offset=0');
+      expect(bundle.entry[0].fullUrl).toBe('http://localhost/api/fhir/Patient/p1');
+    });
+
+    it('should append included resources after the matches', () => {
+      const bundle = searchsetBundle({
+        baseUrl: 'http://localhost/api/fhir',
+        resourceType: 'Observation',
+        resources: [{ resourceType: 'Observation', id: 'o1' }],
+        included: [{ resourceType: 'Patient', id: 'p1' }],
+        total: 1,
+        count: 20,
+        offset: 0,
+        params: { _include: ['Observation:subject'] },
+      });
+
+      expect(bundle.entry.map((e) => e.search.mode)).toEqual(['match', 'include']);
+      expect(bundle.entry[1].fullUrl).toBe('http://localhost/api/fhir/Patient/p1');
+    });
+  });
+
+  describe('resolveIncludes', () => {
+    it('should keep applied include parameters for paging links', async () => {
+      const { included, params } = await resolveIncludes('Patient', [], {
+        _revinclude: ['Observation:subject', 'Foo:bar'],
+      });
+
+      expect(included).toEqual([]);
+      expect(params).toEqual({ _revinclude: ['Observation:subject'] });
+    });
+
+    it('should reject includes that do not apply in strict mode', async () => {
+      await expect(resolveIncludes('Patient', [], { _include: 'Observation:subject' }, { strict: true }))
+        .rejects.toThrow("Unknown _include 'Observation:subject' for Patient");
+    });
+
+    it('should reject malformed include parameters', async () => {
+      await expect(resolveIncludes('Patient', [], { _include: 'Observation' }))
+        .rejects.toThrow("Invalid _include 'Observation'");
+    });
+  });
+});
@@ -0,0 +1,242 @@
+// fhirSubscriptions.test.js
+import { EventEmitter } from 'events';
+import { jest } from '@jest/globals';
+import jwt from 'jsonwebtoken';
+import { useMemoryStore } from '../support/memoryStore.js';
+
+const post = jest.fn();
+jest.unstable_mockModule('axios', () => ({ default: { post } }));
+
+const { default: Observation } = await import('../../models/Observation.js');
+const { default: Subscription } = await import('../../models/Subscription.js');
+const {
+  assertEndpointAllowed,
+  handleSubscriptionSocket,
+  notificationBundle,
+  parseCriteria,
+  startSubscriptions,
+} = await import('../../services/fhir/subscriptions.js');
+const { discardChanges, flushChanges, publishChange, resourceEvents } = await import('../../services/fhir/events.js');
+const { createResource } = await import('../../services/fhir/resourceStore.js');
+const { runInTenant } = await import('../../services/fhir/tenancy.js');
+
+const store = useMemoryStore();
+
+const subscription = {
+  id: 's1',
+  status: 'active',
+  criteria: 'Observation?patient=p1&code=2160-0',
+  channel: { type: 'rest-hook', endpoint: 'https://example.org/hook', payload: 'application/fhir+json' },
+};
+
+const change = {
+  resourceType: 'Observation',
+  id: 'o1',
+  versionId: '1',
+  method: 'POST',
+  resource: { resourceType: 'Observation', id: 'o1' },
+};
+
+describe('FHIR Subscriptions - Unit Tests', () => {
+  describe('parseCriteria', () => {
+    it('should split the resource type from the search query', () => {
+      expect(parseCriteria(subscription.criteria)).toEqual({
+        resourceType: 'Observation',
+        query: { patient: 'p1', code: '2160-0' },
+      });
+    });
+
+    it('should reject unsupported types and unknown parameters', () => {
+      expect(() => parseCriteria('Practitioner?name=x')).toThrow("not 'Practitioner'");
+      expect(() => parseCriteria('Observation?loinc=2160-0')).toThrow("Unknown search parameter 'loinc'");
+    });
+
+    it('should reject types the server writes itself', () => {
+      expect(() => parseCriteria('Provenance')).toThrow('cannot be subscribed to');
+    });
+  });
+
+  describe('assertEndpointAllowed', () => {
+    const hosts = ['hooks.example.org', '*.example.net'];
+
+    it('should allow https endpoints on the listed hosts', () => {
+      expect(() => assertEndpointAllowed('https://hooks.example.org/fhir', hosts)).not.toThrow();
+      expect(() => assertEndpointAllowed('https://lab.example.net/fhir', hosts)).not.toThrow();
+    });
+
+    it('should refuse other schemes, other hosts and non-URLs', () => {
+      expect(() => assertEndpointAllowed('http://hooks.example.org/fhir', hosts)).toThrow('must use https');
+      expect(() => assertEndpointAllowed('https://attacker.example.com/fhir', hosts)).toThrow('is not allowed');
+      expect(() => assertEndpointAllowed('https://example.net.attacker.com/fhir', hosts)).toThrow('is not allowed');
+      expect(() => assertEndpointAllowed('hooks.example.org', hosts)).toThrow('is not a URL');
+      expect(() => assertEndpointAllowed('https://hooks.example.org/fhir', [])).toThrow('is not allowed');
+    });
+  });
+
+  describe('delivery', () => {
+    const heartRate = {
+      resourceType: 'Observation',
+      status: 'final',
+      code: { coding: [{ system: 'http://loinc.org', code: '8867-4' }] },
+      subject: { reference: 'Patient/p1' },
+      effectiveDateTime: '2025-04-06T08:00:00Z',
+      valueQuantity: { value: 72, unit: '/min', system: 'http://unitsofmeasure.org', code: '/min' },
+    };
+    const restHook = (endpoint) => ({
+      resourceType: 'Subscription',
+      status: 'active',
+      reason: 'Lab results',
+      criteria: 'Observation',
+      channel: { type: 'rest-hook', endpoint, payload: 'application/fhir+json' },
+    });
+    const inTenant = (fn) => () => runInTenant('org-a', fn);
+    const posted = (endpoint) => post.mock.calls.filter(([url]) => url === endpoint);
+
+    async function until(condition) {
+      for (let i = 0; i < 200 && !condition(); i += 1) {
+        await new Promise((resolve) => setTimeout(resolve, 5));
+      }
+      expect(condition()).toBe(true);
+    }
+
+    let stop;
+    beforeAll(() => {
+      stop = startSubscriptions({ baseUrl: 'http://localhost/api/fhir', retryDelays: [], allowedHosts: ['hooks.example.org'] });
+    });
+    afterAll(() => stop());
+    beforeEach(() => post.mockReset());
+
+    it('should not hold subscriptions up behind a slow endpoint, and keep each one in order', inTenant(async () => {
+      const releases = [];
+      post.mockImplementation((url) => (url.endsWith('/slow')
+        ? new Promise((resolve) => releases.push(resolve))
+        : Promise.resolve({ status: 200 })));
+      await createResource(Subscription, restHook('https://hooks.example.org/slow'));
+      await createResource(Subscription, restHook('https://hooks.example.org/fast'));
+
+      const first = await createResource(Observation, heartRate);
+      const second = await createResource(Observation, heartRate);
+      await until(() => posted('https://hooks.example.org/fast').length === 2);
+      expect(posted('https://hooks.example.org/slow')).toHaveLength(1);
+
+      releases[0]();
+      await until(() => posted('https://hooks.example.org/slow').length === 2);
+      const focus = ([, bundle]) => bundle.entry[1].resource.id;
+      expect(posted('https://hooks.example.org/slow').map(focus)).toEqual([first.id, second.id]);
+      releases[1]();
+    }));
+
+    it('should not send to endpoints that are not allowed', inTenant(async () => {
+      post.mockResolvedValue({ status: 200 });
+      await createResource(Subscription, restHook('http://hooks.example.org/plain'));
+      await createResource(Subscription, restHook('https://elsewhere.example.com/hook'));
+
+      await createResource(Observation, heartRate);
+      await until(() => store.documents(Subscription).every((s) => s.status === 'error'));
+      expect(post).not.toHaveBeenCalled();
+      expect(store.documents(Subscription).map((s) => s.error)).toEqual([
+        expect.stringContaining('must use https'),
+        expect.stringContaining('is not allowed'),
+      ]);
+    }));
+
+    it('should not look for subscriptions on Provenance writes', inTenant(async () => {
+      const find = jest.spyOn(Subscription, 'find');
+      publishChange({ resourceType: 'Provenance', id: 'pr1', versionId: '1', method: 'POST', resource: { resourceType: 'Provenance' } });
+      publishChange(change);
+      await new Promise((resolve) => setTimeout(resolve, 20));
+      expect(find).toHaveBeenCalledTimes(1);
+      find.mockRestore();
+    }));
+  });
+
+  describe('handleSubscriptionSocket', () => {
+    const bind = async (message) => {
+      const ws = new EventEmitter();
+      const sent = [];
+      ws.send = (text) => sent.push(text);
+      handleSubscriptionSocket(ws);
+      ws.emit('message', message);
+      await new Promise((resolve) => setImmediate(resolve));
+      return sent;
+    };
+
+    const secret = process.env.JWT_SECRET;
+    beforeAll(() => { process.env.JWT_SECRET = 'test-secret'; });
+    afterAll(() => {
+      if (secret === undefined) delete process.env.JWT_SECRET;
+      else process.env.JWT_SECRET = secret;
+    });
+
+    it('should refuse binds without a valid access token', async () => {
+      expect(await bind('bind s1')).toEqual([expect.stringMatching(/^error s1 .*access token/)]);
+      const forged = jwt.sign({ userId: 'u1', role: 'Admin' }, 'other-secret');
+      expect(await bind(`bind s1 ${forged}`)).toEqual([expect.stringMatching(/^error s1 .*access token/)]);
+    });
+
+    it('should refuse callers limited to one patient', async () => {
+      const portal = jwt.sign({ userId: 'u1', role: 'Patient' }, 'test-secret');
+      expect(await bind(`bind s1 ${portal}`)).toEqual([expect.stringMatching(/^error s1 Patient users/)]);
+      const smart = jwt.sign({ userId: 'u1', role: 'Patient', scope: 'patient/*.rs', patient: 'p1' }, 'test-secret');
+      expect(await bind(`bind s1 ${smart}`)).toEqual([expect.stringMatching(/^error s1 /)]);
+    });
+  });
+
+  describe('notificationBundle', () => {
+    it('should put the status first and the resource after it', () => {
+      const bundle = notificationBundle(subscription, 'event-notification', {
+        change,
+        eventNumber: 4,
+        baseUrl: 'http://localhost/api/fhir',
+      });
+
+      const [status, focus] = bundle.entry;
+      const parameter = Object.fromEntries(status.resource.parameter.map((p) => [p.name, p]));
+      expect(bundle.type).toBe('history');
+      expect(parameter.type.valueCode).toBe('event-notification');
+      expect(parameter['events-since-subscription-start'].valueString).toBe('4');
+      expect(parameter['notification-event'].part[1].valueReference.reference).toBe('Observation/o1');
+      expect(focus.fullUrl).toBe('http://localhost/api/fhir/Observation/o1');
+      expect(focus.resource).toEqual(change.resource);
+    });
+
+    it('should leave the resource out without a payload or an event', () => {
+      const noPayload = { ...subscription, channel: { type: 'websocket' } };
+
+      expect(notificationBundle(noPayload, 'event-notification', { change }).entry).toHaveLength(1);
+      expect(notificationBundle(subscription, 'heartbeat').entry).toHaveLength(1);
+    });
+  });
+
+  describe('resource events', () => {
+    const transaction = { inTransaction: () => true };
+    let received;
+    const listener = (c) => received.push(c.id);
+
+    beforeEach(() => {
+      received = [];
+      resourceEvents.on('change', listener);
+    });
+    afterEach(() => resourceEvents.off('change', listener));
+
+    it('should publish writes outside a transaction at once', () => {
+      publishChange(change);
+      expect(received).toEqual(['o1']);
+    });
+
+    it('should hold transaction writes until they are flushed', () => {
+      publishChange(change, transaction);
+      expect(received).toEqual([]);
+
+      flushChanges(transaction);
+      expect(received).toEqual(['o1']);
+    });
+
+    it('should drop transaction writes that are discarded', () => {
+      publishChange(change, transaction);
+      discardChanges(transaction);
+      flushChanges(transaction);
+      expect(received).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,102 @@
+// fhirValidator.test.js
+import { validateResource, registerProfile, loadedProfiles } from '../../services/fhir/validator.js';
+
+const US_CORE_PATIENT = 'http://hl7.org/fhir/us/core/StructureDefinition/us-core-patient';
+const LOINC_CREATININE = { coding: [{ system: 'http://loinc.org', code: '2160-0' }] };
+
+const codes = (issues) => issues.map((i) => `${i.code} ${i.expression?.[0]}`);
+
+describe('FHIR Validator - Unit Tests', () => {
+  it('should accept a valid base resource', () => {
+    const { valid, issues } = validateResource({
+      resourceType: 'Patient',
+      name: [{ family: 'Smith', given: ['Jane'] }],
+      gender: 'female',
+      birthDate: '1980-02-29',
+    });
+
+    expect(valid).toBe(true);
+    expect(issues).toEqual([]);
+  });
+
+  it('should report unknown elements, bad primitives and required bindings', () => {
+    const { valid, issues } = validateResource({
+      resourceType: 'Patient',
+      gender: 'F',
+      birthDate: '1980-13-01',
+      nickname: 'JJ',
+    });
+
+    expect(valid).toBe(false);
+    expect(codes(issues)).toEqual([
+      'code-invalid Patient.gender',
+      'value Patient.birthDate',
+      'structure Patient.nickname',
+    ]);
+  });
+
+  it('should enforce cardinality', () => {
+    const { issues } = validateResource({
+      resourceType: 'Observation',
+      status: 'final',
+      code: [LOINC_CREATININE],
+    });
+
+    expect(codes(issues)).toEqual(['structure Observation.code']);
+  });
+
+  it('should evaluate invariants', () => {
+    const { issues } = validateResource({
+      resourceType: 'Observation',
+      status: 'final',
+      code: LOINC_CREATININE,
+      valueQuantity: { value: 1.2, unit: 'mg/dL', system: 'http://unitsofmeasure.org', code: 'mg/dL' },
+      dataAbsentReason: { text: 'Sample hemolyzed' },
+    });
+
+    expect(issues).toHaveLength(1);
+    expect(issues[0].diagnostics).toMatch(/^Constraint obs-6 failed/);
+  });
+
+  it('should apply profiles claimed in meta.profile', () => {
+    const { valid, issues } = validateResource({
+      resourceType: 'Patient',
+      meta: { profile: [US_CORE_PATIENT] },
+      identifier: [{ value: '12345' }],
+      name: [{ family: 'Smith' }],
+    });
+
+    expect(valid).toBe(false);
+    expect(codes(issues)).toEqual([
+      'required Patient.identifier[0].system',
+      'required Patient.gender',
+    ]);
+  });
+
+  it('should reject requested profiles that are not loaded', () => {
+    const { valid, issues } = validateResource(
+      { resourceType: 'Patient' },
+      { profiles: ['http://example.org/StructureDefinition/unknown'] }
+    );
+
+    expect(valid).toBe(false);
+    expect(issues[0].code).toBe('not-supported');
+  });
+
+  it('should load additional profiles', () => {
+    registerProfile({
+      resourceType: 'StructureDefinition',
+      url: 'http://example.org/StructureDefinition/dated-condition',
+      type: 'Condition',
+      differential: { element: [{ path: 'Condition.recordedDate', min: 1 }] },
+    });
+
+    const { issues } = validateResource(
+      { resourceType: 'Condition', subject: { reference: 'Patient/p1' } },
+      { profiles: ['http://example.org/StructureDefinition/dated-condition'] }
+    );
+
+    expect(loadedProfiles()).toContain(US_CORE_PATIENT);
+    expect(codes(issues)).toEqual(['required Condition.recordedDate']);
+  });
+});
@@ -0,0 +1,137 @@
+// fhirXml.test.js
+import express from 'express';
+import request from 'supertest';
+import Patient from '../../models/Patient.js';
+import { fromXml, toXml } from '../../services/fhir/xml.js';
+import { negotiateFormat, XML_TYPES } from '../../middleware/fhirFormat.js';
+
+const patient = {
+  resourceType: 'Patient',
+  id: '123',
+  meta: { versionId: '2', lastUpdated: '2025-04-01T00:00:00.000Z' },
+  text: { status: 'generated', div: '<div xmlns="http://www.w3.org/1999/xhtml"><p>Jane &amp; <b>Doe</b></p></div>' },
+  contained: [{ resourceType: 'Organization', id: 'org', name: 'Clinic' }],
+  extension: [{ url: 'http://example.org/note', valueString: 'says "hi"\nthen leaves' }],
+  active: true,
+  name: [{ id: 'n1', family: 'Doe', given: ['Jane', 'Q'], _given: [null, { extension: [{ url: 'http://example.org/initial', valueBoolean: true }] }] }],
+  gender: 'female',
+  birthDate: '1980-02-03',
+  _birthDate: { id: 'bd', extension: [{ url: 'http://example.org/accuracy', valueCode: 'estimated' }] },
+  multipleBirthInteger: 2,
+  managingOrganization: { reference: '#org' },
+};
+
+describe('FHIR XML - Unit Tests', () => {
+  describe('toXml', () => {
+    it('should write elements in definition order with values as attributes', () => {
+      const xml = toXml({ resourceType: 'Patient', gender: 'female', id: '1', name: [{ family: 'Doe' }] });
+      expect(xml).toBe('<?xml version="1.0" encoding="UTF-8"?><Patient xmlns="http://hl7.org/fhir">'
+        + '<id value="1"/><name><family value="Doe"/></name><gender value="female"/></Patient>');
+    });
+
+    it('should write ids, extensions and url as attributes and wrap contained resources', () => {
+      const xml = toXml(patient);
+      expect(xml).toContain('<birthDate id="bd" value="1980-02-03"><extension url="http://example.org/accuracy"><valueCode value="estimated"/></extension></birthDate>');
+      expect(xml).toContain('<given value="Jane"/><given value="Q"><extension url="http://example.org/initial">');
+      expect(xml).toContain('<name id="n1">');
+      expect(xml).toContain('<contained><Organization><id value="org"/><name value="Clinic"/></Organization></contained>');
+      expect(xml).toContain('<valueString value="says &quot;hi&quot;&#10;then leaves"/>');
+      expect(xml).toContain('<div xmlns="http://www.w3.org/1999/xhtml"><p>Jane &amp; <b>Doe</b></p></div>');
+    });
+  });
+
+  describe('fromXml', () => {
+    it('should read back what toXml writes', () => {
+      expect(fromXml(toXml(patient, { pretty: true }))).toEqual(patient);
+    });
+
+    it('should use the definitions for arrays, numbers and booleans', () => {
+      const observation = fromXml(`<Observation xmlns="http://hl7.org/fhir">
+        <!-- a comment -->
+        <status value="final"/>
+        <code><coding><system value="http://loinc.org"/><code value="4548-4"/></coding></code>
+        <valueQuantity><value value="6.10"/><unit value="%"/></valueQuantity>
+        <component><code><text value="x"/></code><valueBoolean value="false"/></component>
+      </Observation>`);
+      expect(observation).toEqual({
+        resourceType: 'Observation',
+        status: 'final',
+        code: { coding: [{ system: 'http://loinc.org', code: '4548-4' }] },
+        valueQuantity: { value: 6.1, unit: '%' },
+        component: [{ code: { text: 'x' }, valueBoolean: false }],
+      });
+    });
+
+    it('should read transaction Bundles and Parameters', () => {
+      const bundle = {
+        resourceType: 'Bundle',
+        type: 'transaction',
+        entry: [{ fullUrl: 'urn:uuid:1', resource: { resourceType: 'Patient', gender: 'male' }, request: { method: 'POST', url: 'Patient' } }],
+      };
+      expect(fromXml(toXml(bundle))).toEqual(bundle);
+
+      const parameters = {
+        resourceType: 'Parameters',
+        parameter: [{ name: 'source-patient', valueReference: { reference: 'Patient/1' } }, { name: 'result', part: [{ name: 'count', valueInteger: 2 }] }],
+      };
+      expect(fromXml(toXml(parameters))).toEqual(parameters);
+    });
+
+    it('should refuse documents that are not FHIR resources', () => {
+      expect(() => fromXml('<Patient><id value="1"/></Patient>')).toThrow(/namespace/);
+      expect(() => fromXml('<!DOCTYPE x [<!ENTITY a "b">]><Patient xmlns="http://hl7.org/fhir"/>')).toThrow(/DOCTYPE/);
+      expect(() => fromXml('<Patient xmlns="http://hl7.org/fhir"><gender value="male"></Patient>')).toThrow(/end tag/);
+      expect(() => fromXml('<Patient xmlns="http://hl7.org/fhir"><active value="yes"/></Patient>')).toThrow(/Invalid boolean/);
+      expect(() => fromXml('<Patient xmlns="http://hl7.org/fhir"><gender value="male"/><gender value="female"/></Patient>')).toThrow(/cannot repeat/);
+    });
+  });
+
+  describe('storage', () => {
+    it('should keep narrative, extensions and primitive ids through the Patient schema', () => {
+      // The Patient schema has no multipleBirth
+      const { multipleBirthInteger, ...stored } = patient;
+      const { id, ...body } = fromXml(toXml(stored));
+      const saved = new Patient({ _id: id, ...body });
+      expect(fromXml(toXml(saved.toJSON()))).toEqual(stored);
+    });
+  });
+
+  describe('negotiateFormat', () => {
+    const app = express();
+    app.use(express.json({ type: ['application/json', 'application/fhir+json'] }));
+    app.use(express.text({ type: XML_TYPES }));
+    app.use(negotiateFormat);
+    app.get('/Patient/123', (req, res) => res.json(patient));
+    app.get('/status', (req, res) => res.json({ status: 'ok' }));
+    app.post('/Patient', (req, res) => res.status(201).json(req.body));
+
+    it('should answer in JSON by default', async () => {
+      const res = await request(app).get('/Patient/123');
+      expect(res.headers['content-type']).toMatch(/json/);
+      expect(res.body).toEqual(patient);
+    });
+
+    it('should answer in XML when Accept or _format asks for it', async () => {
+      const accepted = await request(app).get('/Patient/123').set('Accept', 'application/fhir+xml');
+      expect(accepted.headers['content-type']).toBe('application/fhir+xml; charset=utf-8');
+      expect(fromXml(accepted.text)).toEqual(patient);
+
+      const formatted = await request(app).get('/Patient/123?_format=xml').set('Accept', 'application/json');
+      expect(formatted.headers['content-type']).toMatch(/fhir\+xml/);
+    });
+
+    it('should leave non-resource payloads as JSON and refuse unknown formats', async () => {
+      expect((await request(app).get('/status?_format=xml')).body).toEqual({ status: 'ok' });
+      const res = await request(app).get('/Patient/123?_format=text/turtle');
+      expect(res.statusCode).toBe(406);
+    });
+
+    it('should read XML request bodies', async () => {
+      const res = await request(app)
+        .post('/Patient')
+        .set('Content-Type', 'application/fhir+xml')
+        .send('<Patient xmlns="http://hl7.org/fhir"><active value="true"/></Patient>');
+      expect(res.body).toEqual({ resourceType: 'Patient', active: true });
+    });
+  });
+});
@@ -0,0 +1,192 @@
+// hl7Parser.test.js
+import { jest } from '@jest/globals';
+
+const linkPatient = jest.fn(async (resource) => ({
+  patient: { toJSON: () => ({ ...resource, id: 'chart-1' }) },
+  created: false,
+  reviews: 0,
+}));
+const mergePatients = jest.fn(async (parameters) => ({
+  resourceType: 'Parameters',
+  parameter: [
+    { name: 'input', resource: parameters },
+    { name: 'result', resource: { resourceType: 'Patient', id: 'chart-1' } },
+  ],
+}));
+jest.unstable_mockModule('../../services/fhir/mpi.js', () => ({ linkPatient }));
+jest.unstable_mockModule('../../services/fhir/patientMerge.js', () => ({ mergePatients }));
+
+const { currentTenant } = await import('../../services/fhir/tenancy.js');
+const {
+  default: HL7Parser,
+  HL7_AGENT,
+  mapMrgToIdentifiers,
+  mapPidToPatient,
+  parseMessage,
+} = await import('../../services/fhir/hl7Parser.js');
+
+const MRN = 'urn:oid:2.16.840.1.113883.3.72';
+
+const message = (...segments) => segments.join('\r');
+const msh = (type, controlId) => `MSH|^~\\&|ADT1|STMARYS|UHRH|UHRH|20250406080000||${type}|${controlId}|P|2.5.1`;
+const segment = (name, fields) => [name, ...Array.from({ length: Math.max(...Object.keys(fields)) }, (_, i) => fields[i + 1] || '')].join('|');
+const pidWith = (identifiers) => segment('PID', {
+  1: '1',
+  3: identifiers,
+  5: 'Smith^Ann^Marie^^Dr',
+  7: '19800101',
+  8: 'F',
+  11: '1 Main St^Apt 2^Springfield^IL^62701^US^H',
+});
+const pid = pidWith('123^^^STMARYS&2.16.840.1.113883.3.72&ISO^MR~999-99-9999^^^SSA^SS');
+
+describe('HL7 parser - Unit Tests', () => {
+  beforeEach(() => {
+    linkPatient.mockClear();
+    mergePatients.mockClear();
+  });
+
+  describe('parseMessage', () => {
+    it('should read the type, control id and decode escape sequences', () => {
+      const parsed = parseMessage(message(msh('ADT^A01^ADT_A01', 'MSG1'), 'NTE|1||Fever \\T\\ chills\\F\\ cough'));
+      expect(parsed.type).toBe('ADT^A01');
+      expect(parsed.controlId).toBe('MSG1');
+      expect(parsed.segments[1].fields[3]).toEqual([[['Fever & chills| cough']]]);
+    });
+
+    it('should refuse anything that does not start with MSH', () => {
+      expect(() => parseMessage('PID|1||123')).toThrow(expect.objectContaining({ status: 400 }));
+    });
+  });
+
+  describe('mapping', () => {
+    it('should map PID to a Patient with the MRN first', () => {
+      const reversed = pidWith('999-99-9999^^^SSA^SS~123^^^STMARYS&2.16.840.1.113883.3.72&ISO^MR');
+      const [, parsed] = parseMessage(message(msh('ADT^A01', 'MSG1'), reversed)).segments;
+      expect(mapPidToPatient(parsed)).toEqual({
+        resourceType: 'Patient',
+        identifier: [
+          { use: 'usual', type: { coding: [{ system: 'http://terminology.hl7.org/CodeSystem/v2-0203', code: 'MR' }] }, system: MRN, value: '123' },
+          { type: { coding: [{ system: 'http://terminology.hl7.org/CodeSystem/v2-0203', code: 'SS' }] }, value: '999-99-9999' },
+        ],
+        name: [{ family: 'Smith', given: ['Ann', 'Marie'], prefix: ['Dr'] }],
+        birthDate: '1980-01-01',
+        gender: 'female',
+        address: [{ use: 'home', line: ['1 Main St', 'Apt 2'], city: 'Springfield', state: 'IL', postalCode: '62701', country: 'US' }],
+      });
+    });
+
+    it('should map MRG-1 to the prior identifiers', () => {
+      const [, mrg] = parseMessage(message(msh('ADT^A40', 'MSG1'), 'MRG|456^^^STMARYS&2.16.840.1.113883.3.72&ISO^MR')).segments;
+      expect(mapMrgToIdentifiers(mrg)).toEqual([
+        { use: 'usual', type: { coding: [{ system: 'http://terminology.hl7.org/CodeSystem/v2-0203', code: 'MR' }] }, system: MRN, value: '456' },
+      ]);
+    });
+  });
+
+  describe('parse', () => {
+    it('should merge the MRG patient into the PID patient for ADT^A40', async () => {
+      const parser = new HL7Parser();
+      const result = await parser.parse(message(
+        msh('ADT^A40^ADT_A39', 'MSG40'),
+        'EVN|A40|20250406080000',
+        pid,
+        'MRG|456^^^STMARYS&2.16.840.1.113883.3.72&ISO^MR',
+      ));
+
+      expect(mergePatients).toHaveBeenCalledTimes(1);
+      const [parameters, options] = mergePatients.mock.calls[0];
+      expect(options).toEqual({ agent: HL7_AGENT });
+      expect(parameters.parameter.map((p) => [p.name, p.valueIdentifier.system, p.valueIdentifier.value])).toEqual([
+        ['source-patient-identifier', MRN, '456'],
+        ['target-patient-identifier', MRN, '123'],
+      ]);
+      expect(result).toEqual({ status: 'processed', messageId: 'MSG40', resources: [{ resourceType: 'Patient', id: 'chart-1' }] });
+    });
+
+    it('should link the patient and map the visit for ADT^A01', async () => {
+      const parser = new HL7Parser();
+      const { resources } = await parser.parse(message(
+        msh('ADT^A01', 'MSG1'),
+        pid,
+        segment('PV1', {
+          1: '1',
+          2: 'I',
+          3: 'W3^301^A^STMARYS',
+          7: 'D100^House^Greg^^^Dr',
+          19: 'V2001^^^STMARYS^VN',
+          44: '20250406073000',
+        }),
+      ));
+
+      expect(linkPatient).toHaveBeenCalledWith(expect.objectContaining({ birthDate: '1980-01-01' }), {
+        source: 'hl7-adt',
+        agent: HL7_AGENT,
+      });
+      const [patient, encounter] = resources;
+      expect(patient.id).toBe('chart-1');
+      expect(encounter).toMatchObject({
+        resourceType: 'Encounter',
+        status: 'in-progress',
+        class: { code: 'IMP' },
+        subject: { reference: 'Patient/chart-1' },
+        participant: [{ individual: { identifier: { value: 'D100' }, display: 'Dr Greg House' } }],
+        location: [{ location: { display: 'STMARYS W3 301 A' } }],
+        period: { start: '2025-04-06T07:30:00Z' },
+      });
+    });
+
+    it('should map OBX results to Observations of the linked patient for ORU^R01', async () => {
+      const parser = new HL7Parser();
+      const { resources } = await parser.parse(message(
+        msh('ORU^R01', 'MSG2'),
+        pid,
+        'OBR|1|||24323-8^Metabolic panel^LN|||20250406080000',
+        'OBX|1|NM|2345-7^Glucose^LN||182|mg/dL^mg/dL^UCUM|70-99|H|||F',
+      ));
+
+      expect(resources[1]).toEqual({
+        resourceType: 'Observation',
+        status: 'final',
+        code: { coding: [{ system: 'http://loinc.org', code: '2345-7', display: 'Glucose' }] },
+        effectiveDateTime: '2025-04-06T08:00:00Z',
+        valueQuantity: { value: 182, unit: 'mg/dL', system: 'http://unitsofmeasure.org', code: 'mg/dL' },
+        referenceRange: [{
+          low: { value: 70, unit: 'mg/dL', system: 'http://unitsofmeasure.org', code: 'mg/dL' },
+          high: { value: 99, unit: 'mg/dL', system: 'http://unitsofmeasure.org', code: 'mg/dL' },
+        }],
+        interpretation: [{ coding: [{ system: 'http://terminology.hl7.org/CodeSystem/v3-ObservationInterpretation', code: 'H' }] }],
+        subject: { reference: 'Patient/chart-1' },
+      });
+    });
+
+    it('should link and merge patients in the feed\'s organization', async () => {
+      const tenants = [];
+      linkPatient.mockImplementationOnce(async (resource) => {
+        tenants.push(currentTenant());
+        return { patient: { toJSON: () => ({ ...resource, id: 'chart-1' }) }, created: true, reviews: 0 };
+      });
+      mergePatients.mockImplementationOnce(async () => {
+        tenants.push(currentTenant());
+        return { resourceType: 'Parameters', parameter: [{ name: 'result', resource: { resourceType: 'Patient', id: 'chart-1' } }] };
+      });
+
+      const parser = new HL7Parser({ organization: 'org-a' });
+      await parser.parse(message(msh('ADT^A04', 'MSG5'), pid));
+      await parser.parse(message(msh('ADT^A40', 'MSG6'), pid, 'MRG|456^^^STMARYS&2.16.840.1.113883.3.72&ISO^MR'));
+      expect(tenants).toEqual(['org-a', 'org-a']);
+    });
+
+    it('should answer a message seen before as a duplicate', async () => {
+      const parser = new HL7Parser();
+      const adt = message(msh('ADT^A04', 'MSG3'), pid);
+      await parser.parse(adt);
+      expect(await parser.parse(adt)).toEqual({ status: 'duplicate', messageId: 'MSG3' });
+      expect(linkPatient).toHaveBeenCalledTimes(1);
+    });
+
+    it('should refuse message types it does not handle', async () => {
+      await expect(new HL7Parser().parse(message(msh('ORM^O01', 'MSG4'), pid))).rejects.toMatchObject({ status: 400 });
+    });
+  });
+});
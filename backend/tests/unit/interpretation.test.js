@@ -0,0 +1,164 @@
+// interpretation.test.js
+import {
+  INTERPRETATION_SYSTEM,
+  ageInYears,
+  catalogEntry,
+  findRange,
+  interpret,
+  interpretObservation,
+  interpretationConcept,
+  isCritical,
+  referenceRange,
+  startCriticalResults,
+} from '../../services/fhir/interpretation.js';
+import { publishChange, resourceEvents } from '../../services/fhir/events.js';
+
+const LOINC = 'http://loinc.org';
+const UCUM = 'http://unitsofmeasure.org';
+
+const observation = (code, value, unit) => ({
+  resourceType: 'Observation',
+  status: 'final',
+  code: { coding: [{ system: LOINC, code }] },
+  effectiveDateTime: '2025-04-06T08:00:00Z',
+  valueQuantity: { value, unit, system: UCUM, code: unit },
+});
+
+describe('Observation Interpretation - Unit Tests', () => {
+  describe('ageInYears', () => {
+    it('should count whole years at the date of the result', () => {
+      expect(ageInYears('1980-04-12', '2025-04-11')).toBe(44);
+      expect(ageInYears('1980-04-12', '2025-04-12T09:00:00Z')).toBe(45);
+      expect(ageInYears('1980', '2025-04-12')).toBe(45);
+      expect(ageInYears(undefined, '2025-04-12')).toBeUndefined();
+    });
+  });
+
+  describe('findRange', () => {
+    const creatinine = catalogEntry({ coding: [{ system: LOINC, code: '2160-0' }] });
+
+    it('should pick the band for the patient sex and age', () => {
+      expect(findRange(creatinine, { sex: 'female', age: 45 })).toMatchObject({ low: 0.59, high: 1.04 });
+      expect(findRange(creatinine, { sex: 'male', age: 45 })).toMatchObject({ low: 0.74, high: 1.35 });
+      expect(findRange(creatinine, { sex: 'male', age: 10 })).toMatchObject({ low: 0.3, high: 0.7 });
+    });
+
+    it('should fall back to the catalog-wide band', () => {
+      expect(findRange(creatinine, {})).toMatchObject({ low: 0.59, high: 1.35 });
+    });
+
+    it('should only know LOINC codes in the catalog', () => {
+      expect(catalogEntry({ coding: [{ system: 'http://snomed.info/sct', code: '2160-0' }] })).toBeUndefined();
+      expect(catalogEntry({ coding: [{ system: LOINC, code: '0000-0' }] })).toBeUndefined();
+    });
+  });
+
+  describe('interpret', () => {
+    const range = { low: 3.5, high: 5.1 };
+    const critical = { low: 2.5, high: 6.5 };
+
+    it('should flag values against the range and critical limits', () => {
+      expect(interpret(4.2, range, critical)).toBe('N');
+      expect(interpret(3.1, range, critical)).toBe('L');
+      expect(interpret(5.6, range, critical)).toBe('H');
+      expect(interpret(2.1, range, critical)).toBe('LL');
+      expect(interpret(7.0, range, critical)).toBe('HH');
+    });
+
+    it('should handle one-sided ranges', () => {
+      expect(interpret(45, { low: 60 })).toBe('L');
+      expect(interpret(90, { low: 60 })).toBe('N');
+      expect(interpret(90, {})).toBeUndefined();
+    });
+  });
+
+  describe('referenceRange', () => {
+    it('should describe a band as an Observation.referenceRange', () => {
+      const range = referenceRange({ unit: 'mg/dL' }, { sex: 'female', low: 0.59, high: 1.04 });
+      expect(range.low).toEqual({ value: 0.59, unit: 'mg/dL', system: UCUM, code: 'mg/dL' });
+      expect(range.high.value).toBe(1.04);
+      expect(range.appliesTo[0].coding[0].code).toBe('female');
+      expect(range.text).toBe('0.59-1.04 mg/dL');
+      expect(referenceRange({ unit: 'mg/g' }, { high: 30 }).text).toBe('<=30 mg/g');
+    });
+  });
+
+  describe('interpretObservation', () => {
+    it('should fill in the range and flag of a result', async () => {
+      const resource = observation('2823-3', 5.6, 'mmol/L');
+      await interpretObservation(resource);
+      expect(resource.referenceRange[0].text).toBe('3.5-5.1 mmol/L');
+      expect(resource.interpretation).toEqual([interpretationConcept('H')]);
+    });
+
+    it('should judge results against the range in the catalog unit', async () => {
+      // 900 umol/L of creatinine is about 10.2 mg/dL
+      const resource = observation('14682-9', 900, 'umol/L');
+      await interpretObservation(resource);
+      expect(resource.referenceRange[0].low.code).toBe('mg/dL');
+      expect(resource.interpretation[0].coding[0]).toEqual({ system: INTERPRETATION_SYSTEM, code: 'HH', display: 'Critical high' });
+    });
+
+    it('should keep what the sender gave and flag against their range', async () => {
+      const resource = {
+        ...observation('2345-7', 105, 'mg/dL'),
+        referenceRange: [{ low: { value: 70, unit: 'mg/dL' }, high: { value: 110, unit: 'mg/dL' } }],
+      };
+      await interpretObservation(resource);
+      expect(resource.referenceRange).toHaveLength(1);
+      expect(resource.referenceRange[0].high.value).toBe(110);
+      expect(resource.interpretation[0].coding[0].code).toBe('N');
+
+      const flagged = { ...observation('2345-7', 300, 'mg/dL'), interpretation: [{ text: 'see note' }] };
+      await interpretObservation(flagged);
+      expect(flagged.interpretation).toEqual([{ text: 'see note' }]);
+    });
+
+    it('should leave results it cannot judge alone', async () => {
+      const unknown = observation('0000-0', 1, 'mg/dL');
+      await interpretObservation(unknown);
+      expect(unknown.referenceRange).toBeUndefined();
+      expect(unknown.interpretation).toBeUndefined();
+
+      const incommensurable = observation('2823-3', 4, 'mg/dL');
+      await interpretObservation(incommensurable);
+      expect(incommensurable.interpretation).toBeUndefined();
+    });
+  });
+
+  describe('critical results', () => {
+    let stop;
+    const events = [];
+    const listener = (event) => events.push(event);
+
+    beforeEach(() => {
+      events.length = 0;
+      stop = startCriticalResults();
+      resourceEvents.on('critical-result', listener);
+    });
+    afterEach(() => {
+      stop();
+      resourceEvents.off('critical-result', listener);
+    });
+
+    it('should announce new critical Observations', () => {
+      const resource = {
+        ...observation('2823-3', 7.0, 'mmol/L'),
+        subject: { reference: 'Patient/123' },
+        interpretation: [interpretationConcept('HH')],
+      };
+      expect(isCritical(resource)).toBe(true);
+
+      publishChange({ resourceType: 'Observation', id: 'o1', versionId: '1', method: 'POST', resource });
+      publishChange({ resourceType: 'Observation', id: 'o1', versionId: '2', method: 'PUT', resource });
+      expect(events).toHaveLength(1);
+      expect(events[0]).toMatchObject({ id: 'o1', subject: 'Patient/123', interpretation: 'HH' });
+    });
+
+    it('should stay quiet for other results', () => {
+      const resource = { ...observation('2823-3', 5.6, 'mmol/L'), interpretation: [interpretationConcept('H')] };
+      publishChange({ resourceType: 'Observation', id: 'o2', versionId: '1', method: 'POST', resource });
+      expect(events).toHaveLength(0);
+    });
+  });
+});
@@ -0,0 +1,45 @@
+// jsonPatch.test.js
+import { applyPatch } from '../../services/fhir/jsonPatch.js';
+import { parseEtag } from '../../services/fhir/headers.js';
+
+describe('FHIR PATCH and ETags - Unit Tests', () => {
+  const patient = {
+    resourceType: 'Patient',
+    id: 'p1',
+    name: [{ family: 'Doe', given: ['Jane'] }],
+    telecom: [{ system: 'phone', value: '555-0100' }],
+  };
+
+  describe('applyPatch', () => {
+    it('should apply add, replace and remove without mutating the input', () => {
+      const result = applyPatch(patient, [
+        { op: 'replace', path: '/name/0/family', value: 'Smith' },
+        { op: 'add', path: '/name/0/given/-', value: 'Ann' },
+        { op: 'remove', path: '/telecom' },
+      ]);
+
+      expect(result.name[0]).toEqual({ family: 'Smith', given: ['Jane', 'Ann'] });
+      expect(result.telecom).toBeUndefined();
+      expect(patient.name[0].family).toBe('Doe');
+    });
+
+    it('should fail with 422 when a test operation does not match', () => {
+      expect(() => applyPatch(patient, [{ op: 'test', path: '/name/0/family', value: 'Smith' }]))
+        .toThrow(expect.objectContaining({ status: 422 }));
+    });
+
+    it('should reject a body that is not an array', () => {
+      expect(() => applyPatch(patient, { op: 'remove', path: '/name' }))
+        .toThrow(expect.objectContaining({ status: 400 }));
+    });
+  });
+
+  describe('parseEtag', () => {
+    it('should accept weak, quoted and bare versions', () => {
+      expect(parseEtag('W/"3"')).toBe('3');
+      expect(parseEtag('"3"')).toBe('3');
+      expect(parseEtag('3')).toBe('3');
+      expect(parseEtag(undefined)).toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,120 @@
+// mpi.test.js
+import {
+  MATCH_GRADE_EXTENSION,
+  matchGrade,
+  patientIndex,
+  scoreMatch,
+  soundex,
+} from '../../services/fhir/patientMatching.js';
+import { findMatches } from '../../services/fhir/mpi.js';
+import { matchBundle } from '../../services/fhir/bundle.js';
+
+const MRN = 'http://st-marys.example.org/mrn';
+
+const jane = {
+  resourceType: 'Patient',
+  identifier: [{ system: MRN, value: '1001' }],
+  name: [{ family: 'Smith', given: ['Jane'] }],
+  gender: 'female',
+  birthDate: '1980-04-12',
+  address: [{ line: ['12 High Street'], postalCode: '02139' }],
+  telecom: [{ system: 'phone', value: '(617) 555-0100' }],
+};
+
+describe('Master Patient Index - Unit Tests', () => {
+  describe('soundex', () => {
+    it('should code names that sound alike the same', () => {
+      expect(soundex('Robert')).toBe('R163');
+      expect(soundex('Rupert')).toBe('R163');
+      expect(soundex('Smith')).toBe(soundex('Smyth'));
+      expect(soundex('Ashcraft')).toBe('A261');
+      expect(soundex('Tymczak')).toBe('T522');
+    });
+
+    it('should ignore accents and punctuation', () => {
+      expect(soundex("O'Brien")).toBe(soundex('OBrien'));
+      expect(soundex('Müller')).toBe(soundex('Muller'));
+      expect(soundex('')).toBe('');
+    });
+  });
+
+  describe('scoreMatch', () => {
+    it('should grade a shared identifier with matching demographics as certain', () => {
+      const { score, grade, reasons } = scoreMatch(jane, structuredClone(jane));
+
+      expect(score).toBe(1);
+      expect(grade).toBe('certain');
+      expect(reasons).toEqual(expect.arrayContaining(['identifier', 'family', 'given', 'birthDate', 'telecom']));
+    });
+
+    it('should grade a phonetic name with the same birth date and phone as probable', () => {
+      const other = {
+        resourceType: 'Patient',
+        name: [{ family: 'Smyth', given: ['Jayne'] }],
+        gender: 'female',
+        birthDate: '1980-04-12',
+        telecom: [{ system: 'phone', value: '+1 617 555 0100' }],
+        address: [{ postalCode: '02139-4307' }],
+      };
+      const { grade, reasons } = scoreMatch(jane, other);
+
+      expect(grade).toBe('probable');
+      expect(reasons).toEqual(expect.arrayContaining(['family-phonetic', 'given-phonetic', 'telecom', 'postalCode']));
+    });
+
+    it('should give partial credit for a swapped day and month', () => {
+      const other = { ...jane, identifier: [], telecom: [], address: [], birthDate: '1980-12-04' };
+
+      expect(scoreMatch(jane, other).reasons).toContain('birthDate-partial');
+      expect(scoreMatch(jane, other).grade).toBe('possible');
+    });
+
+    it('should count conflicting identifiers, birth dates and genders against a match', () => {
+      const other = { ...jane, identifier: [{ system: MRN, value: '2002' }], birthDate: '1955-01-30', gender: 'male' };
+      const { grade, reasons } = scoreMatch(jane, other);
+
+      expect(reasons).toEqual(expect.arrayContaining(['identifier-conflict', 'birthDate-conflict', 'gender-conflict']));
+      expect(grade).toBe('certainly-not');
+    });
+
+    it('should map scores onto match grades', () => {
+      expect(matchGrade(0.8)).toBe('certain');
+      expect(matchGrade(0.65)).toBe('probable');
+      expect(matchGrade(0.4)).toBe('possible');
+      expect(matchGrade(0.39)).toBe('certainly-not');
+    });
+  });
+
+  describe('patientIndex', () => {
+    it('should keep Soundex codes and normalized telecoms as blocking keys', () => {
+      expect(patientIndex(jane)).toEqual({ familySoundex: ['S530'], telecom: ['6175550100'] });
+    });
+  });
+
+  describe('findMatches', () => {
+    it('should reject resources with nothing to match on', async () => {
+      await expect(findMatches({ resourceType: 'Patient', gender: 'female' }))
+        .rejects.toMatchObject({ status: 400 });
+      await expect(findMatches({ resourceType: 'Observation' }))
+        .rejects.toMatchObject({ status: 400 });
+    });
+  });
+
+  describe('matchBundle', () => {
+    it('should carry the score and match grade on each entry', () => {
+      const bundle = matchBundle({
+        baseUrl: 'http://localhost/api/fhir',
+        matches: [{ resource: { ...jane, id: 'p1' }, score: 0.92, grade: 'certain' }],
+        gradeExtension: MATCH_GRADE_EXTENSION,
+      });
+
+      expect(bundle.total).toBe(1);
+      expect(bundle.entry[0].fullUrl).toBe('http://localhost/api/fhir/Patient/p1');
+      expect(bundle.entry[0].search).toEqual({
+        extension: [{ url: MATCH_GRADE_EXTENSION, valueCode: 'certain' }],
+        mode: 'match',
+        score: 0.92,
+      });
+    });
+  });
+});
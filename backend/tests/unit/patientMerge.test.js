@@ -0,0 +1,144 @@
+// patientMerge.test.js
+import {
+  lifecycleProvenance,
+  mergeResult,
+  mergedPatients,
+  parseMergeParameters,
+  unmergedPatients,
+} from '../../services/fhir/patientMerge.js';
+
+const MRN = 'http://st-marys.example.org/mrn';
+
+const source = {
+  resourceType: 'Patient',
+  id: 'dup',
+  meta: { versionId: '2' },
+  identifier: [{ system: MRN, value: '2002' }, { system: 'urn:ssn', value: '123-45-6789' }],
+  active: true,
+  name: [{ family: 'Smith', given: ['Jane'] }],
+};
+
+const target = {
+  resourceType: 'Patient',
+  id: 'keep',
+  meta: { versionId: '5' },
+  identifier: [{ system: MRN, value: '1001' }, { system: 'urn:ssn', value: '123-45-6789' }],
+  active: true,
+  name: [{ family: 'Smith', given: ['Jane', 'A'] }],
+};
+
+const parameters = (...parameter) => ({ resourceType: 'Parameters', parameter });
+
+describe('Patient Merge - Unit Tests', () => {
+  describe('parseMergeParameters', () => {
+    it('should read patients by reference or identifier', () => {
+      const request = parseMergeParameters(parameters(
+        { name: 'source-patient', valueReference: { reference: 'Patient/dup' } },
+        { name: 'target-patient-identifier', valueIdentifier: { system: MRN, value: '1001' } },
+        { name: 'preview', valueBoolean: true },
+      ));
+      expect(request.source).toEqual({ reference: 'Patient/dup', identifier: [] });
+      expect(request.target).toEqual({ reference: undefined, identifier: [{ system: MRN, value: '1001' }] });
+      expect(request.preview).toBe(true);
+      expect(request.deleteSource).toBe(false);
+    });
+
+    it('should reject input without a source or target', () => {
+      expect(() => parseMergeParameters(parameters(
+        { name: 'source-patient', valueReference: { reference: 'Patient/dup' } },
+      ))).toThrow(/target-patient/);
+      expect(() => parseMergeParameters({ resourceType: 'Patient' })).toThrow(/Parameters/);
+    });
+
+    it('should reject references to other resource types', () => {
+      expect(() => parseMergeParameters(parameters(
+        { name: 'source-patient', valueReference: { reference: 'Observation/1' } },
+        { name: 'target-patient', valueReference: { reference: 'Patient/keep' } },
+      ))).toThrow(/must reference a Patient/);
+    });
+  });
+
+  describe('mergedPatients', () => {
+    it('should add the source identifiers to the target as old identifiers', () => {
+      const { target: merged, addedIdentifiers } = mergedPatients(source, target);
+      expect(addedIdentifiers).toEqual([{ system: MRN, value: '2002', use: 'old' }]);
+      expect(merged.identifier).toHaveLength(3);
+      expect(merged.name).toEqual(target.name);
+    });
+
+    it('should link the patients and retire the source', () => {
+      const merged = mergedPatients(source, target);
+      expect(merged.target.link).toEqual([{ other: { reference: 'Patient/dup' }, type: 'replaces' }]);
+      expect(merged.source.link).toEqual([{ other: { reference: 'Patient/keep' }, type: 'replaced-by' }]);
+      expect(merged.source.active).toBe(false);
+      expect(source.active).toBe(true);
+    });
+
+    it('should use a result-patient as given', () => {
+      const resultPatient = { resourceType: 'Patient', name: [{ family: 'Smith-Jones' }] };
+      const merged = mergedPatients(source, target, resultPatient);
+      expect(merged.target.id).toBe('keep');
+      expect(merged.target.name).toEqual([{ family: 'Smith-Jones' }]);
+      expect(merged.addedIdentifiers).toEqual([]);
+      expect(() => mergedPatients(source, target, { ...resultPatient, id: 'other' })).toThrow(/result-patient/);
+    });
+  });
+
+  describe('unmergedPatients', () => {
+    const merged = mergedPatients(source, target);
+    const record = { source: 'dup', target: 'keep', addedIdentifiers: merged.addedIdentifiers, sourceBefore: source };
+
+    it('should take back what the merge added', () => {
+      const { source: restored, target: separated } = unmergedPatients(merged.source, merged.target, record);
+      expect(separated.identifier).toEqual(target.identifier);
+      expect(separated.link).toEqual([]);
+      expect(restored.link).toEqual([]);
+      expect(restored.active).toBe(true);
+    });
+
+    it('should keep links that were not made by the merge', () => {
+      const linked = { ...merged.target, link: [...merged.target.link, { other: { reference: 'Patient/dup' }, type: 'seealso' }] };
+      expect(unmergedPatients(merged.source, linked, record).target.link)
+        .toEqual([{ other: { reference: 'Patient/dup' }, type: 'seealso' }]);
+    });
+
+    it('should restore a deleted source from the record', () => {
+      const { source: restored } = unmergedPatients(undefined, merged.target, record);
+      expect(restored.id).toBe('dup');
+      expect(restored.identifier).toEqual(source.identifier);
+    });
+  });
+
+  describe('lifecycleProvenance', () => {
+    it('should record the activity, versions written and agent', () => {
+      const provenance = lifecycleProvenance('merge', {
+        targets: ['Patient/keep/_history/6', 'Observation/1/_history/2'],
+        entity: 'Patient/dup/_history/2',
+        agent: { who: 'hl7-adt', source: 'hl7' },
+      });
+      expect(provenance.target).toEqual([
+        { reference: 'Patient/keep/_history/6' },
+        { reference: 'Observation/1/_history/2' },
+      ]);
+      expect(provenance.activity.coding[0].code).toBe('merge');
+      expect(provenance.agent[0].who).toEqual({ display: 'hl7-adt' });
+      expect(provenance.entity).toEqual([{ role: 'source', what: { reference: 'Patient/dup/_history/2' } }]);
+      expect(Number.isNaN(Date.parse(provenance.recorded))).toBe(false);
+    });
+  });
+
+  describe('mergeResult', () => {
+    it('should return the input, an outcome and the target', () => {
+      const input = parameters({ name: 'source-patient', valueReference: { reference: 'Patient/dup' } });
+      const result = mergeResult(input, { source, target, moved: [{ resourceType: 'Observation', id: '1' }], provenance: 'p1' });
+      expect(result.parameter.map((p) => p.name)).toEqual(['input', 'outcome', 'result']);
+      expect(result.parameter[1].resource.issue[0].diagnostics).toMatch(/moved 1 resources from Patient\/dup to Patient\/keep/);
+      expect(result.parameter[2].resource.id).toBe('keep');
+    });
+
+    it('should describe a preview without a Provenance', () => {
+      const result = mergeResult(parameters(), { source, target, moved: [], preview: true });
+      expect(result.parameter[1].resource.issue[0].diagnostics).toBe('Merging Patient/dup into Patient/keep would move 0 resources');
+    });
+  });
+});
@@ -0,0 +1,71 @@
+// provenance.test.js
+import {
+  DATA_OPERATION,
+  SOURCE_SYSTEM,
+  USER_ROLE,
+  provenanceAgents,
+  writeProvenance,
+} from '../../services/fhir/provenance.js';
+import fhirRoutes from '../../routes/fhir/fhir.js';
+
+const change = {
+  resourceType: 'Patient',
+  id: '123',
+  versionId: '4',
+  method: 'PUT',
+  lastUpdated: new Date('2025-04-06T08:00:00Z'),
+};
+
+describe('Provenance - Unit Tests', () => {
+  describe('writeProvenance', () => {
+    it('should target the version written', () => {
+      const provenance = writeProvenance(change, { who: 'dr.jones@example.org', role: 'Doctor', source: 'api' });
+      expect(provenance.target).toEqual([{ reference: 'Patient/123/_history/4' }]);
+      expect(provenance.recorded).toBe('2025-04-06T08:00:00.000Z');
+      expect(provenance.activity.coding[0]).toEqual({ system: DATA_OPERATION, code: 'UPDATE', display: 'revise' });
+    });
+
+    it('should name the activity of creates and deletes, with the reason', () => {
+      expect(writeProvenance({ ...change, method: 'POST' }).activity.coding[0].code).toBe('CREATE');
+      const deletion = writeProvenance({ ...change, method: 'DELETE', reason: 'Registered twice' });
+      expect(deletion.activity.coding[0].code).toBe('DELETE');
+      expect(deletion.reason).toEqual([{ text: 'Registered twice' }]);
+    });
+  });
+
+  describe('provenanceAgents', () => {
+    it('should record the user, role and whom they acted for', () => {
+      const [author] = provenanceAgents({ who: 'nurse@example.org', role: 'Doctor', onBehalfOf: 'Organization/st-marys' });
+      expect(author.type.coding[0].code).toBe('author');
+      expect(author.role[0].coding[0]).toEqual({ system: USER_ROLE, code: 'Doctor' });
+      expect(author.who).toEqual({ display: 'nurse@example.org' });
+      expect(author.onBehalfOf).toEqual({ reference: 'Organization/st-marys' });
+      expect(provenanceAgents({ onBehalfOf: 'Dr. Smith' })[0].onBehalfOf).toEqual({ display: 'Dr. Smith' });
+    });
+
+    it('should record the source system the write came through', () => {
+      const [, assembler] = provenanceAgents({ who: 'hl7-adt', source: 'hl7' });
+      expect(assembler.role[0].coding[0]).toEqual({ system: SOURCE_SYSTEM, code: 'hl7', display: 'HL7 v2 interface' });
+      expect(assembler.who).toEqual({ type: 'Device', display: 'HL7 v2 interface' });
+      expect(provenanceAgents({ source: 'import', system: 'legacy-emr' })[1].who.display).toBe('legacy-emr');
+    });
+
+    it('should attribute writes without an agent to the server', () => {
+      const [author, assembler] = provenanceAgents();
+      expect(author.who).toEqual({ display: 'system' });
+      expect(assembler.role[0].coding[0].code).toBe('system');
+    });
+  });
+
+  describe('routes', () => {
+    const methods = (path) => fhirRoutes.stack
+      .filter((layer) => layer.route?.path === path)
+      .flatMap((layer) => Object.keys(layer.route.methods));
+
+    it('should only mount reads for Provenance', () => {
+      expect(methods('/Provenance')).toEqual(['get']);
+      expect(methods('/Provenance/:id')).toEqual(['get']);
+      expect(methods('/Condition/:id')).toEqual(['get', 'patch', 'put', 'delete']);
+    });
+  });
+});
@@ -0,0 +1,144 @@
+// resourceStore.test.js
+import Patient from '../../models/Patient.js';
+import Provenance from '../../models/Provenance.js';
+import {
+  createResource,
+  deleteResource,
+  history,
+  readResource,
+  readVersion,
+  updateResource,
+} from '../../services/fhir/resourceStore.js';
+import { runInTenant } from '../../services/fhir/tenancy.js';
+import { useMemoryStore } from '../support/memoryStore.js';
+
+const store = useMemoryStore();
+
+const patient = (family) => ({ resourceType: 'Patient', name: [{ family, given: ['Ann'] }] });
+
+// A patient written as three versions: Smith, Jones, Brown
+async function threeVersions() {
+  const created = await createResource(Patient, patient('Smith'));
+  await updateResource(Patient, created.id, patient('Jones'));
+  await updateResource(Patient, created.id, patient('Brown'));
+  return created.id;
+}
+
+describe('Resource store - Unit Tests', () => {
+  const inTenant = (fn) => () => runInTenant('org-a', fn);
+
+  describe('versions', () => {
+    it('should start at version 1 and bump it on every update', inTenant(async () => {
+      const created = await createResource(Patient, patient('Smith'));
+      expect(created.meta.versionId).toBe('1');
+
+      const { resource, created: isNew } = await updateResource(Patient, created.id, patient('Jones'));
+      expect(isNew).toBe(false);
+      expect(resource.meta.versionId).toBe('2');
+      expect(resource.meta.lastUpdated.getTime()).toBeGreaterThanOrEqual(created.meta.lastUpdated.getTime());
+
+      const current = await readResource(Patient, created.id);
+      expect(current.meta.versionId).toBe('2');
+      expect(current.name[0].family).toBe('Jones');
+      expect(store.documents(Provenance)).toHaveLength(2);
+    }));
+
+    it('should create the resource when an update names an unused id', inTenant(async () => {
+      const { resource, created } = await updateResource(Patient, 'new-id', patient('Smith'));
+      expect(created).toBe(true);
+      expect(resource).toMatchObject({ id: 'new-id', meta: { versionId: '1' } });
+    }));
+
+    it('should continue the history when a deleted id is written again', inTenant(async () => {
+      const id = await threeVersions();
+      await deleteResource(Patient, id);
+      const { resource } = await updateResource(Patient, id, patient('Green'));
+      expect(resource.meta.versionId).toBe('5');
+    }));
+  });
+
+  describe('readVersion', () => {
+    it('should read every earlier version as it was written', inTenant(async () => {
+      const id = await threeVersions();
+      const families = await Promise.all(['1', '2', '3'].map(async (versionId) => {
+        const { resource } = await readVersion(Patient, id, versionId);
+        return [resource.meta.versionId, resource.name[0].family];
+      }));
+      expect(families).toEqual([['1', 'Smith'], ['2', 'Jones'], ['3', 'Brown']]);
+    }));
+
+    it('should answer 404 for unknown versions and 410 for the deletion', inTenant(async () => {
+      const id = await threeVersions();
+      await expect(readVersion(Patient, id, '9')).rejects.toMatchObject({ status: 404 });
+      await deleteResource(Patient, id);
+      await expect(readVersion(Patient, id, '4')).rejects.toMatchObject({ status: 410 });
+      await expect(readVersion(Patient, id, '3')).resolves.toMatchObject({ method: 'PUT' });
+      await expect(readResource(Patient, id)).rejects.toMatchObject({ status: 410 });
+    }));
+
+    it('should not read versions of another tenant', async () => {
+      const id = await runInTenant('org-a', threeVersions);
+      await runInTenant('org-b', async () => {
+        await expect(readVersion(Patient, id, '1')).rejects.toMatchObject({ status: 404 });
+      });
+    });
+  });
+
+  describe('history', () => {
+    it('should page through the versions newest first', inTenant(async () => {
+      const id = await threeVersions();
+      const first = await history(Patient, { id, count: 2, offset: 0 });
+      expect(first.total).toBe(3);
+      expect(first.versions.map((v) => v.versionId)).toEqual([3, 2]);
+
+      const second = await history(Patient, { id, count: 2, offset: 2 });
+      expect(second.total).toBe(3);
+      expect(second.versions.map((v) => v.versionId)).toEqual([1]);
+      expect(second.versions[0].resource.name[0].family).toBe('Smith');
+    }));
+
+    it('should cover every resource of the type and honor _since', inTenant(async () => {
+      await threeVersions();
+      const other = await createResource(Patient, patient('Grey'));
+      const all = await history(Patient, { count: 10, offset: 0 });
+      expect(all.total).toBe(4);
+
+      const since = await history(Patient, { since: other.meta.lastUpdated.toISOString(), count: 10, offset: 0 });
+      expect(since.versions.map((v) => v.resourceId)).toContain(other.id);
+      expect(since.versions.every((v) => v.lastUpdated >= other.meta.lastUpdated)).toBe(true);
+      await expect(history(Patient, { since: 'yesterday', count: 10, offset: 0 })).rejects.toMatchObject({ status: 400 });
+    }));
+
+    it('should answer 404 for an id that never existed', inTenant(async () => {
+      await expect(history(Patient, { id: 'missing', count: 10, offset: 0 })).rejects.toMatchObject({ status: 404 });
+    }));
+  });
+
+  describe('optimistic locking', () => {
+    it('should refuse an If-Match that is not the current version', inTenant(async () => {
+      const id = await threeVersions();
+      await expect(updateResource(Patient, id, patient('White'), { ifMatch: '2' }))
+        .rejects.toMatchObject({ status: 412 });
+      const { resource } = await updateResource(Patient, id, patient('White'), { ifMatch: '3' });
+      expect(resource.meta.versionId).toBe('4');
+    }));
+
+    it('should refuse If-Match on an id that does not exist', inTenant(async () => {
+      await expect(updateResource(Patient, 'missing', patient('White'), { ifMatch: '1' }))
+        .rejects.toMatchObject({ status: 412 });
+    }));
+
+    it('should let only one of two concurrent updates of a version through', inTenant(async () => {
+      const { id } = await createResource(Patient, patient('Smith'));
+      const results = await Promise.allSettled([
+        updateResource(Patient, id, patient('Jones')),
+        updateResource(Patient, id, patient('Brown')),
+      ]);
+      expect(results.map((r) => r.status).sort()).toEqual(['fulfilled', 'rejected']);
+      expect(results.find((r) => r.status === 'rejected').reason).toMatchObject({ status: 409 });
+
+      const { versions } = await history(Patient, { id, count: 10, offset: 0 });
+      expect(versions.map((v) => v.versionId)).toEqual([2, 1]);
+    }));
+  });
+});
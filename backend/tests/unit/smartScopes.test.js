@@ -0,0 +1,161 @@
+// smartScopes.test.js
+import {
+  authorizeAccess,
+  compartmentFilter,
+  grantableScopes,
+  inCompartment,
+  limitToPatient,
+  parseScopes,
+  requiredAccess,
+  scopeGrant,
+} from '../../services/fhir/smartScopes.js';
+import { clientCredentials, pkceChallenge, smartConfiguration } from '../../services/fhir/smart.js';
+
+describe('SMART on FHIR - Unit Tests', () => {
+  describe('parseScopes', () => {
+    it('should read v2 and v1 resource scopes', () => {
+      const { resources, other } = parseScopes('patient/Observation.rs user/*.write launch/patient openid');
+      expect(resources).toEqual([
+        { context: 'patient', resourceType: 'Observation', permissions: 'rs', scope: 'patient/Observation.rs' },
+        { context: 'user', resourceType: '*', permissions: 'cud', scope: 'user/*.write' },
+      ]);
+      expect(other).toEqual(['launch/patient', 'openid']);
+    });
+
+    it('should not grant anything for scopes narrowed by search parameters', () => {
+      expect(parseScopes('patient/Observation.rs?category=laboratory').resources).toEqual([]);
+    });
+  });
+
+  describe('grantableScopes', () => {
+    const allowed = 'patient/*.rs user/Observation.cruds launch launch/patient offline_access';
+
+    it('should keep what the client registration allows', () => {
+      expect(grantableScopes('patient/Condition.r user/Observation.rs user/Patient.rs launch/patient openid', allowed, { role: 'Doctor' }))
+        .toBe('patient/Condition.r user/Observation.rs launch/patient');
+    });
+
+    it('should only grant patient scopes to patients and never system scopes', () => {
+      expect(grantableScopes('user/Observation.rs patient/Observation.rs', allowed, { role: 'Patient' }))
+        .toBe('patient/Observation.rs');
+      expect(grantableScopes('system/*.rs', 'system/*.rs', { role: 'Admin' })).toBe('');
+    });
+  });
+
+  describe('scopeGrant', () => {
+    it('should prefer user access over the patient compartment', () => {
+      expect(scopeGrant('patient/*.rs user/Observation.rs', 'Observation', 'r')).toBe('user');
+      expect(scopeGrant('patient/*.rs user/Observation.rs', 'Condition', 's')).toBe('patient');
+      expect(scopeGrant('patient/*.rs', 'Condition', 'u')).toBeUndefined();
+    });
+  });
+
+  describe('requiredAccess', () => {
+    it('should leave metadata, discovery and authorization open', () => {
+      expect(requiredAccess('GET', '/metadata')).toBeNull();
+      expect(requiredAccess('GET', '/.well-known/smart-configuration')).toBeNull();
+      expect(requiredAccess('POST', '/auth/token')).toBeNull();
+    });
+
+    it('should map interactions to permissions', () => {
+      expect(requiredAccess('GET', '/Observation', { query: { patient: '1' } }))
+        .toEqual({ needs: [{ resourceType: 'Observation', permission: 's' }], resourceType: 'Observation' });
+      expect(requiredAccess('DELETE', '/patients/1'))
+        .toEqual({ needs: [{ resourceType: 'Patient', permission: 'd' }], resourceType: 'Patient', id: '1' });
+      expect(requiredAccess('GET', '/Patient/1/$everything').needs).toEqual([{ resourceType: '*', permission: 'r' }]);
+      expect(requiredAccess('GET', '/Patient/1/Observation'))
+        .toEqual({ needs: [{ resourceType: 'Observation', permission: 's' }], resourceType: 'Observation', compartment: '1' });
+    });
+
+    it('should need user scopes for bulk data, history and Bundles', () => {
+      expect(requiredAccess('GET', '/$export', { query: { _type: 'Patient,Observation' } })).toEqual({
+        needs: [{ resourceType: 'Patient', permission: 's' }, { resourceType: 'Observation', permission: 's' }],
+        userLevel: true,
+      });
+      expect(requiredAccess('GET', '/Observation/_history').userLevel).toBe(true);
+      const bundle = {
+        resourceType: 'Bundle',
+        type: 'transaction',
+        entry: [
+          { request: { method: 'POST', url: 'Observation' } },
+          { request: { method: 'DELETE', url: 'Condition/2' } },
+        ],
+      };
+      expect(requiredAccess('POST', '/', { body: bundle })).toEqual({
+        needs: [{ resourceType: 'Observation', permission: 'c' }, { resourceType: 'Condition', permission: 'd' }],
+        userLevel: true,
+      });
+    });
+  });
+
+  describe('authorizeAccess', () => {
+    const token = { scope: 'launch/patient patient/*.rs', patient: '123' };
+
+    it('should limit patient scopes to the patient in context', () => {
+      expect(authorizeAccess(token, requiredAccess('GET', '/Observation'))).toBe('123');
+      expect(authorizeAccess(token, requiredAccess('GET', '/Patient/123'))).toBe('123');
+      expect(() => authorizeAccess(token, requiredAccess('GET', '/Patient/456'))).toThrow(/Patient\/123/);
+      expect(authorizeAccess(token, requiredAccess('GET', '/Patient/123/Condition'))).toBe('123');
+      expect(() => authorizeAccess(token, requiredAccess('GET', '/Patient/456/Condition'))).toThrow(/Patient\/123/);
+    });
+
+    it('should refuse what the scopes do not allow', () => {
+      expect(() => authorizeAccess(token, requiredAccess('PUT', '/Observation/1'))).toThrow(/'u' on Observation/);
+      expect(() => authorizeAccess(token, requiredAccess('GET', '/$export'))).toThrow(/user-level/);
+      const bundle = { entry: [{ request: { method: 'GET', url: 'Observation?patient=456' } }] };
+      expect(() => authorizeAccess(token, requiredAccess('POST', '/', { body: bundle }))).toThrow(/user-level/);
+      expect(() => authorizeAccess(token, requiredAccess('GET', '/Provenance'))).toThrow(/outside a patient's compartment/);
+      expect(() => authorizeAccess({ scope: 'patient/*.rs' }, requiredAccess('GET', '/Observation'))).toThrow(/no patient in context/);
+    });
+
+    it('should not limit user scopes', () => {
+      expect(authorizeAccess({ scope: 'user/*.cruds' }, requiredAccess('GET', '/$export'))).toBeUndefined();
+    });
+  });
+
+  describe('limitToPatient', () => {
+    it('should keep portal patients to their own chart', () => {
+      expect(limitToPatient('123', requiredAccess('GET', '/Observation', { query: { patient: '456' } }))).toBe('123');
+      expect(limitToPatient('123', requiredAccess('GET', '/Patient/123/_history'))).toBe('123');
+      expect(() => limitToPatient('123', requiredAccess('GET', '/Patient/456/_history/1'))).toThrow(/Patient\/123/);
+      expect(() => limitToPatient('123', requiredAccess('GET', '/Observation/_history'))).toThrow(/user-level/);
+      expect(() => limitToPatient('123', requiredAccess('POST', '/', { body: { entry: [] } }))).toThrow(/user-level/);
+    });
+  });
+
+  describe('Patient compartment', () => {
+    it('should filter searches to the compartment', () => {
+      expect(compartmentFilter('Patient', '123')).toEqual({ _id: '123' });
+      expect(compartmentFilter('Observation', '123')).toEqual({ $or: [{ 'subject.reference': 'Patient/123' }] });
+      expect(compartmentFilter('Provenance', '123')).toBeUndefined();
+    });
+
+    it('should tell whether a resource is in the compartment', () => {
+      const observation = { resourceType: 'Observation', subject: { reference: 'Patient/123' } };
+      expect(inCompartment('Observation', observation, '123')).toBe(true);
+      expect(inCompartment('Observation', observation, '456')).toBe(false);
+      expect(inCompartment('Patient', { id: '123' }, '123')).toBe(true);
+    });
+  });
+
+  describe('Authorization server', () => {
+    it('should compute S256 PKCE challenges', () => {
+      // RFC 7636 appendix B
+      expect(pkceChallenge('dBjftJeZ4CVP-mB92K27uhbUJU1p1r_wW1gFWFOEjXk')).toBe('E9Melhoa2OwvFrEMTJguCHaoeK1t8URWbuGJSstw-cM');
+    });
+
+    it('should read client credentials from Basic authentication or the body', () => {
+      const basic = `Basic ${Buffer.from('app:s3cr%3At').toString('base64')}`;
+      expect(clientCredentials(basic)).toEqual({ clientId: 'app', clientSecret: 's3cr:t' });
+      expect(clientCredentials(undefined, { client_id: 'app' })).toEqual({ clientId: 'app', clientSecret: undefined });
+    });
+
+    it('should publish its endpoints under the FHIR base', () => {
+      const configuration = smartConfiguration('https://ehr.example.org/api/fhir');
+      expect(configuration.authorization_endpoint).toBe('https://ehr.example.org/api/fhir/auth/authorize');
+      expect(configuration.token_endpoint).toBe('https://ehr.example.org/api/fhir/auth/token');
+      expect(configuration.code_challenge_methods_supported).toEqual(['S256']);
+      expect(configuration.capabilities).toContain('launch-ehr');
+    });
+  });
+});
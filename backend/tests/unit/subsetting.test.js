@@ -0,0 +1,74 @@
+// subsetting.test.js
+import { parseSubsetting, subsetResource, SUBSETTED } from '../../services/fhir/subsetting.js';
+
+const patient = {
+  resourceType: 'Patient',
+  id: '123',
+  meta: { versionId: '2', lastUpdated: '2025-04-01T00:00:00.000Z' },
+  text: { status: 'generated', div: '<div xmlns="http://www.w3.org/1999/xhtml">Jane Doe</div>' },
+  identifier: [{ system: 'urn:mrn', value: 'MRN-1' }],
+  name: [{ family: 'Doe', given: ['Jane'] }],
+  gender: 'female',
+  birthDate: '1980-02-03',
+  _birthDate: { extension: [{ url: 'http://example.org/accuracy', valueCode: 'estimated' }] },
+  deceasedBoolean: false,
+  maritalStatus: { text: 'Married' },
+  contact: [{ name: { family: 'Doe', given: ['John'] } }],
+};
+
+describe('Subsetting - Unit Tests', () => {
+  describe('parseSubsetting', () => {
+    it('should read _summary and _elements', () => {
+      expect(parseSubsetting({})).toBeUndefined();
+      expect(parseSubsetting({ _summary: 'false' })).toBeUndefined();
+      expect(parseSubsetting({ _summary: 'true' })).toEqual({ summary: 'true' });
+      expect(parseSubsetting({ _elements: 'name, Patient.gender,deceased[x]' })).toEqual({ elements: ['name', 'gender', 'deceased'] });
+    });
+
+    it('should reject bad or conflicting values', () => {
+      expect(() => parseSubsetting({ _summary: 'short' })).toThrow(/Invalid _summary/);
+      expect(() => parseSubsetting({ _summary: 'true', _elements: 'name' })).toThrow(/cannot be combined/);
+      expect(() => parseSubsetting({ _summary: ['true', 'data'] })).toThrow(/only be given once/);
+    });
+
+    it('should only allow _summary=count on searches', () => {
+      expect(() => parseSubsetting({ _summary: 'count' })).toThrow(/only applies to searches/);
+      expect(parseSubsetting({ _summary: 'count' }, { search: true })).toEqual({ summary: 'count' });
+    });
+  });
+
+  describe('subsetResource', () => {
+    it('should keep the summary elements for _summary=true', () => {
+      const subset = subsetResource(patient, { summary: 'true' });
+      expect(Object.keys(subset)).toEqual(['resourceType', 'id', 'meta', 'identifier', 'name', 'gender', 'birthDate', '_birthDate', 'deceasedBoolean']);
+      expect(subset.meta).toEqual({ ...patient.meta, tag: [SUBSETTED] });
+    });
+
+    it('should keep the narrative for _summary=text and drop it for _summary=data', () => {
+      expect(Object.keys(subsetResource(patient, { summary: 'text' }))).toEqual(['resourceType', 'id', 'meta', 'text']);
+      const data = subsetResource(patient, { summary: 'data' });
+      expect(data).not.toHaveProperty('text');
+      expect(data).toHaveProperty('contact');
+    });
+
+    it('should keep the listed and mandatory elements for _elements', () => {
+      const subset = subsetResource(patient, { elements: ['name', 'deceased'] });
+      expect(Object.keys(subset)).toEqual(['resourceType', 'id', 'meta', 'name', 'deceasedBoolean']);
+
+      const observation = { resourceType: 'Observation', id: '1', status: 'final', code: { text: 'HbA1c' }, valueQuantity: { value: 6.1 } };
+      expect(subsetResource(observation, { elements: ['value'] })).toEqual({
+        resourceType: 'Observation',
+        id: '1',
+        status: 'final',
+        code: { text: 'HbA1c' },
+        valueQuantity: { value: 6.1 },
+        meta: { tag: [SUBSETTED] },
+      });
+    });
+
+    it('should leave the resource alone when no subset is asked for', () => {
+      expect(subsetResource(patient, undefined)).toBe(patient);
+      expect(patient.meta).not.toHaveProperty('tag');
+    });
+  });
+});
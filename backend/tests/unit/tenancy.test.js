@@ -0,0 +1,124 @@
+// tenancy.test.js
+import mongoose from 'mongoose';
+import {
+  acrossTenants,
+  currentTenant,
+  runInTenant,
+  tenantScoped,
+} from '../../services/fhir/tenancy.js';
+import { parseSharingParameters } from '../../services/fhir/patientSharing.js';
+import { authorizeScopes, identifyUser } from '../../middleware/fhirAuth.js';
+import { requiredAccess } from '../../services/fhir/smartScopes.js';
+
+// No database here: queries fail once their pre hooks have run
+mongoose.set('bufferCommands', false);
+
+const schema = new mongoose.Schema({ _id: String, name: String });
+schema.plugin(tenantScoped);
+const Record = mongoose.model('TenancyTestRecord', schema);
+
+// The filter and update a query ran with
+const run = async (query) => {
+  await query.exec().catch(() => {});
+  return { filter: query.getFilter(), update: query.getUpdate() };
+};
+
+describe('Tenancy - Unit Tests', () => {
+  describe('runInTenant', () => {
+    it('should keep the tenant across awaits and leave it with acrossTenants', async () => {
+      expect(currentTenant()).toBeUndefined();
+      await runInTenant('org-a', async () => {
+        await new Promise((resolve) => setImmediate(resolve));
+        expect(currentTenant()).toBe('org-a');
+        expect(acrossTenants(() => currentTenant())).toBeUndefined();
+      });
+      expect(runInTenant(undefined, () => currentTenant())).toBeNull();
+    });
+  });
+
+  describe('tenantScoped', () => {
+    it('should add the tenant to reads and writes', async () => {
+      await runInTenant('org-a', async () => {
+        expect((await run(Record.find({ name: 'x' }))).filter).toEqual({ name: 'x', _tenant: 'org-a' });
+        expect((await run(Record.updateMany({}, { name: 'y' }))).filter).toEqual({ _tenant: 'org-a' });
+        const replaced = await run(Record.replaceOne({ _id: '1' }, { name: 'z' }));
+        expect(replaced.update).toMatchObject({ name: 'z', _tenant: 'org-a' });
+      });
+    });
+
+    it('should leave queries outside any tenant unscoped', async () => {
+      expect((await run(Record.find({ name: 'x' }))).filter).toEqual({ name: 'x' });
+    });
+
+    it('should stamp new documents and refuse them outside a tenant', async () => {
+      const record = new Record({ _id: '1' });
+      await runInTenant('org-a', () => record.save().catch(() => {}));
+      expect(record._tenant).toBe('org-a');
+      await expect(new Record({ _id: '2' }).save()).rejects.toThrow(/outside a tenant/);
+    });
+
+    it('should refuse writes in a read-only tenant', async () => {
+      await runInTenant('org-a', async () => {
+        await expect(Record.deleteOne({ _id: '1' }).exec()).rejects.toMatchObject({ status: 403 });
+        await expect(new Record({ _id: '3' }).save()).rejects.toMatchObject({ status: 403 });
+      }, { readOnly: true });
+    });
+  });
+
+  describe('authentication', () => {
+    const call = async (middleware, path, authorization) => {
+      const req = { method: 'GET', path, query: {}, get: () => authorization };
+      const res = {};
+      res.status = (code) => { res.statusCode = code; return res; };
+      res.json = () => res;
+      let passed = false;
+      await middleware(req, res, () => { passed = true; });
+      return { passed, status: res.statusCode };
+    };
+
+    it('should refuse requests without a token outside the public endpoints', async () => {
+      expect(await call(authorizeScopes, '/Observation')).toEqual({ passed: false, status: 401 });
+      expect(await call(authorizeScopes, '/CodeSystem')).toEqual({ passed: false, status: 401 });
+      expect(await call(authorizeScopes, '/metadata')).toEqual({ passed: true, status: undefined });
+      expect(await call(authorizeScopes, '/auth/token')).toEqual({ passed: true, status: undefined });
+    });
+
+    it('should refuse tokens that do not verify', async () => {
+      expect(await call(identifyUser, '/Observation', 'Bearer demo-token')).toEqual({ passed: false, status: 401 });
+    });
+
+    it('should ignore tokens on the public endpoints', async () => {
+      expect(await call(identifyUser, '/metadata', 'Bearer demo-token')).toEqual({ passed: true, status: undefined });
+      expect(await call(identifyUser, '/.well-known/smart-configuration', 'Bearer demo-token')).toEqual({ passed: true, status: undefined });
+      expect(await call(identifyUser, '/auth/token', 'Bearer demo-token')).toEqual({ passed: true, status: undefined });
+    });
+  });
+
+  describe('parseSharingParameters', () => {
+    const parameters = (...parameter) => ({ resourceType: 'Parameters', parameter });
+
+    it('should read the organization and end', () => {
+      expect(parseSharingParameters(parameters(
+        { name: 'organization', valueReference: { reference: 'https://ehr.example.org/fhir/Organization/org-b' } },
+        { name: 'end', valueDateTime: '2030-01-01T00:00:00Z' },
+      ), '$share')).toEqual({ organization: 'org-b', end: new Date('2030-01-01T00:00:00Z') });
+    });
+
+    it('should refuse missing organizations and bad dates', () => {
+      expect(() => parseSharingParameters({}, '$share')).toThrow(/Parameters body/);
+      expect(() => parseSharingParameters(parameters(
+        { name: 'organization', valueReference: { reference: 'Patient/1' } },
+      ), '$transfer')).toThrow(/organization parameter/);
+      expect(() => parseSharingParameters(parameters(
+        { name: 'organization', valueReference: { reference: 'Organization/org-b' } },
+        { name: 'end', valueDateTime: 'soon' },
+      ), '$share')).toThrow(/Invalid end/);
+    });
+  });
+
+  describe('requiredAccess', () => {
+    it('should treat sharing and transfer as user-level writes on the chart', () => {
+      expect(requiredAccess('POST', '/Patient/1/$transfer')).toMatchObject({ resourceType: 'Patient', id: '1', userLevel: true });
+    });
+  });
+});
@@ -0,0 +1,95 @@
+// terminology.test.js
+import {
+  SYSTEMS,
+  VALUE_SET_BASE,
+  expandValueSet,
+  lookupCode,
+  registerValueSet,
+  validateCode,
+  valueSetCodings,
+  valueSetToken,
+} from '../../services/fhir/terminology.js';
+import { getClinicalCodes } from '../../models/Patient.js';
+import { FhirError } from '../../services/fhir/operationOutcome.js';
+
+const parameter = (parameters, name) => parameters.parameter.filter((p) => p.name === name);
+
+describe('Terminology - Unit Tests', () => {
+  describe('lookupCode', () => {
+    it('should return the display and properties of a LOINC code', () => {
+      const result = lookupCode({ system: SYSTEMS.LOINC, code: '2160-0' });
+      expect(parameter(result, 'display')[0].valueString).toBe('Creatinine [Mass/volume] in Serum or Plasma');
+      expect(parameter(result, 'property')).toContainEqual({
+        name: 'property',
+        part: [{ name: 'code', valueCode: 'EXAMPLE_UCUM_UNITS' }, { name: 'value', valueString: 'mg/dL' }],
+      });
+    });
+
+    it('should report parents and children of hierarchical codes, ignoring case', () => {
+      const result = lookupCode({ system: SYSTEMS.ICD_10_CM, code: 'n18.3', property: ['parent'] });
+      expect(parameter(result, 'property')).toEqual([
+        { name: 'property', part: [{ name: 'code', valueCode: 'parent' }, { name: 'value', valueCode: 'N18' }] },
+      ]);
+    });
+
+    it('should throw 404 for unknown systems and codes', () => {
+      expect(() => lookupCode({ system: 'http://example.org', code: '1' })).toThrow(FhirError);
+      expect(() => lookupCode({ system: SYSTEMS.LOINC, code: '0000-0' })).toThrow(FhirError);
+    });
+  });
+
+  describe('valueSetCodings', () => {
+    it('should expand is-a filters across SNOMED CT and ICD-10-CM', () => {
+      const codes = valueSetCodings(`${VALUE_SET_BASE}/chronic-kidney-disease`).map((c) => c.code);
+      expect(codes).toEqual(expect.arrayContaining(['709044004', '433144002', 'N18', 'N18.31']));
+      expect(codes).not.toContain('E11.22');
+    });
+
+    it('should import other value sets and apply excludes', () => {
+      registerValueSet({
+        resourceType: 'ValueSet',
+        url: `${VALUE_SET_BASE}/test-creatinine-mass`,
+        compose: {
+          include: [{ valueSet: [`${VALUE_SET_BASE}/serum-creatinine`] }],
+          exclude: [{ system: SYSTEMS.LOINC, concept: [{ code: '14682-9' }, { code: '59826-8' }] }],
+        },
+      });
+      expect(valueSetToken(`${VALUE_SET_BASE}/test-creatinine-mass`)).toBe('http://loinc.org|2160-0,http://loinc.org|38483-4');
+    });
+
+    it('should give disease observation codes from value sets', () => {
+      expect(getClinicalCodes('CKD').split(',')).toEqual(expect.arrayContaining(['http://loinc.org|2160-0', 'http://loinc.org|48643-1']));
+      expect(getClinicalCodes('Unknown')).toBe('');
+    });
+  });
+
+  describe('expandValueSet', () => {
+    it('should filter on word starts and page the expansion', () => {
+      const { expansion } = expandValueSet({ url: `${VALUE_SET_BASE}/vital-signs`, filter: 'blood press', count: 2 });
+      expect(expansion.total).toBe(5);
+      expect(expansion.contains.map((c) => c.code)).toEqual(['85354-9', '55284-4']);
+    });
+  });
+
+  describe('validateCode', () => {
+    it('should check membership in a value set', () => {
+      expect(validateCode({ valueSet: `${VALUE_SET_BASE}/serum-creatinine`, system: SYSTEMS.LOINC, code: '2160-0' }).result).toBe(true);
+      expect(validateCode({ valueSet: `${VALUE_SET_BASE}/serum-creatinine`, system: SYSTEMS.LOINC, code: '2345-7' }).result).toBe(false);
+    });
+
+    it('should accept a CodeableConcept when any coding is valid', () => {
+      const { result, display } = validateCode({
+        valueSet: `${VALUE_SET_BASE}/diabetes-mellitus`,
+        codeableConcept: { coding: [{ system: SYSTEMS.SNOMED_CT, code: '1' }, { system: SYSTEMS.ICD_10_CM, code: 'E11.9' }] },
+      });
+      expect(result).toBe(true);
+      expect(display).toBe('Type 2 diabetes mellitus without complications');
+    });
+
+    it('should reject a wrong display against a code system', () => {
+      const { result, message } = validateCode({ url: SYSTEMS.LOINC, code: '2160-0', display: 'Glucose' });
+      expect(result).toBe(false);
+      expect(message).toMatch(/does not match/);
+    });
+  });
+});
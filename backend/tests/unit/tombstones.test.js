@@ -0,0 +1,83 @@
+// tombstones.test.js
+import jwt from 'jsonwebtoken';
+import { retentionDays, tombstoneJSON } from '../../services/fhir/tombstones.js';
+import { identifyUser, requireRole } from '../../middleware/fhirAuth.js';
+
+const request = (authorization) => ({
+  get: (header) => (header === 'Authorization' ? authorization : undefined),
+});
+
+const response = () => {
+  const res = {};
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.json = (body) => { res.body = body; return res; };
+  return res;
+};
+
+describe('Tombstones - Unit Tests', () => {
+  const saved = process.env.FHIR_DELETED_RETENTION_DAYS;
+  afterEach(() => {
+    if (saved === undefined) delete process.env.FHIR_DELETED_RETENTION_DAYS;
+    else process.env.FHIR_DELETED_RETENTION_DAYS = saved;
+  });
+
+  describe('retentionDays', () => {
+    it('should keep deleted resources for 30 days by default', () => {
+      delete process.env.FHIR_DELETED_RETENTION_DAYS;
+      expect(retentionDays()).toBe(30);
+    });
+
+    it('should read the retention period from the environment', () => {
+      process.env.FHIR_DELETED_RETENTION_DAYS = '7';
+      expect(retentionDays()).toBe(7);
+      process.env.FHIR_DELETED_RETENTION_DAYS = 'a week';
+      expect(() => retentionDays()).toThrow(/number of days/);
+    });
+  });
+
+  describe('tombstoneJSON', () => {
+    it('should say when the resource will be purged', () => {
+      const tombstone = {
+        resourceType: 'Patient',
+        resourceId: '123',
+        versionId: 3,
+        deletedAt: new Date('2025-04-01T00:00:00Z'),
+        deletedBy: 'admin@example.org',
+        resource: { resourceType: 'Patient', id: '123' },
+      };
+      const deleted = tombstoneJSON(tombstone, { retention: 10 });
+      expect(deleted).toMatchObject({ resourceType: 'Patient', id: '123', versionId: '3', deletedBy: 'admin@example.org' });
+      expect(deleted.purgeAfter.toISOString()).toBe('2025-04-11T00:00:00.000Z');
+      expect(deleted).not.toHaveProperty('reason');
+    });
+  });
+
+  describe('requireRole', () => {
+    const secret = process.env.JWT_SECRET;
+    beforeAll(() => { process.env.JWT_SECRET = 'test-secret'; });
+    afterAll(() => {
+      if (secret === undefined) delete process.env.JWT_SECRET;
+      else process.env.JWT_SECRET = secret;
+    });
+
+    const authorize = (authorization) => {
+      const req = request(authorization);
+      const res = response();
+      let passed = false;
+      identifyUser(req, res, () => requireRole('Admin')(req, res, () => { passed = true; }));
+      return { passed, status: res.statusCode };
+    };
+
+    it('should let admins through', () => {
+      const token = jwt.sign({ userId: 'u1', role: 'Admin' }, 'test-secret');
+      expect(authorize(`Bearer ${token}`)).toEqual({ passed: true, status: undefined });
+    });
+
+    it('should turn away other roles and anonymous callers', () => {
+      const token = jwt.sign({ userId: 'u2', role: 'Doctor' }, 'test-secret');
+      expect(authorize(`Bearer ${token}`)).toEqual({ passed: false, status: 403 });
+      expect(authorize('Bearer demo-token')).toEqual({ passed: false, status: 401 });
+      expect(authorize(undefined)).toEqual({ passed: false, status: 401 });
+    });
+  });
+});
@@ -0,0 +1,132 @@
+// transaction.test.js
+import Patient from '../../models/Patient.js';
+import Observation from '../../models/Observation.js';
+import ResourceHistory from '../../models/ResourceHistory.js';
+import { processBundle } from '../../services/fhir/transaction.js';
+import { resourceEvents } from '../../services/fhir/events.js';
+import { createResource } from '../../services/fhir/resourceStore.js';
+import { runInTenant } from '../../services/fhir/tenancy.js';
+import { useMemoryStore } from '../support/memoryStore.js';
+
+const store = useMemoryStore();
+
+const baseUrl = 'http://localhost/api/fhir';
+const MRN = 'http://st-marys.example.org/mrn';
+
+const patient = { resourceType: 'Patient', identifier: [{ system: MRN, value: '123' }], name: [{ family: 'Smith' }] };
+const observation = (reference) => ({
+  resourceType: 'Observation',
+  status: 'final',
+  code: { coding: [{ system: 'http://loinc.org', code: '8867-4' }] },
+  subject: { reference },
+  effectiveDateTime: '2025-04-06T08:00:00Z',
+  valueQuantity: { value: 72, unit: '/min', system: 'http://unitsofmeasure.org', code: '/min' },
+});
+
+const bundle = (type, ...entry) => ({ resourceType: 'Bundle', type, entry });
+const post = (resource, fullUrl) => ({ fullUrl, resource, request: { method: 'POST', url: resource.resourceType } });
+
+describe('Transaction - Unit Tests', () => {
+  const inTenant = (fn) => () => runInTenant('org-a', fn);
+
+  describe('references', () => {
+    it('should point urn:uuid references at the ids the entries are given', inTenant(async () => {
+      const response = await processBundle(bundle('transaction',
+        post(observation('urn:uuid:61ebe359-bfdc-4613-8bf2-c5e300945f0a')),
+        post(patient, 'urn:uuid:61ebe359-bfdc-4613-8bf2-c5e300945f0a'),
+      ), { baseUrl });
+
+      expect(response.type).toBe('transaction-response');
+      expect(response.entry.map((e) => e.response.status)).toEqual(['201 Created', '201 Created']);
+      const [stored] = store.documents(Patient);
+      const [heartRate] = store.documents(Observation);
+      expect(heartRate.subject.reference).toBe(`Patient/${stored._id}`);
+    }));
+
+    it('should resolve conditional references and conditional creates against the store', inTenant(async () => {
+      const existing = await createResource(Patient, patient);
+      const response = await processBundle(bundle('transaction',
+        { ...post(patient, 'urn:uuid:a'), request: { method: 'POST', url: 'Patient', ifNoneExist: `identifier=${MRN}|123` } },
+        post(observation('urn:uuid:a')),
+        post(observation(`Patient?identifier=${MRN}|123`)),
+      ), { baseUrl });
+
+      expect(response.entry[0].response.status).toBe('200 OK');
+      expect(store.documents(Patient)).toHaveLength(1);
+      expect(store.documents(Observation).map((o) => o.subject.reference))
+        .toEqual([`Patient/${existing.id}`, `Patient/${existing.id}`]);
+    }));
+
+    it('should refuse conditional references that do not match exactly one resource', inTenant(async () => {
+      await expect(processBundle(bundle('transaction',
+        post(observation(`Patient?identifier=${MRN}|999`)),
+      ), { baseUrl })).rejects.toMatchObject({ status: 412 });
+    }));
+  });
+
+  describe('rollback', () => {
+    it('should undo every entry of a transaction when one fails', inTenant(async () => {
+      await expect(processBundle(bundle('transaction',
+        post(patient, 'urn:uuid:a'),
+        post(observation('urn:uuid:a')),
+        { request: { method: 'DELETE', url: 'Patient/missing' } },
+      ), { baseUrl })).rejects.toMatchObject({ status: 404, message: expect.stringMatching(/^Bundle entry 2 \(DELETE Patient\/missing\)/) });
+
+      expect(store.documents(Patient)).toEqual([]);
+      expect(store.documents(Observation)).toEqual([]);
+      expect(store.documents(ResourceHistory)).toEqual([]);
+    }));
+  });
+
+  describe('batch', () => {
+    it('should answer each entry on its own and keep the ones that worked', inTenant(async () => {
+      const response = await processBundle(bundle('batch',
+        post(patient),
+        { request: { method: 'GET', url: 'Patient/missing' } },
+        { resource: { ...patient, id: 'p1' }, request: { method: 'PUT', url: 'Patient/p1', ifMatch: 'W/"3"' } },
+      ), { baseUrl });
+
+      expect(response.type).toBe('batch-response');
+      const [created, missing, conflict] = response.entry;
+      expect(created.response.status).toBe('201 Created');
+      expect(missing.response.status).toBe('404');
+      expect(missing.response.outcome.resourceType).toBe('OperationOutcome');
+      expect(conflict.response.status).toBe('412');
+      expect(store.documents(Patient)).toHaveLength(1);
+    }));
+  });
+
+  describe('events', () => {
+    let changes;
+    const listener = (change) => changes.push(change);
+    beforeEach(() => {
+      changes = [];
+      resourceEvents.on('change', listener);
+    });
+    afterEach(() => resourceEvents.off('change', listener));
+
+    it('should publish the changes of a committed transaction once, after a retry', inTenant(async () => {
+      store.failNextCommit();
+      await processBundle(bundle('transaction',
+        post(patient, 'urn:uuid:a'),
+        post(observation('urn:uuid:a')),
+      ), { baseUrl });
+
+      const written = changes.filter((c) => c.resourceType !== 'Provenance');
+      expect(written.map((c) => c.resourceType).sort()).toEqual(['Observation', 'Patient']);
+      expect(store.documents(Patient)).toHaveLength(1);
+    }));
+
+    it('should publish nothing for a transaction that fails', inTenant(async () => {
+      await processBundle(bundle('transaction', post(patient)), { baseUrl });
+      expect(changes.length).toBeGreaterThan(0);
+      changes = [];
+
+      await expect(processBundle(bundle('transaction',
+        post(patient),
+        { request: { method: 'DELETE', url: 'Patient/missing' } },
+      ), { baseUrl })).rejects.toMatchObject({ status: 404 });
+      expect(changes).toEqual([]);
+    }));
+  });
+});
@@ -0,0 +1,122 @@
+// ucum.test.js
+import { canonicalForms, canonicalize, convert, isValidUnit } from '../../services/fhir/ucum.js';
+import {
+  NORMALIZED_QUANTITY,
+  normalizeObservation,
+  normalizedQuantity,
+} from '../../services/fhir/normalization.js';
+import { parseSearch } from '../../services/fhir/search.js';
+import { FhirError } from '../../services/fhir/operationOutcome.js';
+
+const observation = (loinc, valueQuantity) => ({
+  resourceType: 'Observation',
+  code: { coding: [{ system: 'http://loinc.org', code: loinc }] },
+  valueQuantity,
+});
+
+describe('UCUM - Unit Tests', () => {
+  describe('parsing', () => {
+    it('should accept the units labs report', () => {
+      for (const code of ['mg/dL', 'umol/L', 'mmol/L', 'mL/min/{1.73_m2}', 'mm[Hg]', '10*3/uL', '%', 'Cel', '/min', 'kg/m2', 'U/L', 'meq/L']) {
+        expect(isValidUnit(code)).toBe(true);
+      }
+    });
+
+    it('should reject codes that are not UCUM', () => {
+      for (const code of ['mg/dLL', 'mg per dL', 'mg//dL', 'mCel', 'Cel/min', '(mg/dL', '']) {
+        expect(isValidUnit(code)).toBe(false);
+      }
+    });
+
+    it('should express values in base units', () => {
+      expect(canonicalize(1, 'mg/dL')).toEqual({ value: 10, code: 'g.m-3' });
+      expect(canonicalize(5, '10*3/uL')).toEqual({ value: 5e12, code: 'm-3' });
+      expect(canonicalize(37, 'Cel')).toEqual({ value: 310.15, code: 'K' });
+    });
+  });
+
+  describe('convert', () => {
+    it('should convert between commensurable units', () => {
+      expect(convert(1, 'g/L', 'mg/dL')).toBe(100);
+      expect(convert(98.6, '[degF]', 'Cel')).toBe(37);
+      expect(convert(120, 'mm[Hg]', 'kPa')).toBeCloseTo(15.999, 3);
+    });
+
+    it('should convert mass and substance concentrations given a molar mass', () => {
+      expect(convert(88.4, 'umol/L', 'mg/dL', { molarMass: 113.12 })).toBeCloseTo(1.0, 3);
+      expect(convert(100, 'mg/dL', 'mmol/L', { molarMass: 180.16 })).toBeCloseTo(5.551, 3);
+    });
+
+    it('should refuse to convert units measuring different things', () => {
+      expect(() => convert(1, 'mg/dL', 'mmol/L')).toThrow(FhirError);
+      expect(() => convert(1, 'mg/dL', 'mmol/L')).toThrow('Cannot convert mg/dL to mmol/L');
+    });
+
+    it('should list both mass and substance forms given a molar mass', () => {
+      const forms = canonicalForms(88.4, 'umol/L', { molarMass: 113.12 });
+      expect(forms.map((f) => f.code)).toEqual(['m-3.mol', 'g.m-3']);
+      expect(forms[1].value).toBeCloseTo(10, 2);
+    });
+  });
+});
+
+describe('Observation normalization - Unit Tests', () => {
+  it('should store creatinine in mg/dL next to a umol/L result', () => {
+    const resource = observation('14682-9', { value: 88.4, unit: 'µmol/L', system: 'http://unitsofmeasure.org', code: 'umol/L' });
+    const index = normalizeObservation(resource);
+
+    expect(resource.valueQuantity.value).toBe(88.4);
+    expect(normalizedQuantity(resource).unit).toBe('mg/dL');
+    expect(normalizedQuantity(resource).value).toBeCloseTo(1.0, 3);
+    expect(index.valueQuantity).toContainEqual({ value: expect.any(Number), code: 'g.m-3' });
+    expect(index.valueQuantitySort).toBeCloseTo(1.0, 3);
+  });
+
+  it('should convert glucose from mmol/L to mg/dL', () => {
+    const resource = observation('2345-7', { value: 5.5, unit: 'mmol/L', code: 'mmol/L' });
+    normalizeObservation(resource);
+
+    expect(normalizedQuantity(resource).value).toBeCloseTo(99.09, 2);
+  });
+
+  it('should read the unit string when the code is missing', () => {
+    const resource = observation('2160-0', { value: 1.2, unit: 'mg/dL' });
+    const index = normalizeObservation(resource);
+
+    expect(index.valueQuantity).toContainEqual({ value: 12, code: 'g.m-3' });
+  });
+
+  it('should replace a stale normalized value sent back by a client', () => {
+    const resource = observation('2160-0', {
+      value: 2,
+      code: 'mg/dL',
+      extension: [{ url: NORMALIZED_QUANTITY, valueQuantity: { value: 1, code: 'mg/dL' } }],
+    });
+    normalizeObservation(resource);
+
+    expect(resource.valueQuantity.extension).toHaveLength(1);
+    expect(normalizedQuantity(resource).value).toBe(2);
+  });
+
+  it('should reject invalid UCUM codes with a 422', () => {
+    const resource = observation('2160-0', { value: 1, unit: 'mg/dL', system: 'http://unitsofmeasure.org', code: 'mg/dLL' });
+
+    expect(() => normalizeObservation(resource)).toThrow(expect.objectContaining({ status: 422 }));
+  });
+
+  it('should keep quantities from other unit systems as they are', () => {
+    const resource = observation('2160-0', { value: 1, unit: 'MGDL', system: 'http://example.org/units', code: 'MGDL' });
+
+    expect(normalizeObservation(resource)).toEqual({ valueQuantitySort: 1 });
+    expect(resource.valueQuantity.extension).toBeUndefined();
+  });
+
+  it('should find results stored in umol/L with a search in mg/dL', () => {
+    const resource = observation('14682-9', { value: 88.4, code: 'umol/L' });
+    const { valueQuantity } = normalizeObservation(resource);
+    const { filter } = parseSearch('Observation', { 'value-quantity': 'ge0.9|http://unitsofmeasure.org|mg/dL' });
+    const { code, value } = filter.$and[0]['_index.valueQuantity'].$elemMatch;
+
+    expect(valueQuantity.some((form) => form.code === code && form.value >= value.$gte)).toBe(true);
+  });
+});
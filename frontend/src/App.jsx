@@ -18,6 +18,7 @@ const PatientManagement = lazy(() => import("./pages/HospitalPortal/PatientManag
 const ClinicalTools = lazy(() => import("./pages/HospitalPortal/ClinicalTools"));
 const UserManagement = lazy(() => import("./pages/AdminPortal/UserManagement"));
 const SystemHealth = lazy(() => import("./pages/AdminPortal/SystemHealth"));
+const SmartAuthorize = lazy(() => import("./pages/SmartAuthorize"));
 const Unauthorized = lazy(() => import("./pages/ErrorPages/Unauthorized"));
 const NotFound = lazy(() => import("./pages/ErrorPages/404"));
 
@@ -50,6 +51,7 @@ const App = () => {
                   <Route path="/clinical-tools" element={<ClinicalTools />} />
                   <Route path="/user-management" element={<UserManagement />} />
                   <Route path="/system-health" element={<SystemHealth />} />
+                  <Route path="/smart/authorize" element={<SmartAuthorize />} />
 
                   {/* 404 fallback */}
                   <Route path="*" element={<NotFound />} />
@@ -2,17 +2,22 @@ import apiClient from './apiClient';
 
 const API_BASE = '/fhir';
 
+// Searches return a FHIR searchset Bundle; callers want the matched resources
+const bundleResources = (bundle) => (bundle?.entry || [])
+  .filter((e) => e.search?.mode !== 'include')
+  .map((e) => e.resource);
+
 // 🧑‍⚕️ Patient APIs
-export const getAllPatients = async () => {
-  const response = await apiClient.get(`${API_BASE}/patients`);
-  return response.data;
+export const getAllPatients = async (params = {}) => {
+  const response = await apiClient.get(`${API_BASE}/Patient`, { params });
+  return bundleResources(response.data);
 };
 
 export const searchPatients = async (query) => {
-  const response = await apiClient.get(`${API_BASE}/patients`, {
+  const response = await apiClient.get(`${API_BASE}/Patient`, {
     params: { name: query },
   });
-  return response.data;
+  return bundleResources(response.data);
 };
 
 export const getPatientById = async (id) => {
@@ -20,9 +25,18 @@ export const getPatientById = async (id) => {
   return response.data;
 };
 
+// The patient's Conditions, shaped for the medical history page
 export const getMedicalHistory = async (id) => {
-  const response = await apiClient.get(`${API_BASE}/patients/${id}/medical-history`);
-  return response.data;
+  const response = await apiClient.get(`${API_BASE}/Patient/${id}/Condition`, {
+    params: { _count: 500 },
+  });
+  return bundleResources(response.data)
+    .map((condition) => ({
+      condition: condition.code?.text || condition.code?.coding?.[0]?.display || 'Unknown condition',
+      date: condition.onsetDateTime || condition.recordedDate,
+      status: condition.clinicalStatus?.coding?.[0]?.code || 'unknown',
+      notes: condition.note?.map((n) => n.text).join(' '),
+    }));
 };
 
 export const createPatient = async (patientData) => {
@@ -35,19 +49,40 @@ export const updatePatient = async (id, updatedData) => {
   return response.data;
 };
 
-export const deletePatient = async (id) => {
-  const response = await apiClient.delete(`${API_BASE}/patients/${id}`);
+// Deleted patients are kept for a retention period and can be restored by an admin
+export const deletePatient = async (id, reason) => {
+  const response = await apiClient.delete(`${API_BASE}/patients/${id}`, {
+    params: reason ? { reason } : {},
+  });
+  return response.data;
+};
+
+export const restorePatient = async (id) => {
+  const response = await apiClient.post(`${API_BASE}/Patient/${id}/$restore`);
   return response.data;
 };
 
 // 📊 Observations
-export const fetchObservations = async (patientId) => {
-  const response = await apiClient.get(`${API_BASE}/observations`, {
-    params: { patient: patientId },
+// Extra FHIR search parameters narrow the results, e.g. { code: 'http://loinc.org|2160-0', date: 'ge2025-01-01' }
+export const fetchObservations = async (patientId, params = {}) => {
+  const response = await apiClient.get(`${API_BASE}/Patient/${patientId}/Observation`, {
+    params: { _sort: '-date', ...params },
   });
+  return bundleResources(response.data);
+};
+
+// 🔐 SMART app authorization (the query string is the app's authorization request)
+export const getSmartAuthorization = async (search) => {
+  const response = await apiClient.get(`${API_BASE}/auth/authorize/details${search}`);
   return response.data;
 };
 
+// Resolves to the URL to send the browser back to the app with
+export const decideSmartAuthorization = async (search, decision) => {
+  const response = await apiClient.post(`${API_BASE}/auth/authorize${search}`, decision);
+  return response.data.redirect;
+};
+
 // ✅ Default export (if needed)
 export default {
   getAllPatients,
@@ -57,5 +92,8 @@ export default {
   createPatient,
   updatePatient,
   deletePatient,
+  restorePatient,
   fetchObservations,
+  getSmartAuthorization,
+  decideSmartAuthorization,
 };
@@ -2,6 +2,7 @@ import React, { useEffect, useState } from "react";
 import { Card, CardContent } from "@/components/ui/card";
 import { Loader } from "lucide-react";
 import apiClient from "@/api/apiClient"; // Optional backend call
+import { INTERPRETATION_LABELS } from "@/utils/fhirHelpers";
 
 const LabResults = () => {
   const [results, setResults] = useState([]);
@@ -17,10 +18,11 @@ const LabResults = () => {
 
         // Simulated fallback data
         setTimeout(() => {
+          // Flags and ranges as the server fills them in from its catalog
           setResults([
-            { name: "Glucose", value: "98", unit: "mg/dL", date: "2025-04-07" },
-            { name: "Creatinine", value: "1.2", unit: "mg/dL", date: "2025-04-06" },
-            { name: "Hemoglobin", value: "13.5", unit: "g/dL", date: "2025-04-06" },
+            { name: "Glucose", value: "98", unit: "mg/dL", date: "2025-04-07", interpretation: "N", range: "70-99 mg/dL" },
+            { name: "Creatinine", value: "1.2", unit: "mg/dL", date: "2025-04-06", interpretation: "H", range: "0.59-1.04 mg/dL" },
+            { name: "Hemoglobin", value: "13.5", unit: "g/dL", date: "2025-04-06", interpretation: "N", range: "12-15.5 g/dL" },
           ]);
           setLoading(false);
         }, 500);
@@ -33,19 +35,12 @@ const LabResults = () => {
     fetchResults();
   }, []);
 
-  const getAbnormality = (name, value) => {
-    const num = parseFloat(value);
-    const ranges = {
-      Glucose: { low: 70, high: 110 },
-      Creatinine: { low: 0.6, high: 1.3 },
-      Hemoglobin: { low: 13.0, high: 17.5 },
-    };
-
-    if (!ranges[name]) return null;
-    if (num < ranges[name].low) return "Low";
-    if (num > ranges[name].high) return "High";
-    return null;
-  };
+  // The server flags results against its reference range catalog
+  // (see getObservationInterpretation for FHIR Observations)
+  const getAbnormality = (result) =>
+    result.interpretation && result.interpretation !== "N"
+      ? INTERPRETATION_LABELS[result.interpretation]
+      : null;
 
   const sortedResults = [...results].sort(
     (a, b) => new Date(b.date) - new Date(a.date)
@@ -81,18 +76,20 @@ const LabResults = () => {
               <tr>
                 <th className="text-left p-2">Test</th>
                 <th className="text-left p-2">Value</th>
+                <th className="text-left p-2">Reference Range</th>
                 <th className="text-left p-2">Date</th>
               </tr>
             </thead>
             <tbody>
               {filteredResults.map((result, idx) => {
-                const abnormal = getAbnormality(result.name, result.value);
-                const valueClass =
-                  abnormal === "High"
-                    ? "text-red-600 font-semibold"
-                    : abnormal === "Low"
-                    ? "text-yellow-600 font-semibold"
-                    : "";
+                const abnormal = getAbnormality(result);
+                const valueClass = abnormal?.startsWith("Critical")
+                  ? "text-red-700 font-bold"
+                  : abnormal === "High"
+                  ? "text-red-600 font-semibold"
+                  : abnormal === "Low"
+                  ? "text-yellow-600 font-semibold"
+                  : "";
 
                 return (
                   <tr key={`${result.name}-${result.date}`} className="border-t">
@@ -103,6 +100,7 @@ const LabResults = () => {
                         <span className="ml-1 text-xs">({abnormal})</span>
                       )}
                     </td>
+                    <td className="p-2 text-gray-600">{result.range || "—"}</td>
                     <td className="p-2">
                       {new Date(result.date).toLocaleDateString()}
                     </td>
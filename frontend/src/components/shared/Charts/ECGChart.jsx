@@ -11,9 +11,13 @@ import {
 } from "recharts";
 import styles from "./charts.module.scss";
 
-const ECGChart = ({ data }) => {
+// Upper limit of a normal signal amplitude (mV) when no referenceRange is given
+const DEFAULT_AMPLITUDE_HIGH = 1.2;
+
+// referenceRange: the FHIR Observation.referenceRange of the recording, if any
+const ECGChart = ({ data, referenceRange }) => {
   const maxSignal = Math.max(...data.map((d) => d.signal));
-  const threshold = 1.2;
+  const threshold = referenceRange?.[0]?.high?.value ?? DEFAULT_AMPLITUDE_HIGH;
 
   return (
     <div className={styles.chartContainer}>
@@ -1,19 +1,24 @@
 import React, { useEffect, useState } from "react";
 import styles from "@/styles/PatientManagement.module.scss";
-import { GetAllPatients, deletePatient } from "@/api/fhirAPI";
+import { getAllPatients, deletePatient, restorePatient } from "@/api/fhirAPI";
 import Button from "@/components/ui/Button"; 
 import { Card, CardContent } from "@/components/ui/card";
-import { Trash2, Loader2 } from "lucide-react";
+import { Trash2, Loader2, Undo2 } from "lucide-react";
+import { getPatientName } from "@/utils/fhirHelpers";
 
 const PatientManagement = () => {
   const [patients, setPatients] = useState([]);
   const [loading, setLoading] = useState(true);
   const [deletingId, setDeletingId] = useState(null);
+  // Patients deleted this session, so an accidental delete can be undone
+  const [deleted, setDeleted] = useState([]);
+  const [restoreError, setRestoreError] = useState(null);
 
   useEffect(() => {
     const fetchPatients = async () => {
       try {
-        const data = await getAllPatients();
+        // The cards only show these; keep the rest of each chart off the wire
+        const data = await getAllPatients({ _elements: "name,gender,birthDate" });
         setPatients(data || []);
       } catch (error) {
         console.error("Error fetching patients:", error);
@@ -26,11 +31,14 @@ const PatientManagement = () => {
   }, []);
 
   const handleDelete = async (id) => {
-    if (!window.confirm("Are you sure you want to delete this patient?")) return;
+    const reason = window.prompt("Why is this patient being deleted?");
+    if (reason === null) return;
     try {
       setDeletingId(id);
-      await deletePatient(id);
-      setPatients((prev) => prev.filter((patient) => patient.id !== id));
+      await deletePatient(id, reason || undefined);
+      const patient = patients.find((p) => p.id === id);
+      setPatients((prev) => prev.filter((p) => p.id !== id));
+      if (patient) setDeleted((prev) => [patient, ...prev]);
     } catch (error) {
       console.error("Error deleting patient:", error);
     } finally {
@@ -38,6 +46,22 @@ const PatientManagement = () => {
     }
   };
 
+  const handleRestore = async (id) => {
+    try {
+      setRestoreError(null);
+      const restored = await restorePatient(id);
+      setDeleted((prev) => prev.filter((p) => p.id !== id));
+      setPatients((prev) => [...prev, restored]);
+    } catch (error) {
+      console.error("Error restoring patient:", error);
+      setRestoreError(
+        error.response?.status === 403
+          ? "Only administrators can restore deleted patients."
+          : "The patient could not be restored."
+      );
+    }
+  };
+
   if (loading) {
     return (
       <div className={styles.loader}>
@@ -47,19 +71,34 @@ const PatientManagement = () => {
     );
   }
 
-  if (!patients.length) {
+  if (!patients.length && !deleted.length) {
     return <p className={styles.empty}>No patients found.</p>;
   }
 
   return (
     <div className={styles.patientManagement}>
       <h1>Patient Management</h1>
+      {deleted.length > 0 && (
+        <div className={styles.deleted}>
+          <h2>Recently deleted</h2>
+          {restoreError && <p className="text-red-600 text-sm">{restoreError}</p>}
+          {deleted.map((patient) => (
+            <p key={patient.id}>
+              {getPatientName(patient)} ({patient.id})
+              <Button variant="outline" onClick={() => handleRestore(patient.id)}>
+                <Undo2 className="mr-2 h-4 w-4" />
+                Restore
+              </Button>
+            </p>
+          ))}
+        </div>
+      )}
       <div className={styles.cards}>
         {patients.map((patient) => (
           <Card key={patient.id} className={styles.card}>
             <CardContent>
-              <p><strong>Name:</strong> {patient.name}</p>
-              <p><strong>Age:</strong> {patient.age}</p>
+              <p><strong>Name:</strong> {getPatientName(patient)}</p>
+              <p><strong>Date of birth:</strong> {patient.birthDate}</p>
               <p><strong>Gender:</strong> {patient.gender}</p>
               <p><strong>ID:</strong> {patient.id}</p>
               <Button
@@ -4,16 +4,25 @@ import { getMedicalHistory } from "@/api/fhirAPI"; // ✅ Corrected casing
 import { Card, CardContent } from "@/components/ui/card";
 import { Loader2 } from "lucide-react";
 import { format } from "date-fns"; // ✅ Date formatting
+import { useAuth } from "@/contexts/AuthContext";
 
 const MedicalHistory = () => {
+  const { user } = useAuth();
   const [history, setHistory] = useState([]);
   const [loading, setLoading] = useState(true);
   const [searchTerm, setSearchTerm] = useState(""); // 🔍 Optional filtering
 
   useEffect(() => {
+    if (!user) return;
+    // Only Patient users are linked to a chart of their own
+    if (!user.patient) {
+      setLoading(false);
+      return;
+    }
+
     const fetchHistory = async () => {
       try {
-        const data = await getMedicalHistory();
+        const data = await getMedicalHistory(user.patient);
         setHistory(data || []);
       } catch (error) {
         console.error("Error fetching medical history:", error);
@@ -23,7 +32,7 @@ const MedicalHistory = () => {
     };
 
     fetchHistory();
-  }, []);
+  }, [user]);
 
   const filteredHistory = history.filter((entry) =>
     entry.condition.toLowerCase().includes(searchTerm.toLowerCase())
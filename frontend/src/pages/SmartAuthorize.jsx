@@ -0,0 +1,95 @@
+import React, { useEffect, useState } from "react";
+import { useLocation } from "react-router-dom";
+import { getSmartAuthorization, decideSmartAuthorization } from "@/api/fhirAPI";
+import Button from "@/components/ui/Button";
+import { Card, CardContent } from "@/components/ui/card";
+import { Check, Loader2, X } from "lucide-react";
+
+// Consent page for SMART apps: the backend's /auth/authorize sends the browser
+// here with the app's authorization request as the query string
+const SmartAuthorize = () => {
+  const { search } = useLocation();
+  const [details, setDetails] = useState(null);
+  const [patient, setPatient] = useState("");
+  const [error, setError] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  useEffect(() => {
+    const fetchDetails = async () => {
+      try {
+        setDetails(await getSmartAuthorization(search));
+      } catch (err) {
+        console.error("Error fetching authorization request:", err);
+        setError(err.response?.data?.error_description || "The authorization request could not be loaded.");
+      }
+    };
+
+    fetchDetails();
+  }, [search]);
+
+  const decide = async (approved) => {
+    try {
+      setSubmitting(true);
+      setError(null);
+      window.location.assign(await decideSmartAuthorization(search, { approved, patient: patient || undefined }));
+    } catch (err) {
+      console.error("Error answering authorization request:", err);
+      const { redirect, error_description: description } = err.response?.data || {};
+      if (redirect) window.location.assign(redirect);
+      else setError(description || "The authorization request could not be answered.");
+      setSubmitting(false);
+    }
+  };
+
+  if (error && !details) {
+    return <p className="text-red-600">{error}</p>;
+  }
+
+  if (!details) {
+    return (
+      <div role="status">
+        <Loader2 className="animate-spin" />
+        <span>Loading authorization request...</span>
+      </div>
+    );
+  }
+
+  const scopes = details.scope.split(" ").filter(Boolean);
+
+  return (
+    <Card>
+      <CardContent>
+        <h1>Authorize {details.client_name}</h1>
+        <p>This app is asking for access to:</p>
+        <ul>
+          {scopes.map((scope) => (
+            <li key={scope}><code>{scope}</code></li>
+          ))}
+        </ul>
+        {details.patient && <p><strong>Patient:</strong> {details.patient}</p>}
+        {details.pick_patient && (
+          <label>
+            Patient ID to share
+            <input
+              type="text"
+              value={patient}
+              onChange={(e) => setPatient(e.target.value.trim())}
+              aria-label="Patient ID to share"
+            />
+          </label>
+        )}
+        {error && <p className="text-red-600 text-sm">{error}</p>}
+        <Button onClick={() => decide(true)} disabled={submitting || (details.pick_patient && !patient)}>
+          <Check className="mr-2 h-4 w-4" />
+          Allow
+        </Button>
+        <Button variant="outline" onClick={() => decide(false)} disabled={submitting}>
+          <X className="mr-2 h-4 w-4" />
+          Deny
+        </Button>
+      </CardContent>
+    </Card>
+  );
+};
+
+export default SmartAuthorize;
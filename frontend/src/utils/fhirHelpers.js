@@ -25,6 +25,39 @@ export const getPatientName = (patient) => {
   export const capitalize = (str) =>
     typeof str === 'string' ? str.charAt(0).toUpperCase() + str.slice(1) : '';
   
+  // Set by the server on results it converted to the test's reporting unit
+  export const NORMALIZED_QUANTITY = 'http://uhrh.local/fhir/StructureDefinition/normalized-quantity';
+
+  // Observation value in the test's reporting unit (e.g. creatinine in mg/dL
+  // whether the lab sent mg/dL or umol/L), else as sent
+  export const getObservationQuantity = (observation) => {
+    const normalized = observation?.valueQuantity?.extension?.find(
+      (e) => e.url === NORMALIZED_QUANTITY
+    );
+    return normalized?.valueQuantity || observation?.valueQuantity || null;
+  };
+  
+  // Flags the server sets from its reference range catalog
+  export const INTERPRETATION_SYSTEM = 'http://terminology.hl7.org/CodeSystem/v3-ObservationInterpretation';
+  export const INTERPRETATION_LABELS = {
+    N: 'Normal',
+    L: 'Low',
+    H: 'High',
+    LL: 'Critical low',
+    HH: 'Critical high',
+  };
+
+  // Interpretation flag of an Observation (N, L, H, LL, HH), or null
+  export const getObservationInterpretation = (observation) => {
+    for (const concept of observation?.interpretation || []) {
+      const coding = concept.coding?.find(
+        (c) => c.system === INTERPRETATION_SYSTEM && INTERPRETATION_LABELS[c.code]
+      );
+      if (coding) return coding.code;
+    }
+    return null;
+  };
+
   // Extract latest vital observation by type (e.g., 'heart-rate')
   export const extractLatestObservation = (observations, code) => {
     if (!Array.isArray(observations)) return null;
@@ -33,7 +66,7 @@ export const getPatientName = (patient) => {
       obs.code?.coding?.some((c) => c.code === code)
     );
   
-    return match?.valueQuantity?.value || null;
+    return getObservationQuantity(match)?.value || null;
   };
   
   // Format address